@@ -29,132 +29,2485 @@
     // アニメーション中の多重クリック防止フラグ
     var isProcessing = false;
 
+    // 決まり字の表示設定（ゲームをまたいで保持する）
+    var kimarijiVisible = false;
+
+    // 坊主めくりのゲーム
+    var bozuGame = null;
+
+    // 読手モードの読み順と、読み上げを一時停止しているかどうか
+    var dokushuSession = null;
+    var dokushuPaused = false;
+
+    // 途中のゲームの保存先（localStorage のキー）と保存形式の版
+    var SAVE_KEY = 'hyakunin-isshu:saved-game';
+    var SAVE_VERSION = 1;
+
+    // スタート画面で選んだプロフィールのIDの保存先（localStorage のキー）
+    var PROFILE_KEY = 'hyakunin-isshu:selected-profile';
+
+    // 直前のゲームの設定（もう一度プレイ・ゲームコードの作成に使う）
+    var lastGameSettings = null;
+
+    // 今日のチャレンジ（/api/daily の内容。通常のゲームではnull）
+    var dailyChallenge = null;
+
+    // ゲーム開始時刻（操作の記録の時刻の基準）
+    var gameStartedAt = 0;
+
+    // 操作の記録（今日のチャレンジの結果と一緒に送り、サーバーが再生して結果を確かめる）
+    var actionLog = [];
+
+    // ラウンドの制限時間のタイマー
+    var roundTimer = null;
+    var roundTimeLeft = 0;
+
+    // 現在のゲームのゲームコード
+    var currentGameCode = null;
+
+    // 読み上げ（Web Speech API に対応していないブラウザではnull）
+    var reader = null;
+
+    // コンピューターの対戦相手（対戦相手なしのゲームではnull）
+    var cpuOpponent = null;
+
+    // 1つの画面で2人が対戦する場合のプレイヤー（1人で遊ぶゲームではnull）
+    // プレイヤー1（手前）・プレイヤー2（向こう側）の順に { side, label, keys, scoreManager } を持つ
+    var hotSeatPlayers = null;
+    var HOT_SEAT_LABELS = ['プレイヤー1', 'プレイヤー2'];
+
+    // 2人がほぼ同時に触れた札を、触れた時刻の順に判定する（2人対戦のゲームのみ）
+    var takeArbiter = null;
+
+    // ネットワーク対戦の接続と、サーバーから届いた対戦の状態（ネットワーク対戦以外ではnull）
+    var matchClient = null;
+    var matchState = null;
+
+    // 授業用のクラスの接続と、先生（host）・生徒（student）としての状態（授業用のクラス以外ではnull）
+    var classroomClient = null;
+    var classroomState = null;
+
+    // サーバーで判定するゲーム（GameSessionClient）と、最後に届いたゲームの内容
+    var gameSession = null;
+    var gameSessionData = null;
+    var gameSessionAdvancingRound = null; // 次のラウンドに進めようとしているラウンド（二重に進めないため）
+
+    // プレイヤーのプロフィール（ProfileClient）とその一覧、遊んでいるゲームを記録するプロフィールのID
+    var profileClient = null;
+    var profiles = [];
+    var gameProfileId = null;
+
+    /**
+     * /api/poems から歌データを取得する
+     * @returns {Promise<Poem[]>} 歌データの配列
+     */
+    function fetchPoems() {
+        return fetch('/api/poems')
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error('歌データの取得に失敗しました (HTTP ' + response.status + ')');
+                }
+                return response.json();
+            });
+    }
+
+    /**
+     * ゲームを開始する
+     * スタート画面で選んだモード・オプション・色札でゲームを始める
+     *
+     * Requirements:
+     * - 2.1: ゲーム開始ボタンクリックでゲームを初期化する
+     */
+    function startGame() {
+        closeOnlineMatch();
+        if (getSelectedMode() === 'bozu') {
+            startBozuMekuri();
+            return;
+        }
+        if (getSelectedMode() === 'dokushu') {
+            startDokushu();
+            return;
+        }
+
+        var options;
+        try {
+            options = getGameOptions();
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+
+        launchGame(options, getSelectedColors());
+    }
+
+    /**
+     * ゲームコードのゲームを開始する
+     * 同じコードからは同じ場の配置・読み順のゲームになる
+     * @param {string} code - ゲームコード
+     */
+    function startSharedGame(code) {
+        var shared;
+        try {
+            shared = decodeGameCode(code);
+        } catch (error) {
+            showError('ゲームコードが正しくありません。');
+            return;
+        }
+
+        // 読み上げの速さは共有されたゲームでも自分の設定を使う
+        launchGame(Object.assign({}, shared.options, { revealInterval: readRevealInterval() }), shared.colors);
+    }
+
+    /**
+     * 今日のチャレンジを開始する
+     * サーバーが日付から決めたシードと設定で、全員が同じ20枚のゲームを遊ぶ
+     */
+    function startDailyChallenge() {
+        fetch('/api/daily')
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error('今日のチャレンジの取得に失敗しました (HTTP ' + response.status + ')');
+                }
+                return response.json();
+            })
+            .then(function (daily) {
+                launchGame(daily.options, [], daily);
+            })
+            .catch(function (error) {
+                showError('今日のチャレンジを読み込めませんでした。しばらくしてからお試しください。');
+                console.error('今日のチャレンジ開始エラー:', error);
+            });
+    }
+
+    /**
+     * 歌データを取得し、各コンポーネントを初期化してゲーム画面を表示する
+     *
+     * Requirements:
+     * - 2.1: ゲーム開始ボタンクリックでゲームを初期化する
+     * - 2.3: ゲーム初期化時にスコアを0に設定し、残り札数を表示する
+     *
+     * @param {Object} options - GameEngine.initGame に渡すオプション
+     * @param {string[]} colors - 五色百人一首の色札（未選択の場合は空配列）
+     * @param {Object} [daily] - 今日のチャレンジとして遊ぶ場合、/api/daily の内容
+     */
+    function launchGame(options, colors, daily) {
+        closeOnlineMatch();
+        fetchPoems()
+            .then(function (poems) {
+                // コンポーネントの初期化（五色百人一首の色札が選ばれていればその札だけを使う）
+                // 今日のチャレンジは全員が同じ条件で競うため、コンピューターや2人対戦では遊べない
+                var hotSeat = !daily && isOptionChecked('hot-seat');
+                var cpuLevel = daily || hotSeat ? null : readCpuLevel();
+
+                // 遊び終えたゲームは、始めた時に選ばれていたプロフィールに記録する
+                gameProfileId = getSelectedProfileId();
+
+                // 1人で遊ぶゲームは、選ばれていればサーバーで判定する
+                if (!daily && !hotSeat && !cpuLevel && isOptionChecked('server-session')) {
+                    lastGameSettings = { options: options, colors: colors, cpuLevel: null, hotSeat: false };
+                    dailyChallenge = null;
+                    startServerGame(options, colors);
+                    return;
+                }
+
+                createGame(filterPoemsByColors(poems, colors), cpuLevel, hotSeat ? options.mode || 'standard' : null);
+
+                lastGameSettings = { options: options, colors: colors, cpuLevel: cpuLevel, hotSeat: hotSeat };
+                dailyChallenge = daily || null;
+                gameStartedAt = Date.now();
+                actionLog = [];
+
+                // ゲーム初期化 (Req 2.1)
+                // シードを先に決めて、同じゲームを再現できるゲームコードを作る
+                var state;
+                try {
+                    var seededOptions = Object.assign({}, options);
+                    if (seededOptions.seed === undefined) {
+                        seededOptions.seed = generateSeed();
+                    }
+                    currentGameCode = encodeGameCode(seededOptions, colors);
+                    state = gameEngine.initGame(seededOptions);
+                } catch (error) {
+                    showError('ゲームの設定を確認してください（' + error.message + '）');
+                    return;
+                }
+
+                showGame(state);
+            })
+            .catch(function (error) {
+                showError('歌データの読み込みに失敗しました。ページを再読み込みしてください。');
+                console.error('ゲーム開始エラー:', error);
+            });
+    }
+
+    /**
+     * GameEngine と ScoreManager を作り、プラグインを登録する
+     * スコアの記録と途中経過の保存は GameEngine のイベントで行う
+     * （スコアを記録してから保存するよう、スコアのプラグインを先に登録する）
+     * @param {Poem[]} poems - ゲームで使う歌データ
+     * @param {string|null} [cpuLevel] - コンピューターの対戦相手の難易度（nullの場合は対戦相手なし）
+     * @param {string|null} [hotSeatMode] - 1つの画面で2人が対戦する場合のゲームモード（nullの場合は1人で遊ぶ）
+     */
+    function createGame(poems, cpuLevel, hotSeatMode) {
+        gameEngine = new GameEngine(poems);
+        scoreManager = new ScoreManager(0);
+
+        if (takeArbiter) {
+            takeArbiter.cancel();
+        }
+        takeArbiter = null;
+        hotSeatPlayers = null;
+
+        if (hotSeatMode) {
+            // 2人対戦ではモードの2つの側をプレイヤー1・プレイヤー2とし、それぞれのスコアを記録する
+            var sides = (GAME_MODES[hotSeatMode] || GAME_MODES.standard).sides;
+            hotSeatPlayers = sides.map(function (side, index) {
+                return {
+                    side: side,
+                    label: HOT_SEAT_LABELS[index],
+                    keys: HOT_SEAT_KEY_ZONES[index],
+                    scoreManager: index === 0 ? scoreManager : new ScoreManager(0),
+                };
+            });
+            hotSeatPlayers.forEach(function (player) {
+                gameEngine.use(createScorePlugin(player.scoreManager, updateScoreBoard, { side: player.side }));
+            });
+            takeArbiter = new TakeArbiter({ onResolve: resolveHotSeatTouches });
+        } else {
+            gameEngine.use(createScorePlugin(scoreManager, updateScoreBoard));
+        }
+
+        gameEngine
+            .use(autosavePlugin)
+            .use(takeTimingPlugin);
+
+        // 読み上げを使う場合は、序歌と各札を読手のように読み上げる
+        if (isReaderEnabled()) {
+            reader.setSettings(getReaderSettings());
+            gameEngine.use(createReaderPlugin(reader, { onUpperStart: handleReadingStart }));
+        }
+
+        // コンピューターの対戦相手は人間と同じ selectCard で札を取る
+        // 読み上げを使う場合は、序歌の間に取らないよう読み札の読み始めから取り時間を計る
+        if (cpuOpponent) {
+            cpuOpponent.cancel();
+        }
+        cpuOpponent = cpuLevel ? new CpuOpponent({ difficulty: cpuLevel, waitForReading: isReaderEnabled() }) : null;
+        if (cpuOpponent) {
+            gameEngine.use(cpuOpponent).use(opponentFeedbackPlugin);
+        }
+    }
+
+    /**
+     * コンピューターの対戦相手が札に触れた時の表示を行うプラグイン
+     * 札を取られた場合はその札を場から除いて次のラウンドに進み、お手つきの場合は札を赤く光らせる
+     * @param {GameEngine} engine - 登録先の GameEngine
+     */
+    function opponentFeedbackPlugin(engine) {
+        engine.on('correct', function (event) {
+            if (event.primary || !uiRenderer) {
+                return;
+            }
+            // 札を取られたのでこのラウンドの時間切れは起きず、プレイヤーも操作できない
+            stopRoundTimer();
+            isProcessing = true;
+            uiRenderer.completeReveal();
+            uiRenderer.showOpponentTakeFeedback(uiRenderer.getCardElement(event.poem.id))
+                .then(advanceToNextRound);
+        });
+        engine.on('incorrect', function (event) {
+            if (event.primary || !uiRenderer) {
+                return;
+            }
+            var cardElement = uiRenderer.getCardElement(event.cardId);
+            var feedback = cardElement ? uiRenderer.showIncorrectFeedback(cardElement) : Promise.resolve();
+            feedback.then(function () {
+                // お手つきの罰で札が移動した場合は場を描画し直す
+                if (event.penaltyCard && !engine.isRoundTaken()) {
+                    renderField();
+                    refreshKimariji();
+                }
+            });
+        });
+    }
+
+    /**
+     * 読み上げで読み札の上の句を読み始めた時のハンドラ
+     * ラウンドの開始より後に読み始めるため、反応時間・1文字ずつの表示・制限時間をここから計り直す
+     * 結果の検証（サーバーの再生）と合わせ、計り直すのは1ラウンドに1回、札に触れる前だけにする
+     * @param {Poem} poem - 読み始めた歌
+     */
+    function handleReadingStart(poem) {
+        if (!gameEngine || !uiRenderer || gameEngine.getCurrentReadingCard() !== poem || gameEngine.isRoundTaken()) {
+            return;
+        }
+        if (isReadingLockedInRound()) {
+            return;
+        }
+        recordAction('reading');
+        gameEngine.startReading();
+        uiRenderer.renderReadingCard(poem);
+        startRoundTimer();
+    }
+
+    /**
+     * 札を取った時に取りの速さ（速い・普通・遅い）を表示するプラグイン
+     * @param {GameEngine} engine - 登録先の GameEngine
+     */
+    function takeTimingPlugin(engine) {
+        engine.on('correct', function (event) {
+            // 2人対戦ではどちらのプレイヤーが取った場合も表示する
+            if ((event.primary || hotSeatPlayers) && uiRenderer) {
+                uiRenderer.completeReveal();
+                uiRenderer.renderTakeTiming(event.timing);
+            }
+        });
+    }
+
+    /**
+     * 途中経過を自動で保存するプラグイン
+     * 札に触れた時とラウンドの開始時に保存し、ゲームが終わったら保存を消す
+     * @param {GameEngine} engine - 登録先の GameEngine
+     */
+    function autosavePlugin(engine) {
+        engine.on('correct', saveGame);
+        engine.on('incorrect', saveGame);
+        engine.on('roundStart', saveGame);
+        engine.on('gameOver', clearSavedGame);
+    }
+
+    /**
+     * 初期化済みの GameEngine と ScoreManager でゲーム画面を表示する
+     * 新しいゲームの開始と、保存したゲームの再開の両方で使う
+     *
+     * Requirements:
+     * - 2.3: ゲーム初期化時にスコアを0に設定し、残り札数を表示する
+     *
+     * @param {GameState} state - ゲーム状態
+     */
+    function showGame(state) {
+        uiRenderer = new UIRenderer(gameEngine, scoreManager);
+
+        // カードクリックのコールバックを設定
+        uiRenderer.onCardClick = handleCardClick;
+
+        // ゲーム画面を表示
+        uiRenderer.showGameScreen();
+
+        // 空札が読まれるゲームでは見送りボタンを表示
+        var roundControls = document.getElementById('round-controls');
+        if (roundControls) {
+            var hasKarafuda = state.territories || state.settings.readCount > state.settings.fieldCount;
+            roundControls.style.display = hasKarafuda ? '' : 'none';
+        }
+
+        // 取り札を場に配置
+        renderField();
+
+        // 読み札を表示（設定した速さで上の句を1文字ずつ表示する）
+        uiRenderer.setRevealInterval(state.settings.revealInterval);
+        var readingCard = gameEngine.getCurrentReadingCard();
+        uiRenderer.renderReadingCard(readingCard);
+
+        // 聞き取りのみの場合は読み札の文字を隠す（読み上げを使う場合のみ）
+        uiRenderer.setListeningOnly(isReaderEnabled() && isOptionChecked('listening-only'));
+
+        // 決まり字を描画し、表示設定を引き継ぐ
+        uiRenderer.setKimarijiVisible(kimarijiVisible);
+        refreshKimariji();
+
+        // スコアボードを初期化 (Req 2.3)
+        updateScoreBoard();
+
+        // ゲームコードを表示
+        uiRenderer.renderGameCode(currentGameCode);
+
+        // 処理フラグをリセット
+        isProcessing = false;
+
+        startRoundTimer();
+    }
+
+    /**
+     * スコアボードを更新する
+     * 2人対戦のゲームでは両方のプレイヤーのスコアを表示する
+     */
+    function updateScoreBoard() {
+        if (!uiRenderer) {
+            return;
+        }
+        if (hotSeatPlayers) {
+            uiRenderer.updateHotSeatScoreBoard(hotSeatPlayers.map(function (player) {
+                return { side: player.side, label: player.label, score: player.scoreManager.getScore() };
+            }));
+            return;
+        }
+        uiRenderer.updateScoreBoard(scoreManager.getScore());
+    }
+
+    // =========================================
+    // 途中のゲームの保存と再開
+    // =========================================
+
+    /**
+     * 途中のゲームを localStorage に保存する
+     * ゲームが終了している場合は保存を消す
+     */
+    function saveGame() {
+        if (!gameEngine || !scoreManager) {
+            return;
+        }
+        if (gameEngine.isGameOver()) {
+            clearSavedGame();
+            return;
+        }
+
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify({
+                version: SAVE_VERSION,
+                engine: gameEngine.serialize(),
+                score: scoreManager.serialize(),
+                // 2人対戦ではプレイヤー2のスコアも保存する（プレイヤー1のスコアは score）
+                hotSeatScores: hotSeatPlayers ? hotSeatPlayers.slice(1).map(function (player) {
+                    return player.scoreManager.serialize();
+                }) : null,
+                settings: lastGameSettings,
+                daily: dailyChallenge,
+                elapsedMs: Date.now() - gameStartedAt,
+                actions: actionLog,
+                gameCode: currentGameCode,
+                profileId: gameProfileId,
+            }));
+        } catch (error) {
+            // 保存できなくてもゲームは続けられる（プライベートモードなど）
+            console.error('ゲームの保存に失敗しました:', error);
+        }
+    }
+
+    /**
+     * 保存したゲームを読み込む
+     * @returns {Object|null} 保存データ（ない場合・形式が異なる場合はnull）
+     */
+    function loadSavedGame() {
+        try {
+            var saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+            return saved && saved.version === SAVE_VERSION ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 保存したゲームを消す
+     */
+    function clearSavedGame() {
+        try {
+            localStorage.removeItem(SAVE_KEY);
+        } catch (error) {
+            console.error('保存したゲームの削除に失敗しました:', error);
+        }
+        updateResumeButton();
+    }
+
+    /**
+     * 保存したゲームがある場合だけ「続きから」ボタンを表示する
+     */
+    function updateResumeButton() {
+        var resumeBtn = document.getElementById('resume-btn');
+        if (resumeBtn) {
+            resumeBtn.style.display = loadSavedGame() ? '' : 'none';
+        }
+    }
+
+    /**
+     * 保存したゲームを再開する
+     */
+    function resumeGame() {
+        closeOnlineMatch();
+        var saved = loadSavedGame();
+        if (!saved) {
+            updateResumeButton();
+            return;
+        }
+
+        fetchPoems()
+            .then(function (poems) {
+                var colors = saved.settings ? saved.settings.colors : [];
+                var cpuLevel = saved.settings ? saved.settings.cpuLevel || null : null;
+                var hotSeatMode = saved.settings && saved.settings.hotSeat ? saved.engine.mode : null;
+                createGame(filterPoemsByColors(poems, colors), cpuLevel, hotSeatMode);
+
+                var state;
+                try {
+                    state = gameEngine.restore(saved.engine);
+                    scoreManager.restore(saved.score);
+                    if (hotSeatPlayers) {
+                        hotSeatPlayers.slice(1).forEach(function (player, index) {
+                            player.scoreManager.restore(saved.hotSeatScores[index]);
+                        });
+                    }
+                } catch (error) {
+                    // 歌データや保存形式が変わって再開できない場合は保存を消す
+                    clearSavedGame();
+                    showError('保存したゲームを再開できませんでした。');
+                    console.error('ゲーム再開エラー:', error);
+                    return;
+                }
+
+                lastGameSettings = saved.settings;
+                dailyChallenge = saved.daily || null;
+                gameStartedAt = Date.now() - (saved.elapsedMs || 0);
+                actionLog = saved.actions || [];
+                currentGameCode = saved.gameCode;
+                gameProfileId = saved.profileId || null;
+
+                showGame(state);
+
+                // 札を取った直後に保存されていた場合は次のラウンドから再開する
+                if (gameEngine.isRoundTaken()) {
+                    isProcessing = true;
+                    advanceToNextRound();
+                }
+            })
+            .catch(function (error) {
+                showError('歌データの読み込みに失敗しました。ページを再読み込みしてください。');
+                console.error('ゲーム再開エラー:', error);
+            });
+    }
+
+    /**
+     * 取り札クリック時のハンドラ
+     * 正誤判定を行い、フィードバックアニメーションを表示する
+     *
+     * Requirements:
+     * - 4.1: 正しい取り札をクリックした場合、取り札を除去しスコアを加算する
+     *
+     * @param {number} cardId - クリックされたカードのID
+     * @param {HTMLElement} cardElement - クリックされたカードのDOM要素
+     * @param {Object} [touch] - 2人対戦の場で触れたプレイヤーの側と時刻 { side, timestamp }
+     */
+    function handleCardClick(cardId, cardElement, touch) {
+        // アニメーション中は操作を無視する
+        if (isProcessing) {
+            return;
+        }
+
+        // 2人対戦では、ほぼ同時に触れた入力をまとめてから触れた時刻の順に判定する
+        if (touch && takeArbiter) {
+            takeArbiter.submit({ side: touch.side, cardId: cardId, timestamp: touch.timestamp, element: cardElement });
+            return;
+        }
+
+        isProcessing = true;
+
+        // 正誤判定（スコアの記録・スコアボードの更新・途中経過の保存はプラグインが行う）
+        // 途中経過の保存に含まれるよう、操作は判定の前に記録する
+        recordAction('select', cardId);
+        var result = gameEngine.selectCard(cardId);
+
+        if (result.correct) {
+            // 札が取られたのでこのラウンドの時間切れは起きない
+            stopRoundTimer();
+
+            // 正解フィードバック（緑ハイライト + カード除去）
+            uiRenderer.showCorrectFeedback(cardElement)
+                .then(function () {
+                    // 次のラウンドに進む
+                    advanceToNextRound();
+                });
+        } else {
+            // 不正解フィードバック（赤ハイライト）
+            uiRenderer.showIncorrectFeedback(cardElement)
+                .then(function () {
+                    // お手つきの罰で札が移動した場合は場を描画し直す
+                    if (result.penaltyCard) {
+                        renderField();
+                        refreshKimariji();
+                    }
+
+                    // アニメーション完了後に操作を再開（その間に対戦相手に札を取られた場合を除く）
+                    if (!gameEngine.isRoundTaken()) {
+                        isProcessing = false;
+                    }
+                });
+        }
+    }
+
+    /**
+     * 2人対戦で札に触れた入力を、触れた時刻の早い順に判定する
+     * 先に正しい札に触れたプレイヤーがその札を取り、isProcessing でそのラウンドの以降の入力を止める。
+     * 誤った札に触れた場合は、触れたプレイヤーの不正解（お手つき）になるが、相手の操作は止めない。
+     * @param {Array<{ side: string, cardId: number, timestamp: number, element: HTMLElement }>} touches - 入力
+     */
+    function resolveHotSeatTouches(touches) {
+        touches.forEach(function (touch) {
+            if (isProcessing || !gameEngine || gameEngine.isGameOver()) {
+                return;
+            }
+
+            var result = gameEngine.selectCard(touch.cardId, { side: touch.side });
+            if (result.correct) {
+                isProcessing = true;
+                stopRoundTimer();
+                uiRenderer.showCorrectFeedback(touch.element).then(advanceToNextRound);
+                return;
+            }
+
+            uiRenderer.showIncorrectFeedback(touch.element).then(function () {
+                // お手つきの罰で札が移動した場合は場を描画し直す
+                if (result.penaltyCard && !gameEngine.isRoundTaken()) {
+                    renderField();
+                    refreshKimariji();
+                }
+            });
+        });
+    }
+
+    /**
+     * 2人対戦のキーボード操作
+     * キーボードの左側（Q〜B）がプレイヤー1、右側（Y〜/）がプレイヤー2の範囲で、
+     * 各キーがそのプレイヤーの場に表示したキーの札に触れる
+     * @param {KeyboardEvent} event - キーボードイベント
+     */
+    function handleHotSeatKeydown(event) {
+        var screen = document.getElementById('game-screen');
+        if (!takeArbiter || !uiRenderer || !screen || screen.style.display === 'none') {
+            return;
+        }
+        if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        var zone = findKeyZone(event.key);
+        if (!zone) {
+            return;
+        }
+        event.preventDefault();
+
+        var player = hotSeatPlayers[zone.player];
+        var cardElement = uiRenderer.getHotSeatCardElement(player.side, zone.slot);
+        if (cardElement) {
+            handleCardClick(parseInt(cardElement.getAttribute('data-id'), 10), cardElement, {
+                side: player.side,
+                timestamp: event.timeStamp,
+            });
+        }
+    }
+
+    /**
+     * 操作を記録する
+     * 時刻はゲーム開始からの経過時間で、前の操作より小さくならないようにする
+     * @param {string} type - 操作の種類（select・reading・next・pass・timeout）
+     * @param {number} [cardId] - 触れた札のID（select の場合）
+     */
+    function recordAction(type, cardId) {
+        var last = actionLog[actionLog.length - 1];
+        var action = { type: type, t: Math.max(Date.now() - gameStartedAt, last ? last.t : 0) };
+        if (cardId !== undefined) {
+            action.cardId = cardId;
+        }
+        actionLog.push(action);
+    }
+
+    /**
+     * 現在のラウンドで、読み始めか札に触れた操作をすでに記録したかを返す
+     * @returns {boolean} 記録済みの場合true
+     */
+    function isReadingLockedInRound() {
+        for (var i = actionLog.length - 1; i >= 0; i--) {
+            var type = actionLog[i].type;
+            if (type === 'select' || type === 'reading') {
+                return true;
+            }
+            if (type === 'next' || type === 'pass' || type === 'timeout') {
+                return false;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 次のラウンドに進む
+     * ゲーム終了判定を行い、継続の場合は次の読み札を表示する
+     */
+    function advanceToNextRound() {
+        recordAction('next');
+        showNextRound(gameEngine.nextRound());
+    }
+
+    /**
+     * 誰も札を取らずに次のラウンドに進む（空札の見送り）
+     * 読まれた札が場に残っていた場合は、持ち主の陣から下げる
+     */
+    function passRound() {
+        if (gameSession) {
+            passServerRound();
+            return;
+        }
+        if (matchClient && matchState && !matchState.spectating) {
+            passMatchRound();
+            return;
+        }
+        if (isProcessing || !gameEngine || gameEngine.isGameOver()) {
+            return;
+        }
+
+        isProcessing = true;
+        stopRoundTimer();
+        recordAction('pass');
+        showNextRound(gameEngine.passRound().continues);
+    }
+
+    /**
+     * 制限時間切れで次のラウンドに進む
+     * 不正解のフィードバック中でも、札が取られていなければ時間切れとする
+     */
+    function timeoutRound() {
+        if (gameSession) {
+            isProcessing = true;
+            advanceServerGame(gameSessionData.state.currentRound);
+            return;
+        }
+        if (!gameEngine || gameEngine.isGameOver()) {
+            return;
+        }
+
+        isProcessing = true;
+        recordAction('timeout');
+        showNextRound(gameEngine.timeoutRound().continues);
+    }
+
+    /**
+     * 現在のラウンドの制限時間のカウントダウンを開始する
+     * 制限時間がないゲームでは残り時間を非表示にする
+     */
+    function startRoundTimer() {
+        stopRoundTimer();
+
+        var limit = gameSession ? gameSessionData.state.settings.roundTimeLimit : gameEngine.getRoundTimeLimit();
+        if (!(limit > 0)) {
+            uiRenderer.renderRoundTimer(null);
+            return;
+        }
+
+        roundTimeLeft = limit;
+        uiRenderer.renderRoundTimer(roundTimeLeft);
+        roundTimer = setInterval(function () {
+            roundTimeLeft -= 1;
+            uiRenderer.renderRoundTimer(Math.max(0, roundTimeLeft));
+            if (roundTimeLeft <= 0) {
+                stopRoundTimer();
+                timeoutRound();
+            }
+        }, 1000);
+    }
+
+    /**
+     * 制限時間のカウントダウンを止める
+     */
+    function stopRoundTimer() {
+        if (roundTimer !== null) {
+            clearInterval(roundTimer);
+            roundTimer = null;
+        }
+    }
+
+    /**
+     * ラウンドを進めた後の画面を表示する
+     * @param {boolean} continues - ゲームが継続する場合true
+     */
+    function showNextRound(continues) {
+        // 前のラウンドに触れた入力は次のラウンドでは判定しない
+        if (takeArbiter) {
+            takeArbiter.cancel();
+        }
+
+        if (continues) {
+            // 送り札や見送りで場の札が変わるため場を描画し直す
+            renderField();
+
+            // ゲーム継続: 次の読み札を表示
+            var readingCard = gameEngine.getCurrentReadingCard();
+            uiRenderer.renderReadingCard(readingCard);
+            refreshKimariji();
+            isProcessing = false;
+            startRoundTimer();
+        } else {
+            uiRenderer.renderRoundTimer(null);
+            uiRenderer.completeReveal();
+
+            // ゲーム終了: 終了画面を表示 (Req 5.3)
+            var finalScore = scoreManager.getScore();
+            finalScore.winner = gameEngine.getWinner();
+            finalScore.reactionTimes = scoreManager.getReactionTimes();
+            if (hotSeatPlayers) {
+                finalScore.players = hotSeatPlayers.map(function (player) {
+                    return Object.assign({ side: player.side, label: player.label }, player.scoreManager.getScore());
+                });
+            }
+            if (cpuOpponent) {
+                finalScore.opponent = {
+                    label: CPU_DIFFICULTIES[cpuOpponent.getDifficulty()].label,
+                    taken: gameEngine.getGameState().sideStats[cpuOpponent.getSide()].taken,
+                };
+            }
+            uiRenderer.renderGameOver(finalScore);
+            // 1人で遊んだゲームは、今日のチャレンジ以外もランキングに結果を送れる
+            uiRenderer.showDailyResultForm(!cpuOpponent && !hotSeatPlayers);
+            // 2人対戦は誰のプロフィールの記録か決められないため記録しない
+            if (!hotSeatPlayers) {
+                var recordKind = dailyChallenge ? 'daily' : (cpuOpponent ? 'cpu' : 'solo');
+                recordProfileGame(recordKind, gameEngine.getGameState(), finalScore, Date.now() - gameStartedAt);
+            }
+            isProcessing = false;
+        }
+    }
+
+    /**
+     * 場の取り札を描画する
+     * 陣地を持つモードでは各取り札の陣と、陣の表示順（向こう側の陣が上）も渡す
+     * @param {GameState} [fieldState] - 描画するゲーム状態（省略時はこの端末の GameEngine の状態）
+     */
+    function renderField(fieldState) {
+        var state = fieldState || gameEngine.getGameState();
+        var cardSides = null;
+        var sides = null;
+
+        if (state.territories) {
+            cardSides = {};
+            Object.keys(state.territories).forEach(function (side) {
+                state.territories[side].forEach(function (card) {
+                    cardSides[card.id] = side;
+                });
+            });
+            sides = GAME_MODES[state.mode].sides.slice().reverse();
+        }
+
+        // 2人対戦では各プレイヤーの向きの場を2つ描画する
+        if (hotSeatPlayers) {
+            uiRenderer.renderHotSeatField(state.remainingCards, { cardSides: cardSides, players: hotSeatPlayers });
+            return;
+        }
+        uiRenderer.renderGameField(state.remainingCards, { cardSides: cardSides, sides: sides });
+    }
+
+    // =========================================
+    // サーバーで判定するゲーム
+    // =========================================
+
+    /**
+     * サーバーで判定するゲームを始める
+     * 札の判定とスコアの記録はサーバーの GameEngine が行い、ブラウザは届いたゲームの状態を描画する
+     * @param {Object} options - GameEngine.initGame に渡すオプション
+     * @param {string[]} colors - 五色百人一首の色札
+     */
+    function startServerGame(options, colors) {
+        // この端末の GameEngine は使わない
+        stopRoundTimer();
+        if (cpuOpponent) {
+            cpuOpponent.cancel();
+        }
+        if (takeArbiter) {
+            takeArbiter.cancel();
+        }
+        gameEngine = null;
+        scoreManager = null;
+        cpuOpponent = null;
+        takeArbiter = null;
+        hotSeatPlayers = null;
+
+        var seededOptions = Object.assign({}, options);
+        if (seededOptions.seed === undefined) {
+            seededOptions.seed = generateSeed();
+        }
+        try {
+            currentGameCode = encodeGameCode(seededOptions, colors);
+        } catch (error) {
+            showError('ゲームの設定を確認してください（' + error.message + '）');
+            return;
+        }
+
+        var session = new GameSessionClient();
+        gameSession = session;
+        gameSessionAdvancingRound = null;
+        gameStartedAt = Date.now();
+        session.create(seededOptions, colors)
+            .then(function (data) {
+                if (gameSession === session) {
+                    showServerGame(data);
+                }
+            })
+            .catch(handleServerGameError(session));
+    }
+
+    /**
+     * サーバーで判定するゲームの画面を表示する
+     * @param {{ state: GameState, score: ScoreData }} data - サーバーから届いたゲームの内容
+     */
+    function showServerGame(data) {
+        var state = data.state;
+        uiRenderer = new UIRenderer(null, null);
+        uiRenderer.onCardClick = handleServerCardClick;
+        uiRenderer.showGameScreen();
+
+        // 空札が読まれるゲームでは見送りボタンを表示
+        var roundControls = document.getElementById('round-controls');
+        if (roundControls) {
+            var hasKarafuda = state.territories || state.settings.readCount > state.settings.fieldCount;
+            roundControls.style.display = hasKarafuda ? '' : 'none';
+        }
+
+        uiRenderer.setRevealInterval(state.settings.revealInterval);
+        uiRenderer.setListeningOnly(false);
+        uiRenderer.setKimarijiVisible(kimarijiVisible);
+        uiRenderer.renderGameCode(currentGameCode);
+        renderServerRound(data);
+    }
+
+    /**
+     * サーバーから届いたラウンドの場・読み札・スコアを描画する
+     * @param {{ state: GameState, score: ScoreData }} data - サーバーから届いたゲームの内容
+     */
+    function renderServerRound(data) {
+        gameSessionData = data;
+        renderField(data.state);
+        uiRenderer.renderReadingCard(data.state.currentPoem);
+        uiRenderer.updateScoreBoard(data.score);
+        isProcessing = false;
+        startRoundTimer();
+    }
+
+    /**
+     * サーバーで判定するゲームで札に触れた時のハンドラ
+     * 判定の結果が届いてからフィードバックを表示する
+     * @param {number} cardId - 触れた札のID
+     * @param {HTMLElement} cardElement - 触れた札のDOM要素
+     */
+    function handleServerCardClick(cardId, cardElement) {
+        if (isProcessing || !gameSessionData || gameSessionData.state.isGameOver) {
+            return;
+        }
+
+        isProcessing = true;
+        var session = gameSession;
+        var round = gameSessionData.state.currentRound;
+        session.select(cardId)
+            .then(function (data) {
+                // 結果が届く前に時間切れで次のラウンドに進んだ場合は何もしない
+                if (gameSession !== session || gameSessionData.state.currentRound !== round) {
+                    return;
+                }
+                gameSessionData = data;
+                uiRenderer.updateScoreBoard(data.score);
+
+                if (data.result.correct) {
+                    stopRoundTimer();
+                    uiRenderer.completeReveal();
+                    return uiRenderer.showCorrectFeedback(cardElement).then(function () {
+                        advanceServerGame(round);
+                    });
+                }
+                return uiRenderer.showIncorrectFeedback(cardElement).then(function () {
+                    if (gameSessionData.state.currentRound !== round) {
+                        return;
+                    }
+                    // お手つきの罰で札が移動した場合は場を描画し直す
+                    if (data.result.penaltyCard) {
+                        renderField(data.state);
+                    }
+                    isProcessing = false;
+                });
+            })
+            .catch(handleServerGameError(session));
+    }
+
+    /**
+     * サーバーで判定するゲームで、誰も札を取らずに次のラウンドに進む（空札の見送り）
+     */
+    function passServerRound() {
+        if (isProcessing || !gameSessionData || gameSessionData.state.isGameOver) {
+            return;
+        }
+        isProcessing = true;
+        stopRoundTimer();
+        advanceServerGame(gameSessionData.state.currentRound);
+    }
+
+    /**
+     * サーバーで判定するゲームを次のラウンドに進める
+     * 札を取った後と時間切れがほぼ同時に起きても、同じラウンドから二度は進めない
+     * @param {number} round - 進める元のラウンド（1始まり）
+     */
+    function advanceServerGame(round) {
+        if (gameSessionData.state.currentRound !== round || gameSessionAdvancingRound === round) {
+            return;
+        }
+        gameSessionAdvancingRound = round;
+        var session = gameSession;
+        session.next()
+            .then(function (data) {
+                if (gameSession !== session) {
+                    return;
+                }
+                if (data.continues) {
+                    renderServerRound(data);
+                } else {
+                    showServerGameOver(data);
+                }
+            })
+            .catch(handleServerGameError(session));
+    }
+
+    /**
+     * サーバーで判定するゲームの結果をゲーム終了画面に表示する
+     * @param {{ state: GameState, score: ScoreData, reactionTimes: Object }} data - サーバーから届いたゲームの内容
+     */
+    function showServerGameOver(data) {
+        gameSessionData = data;
+        uiRenderer.renderRoundTimer(null);
+        uiRenderer.completeReveal();
+
+        var finalScore = Object.assign({}, data.score);
+        finalScore.winner = data.state.winner;
+        finalScore.reactionTimes = data.reactionTimes;
+        uiRenderer.renderGameOver(finalScore);
+        uiRenderer.showDailyResultForm(false);
+        recordProfileGame('server', data.state, data.score, Date.now() - gameStartedAt);
+        isProcessing = false;
+    }
+
+    /**
+     * サーバーで判定するゲームの通信に失敗した時の処理を作る
+     * @param {GameSessionClient} session - 通信したゲーム
+     * @returns {function(Error): void} エラーを受け取る関数
+     */
+    function handleServerGameError(session) {
+        return function (error) {
+            if (gameSession !== session) {
+                return;
+            }
+            gameSession = null;
+            gameSessionData = null;
+            // サーバーが返したメッセージ（ゲームの設定の誤り・期限切れなど）はそのまま表示する
+            showError(error.status ? error.message : 'サーバーに接続できませんでした。しばらくしてからお試しください。');
+            console.error('サーバーで判定するゲームのエラー:', error);
+        };
+    }
+
+    // =========================================
+    // ネットワーク対戦
+    // =========================================
+
+    /**
+     * ネットワーク対戦を始める
+     * スタート画面で選んだモード（かるたのモードのみ）で対戦相手を探し、見つかるまで待つ
+     */
+    function startOnlineMatch() {
+        var mode = GAME_MODES[getSelectedMode()] ? getSelectedMode() : 'standard';
+        var nameInput = document.getElementById('online-name');
+        var name = nameInput ? nameInput.value.trim() : '';
+
+        fetchPoems()
+            .then(function (poems) {
+                closeOnlineMatch();
+
+                // 1人で遊ぶゲームの状態は使わない
+                stopRoundTimer();
+                if (cpuOpponent) {
+                    cpuOpponent.cancel();
+                }
+                if (takeArbiter) {
+                    takeArbiter.cancel();
+                }
+                gameEngine = null;
+                cpuOpponent = null;
+                takeArbiter = null;
+                hotSeatPlayers = null;
+
+                var poemsById = {};
+                poems.forEach(function (poem) {
+                    poemsById[poem.id] = poem;
+                });
+                matchState = { poemsById: poemsById, seat: null, round: 0, reading: false, players: [] };
+
+                matchClient = new MatchClient(getMatchUrl(location));
+                matchClient
+                    .on('waiting', function () {
+                        uiRenderer.renderMatchStatus('対戦相手を待っています…');
+                    })
+                    .on('matched', handleMatchSnapshot)
+                    .on('rejoined', handleMatchSnapshot)
+                    .on('readingStart', handleMatchSnapshot)
+                    .on('takeResult', handleMatchTakeResult)
+                    .on('passed', handleMatchPassed)
+                    .on('roundEnd', handleMatchRoundEnd)
+                    .on('gameOver', handleMatchGameOver)
+                    .on('opponentDisconnected', function () {
+                        matchState.reading = false;
+                        uiRenderer.renderMatchStatus('相手の接続が切れました。戻るのを待っています…');
+                    })
+                    .on('opponentReconnected', function () {
+                        uiRenderer.renderMatchStatus('相手が戻りました。まもなく再開します');
+                    })
+                    .on('reconnecting', function (event) {
+                        matchState.reading = false;
+                        uiRenderer.renderMatchStatus('サーバーに再接続しています…（' + event.attempt + '回目）');
+                    })
+                    .on('closed', function () {
+                        if (uiRenderer && matchState && !matchState.finished) {
+                            uiRenderer.renderMatchStatus('対戦サーバーとの接続が切れました');
+                        }
+                    })
+                    .on('error', function (event) {
+                        uiRenderer.renderMatchStatus(event.error);
+                    });
+
+                uiRenderer = new UIRenderer(null, null);
+                uiRenderer.onCardClick = handleMatchCardClick;
+                uiRenderer.showGameScreen();
+                uiRenderer.renderGameField([]);
+                uiRenderer.renderReadingCard(null);
+                uiRenderer.renderRoundTimer(null);
+                uiRenderer.renderGameCode(null);
+                uiRenderer.setKimarijiVisible(kimarijiVisible);
+                // 空札や誰も取らない札は、2人とも見送ると次の札に進む
+                var roundControls = document.getElementById('round-controls');
+                if (roundControls) {
+                    roundControls.style.display = '';
+                }
+                uiRenderer.renderMatchStatus('対戦サーバーに接続しています…');
+
+                matchClient.connect();
+                matchClient.join(mode, name);
+            })
+            .catch(function (error) {
+                showError('オンライン対戦を始められませんでした。しばらくしてからお試しください。');
+                console.error('オンライン対戦開始エラー:', error);
+            });
+    }
+
+    /**
+     * ネットワーク対戦・授業用のクラスの接続を閉じ、サーバーで判定するゲームから離れる
+     */
+    function closeOnlineMatch() {
+        if (matchClient) {
+            matchClient.close();
+        }
+        if (classroomClient) {
+            classroomClient.close();
+        }
+        matchClient = null;
+        matchState = null;
+        classroomClient = null;
+        classroomState = null;
+        gameSession = null;
+        gameSessionData = null;
+        if (uiRenderer) {
+            uiRenderer.renderMatchStatus(null);
+            uiRenderer.hideMatchList();
+        }
+    }
+
+    /**
+     * 対戦の状態（対戦の開始・読み始め・再接続）を受け取り、場と読み札を描画する
+     * @param {Object} message - サーバーから届いた対戦の状態
+     */
+    function handleMatchSnapshot(message) {
+        var mySide = message.side;
+        var opponent = message.players[1 - message.seat];
+        matchState.seat = message.seat;
+        matchState.round = message.round;
+        matchState.players = message.players;
+        matchState.reading = message.poemId !== null;
+
+        var sideLabels = {};
+        sideLabels[mySide] = 'あなた';
+        sideLabels[opponent.side] = opponent.name;
+        var cards = message.field.map(function (id) {
+            return matchState.poemsById[id];
+        }).filter(Boolean);
+        uiRenderer.renderGameField(cards, {
+            cardSides: message.cardSides,
+            sides: [opponent.side, mySide],
+            sideLabels: sideLabels,
+        });
+        uiRenderer.renderReadingCard(matchState.reading ? matchState.poemsById[message.poemId] : null);
+        updateMatchScoreBoard(message.scores);
+
+        if (matchState.reading) {
+            uiRenderer.renderMatchStatus(null);
+        } else if (message.type === 'matched') {
+            uiRenderer.renderMatchStatus('対戦相手（' + opponent.name + '）が見つかりました。まもなく始まります');
+        } else if (message.type === 'rejoined') {
+            uiRenderer.renderMatchStatus('対戦に戻りました。まもなく再開します');
+        }
+    }
+
+    /**
+     * ネットワーク対戦で札に触れた時のハンドラ（判定はサーバーが行う）
+     * @param {number} cardId - 触れた札のID
+     */
+    function handleMatchCardClick(cardId) {
+        if (!matchClient || !matchState || !matchState.reading) {
+            return;
+        }
+        matchClient.take(matchState.round, cardId);
+    }
+
+    /**
+     * 札に触れた結果を表示する（自分・相手のどちらの入力も届く）
+     * @param {{ seat: number, cardId: number, correct: boolean }} message - 判定の結果
+     */
+    function handleMatchTakeResult(message) {
+        var cardElement = uiRenderer.getCardElement(message.cardId);
+        if (!cardElement) {
+            return;
+        }
+        if (!message.correct) {
+            uiRenderer.showIncorrectFeedback(cardElement);
+        } else if (message.seat === matchState.seat) {
+            uiRenderer.showCorrectFeedback(cardElement);
+        } else {
+            uiRenderer.showOpponentTakeFeedback(cardElement);
+        }
+    }
+
+    /**
+     * ネットワーク対戦で札を見送る（2人とも見送ると、サーバーが次の札に進める）
+     */
+    function passMatchRound() {
+        if (!matchState.reading) {
+            return;
+        }
+        matchClient.pass(matchState.round);
+    }
+
+    /**
+     * 見送りを表示する（自分・相手のどちらの見送りも届く）
+     * @param {{ seat: number }} message - 見送った席
+     */
+    function handleMatchPassed(message) {
+        uiRenderer.renderMatchStatus(message.seat === matchState.seat
+            ? '見送りました。相手が見送ると次の札に進みます'
+            : '相手が見送りました');
+    }
+
+    /**
+     * ラウンドの終わり（札が取られた・誰も取らなかった）を表示する
+     * @param {{ winnerSeat: number|null, scores: Object[] }} message - ラウンドの結果
+     */
+    function handleMatchRoundEnd(message) {
+        matchState.reading = false;
+        updateMatchScoreBoard(message.scores);
+        if (message.winnerSeat === null) {
+            uiRenderer.renderMatchStatus('誰も取りませんでした');
+        }
+    }
+
+    /**
+     * ネットワーク対戦の結果をゲーム終了画面に表示する
+     * @param {{ reason: string, winnerSeat: number|null, scores: Object[], remainingBySide: Object|null }} message - 対戦の結果
+     */
+    function handleMatchGameOver(message) {
+        matchState.finished = true;
+        matchState.reading = false;
+        uiRenderer.renderMatchStatus(null);
+        uiRenderer.renderGameOver({
+            players: getMatchPlayers(message.scores),
+            winner: message.winnerSeat === null ? null : matchState.players[message.winnerSeat].side,
+            remainingBySide: message.remainingBySide,
+            forfeit: message.reason === 'forfeit',
+        });
+        uiRenderer.showDailyResultForm(false);
+    }
+
+    /**
+     * 自分・相手の順に、表示名とスコアを組み立てる
+     * @param {Object[]} scores - 席ごとのスコア
+     * @returns {Array<Object>} side・label と ScoreData の項目を持つプレイヤーの配列
+     */
+    function getMatchPlayers(scores) {
+        var seats = [matchState.seat, 1 - matchState.seat];
+        return seats.map(function (seat, index) {
+            return Object.assign({
+                side: matchState.players[seat].side,
+                label: index === 0 ? 'あなた' : matchState.players[seat].name,
+            }, scores[seat]);
+        });
+    }
+
+    /**
+     * ネットワーク対戦のスコアボードを更新する
+     * @param {Object[]} scores - 席ごとのスコア
+     */
+    function updateMatchScoreBoard(scores) {
+        uiRenderer.updateHotSeatScoreBoard(getMatchPlayers(scores).map(function (player) {
+            return { side: player.side, label: player.label, score: player };
+        }));
+    }
+
+    // =========================================
+    // ネットワーク対戦の観戦
+    // =========================================
+
+    /**
+     * 観戦できる対戦の一覧をサーバーに求め、スタート画面に表示する
+     * 一覧から対戦を選ぶと、同じ接続のまま観戦を始める
+     */
+    function showWatchableMatches() {
+        fetchPoems()
+            .then(function (poems) {
+                closeOnlineMatch();
+
+                var poemsById = {};
+                poems.forEach(function (poem) {
+                    poemsById[poem.id] = poem;
+                });
+                matchState = { poemsById: poemsById, spectating: true, watching: false, players: [], delayMs: 0 };
+
+                matchClient = new MatchClient(getMatchUrl(location));
+                matchClient
+                    .on('matches', function (message) {
+                        uiRenderer.renderMatchList(message.matches, watchMatch);
+                    })
+                    .on('watching', handleSpectatorWatching)
+                    .on('matchStart', handleSpectatorFeed)
+                    .on('readingStart', handleSpectatorFeed)
+                    .on('roundEnd', handleSpectatorFeed)
+                    .on('playerDisconnected', handleSpectatorFeed)
+                    .on('playerReconnected', handleSpectatorFeed)
+                    .on('takeResult', handleSpectatorTakeResult)
+                    .on('gameOver', handleSpectatorGameOver)
+                    .on('closed', function () {
+                        if (uiRenderer && matchState && matchState.watching && !matchState.finished) {
+                            uiRenderer.renderMatchStatus('対戦サーバーとの接続が切れました');
+                        }
+                    })
+                    .on('error', function (event) {
+                        if (matchState && matchState.watching) {
+                            uiRenderer.renderMatchStatus(event.error);
+                        } else {
+                            showError(event.error);
+                        }
+                    });
+
+                if (!uiRenderer) {
+                    uiRenderer = new UIRenderer(null, null);
+                }
+                matchClient.connect();
+                matchClient.send({ type: 'matches' });
+            })
+            .catch(function (error) {
+                showError('観戦できる対戦を取得できませんでした。しばらくしてからお試しください。');
+                console.error('観戦の一覧の取得エラー:', error);
+            });
+    }
+
+    /**
+     * 一覧から選んだ対戦を観戦する（札には触れられない）
+     * @param {string} roomId - 部屋ID
+     */
+    function watchMatch(roomId) {
+        if (!matchClient || !matchState) {
+            return;
+        }
+        matchState.watching = true;
+        matchClient.send({ type: 'watch', roomId: roomId });
+
+        uiRenderer.hideMatchList();
+        uiRenderer.onCardClick = null;
+        uiRenderer.showGameScreen();
+        uiRenderer.renderGameField([]);
+        uiRenderer.renderReadingCard(null);
+        uiRenderer.renderRoundTimer(null);
+        uiRenderer.renderGameCode(null);
+        uiRenderer.setKimarijiVisible(kimarijiVisible);
+        var roundControls = document.getElementById('round-controls');
+        if (roundControls) {
+            roundControls.style.display = 'none';
+        }
+        uiRenderer.renderMatchStatus('対戦サーバーに接続しています…');
+    }
+
+    /**
+     * 観戦を始めた時に、これまでの対戦の様子を表示する
+     * @param {{ delayMs: number, state: Object|null }} message - 観戦の開始
+     */
+    function handleSpectatorWatching(message) {
+        matchState.delayMs = message.delayMs;
+        if (message.state) {
+            renderSpectatorState(message.state);
+        }
+        uiRenderer.renderMatchStatus(getSpectatorDelayText() + (message.state ? '' : '。まもなく始まります'));
+    }
+
+    /**
+     * 観戦者に遅れて届いた対戦の出来事（開始・読み始め・ラウンドの終わり・切断）を表示する
+     * @param {{ type: string, seat?: number, winnerSeat?: number|null, state: Object }} message - 出来事と、その時点の対戦の状態
+     */
+    function handleSpectatorFeed(message) {
+        renderSpectatorState(message.state);
+        var player = message.seat === undefined ? null : matchState.players[message.seat];
+        switch (message.type) {
+            case 'matchStart':
+            case 'readingStart':
+                uiRenderer.renderMatchStatus(getSpectatorDelayText());
+                break;
+            case 'roundEnd':
+                if (message.winnerSeat === null) {
+                    uiRenderer.renderMatchStatus('誰も取りませんでした');
+                }
+                break;
+            case 'playerDisconnected':
+                uiRenderer.renderMatchStatus(player.name + 'の接続が切れました。戻るのを待っています…');
+                break;
+            case 'playerReconnected':
+                uiRenderer.renderMatchStatus(player.name + 'が戻りました');
+                break;
+        }
+    }
+
+    /**
+     * 観戦している対戦の取り・お手つきを、触れたプレイヤーと反応時間とともに表示する
+     * @param {{ seat: number, cardId: number, correct: boolean, foul: boolean, penalty: boolean, reactionMs: number, state: Object }} message - 判定の結果
+     */
+    function handleSpectatorTakeResult(message) {
+        var name = matchState.players[message.seat].name;
+        var cardElement = uiRenderer.getCardElement(message.cardId);
+        if (message.correct) {
+            if (cardElement) {
+                uiRenderer.showCorrectFeedback(cardElement);
+            }
+            uiRenderer.renderMatchStatus(name + 'が取りました（' + (message.reactionMs / 1000).toFixed(2) + '秒）');
+        } else {
+            if (cardElement) {
+                uiRenderer.showIncorrectFeedback(cardElement);
+            }
+            uiRenderer.renderMatchStatus(message.foul
+                ? name + 'のお手つき' + (message.penalty ? '（相手から札を1枚送られます）' : '')
+                : name + 'が別の札に触れました');
+        }
+        updateSpectatorScoreBoard(message.state.scores);
+    }
+
+    /**
+     * 観戦していた対戦の結果をゲーム終了画面に表示する
+     * @param {{ reason: string, winnerSeat: number|null, scores: Object[], remainingBySide: Object|null }} message - 対戦の結果
+     */
+    function handleSpectatorGameOver(message) {
+        matchState.finished = true;
+        uiRenderer.renderMatchStatus(null);
+        uiRenderer.renderGameOver({
+            players: getSpectatorPlayers(message.scores),
+            winner: message.winnerSeat === null ? null : matchState.players[message.winnerSeat].side,
+            remainingBySide: message.remainingBySide,
+            forfeit: message.reason === 'forfeit',
+        });
+        uiRenderer.showDailyResultForm(false);
+    }
+
+    /**
+     * 観戦者から見た対戦の状態（両方の陣・読み札・スコア）を描画する
+     * 席0のプレイヤーの陣を手前、席1のプレイヤーの陣を向こう側に置く
+     * @param {Object} state - MatchRoom の観戦者向けの状態
+     */
+    function renderSpectatorState(state) {
+        matchState.players = state.players;
+        var sideLabels = {};
+        state.players.forEach(function (player) {
+            sideLabels[player.side] = player.name;
+        });
+        var cards = state.field.map(function (id) {
+            return matchState.poemsById[id];
+        }).filter(Boolean);
+        uiRenderer.renderGameField(cards, {
+            cardSides: state.cardSides,
+            sides: [state.players[1].side, state.players[0].side],
+            sideLabels: sideLabels,
+        });
+        uiRenderer.renderReadingCard(state.poemId ? matchState.poemsById[state.poemId] : null);
+        updateSpectatorScoreBoard(state.scores);
+    }
+
+    /**
+     * 席の順に、プレイヤーの名前とスコアを組み立てる
+     * @param {Object[]} scores - 席ごとのスコア
+     * @returns {Array<Object>} side・label と ScoreData の項目を持つプレイヤーの配列
+     */
+    function getSpectatorPlayers(scores) {
+        return matchState.players.map(function (player, seat) {
+            return Object.assign({ side: player.side, label: player.name }, scores[seat]);
+        });
+    }
+
+    /**
+     * 観戦している対戦のスコアボードを更新する
+     * @param {Object[]} scores - 席ごとのスコア
+     */
+    function updateSpectatorScoreBoard(scores) {
+        uiRenderer.updateHotSeatScoreBoard(getSpectatorPlayers(scores).map(function (player) {
+            return { side: player.side, label: player.label, score: player };
+        }));
+    }
+
+    /**
+     * 観戦の表示が遅れていることを知らせる文言
+     * @returns {string} 表示する内容
+     */
+    function getSpectatorDelayText() {
+        return '観戦中（' + Math.round(matchState.delayMs / 1000) + '秒遅れで表示しています）';
+    }
+
+    // =========================================
+    // 授業用のクラス
+    // =========================================
+
+    /**
+     * 授業用のクラスに接続する
+     * 歌データを取得してから接続し、届いたメッセージを handlers の関数に渡す
+     * @param {string} role - 'host'（先生）・'student'（生徒）
+     * @param {Object} message - 接続してすぐに送るメッセージ（host・join）
+     * @param {Object<string, function(Object): void>} handlers - メッセージの種類ごとの処理
+     * @returns {Promise<void>} 接続を始めた時に解決する
+     */
+    function connectClassroom(role, message, handlers) {
+        return fetchPoems().then(function (poems) {
+            closeOnlineMatch();
+
+            // 1人で遊ぶゲームの状態は使わない
+            stopRoundTimer();
+            if (cpuOpponent) {
+                cpuOpponent.cancel();
+            }
+            if (takeArbiter) {
+                takeArbiter.cancel();
+            }
+            gameEngine = null;
+            cpuOpponent = null;
+            takeArbiter = null;
+            hotSeatPlayers = null;
+
+            var poemsById = {};
+            poems.forEach(function (poem) {
+                poemsById[poem.id] = poem;
+            });
+            classroomState = { role: role, poemsById: poemsById, round: 0, reading: false, finished: false };
+
+            classroomClient = new MatchClient(getMatchUrl(location, '/ws/classroom'));
+            Object.keys(handlers).forEach(function (type) {
+                classroomClient.on(type, handlers[type]);
+            });
+            if (!uiRenderer) {
+                uiRenderer = new UIRenderer(null, null);
+            }
+            classroomClient.connect();
+            classroomClient.send(message);
+        });
+    }
+
+    /**
+     * 先生としてクラスを開く
+     * 生徒が参加するためのコードと URL を表示し、読み札・順位・取れなかった札を先生の画面に表示する
+     */
+    function hostClassroom() {
+        var fieldCount = readNumberInput('field-count');
+        connectClassroom('host', { type: 'host', fieldCount: fieldCount === null ? undefined : fieldCount }, {
+            hosted: handleClassroomHostSnapshot,
+            rejoined: handleClassroomHostSnapshot,
+            leaderboard: function (message) {
+                uiRenderer.renderClassroomLeaderboard(message);
+            },
+            readingStart: function (message) {
+                var poem = classroomState.poemsById[message.poemId];
+                uiRenderer.renderClassroomReading(poem || null);
+                uiRenderer.renderClassroomMessage(null);
+                if (poem && isReaderEnabled()) {
+                    reader.cancel();
+                    reader.readCard(poem);
+                }
+            },
+            gameOver: function (message) {
+                classroomState.finished = true;
+                uiRenderer.renderClassroomReading(null);
+                uiRenderer.renderClassroomLeaderboard(message);
+                uiRenderer.renderClassroomMessage(message.reason === 'closed' ? 'クラスを閉じました' : null);
+            },
+            reconnecting: function (event) {
+                uiRenderer.renderClassroomMessage('サーバーに再接続しています…（' + event.attempt + '回目）');
+            },
+            closed: function () {
+                if (uiRenderer && classroomState && !classroomState.finished) {
+                    uiRenderer.renderClassroomMessage('サーバーとの接続が切れました');
+                }
+            },
+            error: function (event) {
+                uiRenderer.renderClassroomMessage(event.error);
+            },
+        })
+            .then(function () {
+                uiRenderer.renderClassroomInfo('', []);
+                uiRenderer.renderClassroomReading(null);
+                uiRenderer.renderClassroomMessage('サーバーに接続しています…');
+                uiRenderer.showClassroomScreen();
+            })
+            .catch(function (error) {
+                showError('クラスを開けませんでした。しばらくしてからお試しください。');
+                console.error('クラスを開く時のエラー:', error);
+            });
+    }
+
+    /**
+     * 先生の画面にクラスの状態（クラスを開いた・再接続した）を表示する
+     * @param {Object} message - ClassroomRoom.getHostSnapshot の内容
+     */
+    function handleClassroomHostSnapshot(message) {
+        uiRenderer.renderClassroomInfo(message.code, message.joinUrls);
+        uiRenderer.renderClassroomLeaderboard(message);
+        uiRenderer.renderClassroomReading(message.poemId ? classroomState.poemsById[message.poemId] : null);
+        uiRenderer.renderClassroomMessage(null);
+    }
+
+    /**
+     * 先生の操作（始める・次の札・終える）をサーバーに送る
+     * @param {string} type - 'start'・'next'・'end'
+     */
+    function sendClassroomCommand(type) {
+        if (classroomClient && classroomState && classroomState.role === 'host') {
+            classroomClient.send({ type: type });
+        }
+    }
+
+    /**
+     * 生徒としてクラスのコードで参加する
+     * 自分の場の札だけが届き、読んでいる札は先生の読み上げを聞いて取る
+     */
+    function joinClassroom() {
+        var codeInput = document.getElementById('classroom-code');
+        var nameInput = document.getElementById('classroom-name');
+        var code = codeInput ? codeInput.value.trim().toUpperCase() : '';
+        var name = nameInput ? nameInput.value.trim() : '';
+        if (code === '') {
+            showError('クラスのコードを入力してください。');
+            return;
+        }
+
+        connectClassroom('student', { type: 'join', code: code, name: name }, {
+            joined: handleClassroomStudentSnapshot,
+            rejoined: handleClassroomStudentSnapshot,
+            classStart: function () {
+                uiRenderer.renderMatchStatus('授業が始まりました。読み上げを聞いて札を取りましょう');
+            },
+            readingStart: handleClassroomStudentSnapshot,
+            takeResult: handleClassroomTakeResult,
+            roundEnd: handleClassroomRoundEnd,
+            gameOver: handleClassroomGameOver,
+            hostDisconnected: function () {
+                uiRenderer.renderMatchStatus('先生の接続が切れました。戻るのを待っています…');
+            },
+            hostReconnected: function () {
+                uiRenderer.renderMatchStatus('先生が戻りました。まもなく再開します');
+            },
+            reconnecting: function (event) {
+                classroomState.reading = false;
+                uiRenderer.renderMatchStatus('サーバーに再接続しています…（' + event.attempt + '回目）');
+            },
+            closed: function () {
+                if (uiRenderer && classroomState && !classroomState.finished) {
+                    uiRenderer.renderMatchStatus('サーバーとの接続が切れました');
+                }
+            },
+            error: function (event) {
+                uiRenderer.renderMatchStatus(event.error);
+            },
+        })
+            .then(function () {
+                uiRenderer.onCardClick = handleClassroomCardClick;
+                uiRenderer.showGameScreen();
+                uiRenderer.renderGameField([]);
+                uiRenderer.renderReadingCard(null);
+                uiRenderer.renderRoundTimer(null);
+                uiRenderer.renderGameCode(null);
+                uiRenderer.setKimarijiVisible(false);
+                var roundControls = document.getElementById('round-controls');
+                if (roundControls) {
+                    roundControls.style.display = 'none';
+                }
+                uiRenderer.renderMatchStatus('クラスに接続しています…');
+            })
+            .catch(function (error) {
+                showError('クラスに参加できませんでした。しばらくしてからお試しください。');
+                console.error('クラスに参加する時のエラー:', error);
+            });
+    }
+
+    /**
+     * 生徒の状態（参加した・再接続した・読み始め）を受け取り、場を描画する
+     * 読んでいる札は届かないため、読み札の欄は空にしておく
+     * @param {Object} message - ClassroomRoom.getStudentSnapshot の内容、または readingStart
+     */
+    function handleClassroomStudentSnapshot(message) {
+        classroomState.round = message.round;
+        classroomState.reading = message.type === 'readingStart' || Boolean(message.reading && !message.roundTaken);
+
+        var cards = message.field.map(function (id) {
+            return classroomState.poemsById[id];
+        }).filter(Boolean);
+        uiRenderer.renderGameField(cards);
+        uiRenderer.renderReadingCard(null);
+        if (message.score) {
+            uiRenderer.updateScoreBoard(message.score);
+        }
+
+        if (message.type === 'readingStart') {
+            uiRenderer.renderMatchStatus(message.round + ' / ' + message.totalRounds + '枚目');
+        } else if (message.status === 'lobby') {
+            uiRenderer.renderMatchStatus('クラス（' + message.code + '）に参加しました。先生が始めるのを待っています…');
+        } else if (message.type === 'rejoined') {
+            uiRenderer.renderMatchStatus('クラスに戻りました');
+        }
+    }
+
+    /**
+     * 授業用のクラスで札に触れた時のハンドラ（判定はサーバーが行う）
+     * @param {number} cardId - 触れた札のID
+     */
+    function handleClassroomCardClick(cardId) {
+        if (!classroomClient || !classroomState || !classroomState.reading) {
+            return;
+        }
+        classroomClient.take(classroomState.round, cardId);
+    }
+
+    /**
+     * 札に触れた結果を表示する（正解するとそのラウンドはもう触れない）
+     * @param {{ cardId: number, correct: boolean, score: ScoreData }} message - 判定の結果
+     */
+    function handleClassroomTakeResult(message) {
+        var cardElement = uiRenderer.getCardElement(message.cardId);
+        if (message.correct) {
+            classroomState.reading = false;
+            if (cardElement) {
+                uiRenderer.showCorrectFeedback(cardElement);
+            }
+        } else if (cardElement) {
+            uiRenderer.showIncorrectFeedback(cardElement);
+        }
+        uiRenderer.updateScoreBoard(message.score);
+    }
+
+    /**
+     * ラウンドの終わりに読んだ札を表示する（取れなかった札は場から除く）
+     * @param {{ poemId: number, taken: boolean, score: ScoreData }} message - ラウンドの結果
+     */
+    function handleClassroomRoundEnd(message) {
+        classroomState.reading = false;
+        var cardElement = uiRenderer.getCardElement(message.poemId);
+        if (!message.taken && cardElement) {
+            uiRenderer.removeCard(cardElement);
+        }
+        uiRenderer.renderReadingCard(classroomState.poemsById[message.poemId] || null);
+        uiRenderer.updateScoreBoard(message.score);
+        uiRenderer.renderMatchStatus(message.taken ? '取れました' : '取れませんでした');
+    }
+
+    /**
+     * 授業の結果（自分のスコア・反応時間とクラスの中での順位）をゲーム終了画面に表示する
+     * @param {{ reason: string, rank: number, studentCount: number, score: ScoreData, reactionTimes: Object }} message - 授業の結果
+     */
+    function handleClassroomGameOver(message) {
+        classroomState.finished = true;
+        classroomState.reading = false;
+        uiRenderer.renderMatchStatus(null);
+        uiRenderer.renderGameOver(Object.assign({}, message.score, {
+            reactionTimes: message.reactionTimes,
+            classroomRank: { rank: message.rank, studentCount: message.studentCount },
+        }));
+        uiRenderer.showDailyResultForm(false);
+    }
+
+    // =========================================
+    // 坊主めくり
+    // =========================================
+
+    /**
+     * 坊主めくりを開始する
+     * スタート画面で選んだ人数とハウスルールでゲームを初期化する
+     */
+    function startBozuMekuri() {
+        fetchPoems()
+            .then(function (poems) {
+                var countSelect = document.getElementById('bozu-player-count');
+                var playerCount = countSelect ? parseInt(countSelect.value, 10) : BOZU_MIN_PLAYERS;
+                var playerNames = [];
+                for (var i = 1; i <= playerCount; i++) {
+                    playerNames.push('プレイヤー' + i);
+                }
+
+                bozuGame = new BozuMekuriGame(poems, {
+                    houseRules: {
+                        semimaru: isChecked('bozu-rule-semimaru'),
+                        tenno: isChecked('bozu-rule-tenno'),
+                    },
+                });
+                var state = bozuGame.initGame(playerNames);
+
+                if (!uiRenderer) {
+                    uiRenderer = new UIRenderer(null, null);
+                }
+                uiRenderer.showBozuMekuriScreen();
+                uiRenderer.renderBozuMekuri(state);
+            })
+            .catch(function (error) {
+                showError('歌データの読み込みに失敗しました。ページを再読み込みしてください。');
+                console.error('坊主めくり開始エラー:', error);
+            });
+    }
+
+    /**
+     * 坊主めくりで手番のプレイヤーが札を引く
+     */
+    function drawBozuCard() {
+        if (!bozuGame || bozuGame.isGameOver()) {
+            return;
+        }
+        bozuGame.drawCard();
+        uiRenderer.renderBozuMekuri(bozuGame.getState());
+    }
+
+    // =========================================
+    // 読手モード
+    // =========================================
+
+    /**
+     * 読手モードを始める
+     * スタート画面で選んだ枚数・シード・色札で読み順を決め、序歌から読み上げる
+     */
+    function startDokushu() {
+        if (!reader) {
+            showError('このブラウザは読み上げに対応していないため、読手モードは使えません。');
+            return;
+        }
+        var readCount = readNumberInput('dokushu-read-count');
+        var seed = readNumberInput('dokushu-seed');
+        var colors = getSelectedColors();
+
+        fetchPoems()
+            .then(function (poems) {
+                try {
+                    dokushuSession = new DokushuSession(filterPoemsByColors(poems, colors));
+                    dokushuSession.start({ seed: seed, readCount: readCount });
+                    reader.setSettings(getReaderSettings());
+                } catch (error) {
+                    dokushuSession = null;
+                    showError('読手モードの設定を確認してください（' + error.message + '）');
+                    return;
+                }
+
+                dokushuPaused = false;
+                reader.cancel();
+                reader.readJoka();
+
+                if (!uiRenderer) {
+                    uiRenderer = new UIRenderer(null, null);
+                }
+                uiRenderer.showDokushuScreen();
+                renderDokushu();
+            })
+            .catch(function (error) {
+                showError('歌データの読み込みに失敗しました。ページを再読み込みしてください。');
+                console.error('読手モード開始エラー:', error);
+            });
+    }
+
+    /**
+     * 読手モードの画面を描画する
+     */
+    function renderDokushu() {
+        uiRenderer.renderDokushu(dokushuSession.getState(), { paused: dokushuPaused, joka: JOKA });
+    }
+
+    /**
+     * 読手モードの読み上げを一時停止する（一時停止中は、読んでいた札を初めから読み直して再開する）
+     */
+    function toggleDokushuPause() {
+        if (!dokushuSession || dokushuSession.isFinished()) {
+            return;
+        }
+        if (dokushuPaused) {
+            repeatDokushuCard();
+            return;
+        }
+        dokushuPaused = true;
+        reader.cancel();
+        renderDokushu();
+    }
+
+    /**
+     * 読手モードで読んでいる札（序歌を読む段階では序歌）をもう一度読む
+     */
+    function repeatDokushuCard() {
+        if (!dokushuSession || dokushuSession.isFinished()) {
+            return;
+        }
+        dokushuPaused = false;
+        reader.cancel();
+        var poem = dokushuSession.getCurrentPoem();
+        if (poem) {
+            reader.readCard(poem);
+        } else {
+            reader.readJoka();
+        }
+        renderDokushu();
+    }
+
+    /**
+     * 読手モードで次の札に進む
+     * 読んでいる途中でも読み上げを止めてすぐに次の札を読む（次の札へ進むのは札が取られた後のため）
+     */
+    function nextDokushuCard() {
+        if (!dokushuSession || dokushuSession.isFinished()) {
+            return;
+        }
+        dokushuPaused = false;
+        reader.cancel();
+        var poem = dokushuSession.next();
+        if (poem) {
+            reader.readCard(poem);
+        }
+        renderDokushu();
+    }
+
+    /**
+     * 読手モードのキーボード操作
+     * スペース: 一時停止・再開 / R: もう一度 / → または Enter: 次の札
+     * @param {KeyboardEvent} event - キーボードイベント
+     */
+    function handleDokushuKeydown(event) {
+        var screen = document.getElementById('dokushu-screen');
+        if (!dokushuSession || !screen || screen.style.display === 'none') {
+            return;
+        }
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        // フォーカスのあるボタンはスペースと Enter を自身のクリックとして扱う
+        var tagName = event.target && event.target.tagName;
+        if (tagName === 'BUTTON' && (event.key === ' ' || event.key === 'Enter')) {
+            return;
+        }
+
+        switch (event.key) {
+            case ' ':
+                toggleDokushuPause();
+                break;
+            case 'r':
+            case 'R':
+                repeatDokushuCard();
+                break;
+            case 'ArrowRight':
+            case 'Enter':
+                nextDokushuCard();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * チェックボックスがチェックされているかを返す（要素がない場合はtrue）
+     * @param {string} id - チェックボックスのID
+     * @returns {boolean}
+     */
+    function isChecked(id) {
+        var checkbox = document.getElementById(id);
+        return checkbox ? checkbox.checked : true;
+    }
+
+    // =========================================
+    // プレイヤーのプロフィール
+    // =========================================
+
+    /**
+     * プロフィールの一覧を読み込み、前回選んだプロフィールを選ぶ
+     * サーバーに接続できない場合は、この端末に保存したプロフィールだけを使う
+     */
+    function setupProfiles() {
+        profileClient = new ProfileClient();
+        var storedId = null;
+        try {
+            storedId = localStorage.getItem(PROFILE_KEY);
+        } catch (error) {
+            // 読み込めなくてもプロフィールは選び直せる（プライベートモードなど）
+        }
+        loadProfiles(storedId);
+    }
+
+    /**
+     * プロフィールの一覧を読み込み直してスタート画面と成績画面の選択肢を描画する
+     * @param {string|null} selectedId - 選ぶプロフィールのID
+     * @returns {Promise<void>}
+     */
+    function loadProfiles(selectedId) {
+        return profileClient.listProfiles()
+            .then(function (result) {
+                profiles = result.profiles;
+                renderProfileOptions(selectedId);
+            })
+            .catch(function (error) {
+                console.error('プロフィールの読み込みエラー:', error);
+            });
+    }
+
+    /**
+     * スタート画面と成績画面のプロフィールの選択肢を描画する
+     * @param {string|null} selectedId - スタート画面で選ぶプロフィールのID（一覧にない場合は選ばない）
+     */
+    function renderProfileOptions(selectedId) {
+        [
+            { id: 'profile-select', emptyLabel: '選ばない' },
+            { id: 'history-profile-select', emptyLabel: '全員' },
+        ].forEach(function (target) {
+            var select = document.getElementById(target.id);
+            if (!select) {
+                return;
+            }
+            select.innerHTML = '';
+            var emptyOption = document.createElement('option');
+            emptyOption.value = '';
+            emptyOption.textContent = target.emptyLabel;
+            select.appendChild(emptyOption);
+            profiles.forEach(function (profile) {
+                var grade = PROFILE_GRADES.find(function (item) { return item.id === profile.grade; });
+                var option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name + (grade ? '（' + grade.label + '）' : '');
+                select.appendChild(option);
+            });
+        });
+
+        var profileSelect = document.getElementById('profile-select');
+        if (profileSelect) {
+            profileSelect.value = getProfile(selectedId) ? selectedId : '';
+        }
+        applySelectedProfile();
+    }
+
+    /**
+     * IDからプロフィールを探す
+     * @param {string|null} profileId - プロフィールのID
+     * @returns {Object|null} プロフィール（見つからない場合null）
+     */
+    function getProfile(profileId) {
+        return profiles.find(function (profile) { return profile.id === profileId; }) || null;
+    }
+
     /**
-     * /api/poems から歌データを取得する
-     * @returns {Promise<Poem[]>} 歌データの配列
+     * スタート画面で選ばれているプロフィールのIDを取得する
+     * @returns {string|null} プロフィールのID（選ばれていない場合null）
      */
-    function fetchPoems() {
-        return fetch('/api/poems')
-            .then(function (response) {
-                if (!response.ok) {
-                    throw new Error('歌データの取得に失敗しました (HTTP ' + response.status + ')');
+    function getSelectedProfileId() {
+        var profileSelect = document.getElementById('profile-select');
+        return profileSelect && profileSelect.value !== '' ? profileSelect.value : null;
+    }
+
+    /**
+     * 選ばれたプロフィールを覚え、アバターの色と、結果の送信・対戦・クラスで使う名前に反映する
+     */
+    function applySelectedProfile() {
+        var profile = getProfile(getSelectedProfileId());
+        try {
+            if (profile) {
+                localStorage.setItem(PROFILE_KEY, profile.id);
+            } else {
+                localStorage.removeItem(PROFILE_KEY);
+            }
+        } catch (error) {
+            // 覚えられなくても、このページを開いている間は選んだプロフィールを使える
+        }
+
+        var avatar = document.getElementById('profile-avatar');
+        if (avatar) {
+            avatar.className = 'profile-avatar' + (profile ? ' profile-color-' + profile.color : '');
+            avatar.style.display = profile ? '' : 'none';
+        }
+        if (profile) {
+            ['daily-name', 'online-name', 'classroom-name'].forEach(function (id) {
+                var input = document.getElementById(id);
+                if (input) {
+                    input.value = profile.name;
                 }
-                return response.json();
             });
+        }
     }
 
     /**
-     * ゲームを開始する
-     * 歌データを取得し、各コンポーネントを初期化してゲーム画面を表示する
-     *
-     * Requirements:
-     * - 2.1: ゲーム開始ボタンクリックでゲームを初期化する
-     * - 2.3: ゲーム初期化時にスコアを0に設定し、残り札数を表示する
+     * スタート画面に入力した名前・アバターの色・級でプロフィールを作り、そのプロフィールを選ぶ
      */
-    function startGame() {
-        fetchPoems()
-            .then(function (poems) {
-                // コンポーネントの初期化
-                gameEngine = new GameEngine(poems);
-                scoreManager = new ScoreManager(poems.length);
-                uiRenderer = new UIRenderer(gameEngine, scoreManager);
+    function createProfile() {
+        var nameInput = document.getElementById('profile-name');
+        var colorSelect = document.getElementById('profile-color');
+        var gradeSelect = document.getElementById('profile-grade');
+        var name = nameInput ? nameInput.value.trim() : '';
+        if (name === '') {
+            showError('プレイヤーの名前を入力してください。');
+            return;
+        }
 
-                // ゲーム初期化 (Req 2.1)
-                gameEngine.initGame();
+        profileClient.createProfile({
+            name: name,
+            color: colorSelect ? colorSelect.value : PROFILE_COLORS[0].id,
+            grade: gradeSelect ? gradeSelect.value : 'none',
+        })
+            .then(function (profile) {
+                nameInput.value = '';
+                return loadProfiles(profile.id);
+            })
+            .catch(function (error) {
+                showError(error.message);
+                console.error('プロフィールの作成エラー:', error);
+            });
+    }
 
-                // カードクリックのコールバックを設定
-                uiRenderer.onCardClick = handleCardClick;
+    /**
+     * 遊び終えたゲームを、ゲームを始めた時に選ばれていたプロフィールに記録する
+     * @param {string} kind - 遊び方（GAME_RECORD_KINDS のキー）
+     * @param {GameState} state - 終わったゲームの状態
+     * @param {ScoreData} score - 終わったゲームのスコア
+     * @param {number} elapsedMs - ゲームにかかった時間（ミリ秒）
+     */
+    function recordProfileGame(kind, state, score, elapsedMs) {
+        if (!profileClient || gameProfileId === null) {
+            return;
+        }
+        profileClient.recordGame(gameProfileId, {
+            kind: kind,
+            mode: state.mode,
+            deckSize: state.settings.fieldCount,
+            correct: score.correct,
+            incorrect: score.incorrect,
+            accuracy: score.accuracy,
+            elapsedMs: Math.max(0, Math.round(elapsedMs)),
+        }).catch(function (error) {
+            // 記録できなくてもゲームの結果は表示できる
+            console.error('ゲームの記録エラー:', error);
+        });
+    }
 
-                // ゲーム画面を表示
-                uiRenderer.showGameScreen();
+    /**
+     * 成績画面を表示する（スタート画面で選ばれているプロフィールの記録から表示する）
+     */
+    function showHistory() {
+        var historySelect = document.getElementById('history-profile-select');
+        if (historySelect) {
+            historySelect.value = getSelectedProfileId() || '';
+        }
+        loadHistory();
+    }
+
+    /**
+     * 成績画面で選ばれているプロフィールの履歴と成績を読み込んで表示する
+     */
+    function loadHistory() {
+        var historySelect = document.getElementById('history-profile-select');
+        var profileId = historySelect && historySelect.value !== '' ? historySelect.value : null;
+        profileClient.getHistory(profileId)
+            .then(function (history) {
+                uiRenderer = new UIRenderer(null, null);
+                uiRenderer.renderHistory(history, profiles);
+                uiRenderer.showHistoryScreen();
+            })
+            .catch(function (error) {
+                showError(error.message);
+                console.error('成績の読み込みエラー:', error);
+            });
+    }
+
+    // =========================================
+    // 読み上げ
+    // =========================================
+
+    /**
+     * 読み上げを使うかどうかを返す
+     * @returns {boolean} ブラウザが対応していて、スタート画面で読み上げが選ばれている場合true
+     */
+    function isReaderEnabled() {
+        return reader !== null && isOptionChecked('reader-enabled');
+    }
+
+    /**
+     * スタート画面のチェックボックスが選ばれているかを返す（要素がない場合はfalse）
+     * @param {string} id - チェックボックスのID
+     * @returns {boolean} 選ばれている場合true
+     */
+    function isOptionChecked(id) {
+        var checkbox = document.getElementById(id);
+        return checkbox ? checkbox.checked : false;
+    }
+
+    /**
+     * スタート画面のフォームから読み上げ設定を組み立てる
+     * @returns {Object} PoemReader.setSettings に渡す設定
+     */
+    function getReaderSettings() {
+        var rateSelect = document.getElementById('reader-rate');
+        var voiceSelect = document.getElementById('reader-voice');
+        return {
+            rate: rateSelect ? parseFloat(rateSelect.value) || 1 : 1,
+            voiceName: voiceSelect && voiceSelect.value ? voiceSelect.value : null,
+            repeatLower: isOptionChecked('reader-repeat-lower'),
+        };
+    }
 
-                // 取り札を場に配置
-                var state = gameEngine.getGameState();
-                uiRenderer.renderGameField(state.remainingCards);
+    /**
+     * 声の選択肢を、ブラウザが持つ日本語の声で作り直す
+     */
+    function populateReaderVoices() {
+        var voiceSelect = document.getElementById('reader-voice');
+        if (!voiceSelect || !reader) {
+            return;
+        }
+        var selected = voiceSelect.value;
+        voiceSelect.innerHTML = '';
+        var defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = '既定の声';
+        voiceSelect.appendChild(defaultOption);
+        reader.getVoiceNames().forEach(function (name) {
+            var option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            voiceSelect.appendChild(option);
+        });
+        voiceSelect.value = selected;
+        if (voiceSelect.value !== selected) {
+            voiceSelect.value = '';
+        }
+    }
 
-                // 読み札を表示
-                var readingCard = gameEngine.getCurrentReadingCard();
-                uiRenderer.renderReadingCard(readingCard);
+    /**
+     * 読み上げを準備する
+     * Web Speech API に対応していないブラウザでは reader をnullのままにする
+     */
+    function setupReader() {
+        var speech = createWebSpeech(window);
+        if (!speech) {
+            return;
+        }
 
-                // スコアボードを初期化 (Req 2.3)
-                uiRenderer.updateScoreBoard(scoreManager.getScore());
+        reader = new PoemReader(speech);
+        populateReaderVoices();
+        // 声の一覧は非同期に読み込まれるブラウザがある
+        if (typeof window.speechSynthesis.addEventListener === 'function') {
+            window.speechSynthesis.addEventListener('voiceschanged', populateReaderVoices);
+        }
+        loadReaderRecordings();
+    }
 
-                // 処理フラグをリセット
-                isProcessing = false;
+    /**
+     * サーバーから読手の録音の一覧を取得し、録音がある句は録音で読むようにする
+     * 取得できない場合は、すべての句を音声合成で読む
+     */
+    function loadReaderRecordings() {
+        fetch('/api/audio/manifest')
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error('録音の一覧の取得に失敗しました (HTTP ' + response.status + ')');
+                }
+                return response.json();
+            })
+            .then(function (manifest) {
+                reader.setRecordings(createAudioRecordings(window, manifest));
             })
             .catch(function (error) {
-                showError('歌データの読み込みに失敗しました。ページを再読み込みしてください。');
-                console.error('ゲーム開始エラー:', error);
+                console.error('録音の読み込みに失敗しました（音声合成で読み上げます）:', error.message);
             });
     }
 
     /**
-     * 取り札クリック時のハンドラ
-     * 正誤判定を行い、フィードバックアニメーションを表示する
-     *
-     * Requirements:
-     * - 4.1: 正しい取り札をクリックした場合、取り札を除去しスコアを加算する
-     *
-     * @param {number} cardId - クリックされたカードのID
-     * @param {HTMLElement} cardElement - クリックされたカードのDOM要素
+     * モードの選択に応じて坊主めくりとかるたのオプションを表示・非表示にする
+     * 坊主めくりは常に100枚すべてを使うため色札や枚数は選べない
      */
-    function handleCardClick(cardId, cardElement) {
-        // アニメーション中は操作を無視する
-        if (isProcessing) {
-            return;
+    function updateModeOptions() {
+        var isBozu = getSelectedMode() === 'bozu';
+        var isDokushu = getSelectedMode() === 'dokushu';
+        var bozuOptions = document.getElementById('bozu-options');
+        if (bozuOptions) {
+            bozuOptions.style.display = isBozu ? '' : 'none';
+        }
+        var colorOptions = document.getElementById('color-options');
+        if (colorOptions) {
+            colorOptions.style.display = isBozu ? 'none' : '';
+        }
+        // 読手モードは場の札を持たないため、場の札や制限時間は選べない
+        var gameOptions = document.getElementById('game-options');
+        if (gameOptions) {
+            gameOptions.style.display = isBozu || isDokushu ? 'none' : '';
+        }
+        var dokushuOptions = document.getElementById('dokushu-options');
+        if (dokushuOptions) {
+            dokushuOptions.style.display = isDokushu ? '' : 'none';
         }
 
-        isProcessing = true;
+        // 読み上げは Web Speech API に対応したブラウザのかるたと読手モードでだけ選べる
+        // 読手モードは常に読み上げるため、読み上げの有無と聞き取りのみは選べない
+        var readerOptions = document.getElementById('reader-options');
+        if (readerOptions) {
+            readerOptions.style.display = isBozu || !reader ? 'none' : '';
+            Array.prototype.forEach.call(readerOptions.querySelectorAll('.reader-game-option'), function (label) {
+                label.style.display = isDokushu ? 'none' : '';
+            });
+        }
+    }
 
-        // 正誤判定
-        var result = gameEngine.selectCard(cardId);
+    /**
+     * スタート画面に戻る
+     */
+    function backToStart() {
+        bozuGame = null;
+        if (cpuOpponent) {
+            cpuOpponent.cancel();
+        }
+        if (takeArbiter) {
+            takeArbiter.cancel();
+        }
+        closeOnlineMatch();
+        dokushuSession = null;
+        if (reader) {
+            reader.cancel();
+        }
+        updateResumeButton();
+        if (uiRenderer) {
+            uiRenderer.showStartScreen();
+        }
+    }
 
-        if (result.correct) {
-            // 正解: ScoreManager に正解を記録 (Req 4.1)
-            scoreManager.addCorrect();
+    /**
+     * スタート画面で選択されたゲームモードを取得する
+     * @returns {string} ゲームモード
+     */
+    function getSelectedMode() {
+        var modeSelect = document.getElementById('mode-select');
+        return modeSelect ? modeSelect.value : 'standard';
+    }
 
-            // スコアボードを更新
-            uiRenderer.updateScoreBoard(scoreManager.getScore());
+    /**
+     * スタート画面のフォームからゲームオプションを組み立てる
+     * 空欄の項目はモードの既定値を使う
+     * @returns {Object} GameEngine.initGame に渡すオプション
+     * @throws {Error} 歌番号の指定が正しくない場合
+     */
+    function getGameOptions() {
+        var options = { mode: getSelectedMode() };
 
-            // 正解フィードバック（緑ハイライト + カード除去）
-            uiRenderer.showCorrectFeedback(cardElement)
-                .then(function () {
-                    // 次のラウンドに進む
-                    advanceToNextRound();
-                });
-        } else {
-            // 不正解: ScoreManager に不正解を記録
-            scoreManager.addIncorrect();
+        var fieldCount = readNumberInput('field-count');
+        if (fieldCount !== null) {
+            options.fieldCount = fieldCount;
+        }
+        var readCount = readNumberInput('read-count');
+        if (readCount !== null) {
+            options.readCount = readCount;
+        }
 
-            // スコアボードを更新
-            uiRenderer.updateScoreBoard(scoreManager.getScore());
+        var poemIdsInput = document.getElementById('poem-ids');
+        if (poemIdsInput && poemIdsInput.value.trim() !== '') {
+            options.poemIds = parsePoemIds(poemIdsInput.value);
+        }
 
-            // 不正解フィードバック（赤ハイライト）
-            uiRenderer.showIncorrectFeedback(cardElement)
-                .then(function () {
-                    // アニメーション完了後に操作を再開
-                    isProcessing = false;
-                });
+        var timeLimitSelect = document.getElementById('round-time-limit');
+        if (timeLimitSelect) {
+            options.roundTimeLimit = parseInt(timeLimitSelect.value, 10) || 0;
         }
+
+        options.revealInterval = readRevealInterval();
+
+        return options;
     }
 
     /**
-     * 次のラウンドに進む
-     * ゲーム終了判定を行い、継続の場合は次の読み札を表示する
+     * コンピューターの対戦相手の難易度を読み取る
+     * @returns {string|null} 難易度（CPU_DIFFICULTIES のキー、対戦相手なしの場合null）
      */
-    function advanceToNextRound() {
-        var continues = gameEngine.nextRound();
+    function readCpuLevel() {
+        var select = document.getElementById('cpu-level');
+        return select && select.value ? select.value : null;
+    }
 
-        if (continues) {
-            // ゲーム継続: 次の読み札を表示
-            var readingCard = gameEngine.getCurrentReadingCard();
-            uiRenderer.renderReadingCard(readingCard);
-            isProcessing = false;
-        } else {
-            // ゲーム終了: 終了画面を表示 (Req 5.3)
-            var finalScore = scoreManager.getScore();
-            uiRenderer.renderGameOver(finalScore);
-            isProcessing = false;
+    /**
+     * 上の句を1文字表示する間隔（読み上げの速さ）を読み取る
+     * @returns {number} 間隔（ミリ秒、0は一度に表示）
+     */
+    function readRevealInterval() {
+        var select = document.getElementById('reveal-interval');
+        return select ? parseInt(select.value, 10) || 0 : 0;
+    }
+
+    /**
+     * 数値入力欄の値を読み取る
+     * @param {string} id - 入力欄のID
+     * @returns {number|null} 入力値（空欄・要素がない場合はnull）
+     */
+    function readNumberInput(id) {
+        var input = document.getElementById(id);
+        if (!input || input.value.trim() === '') {
+            return null;
+        }
+        return parseInt(input.value, 10);
+    }
+
+    /**
+     * 歌番号の指定（例: 「1-20, 35」）を GameEngine の poemIds に変換する
+     * @param {string} text - カンマ区切りの歌番号または範囲
+     * @returns {Array<number|{ from: number, to: number }>} poemIds
+     * @throws {Error} 形式が正しくない場合
+     */
+    function parsePoemIds(text) {
+        return text.split(/[,、，\s]+/).filter(function (part) {
+            return part !== '';
+        }).map(function (part) {
+            var match = /^(\d+)(?:[-〜~](\d+))?$/.exec(part);
+            if (!match) {
+                throw new Error('歌番号の指定が正しくありません: ' + part);
+            }
+            var from = parseInt(match[1], 10);
+            return match[2] === undefined ? from : { from: from, to: parseInt(match[2], 10) };
+        });
+    }
+
+    /**
+     * スタート画面で選択された五色百人一首の色札を取得する
+     * @returns {string[]} 色のID配列（未選択の場合は空配列 = 全札）
+     */
+    function getSelectedColors() {
+        var checkboxes = document.querySelectorAll('input[name="deck-color"]:checked');
+        return Array.prototype.map.call(checkboxes, function (checkbox) {
+            return checkbox.value;
+        });
+    }
+
+    /**
+     * 現在の決まり字を再描画する
+     * 読まれた札に応じて決まり字が変化するため、ラウンドごとに呼び出す
+     */
+    function refreshKimariji() {
+        uiRenderer.renderKimariji(
+            gameEngine.getCurrentKimariji(),
+            gameEngine.getCurrentReadingCard()
+        );
+    }
+
+    /**
+     * 決まり字の表示・非表示を切り替える
+     */
+    function toggleKimariji() {
+        kimarijiVisible = !kimarijiVisible;
+        if (uiRenderer) {
+            uiRenderer.setKimarijiVisible(kimarijiVisible);
+        }
+
+        var toggleBtn = document.getElementById('kimariji-toggle-btn');
+        if (toggleBtn) {
+            toggleBtn.textContent = kimarijiVisible ? '決まり字を隠す' : '決まり字を表示';
         }
     }
 
@@ -166,7 +2519,112 @@
      * - 5.3: ゲーム終了画面に「もう一度プレイ」ボタンを表示する
      */
     function replayGame() {
-        startGame();
+        // 観戦の後はスタート画面に戻る
+        if (matchClient && matchState && matchState.spectating) {
+            backToStart();
+            return;
+        }
+        // ネットワーク対戦の後は新しい対戦相手を探す
+        if (matchClient) {
+            startOnlineMatch();
+            return;
+        }
+        // 授業用のクラスの後はスタート画面に戻る（次のクラスは先生が開く）
+        if (classroomClient) {
+            backToStart();
+            return;
+        }
+        // 同じ設定で新しい配置のゲームを始める（シードは新しく生成する）
+        if (lastGameSettings) {
+            var options = Object.assign({}, lastGameSettings.options);
+            delete options.seed;
+            launchGame(options, lastGameSettings.colors);
+        } else {
+            startGame();
+        }
+    }
+
+    /**
+     * 結果を送信し、順位とランキングを表示する
+     * 今日のチャレンジはその日のランキングに、それ以外のゲームは同じモード・札の枚数のランキングに送る
+     */
+    function submitResult() {
+        if (!gameEngine || !scoreManager || !lastGameSettings) {
+            return;
+        }
+
+        var nameInput = document.getElementById('daily-name');
+        var name = nameInput ? nameInput.value.trim() : '';
+        if (name === '') {
+            uiRenderer.showDailyMessage('名前を入力してください。');
+            return;
+        }
+
+        // スコアはサーバーが操作の記録を再生して計算し直すため、シード・設定・操作の記録を送る
+        var seed = gameEngine.getGameState().settings.seed;
+        var submission = {
+            name: name,
+            seed: seed,
+            options: Object.assign({}, lastGameSettings.options, { seed: seed }),
+            actions: actionLog,
+        };
+        if (dailyChallenge) {
+            submission.date = dailyChallenge.date;
+        } else {
+            submission.colors = lastGameSettings.colors || [];
+        }
+        fetch(dailyChallenge ? '/api/daily/results' : '/api/results', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission),
+        })
+            .then(function (response) {
+                return response.json().then(function (data) {
+                    if (!response.ok) {
+                        throw new Error(data.error || '結果の送信に失敗しました');
+                    }
+                    return data;
+                });
+            })
+            .then(function (data) {
+                uiRenderer.renderDailyRanking(data.ranking, {
+                    rank: data.rank,
+                    id: data.entry.id,
+                    label: dailyChallenge ? '今日の順位' : '同じ設定での順位',
+                });
+            })
+            .catch(function (error) {
+                uiRenderer.showDailyMessage(error.message);
+                console.error('結果の送信エラー:', error);
+            });
+    }
+
+    /**
+     * スタート画面に入力されたゲームコードでゲームを始める
+     */
+    function joinByCode() {
+        var input = document.getElementById('game-code-input');
+        if (input && input.value.trim() !== '') {
+            startSharedGame(input.value);
+        }
+    }
+
+    /**
+     * 現在のゲームを再現するURLをクリップボードにコピーする
+     */
+    function copyGameLink() {
+        var code = uiRenderer ? uiRenderer.getGameCode() : null;
+        if (!code) {
+            return;
+        }
+        var url = location.origin + location.pathname + '?game=' + encodeURIComponent(code);
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).catch(function (error) {
+                console.error('URLのコピーに失敗しました:', error);
+            });
+        } else {
+            window.prompt('このURLを共有してください', url);
+        }
     }
 
     /**
@@ -174,14 +2632,25 @@
      * @param {string} message - 表示するエラーメッセージ
      */
     function showError(message) {
+        stopRoundTimer();
+        updateResumeButton();
+
         var startScreen = document.getElementById('start-screen');
         var gameScreen = document.getElementById('game-screen');
         var gameOverScreen = document.getElementById('gameover-screen');
+        var bozuScreen = document.getElementById('bozu-screen');
+        var dokushuScreen = document.getElementById('dokushu-screen');
+        var classroomScreen = document.getElementById('classroom-screen');
+        var historyScreen = document.getElementById('history-screen');
 
         // すべての画面を非表示にしてスタート画面を表示
         if (startScreen) startScreen.style.display = '';
         if (gameScreen) gameScreen.style.display = 'none';
         if (gameOverScreen) gameOverScreen.style.display = 'none';
+        if (bozuScreen) bozuScreen.style.display = 'none';
+        if (dokushuScreen) dokushuScreen.style.display = 'none';
+        if (classroomScreen) classroomScreen.style.display = 'none';
+        if (historyScreen) historyScreen.style.display = 'none';
 
         // エラーメッセージを表示
         var startContent = startScreen ? startScreen.querySelector('.start-content') : null;
@@ -208,11 +2677,166 @@
             startBtn.addEventListener('click', startGame);
         }
 
+        // 今日のチャレンジボタン
+        var dailyBtn = document.getElementById('daily-btn');
+        if (dailyBtn) {
+            dailyBtn.addEventListener('click', startDailyChallenge);
+        }
+
+        // 結果の送信ボタン（今日のチャレンジ・ランキング）
+        var dailySubmitBtn = document.getElementById('daily-submit-btn');
+        if (dailySubmitBtn) {
+            dailySubmitBtn.addEventListener('click', submitResult);
+        }
+
+        // 保存したゲームの「続きから」ボタン
+        var resumeBtn = document.getElementById('resume-btn');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', resumeGame);
+        }
+        updateResumeButton();
+
+        // プレイヤーのプロフィール（選択・作成）と成績画面
+        var profileSelect = document.getElementById('profile-select');
+        if (profileSelect) {
+            profileSelect.addEventListener('change', applySelectedProfile);
+        }
+        var profileButtons = {
+            'profile-create-btn': createProfile,
+            'history-btn': showHistory,
+            'history-back-btn': backToStart,
+        };
+        Object.keys(profileButtons).forEach(function (id) {
+            var button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', profileButtons[id]);
+            }
+        });
+        var historyProfileSelect = document.getElementById('history-profile-select');
+        if (historyProfileSelect) {
+            historyProfileSelect.addEventListener('change', loadHistory);
+        }
+        setupProfiles();
+
+        // オンライン対戦ボタン
+        var onlineBtn = document.getElementById('online-btn');
+        if (onlineBtn) {
+            onlineBtn.addEventListener('click', startOnlineMatch);
+        }
+
+        // ネットワーク対戦の観戦ボタン
+        var watchBtn = document.getElementById('watch-btn');
+        if (watchBtn) {
+            watchBtn.addEventListener('click', showWatchableMatches);
+        }
+
+        // 授業用のクラスのボタン（生徒の参加・先生の画面の操作）
+        var classroomButtons = {
+            'classroom-join-btn': joinClassroom,
+            'classroom-host-btn': hostClassroom,
+            'classroom-start-btn': function () { sendClassroomCommand('start'); },
+            'classroom-next-btn': function () { sendClassroomCommand('next'); },
+            'classroom-end-btn': function () { sendClassroomCommand('end'); },
+            'classroom-back-btn': backToStart,
+        };
+        Object.keys(classroomButtons).forEach(function (id) {
+            var button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', classroomButtons[id]);
+            }
+        });
+
+        // ゲームコードで開始するボタン
+        var joinCodeBtn = document.getElementById('join-code-btn');
+        if (joinCodeBtn) {
+            joinCodeBtn.addEventListener('click', joinByCode);
+        }
+
+        // ゲームを再現するURLのコピーボタン
+        var copyLinkBtn = document.getElementById('copy-game-link-btn');
+        if (copyLinkBtn) {
+            copyLinkBtn.addEventListener('click', copyGameLink);
+        }
+
         // もう一度プレイボタン (Req 5.3)
         var replayBtn = document.getElementById('replay-btn');
         if (replayBtn) {
             replayBtn.addEventListener('click', replayGame);
         }
+
+        // 空札の見送りボタン
+        var passBtn = document.getElementById('pass-btn');
+        if (passBtn) {
+            passBtn.addEventListener('click', passRound);
+        }
+
+        // 決まり字の表示切り替えボタン
+        var kimarijiToggleBtn = document.getElementById('kimariji-toggle-btn');
+        if (kimarijiToggleBtn) {
+            kimarijiToggleBtn.addEventListener('click', toggleKimariji);
+        }
+
+        // 読み上げ（Web Speech API）の準備（モードに応じたオプション表示より先に行う）
+        setupReader();
+
+        // モード選択（坊主めくりのオプション表示）
+        var modeSelect = document.getElementById('mode-select');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', updateModeOptions);
+            updateModeOptions();
+        }
+
+        // 坊主めくりのボタン
+        var bozuDrawBtn = document.getElementById('bozu-draw-btn');
+        if (bozuDrawBtn) {
+            bozuDrawBtn.addEventListener('click', drawBozuCard);
+        }
+        var bozuReplayBtn = document.getElementById('bozu-replay-btn');
+        if (bozuReplayBtn) {
+            bozuReplayBtn.addEventListener('click', startBozuMekuri);
+        }
+        var bozuBackBtn = document.getElementById('bozu-back-btn');
+        if (bozuBackBtn) {
+            bozuBackBtn.addEventListener('click', backToStart);
+        }
+
+        // 読手モードのボタンとキーボード操作
+        var dokushuButtons = {
+            'dokushu-pause-btn': toggleDokushuPause,
+            'dokushu-repeat-btn': repeatDokushuCard,
+            'dokushu-next-btn': nextDokushuCard,
+            'dokushu-back-btn': backToStart,
+        };
+        Object.keys(dokushuButtons).forEach(function (id) {
+            var button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', dokushuButtons[id]);
+            }
+        });
+        document.addEventListener('keydown', handleDokushuKeydown);
+
+        // 2人対戦のキーボード操作と、2人対戦ではコンピューターの対戦相手を選べないようにする
+        document.addEventListener('keydown', handleHotSeatKeydown);
+        var hotSeatCheckbox = document.getElementById('hot-seat');
+        var cpuLevelSelect = document.getElementById('cpu-level');
+        if (hotSeatCheckbox && cpuLevelSelect) {
+            hotSeatCheckbox.addEventListener('change', function () {
+                cpuLevelSelect.disabled = hotSeatCheckbox.checked;
+            });
+        }
+
+        // URL に ?classroom=<コード> があれば（先生の画面の URL）、クラスのコードを入力しておく
+        var params = new URLSearchParams(location.search);
+        var classroomCodeInput = document.getElementById('classroom-code');
+        if (classroomCodeInput && params.get('classroom')) {
+            classroomCodeInput.value = params.get('classroom');
+        }
+
+        // URL に ?game=<コード> があれば、そのゲームをすぐに始める
+        var sharedCode = params.get('game');
+        if (sharedCode) {
+            startSharedGame(sharedCode);
+        }
     }
 
     // DOM読み込み完了後に初期化
@@ -0,0 +1,213 @@
+/**
+ * BozuMekuriGame - 坊主めくり（ぼうずめくり）のゲームロジック
+ *
+ * 責務:
+ * - 山札のシャッフル（GameEngine と同じ Fisher-Yates シャッフルを使用）
+ * - 2〜6人の手番の管理
+ * - 引いた札の種類（殿・姫・坊主・天皇・蝉丸）に応じたルールの適用
+ * - 勝者の判定
+ *
+ * 基本ルール:
+ * - 殿: 引いた札を自分の手札に加える
+ * - 坊主: 自分の手札と引いた札をすべて場に出す
+ * - 姫: 場の札と引いた札をすべてもらう
+ *
+ * ハウスルール（houseRules で切り替え）:
+ * - 蝉丸: 全員の手札と引いた札をすべて場に出す（無効時は坊主と同じ）
+ * - 天皇: 場の札と引いた札をすべてもらい、続けてもう1枚引く（無効時は殿と同じ）
+ */
+
+// シャッフルは GameEngine と共有する
+// （Node.js では require、ブラウザでは gameEngine.js が定義するグローバル関数を参照）
+const bozuShuffleModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./gameEngine')
+    : window;
+
+/**
+ * プレイヤー数の下限と上限
+ */
+const BOZU_MIN_PLAYERS = 2;
+const BOZU_MAX_PLAYERS = 6;
+
+/**
+ * ハウスルールの既定値
+ */
+const BOZU_DEFAULT_HOUSE_RULES = {
+    semimaru: true,
+    tenno: true,
+};
+
+class BozuMekuriGame {
+    /**
+     * @param {Poem[]} poems - 札の種類（category）を持つ歌データ配列
+     * @param {Object} [options] - オプション
+     * @param {{ semimaru: boolean, tenno: boolean }} [options.houseRules] - ハウスルールの有効・無効
+     */
+    constructor(poems, options = {}) {
+        if (!Array.isArray(poems) || poems.length === 0) {
+            throw new Error('poems must be a non-empty array');
+        }
+        this._allPoems = poems.slice();
+        this._houseRules = Object.assign({}, BOZU_DEFAULT_HOUSE_RULES, options.houseRules);
+        this._deck = [];            // 山札（先頭から引く）
+        this._fieldPile = [];       // 場に出された札
+        this._players = [];         // { name, pile }
+        this._currentPlayer = 0;    // 手番のプレイヤー番号
+        this._lastDraw = null;      // 直前に引いた札とその結果
+        this._gameOver = false;
+    }
+
+    /**
+     * ゲーム初期化: 山札をシャッフルし、プレイヤーの手札を空にする
+     * @param {string[]} playerNames - プレイヤー名の配列（2〜6人）
+     * @returns {BozuMekuriState} 初期化後のゲーム状態
+     */
+    initGame(playerNames) {
+        if (!Array.isArray(playerNames)
+            || playerNames.length < BOZU_MIN_PLAYERS || playerNames.length > BOZU_MAX_PLAYERS) {
+            throw new Error(`playerNames must contain ${BOZU_MIN_PLAYERS} to ${BOZU_MAX_PLAYERS} players`);
+        }
+
+        this._deck = bozuShuffleModule.fisherYatesShuffle(this._allPoems);
+        this._fieldPile = [];
+        this._players = playerNames.map((name) => ({ name: String(name), pile: [] }));
+        this._currentPlayer = 0;
+        this._lastDraw = null;
+        this._gameOver = false;
+
+        return this.getState();
+    }
+
+    /**
+     * 手番のプレイヤーが山札から1枚引き、札の種類に応じたルールを適用する
+     * 山札がなくなった時点でゲーム終了となる
+     * @returns {BozuDrawResult|null} 引いた札と結果（ゲーム終了後はnull）
+     */
+    drawCard() {
+        if (this._gameOver || this._deck.length === 0) {
+            return null;
+        }
+
+        const playerIndex = this._currentPlayer;
+        const player = this._players[playerIndex];
+        const card = this._deck.shift();
+        const effect = this._resolveEffect(card.category);
+        let extraTurn = false;
+
+        switch (effect) {
+            case 'bozu':
+                // 坊主: 自分の手札と引いた札を場に出す
+                this._fieldPile = this._fieldPile.concat(player.pile, [card]);
+                player.pile = [];
+                break;
+            case 'semimaru':
+                // 蝉丸: 全員の手札と引いた札を場に出す
+                this._players.forEach((p) => {
+                    this._fieldPile = this._fieldPile.concat(p.pile);
+                    p.pile = [];
+                });
+                this._fieldPile.push(card);
+                break;
+            case 'hime':
+                // 姫: 場の札と引いた札をもらう
+                player.pile = player.pile.concat(this._fieldPile, [card]);
+                this._fieldPile = [];
+                break;
+            case 'tenno':
+                // 天皇: 場の札と引いた札をもらい、もう1枚引く
+                player.pile = player.pile.concat(this._fieldPile, [card]);
+                this._fieldPile = [];
+                extraTurn = true;
+                break;
+            default:
+                // 殿: 引いた札を手札に加える
+                player.pile.push(card);
+                break;
+        }
+
+        if (this._deck.length === 0) {
+            this._gameOver = true;
+            extraTurn = false;
+        }
+
+        if (!extraTurn && !this._gameOver) {
+            this._currentPlayer = (this._currentPlayer + 1) % this._players.length;
+        }
+
+        this._lastDraw = {
+            card: card,
+            effect: effect,
+            playerIndex: playerIndex,
+            extraTurn: extraTurn,
+        };
+
+        return Object.assign({}, this._lastDraw);
+    }
+
+    /**
+     * 札の種類とハウスルールから適用する効果を決める
+     * @param {string} category - 札の種類
+     * @returns {string} 効果（'tono' | 'hime' | 'bozu' | 'tenno' | 'semimaru'）
+     * @private
+     */
+    _resolveEffect(category) {
+        if (category === 'semimaru') {
+            return this._houseRules.semimaru ? 'semimaru' : 'bozu';
+        }
+        if (category === 'tenno') {
+            return this._houseRules.tenno ? 'tenno' : 'tono';
+        }
+        if (category === 'hime' || category === 'bozu') {
+            return category;
+        }
+        return 'tono';
+    }
+
+    /**
+     * ゲーム終了判定を行う
+     * @returns {boolean} ゲームが終了している場合true
+     */
+    isGameOver() {
+        return this._gameOver;
+    }
+
+    /**
+     * 勝者を取得する（手札が最も多いプレイヤー。同数の場合は複数）
+     * @returns {number[]} 勝者のプレイヤー番号の配列（ゲーム終了前は空配列）
+     */
+    getWinners() {
+        if (!this._gameOver) {
+            return [];
+        }
+        const max = Math.max.apply(null, this._players.map((p) => p.pile.length));
+        return this._players
+            .map((p, index) => (p.pile.length === max ? index : -1))
+            .filter((index) => index !== -1);
+    }
+
+    /**
+     * ゲーム状態を取得する
+     * @returns {BozuMekuriState} 現在のゲーム状態
+     */
+    getState() {
+        return {
+            players: this._players.map((p) => ({ name: p.name, pileCount: p.pile.length })),
+            currentPlayer: this._currentPlayer,
+            deckCount: this._deck.length,
+            fieldCount: this._fieldPile.length,
+            lastDraw: this._lastDraw ? Object.assign({}, this._lastDraw) : null,
+            houseRules: Object.assign({}, this._houseRules),
+            isGameOver: this._gameOver,
+            winners: this.getWinners(),
+        };
+    }
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BozuMekuriGame, BOZU_MIN_PLAYERS, BOZU_MAX_PLAYERS };
+} else if (typeof window !== 'undefined') {
+    window.BozuMekuriGame = BozuMekuriGame;
+    window.BOZU_MIN_PLAYERS = BOZU_MIN_PLAYERS;
+    window.BOZU_MAX_PLAYERS = BOZU_MAX_PLAYERS;
+}
@@ -0,0 +1,223 @@
+/**
+ * CpuOpponent - コンピューターの対戦相手
+ *
+ * 責務:
+ * - 読みごとの取り時間の決定（難易度・読み札の決まり字の長さ・ばらつき）
+ * - 低い難易度でのお手つき
+ * - GameEngine のイベントに合わせた取りの予約と取り消し
+ *
+ * 札は人間のプレイヤーと同じ GameEngine.selectCard で取るため、
+ * コンピューターの方が速ければ人間はその札を取れない。
+ * 乱数は GameEngine と同じシード付きの乱数生成器を使い、同じシードからは同じ取り時間・お手つきになる。
+ *
+ * GameEngine.use に渡して登録する。
+ */
+
+// シード付きの乱数とゲームモードは GameEngine と共有する
+// （Node.js では require、ブラウザでは gameEngine.js が定義するグローバル関数を参照）
+const cpuEngineModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./gameEngine')
+    : window;
+
+/**
+ * 難易度ごとの取り時間とお手つきの設定
+ * 取り時間（ミリ秒）= reactionMs + 決まり字の文字数 × 1文字の時間 + 0〜spreadMs のばらつき
+ * - label: 表示名
+ * - reactionMs: 決まり字を聞き終えてから手が札に届くまでの時間
+ * - perCharMs: 1文字を聞き取る時間（上の句を1文字ずつ表示するゲームでは表示の間隔を使う）
+ * - spreadMs: 取り時間のばらつきの幅
+ * - foulRate: 1ラウンドにお手つきをする確率
+ */
+const CPU_DIFFICULTIES = {
+    // やさしい: 上の句をしっかり聞いてから取り、ときどきお手つきをする
+    easy: {
+        label: 'やさしい',
+        reactionMs: 2500,
+        perCharMs: 450,
+        spreadMs: 2000,
+        foulRate: 0.15,
+    },
+    // ふつう: 決まり字を聞いてから少し考えて取る
+    normal: {
+        label: 'ふつう',
+        reactionMs: 1200,
+        perCharMs: 350,
+        spreadMs: 1000,
+        foulRate: 0.05,
+    },
+    // A級: 決まり字を聞いた直後に取り、お手つきはしない
+    akyu: {
+        label: 'A級',
+        reactionMs: 350,
+        perCharMs: 250,
+        spreadMs: 250,
+        foulRate: 0,
+    },
+};
+
+class CpuOpponent {
+    /**
+     * @param {Object} [options] - オプション
+     * @param {string} [options.difficulty='normal'] - 難易度（CPU_DIFFICULTIES のキー）
+     * @param {number} [options.seed] - 乱数のシード（0〜4294967295の整数、省略時はランダム）
+     * @param {string} [options.side] - 札を取る側（省略時はゲームモードの2番目の side）
+     * @param {boolean} [options.waitForReading=false] - ラウンドの開始ではなく読み上げの開始（readingStart）から取り時間を計る
+     */
+    constructor(options = {}) {
+        const difficulty = options.difficulty || 'normal';
+        if (!Object.prototype.hasOwnProperty.call(CPU_DIFFICULTIES, difficulty)) {
+            throw new Error(`Unknown difficulty: ${difficulty}`);
+        }
+        const seed = options.seed === undefined ? cpuEngineModule.generateSeed() : options.seed;
+        if (!Number.isInteger(seed) || seed < 0 || seed > cpuEngineModule.MAX_SEED) {
+            throw new Error('seed must be an integer between 0 and 4294967295');
+        }
+        this._difficulty = difficulty;
+        this._profile = CPU_DIFFICULTIES[difficulty];
+        this._random = cpuEngineModule.createSeededRandom(seed);
+        this._sideOption = options.side || null;
+        this._side = this._sideOption;
+        this._waitForReading = Boolean(options.waitForReading);
+        this._engine = null;
+        this._timers = [];
+    }
+
+    /**
+     * 難易度を取得する
+     * @returns {string} 難易度（CPU_DIFFICULTIES のキー）
+     */
+    getDifficulty() {
+        return this._difficulty;
+    }
+
+    /**
+     * 札を取る側を取得する
+     * @returns {string|null} side（ゲーム開始前で side を指定していない場合null）
+     */
+    getSide() {
+        return this._side;
+    }
+
+    /**
+     * GameEngine に登録する（GameEngine.use から呼ばれる）
+     * - gameStart: 予約を取り消して札を取る側を決める。再開したゲームでは現在のラウンドを予約する
+     * - roundStart（waitForReading の場合は readingStart）: そのラウンドの取りを予約する
+     * - correct・roundEnd・gameOver: 予約を取り消す
+     * @param {GameEngine} engine - 登録先の GameEngine
+     */
+    install(engine) {
+        this._engine = engine;
+        engine.on('gameStart', (event) => {
+            this.cancel();
+            this._side = this._sideOption || cpuEngineModule.GAME_MODES[event.state.mode].sides[1];
+            if (event.restored && !this._waitForReading && !engine.isRoundTaken()) {
+                this._scheduleRound();
+            }
+        });
+        engine.on(this._waitForReading ? 'readingStart' : 'roundStart', () => this._scheduleRound());
+        ['correct', 'roundEnd', 'gameOver'].forEach((eventName) => {
+            engine.on(eventName, () => this.cancel());
+        });
+    }
+
+    /**
+     * 予約した取りとお手つきをすべて取り消す
+     */
+    cancel() {
+        this._timers.forEach((timer) => clearTimeout(timer));
+        this._timers = [];
+    }
+
+    /**
+     * 現在のラウンドの取り時間とお手つきを決める
+     * 空札（場にない札）のラウンドでは札を取らない（お手つきはありうる）
+     * @returns {{ poemId: number, takeMs: number|null, foul: { cardId: number, atMs: number }|null }|null}
+     *   poemId: 読み札 / takeMs: 読み始めから札を取るまでの時間（取らない場合null）/
+     *   foul: お手つきで触れる札とその時間（お手つきをしない場合null）。ゲームが終わっている場合null
+     */
+    planRound() {
+        const engine = this._engine;
+        const poem = engine.getCurrentReadingCard();
+        if (!poem) {
+            return null;
+        }
+
+        const profile = this._profile;
+        const kimariji = engine.getCurrentKimariji()[poem.id] || '';
+        const charMs = engine.getRevealInterval() > 0 ? engine.getRevealInterval() : profile.perCharMs;
+        const takeMs = Math.round(profile.reactionMs + Math.max(1, kimariji.length) * charMs
+            + this._random() * profile.spreadMs);
+
+        let foul = null;
+        if (this._random() < profile.foulRate) {
+            const candidates = this._getFoulCandidates(poem);
+            const atRatio = this._random();
+            const index = Math.floor(this._random() * candidates.length);
+            if (candidates.length > 0) {
+                // 札を取るより前に、誤った札に手を出す
+                foul = { cardId: candidates[index].id, atMs: Math.round(takeMs * atRatio) };
+            }
+        }
+
+        return {
+            poemId: poem.id,
+            takeMs: engine.isCurrentKarafuda() ? null : takeMs,
+            foul: foul,
+        };
+    }
+
+    /**
+     * お手つきで触れる札の候補を返す
+     * 陣地を持つモードでは、読まれた札のない陣の札（お手つきになる札）を候補にする
+     * @param {Poem} poem - 読み札
+     * @returns {Poem[]} 候補の札
+     * @private
+     */
+    _getFoulCandidates(poem) {
+        const engine = this._engine;
+        const state = engine.getGameState();
+        if (!state.territories) {
+            return state.remainingCards.filter((card) => card.id !== poem.id);
+        }
+        const targetSide = engine.getCardOwner(poem.id);
+        return state.remainingCards.filter((card) => card.id !== poem.id
+            && (targetSide === null || engine.getCardOwner(card.id) !== targetSide));
+    }
+
+    /**
+     * 現在のラウンドの取りとお手つきを予約する
+     * @private
+     */
+    _scheduleRound() {
+        this.cancel();
+        const plan = this.planRound();
+        if (!plan) {
+            return;
+        }
+
+        const engine = this._engine;
+        const select = (cardId) => {
+            // 予約の後にラウンドが進んだ、または札が取られた場合は何もしない
+            const current = engine.getCurrentReadingCard();
+            if (!current || current.id !== plan.poemId || engine.isRoundTaken()) {
+                return;
+            }
+            engine.selectCard(cardId, { side: this._side });
+        };
+
+        if (plan.foul) {
+            this._timers.push(setTimeout(() => select(plan.foul.cardId), plan.foul.atMs));
+        }
+        if (plan.takeMs !== null) {
+            this._timers.push(setTimeout(() => select(plan.poemId), plan.takeMs));
+        }
+    }
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CpuOpponent, CPU_DIFFICULTIES };
+} else if (typeof window !== 'undefined') {
+    window.CpuOpponent = CpuOpponent;
+    window.CPU_DIFFICULTIES = CPU_DIFFICULTIES;
+}
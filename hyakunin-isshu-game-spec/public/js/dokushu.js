@@ -0,0 +1,131 @@
+/**
+ * DokushuSession - 読手（どくしゅ）モードの読み順の管理
+ *
+ * 実物のかるたで遊ぶ間、端末が読手だけを務めるモード。場の札は持たない。
+ *
+ * 責務:
+ * - 読み順のシャッフル（GameEngine と同じシード付きの Fisher-Yates シャッフルを使用）
+ * - 読む枚数の指定（残りの札は読まれない札になる）
+ * - 読み終えた札の履歴（空札の確認用）
+ *
+ * 同じシードと同じ歌からは、通常モードのゲーム（場の札を絞らない場合）と同じ読み順になる。
+ * 序歌は読み札に含めず、start から最初の next までを序歌を読む段階として扱う。
+ */
+
+// シャッフルとシードは GameEngine と共有する
+// （Node.js では require、ブラウザでは gameEngine.js が定義するグローバル関数を参照）
+const dokushuShuffleModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./gameEngine')
+    : window;
+
+class DokushuSession {
+    /**
+     * @param {Poem[]} poems - 読む歌の候補
+     */
+    constructor(poems) {
+        if (!Array.isArray(poems) || poems.length === 0) {
+            throw new Error('poems must be a non-empty array');
+        }
+        this._allPoems = poems.slice();
+        this._readingOrder = [];   // 読み順
+        this._currentIndex = -1;   // 読んでいる札の位置（-1は序歌を読む段階）
+        this._seed = null;
+        this._finished = false;
+    }
+
+    /**
+     * 読み順を決めて読手モードを始める
+     * @param {Object} [options] - オプション
+     * @param {number} [options.seed] - シャッフルのシード（0〜4294967295の整数、省略時はランダム）
+     * @param {number} [options.readCount] - 読む枚数（省略時、または歌の数より多い場合はすべて）
+     * @returns {DokushuState} 開始時の状態（序歌を読む段階）
+     */
+    start(options = {}) {
+        const seed = options.seed === undefined || options.seed === null
+            ? dokushuShuffleModule.generateSeed()
+            : options.seed;
+        if (!Number.isInteger(seed) || seed < 0 || seed > dokushuShuffleModule.MAX_SEED) {
+            throw new Error('seed must be an integer between 0 and 4294967295');
+        }
+        const readCount = options.readCount === undefined || options.readCount === null
+            ? this._allPoems.length
+            : options.readCount;
+        if (!Number.isInteger(readCount) || readCount < 1) {
+            throw new Error('readCount must be a positive integer');
+        }
+
+        const random = dokushuShuffleModule.createSeededRandom(seed);
+        this._readingOrder = dokushuShuffleModule.fisherYatesShuffle(this._allPoems, random)
+            .slice(0, readCount);
+        this._currentIndex = -1;
+        this._seed = seed;
+        this._finished = false;
+        return this.getState();
+    }
+
+    /**
+     * 次の札に進む
+     * @returns {Poem|null} 次に読む札（すべて読み終えた場合null）
+     */
+    next() {
+        if (this._finished) {
+            return null;
+        }
+        this._currentIndex += 1;
+        if (this._currentIndex >= this._readingOrder.length) {
+            this._currentIndex = this._readingOrder.length;
+            this._finished = true;
+            return null;
+        }
+        return this._readingOrder[this._currentIndex];
+    }
+
+    /**
+     * 読んでいる札を取得する
+     * @returns {Poem|null} 読んでいる札（序歌を読む段階と、すべて読み終えた後はnull）
+     */
+    getCurrentPoem() {
+        if (this._currentIndex < 0 || this._finished) {
+            return null;
+        }
+        return this._readingOrder[this._currentIndex];
+    }
+
+    /**
+     * 読み終えた札を取得する（読んでいる札は含まない）
+     * @returns {Poem[]} 読み終えた札の配列（読んだ順）
+     */
+    getReadHistory() {
+        return this._readingOrder.slice(0, Math.max(0, this._currentIndex));
+    }
+
+    /**
+     * すべての札を読み終えたかを返す
+     * @returns {boolean} 読み終えた場合true
+     */
+    isFinished() {
+        return this._finished;
+    }
+
+    /**
+     * 状態を取得する
+     * @returns {DokushuState} 現在の状態
+     */
+    getState() {
+        return {
+            currentPoem: this.getCurrentPoem(),
+            currentRound: this._finished ? this._readingOrder.length : this._currentIndex + 1, // 0は序歌
+            totalRounds: this._readingOrder.length,
+            readHistory: this.getReadHistory(),
+            seed: this._seed,
+            isFinished: this._finished,
+        };
+    }
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DokushuSession };
+} else if (typeof window !== 'undefined') {
+    window.DokushuSession = DokushuSession;
+}
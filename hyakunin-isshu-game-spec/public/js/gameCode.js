@@ -0,0 +1,182 @@
+/**
+ * GameCode - ゲームを再現するための共有コード
+ *
+ * 責務:
+ * - シード・ゲームオプション・五色百人一首の色札を短い文字列（ゲームコード）に変換する
+ * - ゲームコードから同じゲームを作るためのオプションを復元する
+ *
+ * 同じゲームコードから初期化した GameEngine は、場の配置と読み順が完全に一致する。
+ * URL にそのまま載せられるよう、英数字と「.」「_」「-」だけを使う。
+ *
+ * 形式: <版>.<モード>.<シード>.<場の札>.<読む枚数>.<制限時間>.<色札>.<歌番号>
+ * - 数値は36進数。省略した項目（既定値）は空文字
+ * - 色札は各色の頭文字を連結する（例: 「bp」= 青と桃）
+ * - 歌番号は「_」区切り、範囲は「-」でつなぐ（例: 「1-k_z」= 1〜20と35）
+ */
+
+/**
+ * ゲームコードの形式の版
+ */
+const GAME_CODE_VERSION = '1';
+
+/**
+ * ゲームモードとコード上の1文字の対応
+ */
+const GAME_CODE_MODES = {
+    standard: 's',
+    competitive: 'c',
+    genpei: 'g',
+};
+
+/**
+ * 色札とコード上の1文字の対応
+ */
+const GAME_CODE_COLORS = {
+    blue: 'b',
+    pink: 'p',
+    yellow: 'y',
+    green: 'g',
+    orange: 'o',
+};
+
+/**
+ * 数値を36進数の文字列にする（未指定の場合は空文字）
+ * 小数や負の数は同じ値に戻せないため受け付けない
+ * @param {number} [value]
+ * @param {string} name - オプション名（エラーメッセージ用）
+ * @returns {string}
+ * @throws {Error} 0以上の整数でない場合
+ * @private
+ */
+function encodeNumber(value, name) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return value.toString(36);
+}
+
+/**
+ * 36進数の文字列を数値に戻す（空文字の場合は undefined）
+ * @param {string} text
+ * @returns {number|undefined}
+ * @private
+ */
+function decodeNumber(text) {
+    if (text === '') {
+        return undefined;
+    }
+    if (!/^[0-9a-z]+$/.test(text)) {
+        throw new Error('Invalid game code');
+    }
+    return parseInt(text, 36);
+}
+
+/**
+ * 対応表の値からキーを引く
+ * @param {Object<string, string>} table
+ * @param {string} code
+ * @returns {string|undefined}
+ * @private
+ */
+function findKey(table, code) {
+    return Object.keys(table).find((key) => table[key] === code);
+}
+
+/**
+ * ゲームオプションと色札をゲームコードに変換する
+ * @param {Object} options - GameEngine.initGame に渡したオプション（seed は必須）
+ * @param {string[]} [colors] - 五色百人一首の色札（未選択の場合は空配列）
+ * @returns {string} ゲームコード
+ */
+function encodeGameCode(options, colors = []) {
+    if (!options || !Number.isInteger(options.seed)) {
+        throw new Error('options.seed must be an integer');
+    }
+    const mode = GAME_CODE_MODES[options.mode || 'standard'];
+    if (!mode) {
+        throw new Error(`Unknown game mode: ${options.mode}`);
+    }
+
+    const colorCode = colors.map((color) => {
+        if (!GAME_CODE_COLORS[color]) {
+            throw new Error(`Unknown color: ${color}`);
+        }
+        return GAME_CODE_COLORS[color];
+    }).join('');
+
+    const poemIds = (options.poemIds || []).map((entry) => (
+        typeof entry === 'number'
+            ? encodeNumber(entry, 'poemIds')
+            : `${encodeNumber(entry.from, 'poemIds')}-${encodeNumber(entry.to, 'poemIds')}`
+    )).join('_');
+
+    return [
+        GAME_CODE_VERSION,
+        mode,
+        encodeNumber(options.seed, 'seed'),
+        encodeNumber(options.fieldCount, 'fieldCount'),
+        encodeNumber(options.readCount, 'readCount'),
+        options.roundTimeLimit === 0 ? '' : encodeNumber(options.roundTimeLimit, 'roundTimeLimit'),
+        colorCode,
+        poemIds,
+    ].join('.');
+}
+
+/**
+ * ゲームコードからゲームオプションと色札を復元する
+ * @param {string} code - ゲームコード
+ * @returns {{ options: Object, colors: string[] }} initGame に渡すオプションと色札
+ * @throws {Error} ゲームコードの形式が正しくない場合
+ */
+function decodeGameCode(code) {
+    const parts = typeof code === 'string' ? code.trim().split('.') : [];
+    if (parts.length !== 8 || parts[0] !== GAME_CODE_VERSION) {
+        throw new Error('Invalid game code');
+    }
+
+    const mode = findKey(GAME_CODE_MODES, parts[1]);
+    const colors = parts[6].split('').map((c) => findKey(GAME_CODE_COLORS, c));
+    if (!mode || colors.indexOf(undefined) !== -1 || parts[2] === '') {
+        throw new Error('Invalid game code');
+    }
+
+    const options = { mode: mode, seed: decodeNumber(parts[2]) };
+    const fieldCount = decodeNumber(parts[3]);
+    if (fieldCount !== undefined) {
+        options.fieldCount = fieldCount;
+    }
+    const readCount = decodeNumber(parts[4]);
+    if (readCount !== undefined) {
+        options.readCount = readCount;
+    }
+    const roundTimeLimit = decodeNumber(parts[5]);
+    if (roundTimeLimit !== undefined) {
+        options.roundTimeLimit = roundTimeLimit;
+    }
+    if (parts[7] !== '') {
+        options.poemIds = parts[7].split('_').map((entry) => {
+            const range = entry.split('-');
+            if (range.length === 1) {
+                return decodeNumber(range[0]);
+            }
+            if (range.length !== 2 || range[0] === '' || range[1] === '') {
+                throw new Error('Invalid game code');
+            }
+            return { from: decodeNumber(range[0]), to: decodeNumber(range[1]) };
+        });
+    }
+
+    return { options: options, colors: colors };
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeGameCode, decodeGameCode, GAME_CODE_VERSION };
+} else if (typeof window !== 'undefined') {
+    window.encodeGameCode = encodeGameCode;
+    window.decodeGameCode = decodeGameCode;
+    window.GAME_CODE_VERSION = GAME_CODE_VERSION;
+}
@@ -6,20 +6,45 @@
  * - 読み札の順序管理
  * - 取り札選択の正誤判定
  * - ゲーム進行の制御
+ * - 読まれた札の履歴と、それに応じて変化する決まり字の管理
+ * - 競技かるた・源平合戦モードの陣地管理（空札・お手つき・送り札）
+ * - シードによる再現可能なシャッフル（同じシードとオプションなら同じ配置・読み順になる）
+ * - 途中のゲームの保存と再開（serialize / restore）
+ * - 読み始めから札を取るまでの反応時間の記録
+ * - 上の句を1文字ずつ表示するゲームでの取りの速さ（速い・普通・遅い）の判定
+ * - ゲームの進行イベントの通知（on / off / use）。スコア・効果音・統計・自動保存などは
+ *   プラグインとしてイベントを購読し、ゲームの進行処理を変更せずに機能を追加できる
  *
  * Requirements: 2.1, 2.2, 3.1, 3.3, 4.1, 4.2
  */
 
+// 決まり字の計算は src/ と共有するモジュールに委譲する
+// （Node.js では require、ブラウザでは kimariji.js が定義するグローバル関数を参照）
+const kimarijiModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./kimariji')
+    : window;
+
+// 上の句の表示の進み方と取りの速さの判定は UIRenderer と共有する
+const revealModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./readingReveal')
+    : window;
+
+/**
+ * シードの上限（32ビット符号なし整数）
+ */
+const MAX_SEED = 0xFFFFFFFF;
+
 /**
  * Fisher-Yates シャッフルアルゴリズム
  * 配列をインプレースでランダムに並び替える
  * @param {Array} array - シャッフル対象の配列
+ * @param {function(): number} [random=Math.random] - 0以上1未満の乱数を返す関数
  * @returns {Array} シャッフルされた配列（同じ参照）
  */
-function fisherYatesShuffle(array) {
+function fisherYatesShuffle(array, random = Math.random) {
     const arr = array.slice(); // 元の配列を変更しないようコピー
     for (let i = arr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         const temp = arr[i];
         arr[i] = arr[j];
         arr[j] = temp;
@@ -27,22 +52,264 @@ function fisherYatesShuffle(array) {
     return arr;
 }
 
+/**
+ * シード付き乱数生成器を作る（mulberry32）
+ * 同じシードからは、どの環境でも同じ乱数列が得られる
+ * @param {number} seed - シード（0〜MAX_SEED の整数）
+ * @returns {function(): number} 0以上1未満の乱数を返す関数
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 新しいシードをランダムに生成する
+ * @returns {number} シード（0〜MAX_SEED の整数）
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * serialize が出力するスナップショットの形式の版
+ * 形式を変更した場合は値を上げ、restore で古い版を拒否する
+ */
+const GAME_SNAPSHOT_VERSION = 1;
+
+/**
+ * ゲームモードの定義
+ * - sides: 札を取る側（先頭がこの端末のプレイヤー）
+ * - territories: 陣地（自陣・敵陣）を持つかどうか
+ * - cardsPerSide: 陣地を持つモードで各陣に配る札の数
+ */
+const GAME_MODES = {
+    // 通常モード: 全札を場に並べ、全札を読む
+    standard: {
+        sides: ['player', 'opponent'],
+        territories: false,
+    },
+    // 競技かるた: 50枚を25枚ずつ自陣・敵陣に配り、100首すべてを読む（残り50首は空札）
+    competitive: {
+        sides: ['player', 'opponent'],
+        territories: true,
+        cardsPerSide: 25,
+    },
+    // 源平合戦: 100枚を50枚ずつ源氏・平氏の2チームに配り、各札はどちらかのチームが持つ
+    genpei: {
+        sides: ['genji', 'heike'],
+        territories: true,
+        cardsPerSide: 50,
+    },
+};
+
+/**
+ * GameEngine が通知するイベント
+ * - gameStart: ゲーム開始・再開時 { state: GameState, restored: boolean }
+ * - roundStart: ラウンド開始時 { round: number, totalRounds: number, poem: Poem, karafuda: boolean }
+ * - readingStart: 読み上げ音声などで読み始めを記録し直した時（startReading）{ round, poem }
+ * - correct: 札が取られた時 { round, poem, side, primary, takenFrom, sentCard, reactionMs, misses, timing }
+ * - incorrect: 誤った札に触れた時 { round, poem, cardId, side, primary, foul, penaltyCard, elapsedMs }
+ * - karafudaPassed: 空札のラウンドが終わった時 { round, poem }
+ * - roundEnd: ラウンド終了時 { round, poem, taken, discarded }
+ * - gameOver: ゲーム終了時 { state: GameState, winner: string|null }
+ *
+ * primary はこの端末のプレイヤー（モードの先頭の side）かどうかを表す。
+ * round は1始まりのラウンド番号。
+ * reactionMs・elapsedMs は読み始めからの経過時間（ミリ秒）、
+ * misses は札を取った側がそのラウンドで誤った札に触れた時の経過時間の配列。
+ * timing は取りの速さ（'fast' | 'normal' | 'slow'。上の句を1文字ずつ表示しないゲームではnull）。
+ */
+const GAME_EVENTS = [
+    'gameStart',
+    'roundStart',
+    'readingStart',
+    'correct',
+    'incorrect',
+    'karafudaPassed',
+    'roundEnd',
+    'gameOver',
+];
+
 class GameEngine {
     /**
      * @param {Poem[]} poems - 百人一首の歌データ配列
+     * @param {Object} [options] - オプション
+     * @param {function(): number} [options.now=Date.now] - 現在時刻（ミリ秒）を返す関数。反応時間の計測に使う
      */
-    constructor(poems) {
+    constructor(poems, options = {}) {
         if (!Array.isArray(poems) || poems.length === 0) {
             throw new Error('poems must be a non-empty array');
         }
+        if (options.now !== undefined && typeof options.now !== 'function') {
+            throw new Error('now must be a function');
+        }
+        this._now = options.now || Date.now;
         this._allPoems = poems.slice(); // 元データのコピーを保持
         this._remainingCards = [];      // 場に残っている取り札
         this._readingOrder = [];        // 読み札の出題順序
+        this._readHistory = [];         // 読み終わった札（読まれた順）
         this._currentRound = 0;        // 現在のラウンド番号（0始まり、表示時は+1）
         this._totalRounds = 0;         // 総ラウンド数
         this._score = 0;               // 正解スコア
         this._incorrectCount = 0;      // 不正解数
         this._gameOver = false;        // ゲーム終了フラグ
+        this._mode = 'standard';       // ゲームモード
+        this._cardSides = {};          // 陣地を持つモードでの各取り札の所属（歌ID → side）
+        this._sideStats = {};          // side ごとの取り札数・お手つき数
+        this._roundTaken = false;      // 現在のラウンドの札が取られたかどうか
+        this._roundFouls = [];         // 現在のラウンドでお手つきをした side
+        this._lastDiscarded = null;    // 直前のラウンドで誰にも取られず場から下げた札
+        this._poolPoems = this._allPoems.slice(); // このゲームで使う歌（poemIds で絞り込んだもの）
+        this._fieldCount = 0;          // ゲーム開始時に場に並べた札の枚数
+        this._roundTimeLimit = 0;      // 1ラウンドの制限時間（秒、0は時間切れなし）
+        this._seed = null;             // シャッフルに使ったシード
+        this._revealInterval = 0;      // 上の句を1文字表示する間隔（ミリ秒、0は一度に表示）
+        this._listeners = {};          // イベント名 → 購読している関数の配列
+        this._roundStartedAt = 0;      // 現在のラウンドの読み始めの時刻
+        this._roundMisses = [];        // 現在のラウンドで誤った札に触れた side と経過時間
+        this._reactionLog = [];        // 取られた札ごとの反応時間
+    }
+
+    // =========================================
+    // イベントとプラグイン
+    // =========================================
+
+    /**
+     * イベントを購読する
+     * @param {string} eventName - イベント名（GAME_EVENTS のいずれか）
+     * @param {function(Object): void} handler - イベントの内容を受け取る関数
+     * @returns {function(): void} 購読を解除する関数
+     */
+    on(eventName, handler) {
+        GameEngine._validateEventName(eventName);
+        if (typeof handler !== 'function') {
+            throw new Error('handler must be a function');
+        }
+        if (!this._listeners[eventName]) {
+            this._listeners[eventName] = [];
+        }
+        this._listeners[eventName].push(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * イベントの購読を解除する
+     * @param {string} eventName - イベント名
+     * @param {function(Object): void} handler - on で登録した関数
+     */
+    off(eventName, handler) {
+        GameEngine._validateEventName(eventName);
+        const handlers = this._listeners[eventName];
+        if (!handlers) {
+            return;
+        }
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * プラグインを登録する
+     * プラグインは GameEngine を受け取る関数、または install(engine) を持つオブジェクトで、
+     * on でイベントを購読して機能を追加する
+     * @param {function(GameEngine): void|{ install: function(GameEngine): void }} plugin - プラグイン
+     * @returns {GameEngine} この GameEngine（続けて use できる）
+     */
+    use(plugin) {
+        if (typeof plugin === 'function') {
+            plugin(this);
+        } else if (plugin && typeof plugin.install === 'function') {
+            plugin.install(this);
+        } else {
+            throw new Error('plugin must be a function or an object with install()');
+        }
+        return this;
+    }
+
+    /**
+     * イベント名を検証する
+     * @param {string} eventName - イベント名
+     * @private
+     */
+    static _validateEventName(eventName) {
+        if (GAME_EVENTS.indexOf(eventName) === -1) {
+            throw new Error(`Unknown game event: ${eventName}`);
+        }
+    }
+
+    /**
+     * イベントを購読している関数を呼び出す
+     * 購読側の例外でゲームの進行が止まらないよう、例外はログに出して続行する
+     * @param {string} eventName - イベント名
+     * @param {Object} payload - イベントの内容
+     * @private
+     */
+    _emit(eventName, payload) {
+        const handlers = this._listeners[eventName];
+        if (!handlers) {
+            return;
+        }
+        handlers.slice().forEach((handler) => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in ${eventName} handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * 現在のラウンドの開始を通知する
+     * @private
+     */
+    _emitRoundStart() {
+        this._emit('roundStart', {
+            round: this._currentRound + 1,
+            totalRounds: this._totalRounds,
+            poem: this.getCurrentReadingCard(),
+            karafuda: this.isCurrentKarafuda(),
+        });
+    }
+
+    /**
+     * 札の選択結果を通知する
+     * @param {number} cardId - 選択された取り札のID
+     * @param {SelectResult} result - 判定結果
+     * @param {number} elapsedMs - 読み始めからの経過時間（ミリ秒）
+     * @private
+     */
+    _emitSelectResult(cardId, result, elapsedMs) {
+        const common = {
+            round: this._currentRound + 1,
+            poem: result.correctCard,
+            side: result.side,
+            primary: result.side === GAME_MODES[this._mode].sides[0],
+        };
+        if (result.correct) {
+            const reaction = this._reactionLog[this._reactionLog.length - 1];
+            this._emit('correct', Object.assign(common, {
+                takenFrom: result.takenFrom,
+                sentCard: result.sentCard,
+                reactionMs: reaction.reactionMs,
+                misses: reaction.misses.slice(),
+                timing: reaction.timing,
+            }));
+        } else {
+            this._emit('incorrect', Object.assign(common, {
+                cardId: cardId,
+                foul: result.foul,
+                penaltyCard: result.penaltyCard,
+                elapsedMs: elapsedMs,
+            }));
+        }
     }
 
     /**
@@ -50,21 +317,161 @@ class GameEngine {
      * - 100首からランダムに選択した歌の取り札をGame_Fieldに配置する (Req 2.1)
      * - 取り札をランダムな順序でGame_Fieldに配置する (Req 2.2)
      * - スコアを0に設定する
+     *
+     * 競技かるたモードでは全首をシャッフルして読み、そのうち50枚を
+     * 25枚ずつ自陣・敵陣に配る。場にない札が読まれた場合は空札となる。
+     * 源平合戦モードでは100枚を50枚ずつ源氏・平氏のチームに配る。
+     *
+     * 短い時間で遊べるよう、使う歌・場の札の枚数・読む枚数を指定できる。
+     * 読む札は場の札を優先して選び、残りを空札で埋める。
+     *
+     * シャッフルはシード付き乱数で行うため、同じ歌データ・シード・オプションからは
+     * 同じ場の配置と読み順が再現される。シードを省略した場合は新しく生成する。
+     *
+     * @param {Object} [options] - ゲームオプション
+     * @param {string} [options.mode='standard'] - ゲームモード（'standard' | 'competitive' | 'genpei'）
+     * @param {Array<number|{ from: number, to: number }>} [options.poemIds] - 使う歌のIDまたはIDの範囲（省略時は全首）
+     * @param {number} [options.fieldCount] - 場に並べる札の枚数（省略時はモードの既定値。陣地を持つモードでは各陣に等分する）
+     * @param {number} [options.readCount] - 読む札の枚数（空札を含む。省略時は通常モードでは場の札の枚数、陣地を持つモードでは全首）
+     * @param {number} [options.roundTimeLimit=0] - 1ラウンドの制限時間（秒）。0の場合は時間切れなし
+     * @param {number} [options.seed] - シャッフルのシード（0〜4294967295の整数、省略時はランダム）
+     * @param {number} [options.revealInterval=0] - 上の句を1文字表示する間隔（ミリ秒）。
+     *   0より大きい場合は札を取った時点の表示文字数から取りの速さを判定する
+     * @returns {GameState} 初期化後のゲーム状態
      */
-    initGame() {
+    initGame(options = {}) {
+        const mode = options.mode || 'standard';
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, mode)) {
+            throw new Error(`Unknown game mode: ${mode}`);
+        }
+        const modeConfig = GAME_MODES[mode];
+        const pool = this._selectPoems(options.poemIds);
+        const fieldCount = GameEngine._validateCount(options.fieldCount, 'fieldCount');
+        const readCount = GameEngine._validateCount(options.readCount, 'readCount');
+        const roundTimeLimit = options.roundTimeLimit === undefined ? 0 : options.roundTimeLimit;
+        if (typeof roundTimeLimit !== 'number' || !Number.isFinite(roundTimeLimit) || roundTimeLimit < 0) {
+            throw new Error('roundTimeLimit must be a non-negative number');
+        }
+        const revealInterval = options.revealInterval === undefined ? 0 : options.revealInterval;
+        if (typeof revealInterval !== 'number' || !Number.isFinite(revealInterval) || revealInterval < 0) {
+            throw new Error('revealInterval must be a non-negative number');
+        }
+        const seed = options.seed === undefined ? generateSeed() : options.seed;
+        if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+            throw new Error('seed must be an integer between 0 and 4294967295');
+        }
+        this._mode = mode;
+        this._roundTimeLimit = roundTimeLimit;
+        this._revealInterval = revealInterval;
+        this._seed = seed;
+        const random = createSeededRandom(seed);
+
         // 読み札の出題順序をシャッフルで決定
-        this._readingOrder = fisherYatesShuffle(this._allPoems);
+        let readingOrder = fisherYatesShuffle(pool, random);
 
         // 場に配置する取り札もシャッフル（表示順序のランダム化）
-        this._remainingCards = fisherYatesShuffle(this._allPoems);
+        const fieldCards = fisherYatesShuffle(pool, random);
+        this._cardSides = {};
+
+        if (modeConfig.territories) {
+            // 各陣に同じ枚数を配る（歌が足りない場合は配れるだけ配る）
+            const perSide = Math.min(
+                fieldCount === undefined ? modeConfig.cardsPerSide : Math.floor(fieldCount / modeConfig.sides.length),
+                Math.floor(fieldCards.length / modeConfig.sides.length)
+            );
+            this._remainingCards = fieldCards.slice(0, perSide * modeConfig.sides.length);
+            this._remainingCards.forEach((card, index) => {
+                this._cardSides[card.id] = modeConfig.sides[Math.floor(index / perSide)];
+            });
+        } else {
+            this._remainingCards = fieldCount === undefined ? fieldCards : fieldCards.slice(0, fieldCount);
+        }
+
+        // 読む枚数を絞る場合は場の札を優先し、足りない分を空札で埋める
+        const totalReads = Math.min(
+            readCount === undefined
+                ? (modeConfig.territories ? pool.length : this._remainingCards.length)
+                : readCount,
+            pool.length
+        );
+        if (totalReads < readingOrder.length) {
+            const fieldIds = new Set(this._remainingCards.map((card) => card.id));
+            const karafudaIds = new Set(readingOrder
+                .filter((poem) => !fieldIds.has(poem.id))
+                .slice(0, Math.max(0, totalReads - fieldIds.size))
+                .map((poem) => poem.id));
+            readingOrder = readingOrder
+                .filter((poem) => fieldIds.has(poem.id) || karafudaIds.has(poem.id))
+                .slice(0, totalReads);
+        }
+        this._readingOrder = readingOrder;
+        this._poolPoems = pool;
+        this._fieldCount = this._remainingCards.length;
+
+        this._sideStats = {};
+        modeConfig.sides.forEach((side) => {
+            this._sideStats[side] = { taken: 0, fouls: 0 };
+        });
 
         this._totalRounds = this._readingOrder.length;
+        this._readHistory = [];
         this._currentRound = 0;
         this._score = 0;
         this._incorrectCount = 0;
         this._gameOver = false;
+        this._roundTaken = false;
+        this._roundFouls = [];
+        this._lastDiscarded = null;
+        this._reactionLog = [];
+        this._startRoundClock();
+
+        const state = this.getGameState();
+        this._emit('gameStart', { state: state, restored: false });
+        this._emitRoundStart();
+        return state;
+    }
+
+    /**
+     * ゲームで使う歌を選ぶ
+     * @param {Array<number|{ from: number, to: number }>} [poemIds] - 歌のIDまたはIDの範囲
+     * @returns {Poem[]} 使う歌の配列（指定がない場合は全首）
+     * @private
+     */
+    _selectPoems(poemIds) {
+        if (poemIds === undefined || poemIds === null) {
+            return this._allPoems.slice();
+        }
+
+        const isRange = (entry) => entry !== null && typeof entry === 'object'
+            && Number.isInteger(entry.from) && Number.isInteger(entry.to);
+        if (!Array.isArray(poemIds) || !poemIds.every((entry) => Number.isInteger(entry) || isRange(entry))) {
+            throw new Error('poemIds must be an array of poem IDs or { from, to } ranges');
+        }
 
-        return this.getGameState();
+        const selected = this._allPoems.filter((poem) => poemIds.some((entry) => (
+            isRange(entry) ? poem.id >= entry.from && poem.id <= entry.to : poem.id === entry
+        )));
+        if (selected.length === 0) {
+            throw new Error('poemIds did not match any poem');
+        }
+        return selected;
+    }
+
+    /**
+     * 枚数の指定を検証する
+     * @param {*} value - 指定値
+     * @param {string} name - オプション名（エラーメッセージ用）
+     * @returns {number|undefined} 枚数（指定がない場合undefined）
+     * @private
+     */
+    static _validateCount(value, name) {
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`${name} must be a positive integer`);
+        }
+        return value;
     }
 
     /**
@@ -83,10 +490,20 @@ class GameEngine {
      * 取り札の選択を判定する
      * - 正しい取り札の場合: スコアを1加算し、取り札をGame_Fieldから除去する (Req 4.1)
      * - 誤った取り札の場合: 誤りであることをフィードバックし、スコアを変更しない (Req 4.2)
+     *
+     * 競技かるた・源平合戦モードでは公式ルールに従う:
+     * - 敵陣の札を取った場合、自陣の札を1枚相手に送る（送り札）
+     * - 空札で札に触れた場合、または読まれた札がない陣の札に触れた場合はお手つき。
+     *   相手から札を1枚送られる（1ラウンドにつき1回まで）
+     * - 読まれた札がある陣の別の札に触れてもお手つきにはならない
+     *
      * @param {number} cardId - 選択された取り札のID
-     * @returns {{ correct: boolean, correctCard: Poem }} 判定結果
+     * @param {Object} [options] - 選択オプション
+     * @param {string} [options.side] - 札を取った側（省略時はこの端末のプレイヤー）
+     * @param {number} [options.sendCardId] - 敵陣の札を取った場合に送る自陣の札のID
+     * @returns {SelectResult} 判定結果
      */
-    selectCard(cardId) {
+    selectCard(cardId, options = {}) {
         if (this._gameOver) {
             return { correct: false, correctCard: null };
         }
@@ -96,46 +513,540 @@ class GameEngine {
             return { correct: false, correctCard: null };
         }
 
+        const modeConfig = GAME_MODES[this._mode];
+        const side = options.side || modeConfig.sides[0];
+        if (!this._sideStats[side]) {
+            throw new Error(`Unknown side: ${side}`);
+        }
+
+        const result = {
+            correct: false,
+            correctCard: currentPoem,
+            side: side,
+            foul: false,
+            takenFrom: null,
+            sentCard: null,
+            penaltyCard: null,
+        };
+
+        // すでに取られた札は取れない
+        if (this._roundTaken) {
+            return result;
+        }
+
+        const elapsedMs = Math.max(0, this._now() - this._roundStartedAt);
+
+        if (modeConfig.territories) {
+            return this._selectTerritoryCard(cardId, side, options, result, elapsedMs);
+        }
+
         const isCorrect = cardId === currentPoem.id;
 
         if (isCorrect) {
             // 正解: スコア加算 + 取り札を場から除去
-            this._score += 1;
+            this._recordTake(side, elapsedMs);
             this._remainingCards = this._remainingCards.filter(
                 (card) => card.id !== cardId
             );
         } else {
             // 不正解: スコア変更なし、不正解数を記録
+            this._recordMiss(side, elapsedMs);
+        }
+
+        result.correct = isCorrect;
+        this._emitSelectResult(cardId, result, elapsedMs);
+        return result;
+    }
+
+    /**
+     * 陣地を持つモードで取り札の選択を判定する
+     * @param {number} cardId - 選択された取り札のID
+     * @param {string} side - 札を取った側
+     * @param {Object} options - selectCard のオプション
+     * @param {SelectResult} result - 判定結果（このメソッドで埋める）
+     * @param {number} elapsedMs - 読み始めからの経過時間（ミリ秒）
+     * @returns {SelectResult} 判定結果
+     * @private
+     */
+    _selectTerritoryCard(cardId, side, options, result, elapsedMs) {
+        const currentPoem = result.correctCard;
+        const touchedSide = this.getCardOwner(cardId);
+
+        // 場にない札には触れられない
+        if (touchedSide === null) {
+            return result;
+        }
+
+        if (cardId === currentPoem.id) {
+            // 正解: 札を場から除去する
+            result.correct = true;
+            result.takenFrom = touchedSide;
+            this._recordTake(side, elapsedMs);
+            this._removeFromField(cardId);
+
+            // 敵陣の札を取った場合は自陣の札を1枚送る（送り札）
+            if (touchedSide !== side) {
+                result.sentCard = this._transferCard(side, touchedSide, options.sendCardId);
+            }
+            this._emitSelectResult(cardId, result, elapsedMs);
+            return result;
+        }
+
+        const targetSide = this.getCardOwner(currentPoem.id);
+        this._recordMiss(side, elapsedMs);
+
+        // 空札、または読まれた札がない陣に触れた場合はお手つき
+        if (targetSide === null || targetSide !== touchedSide) {
+            result.foul = true;
+
+            // 罰として相手から札を1枚受け取る（同じラウンドでは1回まで）
+            if (this._roundFouls.indexOf(side) === -1) {
+                this._roundFouls.push(side);
+                this._sideStats[side].fouls += 1;
+                const giver = this._getOpponentSide(side);
+                result.penaltyCard = this._transferCard(giver, side);
+            }
+        }
+
+        this._emitSelectResult(cardId, result, elapsedMs);
+        return result;
+    }
+
+    /**
+     * 札を取ったことと、その反応時間を記録する
+     * @param {string} side - 札を取った側
+     * @param {number} elapsedMs - 読み始めからの経過時間（ミリ秒）
+     * @private
+     */
+    _recordTake(side, elapsedMs) {
+        this._roundTaken = true;
+        this._sideStats[side].taken += 1;
+        if (side === GAME_MODES[this._mode].sides[0]) {
+            this._score += 1;
+        }
+        const poem = this.getCurrentReadingCard();
+        this._reactionLog.push({
+            poemId: poem.id,
+            side: side,
+            reactionMs: elapsedMs,
+            misses: this._roundMisses
+                .filter((miss) => miss.side === side)
+                .map((miss) => miss.elapsedMs),
+            timing: this._classifyTiming(poem, elapsedMs),
+        });
+    }
+
+    /**
+     * 札を取った時点の取りの速さを判定する
+     * 決まり字は読まれていない札に対するもの（友札が読まれて短くなった決まり字）を使う
+     * @param {Poem} poem - 取られた札
+     * @param {number} elapsedMs - 読み始めからの経過時間（ミリ秒）
+     * @returns {string|null} 取りの速さ（上の句を1文字ずつ表示しないゲームではnull）
+     * @private
+     */
+    _classifyTiming(poem, elapsedMs) {
+        if (!(this._revealInterval > 0)) {
+            return null;
+        }
+        const totalLength = kimarijiModule.getUpperReading(poem).length;
+        const kimariji = this.getCurrentKimariji()[poem.id] || '';
+        return revealModule.classifyTakeTiming(
+            revealModule.getRevealedLength(elapsedMs, this._revealInterval, totalLength),
+            kimariji.length,
+            totalLength
+        );
+    }
+
+    /**
+     * 上の句を1文字表示する間隔を取得する
+     * @returns {number} 間隔（ミリ秒）。0の場合は一度に表示する
+     */
+    getRevealInterval() {
+        return this._revealInterval;
+    }
+
+    /**
+     * 誤った札に触れたことを記録する
+     * @param {string} side - 札に触れた側
+     * @param {number} elapsedMs - 読み始めからの経過時間（ミリ秒）
+     * @private
+     */
+    _recordMiss(side, elapsedMs) {
+        this._roundMisses.push({ side: side, elapsedMs: elapsedMs });
+        if (side === GAME_MODES[this._mode].sides[0]) {
             this._incorrectCount += 1;
         }
+    }
 
-        return {
-            correct: isCorrect,
-            correctCard: currentPoem,
-        };
+    /**
+     * 現在のラウンドの読み始めの時刻を記録する
+     * @private
+     */
+    _startRoundClock() {
+        this._roundStartedAt = this._now();
+        this._roundMisses = [];
+    }
+
+    /**
+     * 現在の読み札の読み始めを記録し直す
+     * 読み上げ音声のように、ラウンドの開始より後に読み始める場合に呼ぶ。
+     * 反応時間と取りの速さはこの時点から計る
+     */
+    startReading() {
+        this._startRoundClock();
+        const poem = this.getCurrentReadingCard();
+        if (poem) {
+            this._emit('readingStart', { round: this._currentRound + 1, poem: poem });
+        }
+    }
+
+    /**
+     * 取られた札ごとの反応時間を取得する
+     * @returns {Array<{ poemId: number, side: string, reactionMs: number, misses: number[], timing: string|null }>}
+     *   取られた順の記録（misses は札を取った側が先に誤った札に触れた時の経過時間、timing は取りの速さ）
+     */
+    getReactionLog() {
+        return this._reactionLog.map((entry) => Object.assign({}, entry, { misses: entry.misses.slice() }));
+    }
+
+    /**
+     * 取り札を場から除去する
+     * @param {number} cardId - 除去する取り札のID
+     * @private
+     */
+    _removeFromField(cardId) {
+        this._remainingCards = this._remainingCards.filter((card) => card.id !== cardId);
+        delete this._cardSides[cardId];
+    }
+
+    /**
+     * 相手側の side を返す
+     * @param {string} side - 基準となる side
+     * @returns {string} 相手側の side
+     * @private
+     */
+    _getOpponentSide(side) {
+        const sides = GAME_MODES[this._mode].sides;
+        return sides[(sides.indexOf(side) + 1) % sides.length];
+    }
+
+    /**
+     * 札を一方の陣から他方の陣へ送る
+     * 送る札の指定がない、または指定した札が送り手の陣にない場合は陣の先頭の札を送る
+     * @param {string} from - 送る側
+     * @param {string} to - 受け取る側
+     * @param {number} [cardId] - 送る札のID
+     * @returns {{ card: Poem, from: string, to: string }|null} 送った札（送れる札がない場合null）
+     * @private
+     */
+    _transferCard(from, to, cardId) {
+        const territory = this.getTerritory(from);
+        if (territory.length === 0) {
+            return null;
+        }
+
+        const card = territory.find((c) => c.id === cardId) || territory[0];
+        this._cardSides[card.id] = to;
+        return { card: card, from: from, to: to };
     }
 
     /**
      * 次のラウンドに進む
      * 現在のラウンド終了後、次の読み札に自動的に進む (Req 3.3)
+     *
+     * 陣地を持つモードでは、誰にも取られなかった札は持ち主の陣から下げる。
+     * いずれかの陣が空になった時点でゲーム終了となる。
+     * ラウンドの終了（空札の場合は karafudaPassed も）に続けて、
+     * 次のラウンドの roundStart またはゲームの gameOver を通知する。
+     *
      * @returns {boolean} 次のラウンドに進めた場合true、ゲーム終了の場合false
      */
     nextRound() {
+        return this._advanceRound(GAME_MODES[this._mode].territories);
+    }
+
+    /**
+     * 誰も札を取らずに次のラウンドに進む（空札の見送りなど）
+     * 読まれた札が場に残っている場合は、どのモードでも場から下げる
+     * @returns {{ continues: boolean, discarded: { card: Poem, side: string|null }|null }}
+     *   continues: 次のラウンドに進めた場合true / discarded: 取られずに場から下げた札
+     */
+    passRound() {
+        const continues = this._advanceRound(true);
+        return { continues: continues, discarded: this._lastDiscarded };
+    }
+
+    /**
+     * 制限時間切れで次のラウンドに進む
+     * 誰も札を取らなかったものとして扱う（passRound と同じ）
+     * @returns {{ continues: boolean, discarded: { card: Poem, side: string|null }|null }}
+     */
+    timeoutRound() {
+        if (!(this._roundTimeLimit > 0)) {
+            throw new Error('Round timeout is not enabled');
+        }
+        return this.passRound();
+    }
+
+    /**
+     * 1ラウンドの制限時間を取得する
+     * @returns {number} 制限時間（秒）。0の場合は時間切れなし
+     */
+    getRoundTimeLimit() {
+        return this._roundTimeLimit;
+    }
+
+    /**
+     * ラウンドを1つ進める
+     * @param {boolean} discardUnclaimed - 誰にも取られなかった読み札を場から下げるかどうか
+     * @returns {boolean} 次のラウンドに進めた場合true、ゲーム終了の場合false
+     * @private
+     */
+    _advanceRound(discardUnclaimed) {
         if (this._gameOver) {
             return false;
         }
 
+        // 読み終わった札を履歴に追加する
+        const finishedPoem = this.getCurrentReadingCard();
+        const finishedRound = this._currentRound + 1;
+        const taken = this._roundTaken;
+        const wasKarafuda = finishedPoem !== null && !taken && !this._isOnField(finishedPoem.id);
+        if (finishedPoem) {
+            this._readHistory.push(finishedPoem);
+        }
+
+        // 誰にも取られなかった札を場から下げる
+        this._lastDiscarded = null;
+        const modeConfig = GAME_MODES[this._mode];
+        if (discardUnclaimed && finishedPoem && this._isOnField(finishedPoem.id)) {
+            this._lastDiscarded = { card: finishedPoem, side: this.getCardOwner(finishedPoem.id) };
+            this._removeFromField(finishedPoem.id);
+        }
+
         this._currentRound += 1;
+        this._roundTaken = false;
+        this._roundFouls = [];
+        this._startRoundClock();
 
         // すべてのラウンドが終了、またはすべての取り札が除去された場合
-        if (this._currentRound >= this._totalRounds || this._remainingCards.length === 0) {
-            this._gameOver = true;
+        // 陣地を持つモードでは、いずれかの陣が空になった場合もゲーム終了
+        this._gameOver = this._currentRound >= this._totalRounds
+            || this._remainingCards.length === 0
+            || (modeConfig.territories && modeConfig.sides.some((side) => this.getTerritory(side).length === 0));
+
+        if (wasKarafuda) {
+            this._emit('karafudaPassed', { round: finishedRound, poem: finishedPoem });
+        }
+        this._emit('roundEnd', {
+            round: finishedRound,
+            poem: finishedPoem,
+            taken: taken,
+            discarded: this._lastDiscarded,
+        });
+
+        if (this._gameOver) {
+            this._emit('gameOver', { state: this.getGameState(), winner: this.getWinner() });
             return false;
         }
 
+        this._emitRoundStart();
         return true;
     }
 
+    /**
+     * 取り札が場にあるかどうかを返す
+     * @param {number} cardId - 取り札のID
+     * @returns {boolean} 場にある場合true
+     * @private
+     */
+    _isOnField(cardId) {
+        return this._remainingCards.some((card) => card.id === cardId);
+    }
+
+    /**
+     * 現在の読み札が空札（場にない札）かどうかを返す
+     * @returns {boolean} 空札の場合true
+     */
+    isCurrentKarafuda() {
+        const currentPoem = this.getCurrentReadingCard();
+        if (!currentPoem) {
+            return false;
+        }
+        return !this._isOnField(currentPoem.id);
+    }
+
+    /**
+     * 指定した側の陣にある取り札を取得する
+     * 陣地を持たないモードでは空配列を返す
+     * @param {string} side - 陣の持ち主
+     * @returns {Poem[]} 陣にある取り札の配列（コピー）
+     */
+    getTerritory(side) {
+        return this._remainingCards.filter((card) => this._cardSides[card.id] === side);
+    }
+
+    /**
+     * 取り札を持っている側（陣・チーム）を取得する
+     * @param {number} cardId - 取り札のID
+     * @returns {string|null} 札の持ち主（場にない札・陣地のないモードではnull）
+     */
+    getCardOwner(cardId) {
+        return this._cardSides[cardId] || null;
+    }
+
+    /**
+     * 勝者を取得する
+     * 陣地を持つモードで、陣の札が先になくなった側（読み終わった場合は残りが少ない側）が勝ち
+     * @returns {string|null} 勝った side（未決着・引き分け・陣地のないモードではnull）
+     */
+    getWinner() {
+        const modeConfig = GAME_MODES[this._mode];
+        if (!modeConfig.territories || !this._gameOver) {
+            return null;
+        }
+
+        const counts = modeConfig.sides.map((side) => this.getTerritory(side).length);
+        const min = Math.min.apply(null, counts);
+        const leaders = modeConfig.sides.filter((side, index) => counts[index] === min);
+        return leaders.length === 1 ? leaders[0] : null;
+    }
+
+    /**
+     * 読み終わった札の履歴を取得する
+     * @returns {Poem[]} 読まれた順の歌データ配列（コピー）
+     */
+    getReadHistory() {
+        return this._readHistory.slice();
+    }
+
+    /**
+     * 現在の決まり字を取得する
+     * 友札が読まれると決まり字は短くなるため、まだ読まれていない札だけを対象に計算する。
+     * 場に残っている取り札と現在の読み札の決まり字を返す
+     * @returns {Object<number, string>} 歌IDをキー、決まり字を値とするオブジェクト
+     */
+    getCurrentKimariji() {
+        const readIds = new Set(this._readHistory.map((poem) => poem.id));
+        const unreadPoems = this._poolPoems.filter((poem) => !readIds.has(poem.id));
+        const kimariji = kimarijiModule.computeKimariji(unreadPoems);
+
+        const result = {};
+        const inPlay = this._remainingCards.slice();
+        const currentPoem = this.getCurrentReadingCard();
+        if (currentPoem) {
+            inPlay.push(currentPoem);
+        }
+        inPlay.forEach((poem) => {
+            if (kimariji[poem.id] !== undefined) {
+                result[poem.id] = kimariji[poem.id];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 現在のラウンドの札がすでに取られたかどうかを返す
+     * @returns {boolean} 取られている場合true
+     */
+    isRoundTaken() {
+        return this._roundTaken;
+    }
+
+    // =========================================
+    // 保存と再開
+    // =========================================
+
+    /**
+     * 途中のゲームを保存できる形式に変換する
+     * 歌は ID で参照するため、restore には同じ歌データを持つ GameEngine が必要
+     * @returns {Object} JSON に変換できるスナップショット
+     */
+    serialize() {
+        const ids = (poems) => poems.map((poem) => poem.id);
+        return {
+            version: GAME_SNAPSHOT_VERSION,
+            mode: this._mode,
+            seed: this._seed,
+            roundTimeLimit: this._roundTimeLimit,
+            revealInterval: this._revealInterval,
+            fieldCount: this._fieldCount,
+            poolIds: ids(this._poolPoems),
+            readingOrderIds: ids(this._readingOrder),
+            remainingIds: ids(this._remainingCards),
+            readHistoryIds: ids(this._readHistory),
+            currentRound: this._currentRound,
+            score: this._score,
+            incorrectCount: this._incorrectCount,
+            gameOver: this._gameOver,
+            cardSides: Object.assign({}, this._cardSides),
+            sideStats: this._getSideStatsSnapshot(),
+            roundTaken: this._roundTaken,
+            roundFouls: this._roundFouls.slice(),
+            lastDiscarded: this._lastDiscarded
+                ? { cardId: this._lastDiscarded.card.id, side: this._lastDiscarded.side }
+                : null,
+            reactionLog: this.getReactionLog(),
+        };
+    }
+
+    /**
+     * serialize で保存したゲームを再開する
+     * @param {Object} snapshot - serialize の戻り値
+     * @returns {GameState} 再開後のゲーム状態
+     * @throws {Error} スナップショットの版が異なる場合、または歌データにない歌を参照している場合
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== GAME_SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot ? snapshot.version : snapshot}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, snapshot.mode)) {
+            throw new Error(`Unknown game mode: ${snapshot.mode}`);
+        }
+
+        const poemsById = new Map(this._allPoems.map((poem) => [poem.id, poem]));
+        const toPoems = (ids) => ids.map((id) => {
+            if (!poemsById.has(id)) {
+                throw new Error(`Snapshot references unknown poem: ${id}`);
+            }
+            return poemsById.get(id);
+        });
+
+        this._mode = snapshot.mode;
+        this._seed = snapshot.seed;
+        this._roundTimeLimit = snapshot.roundTimeLimit;
+        this._revealInterval = snapshot.revealInterval || 0;
+        this._fieldCount = snapshot.fieldCount;
+        this._poolPoems = toPoems(snapshot.poolIds);
+        this._readingOrder = toPoems(snapshot.readingOrderIds);
+        this._remainingCards = toPoems(snapshot.remainingIds);
+        this._readHistory = toPoems(snapshot.readHistoryIds);
+        this._totalRounds = this._readingOrder.length;
+        this._currentRound = snapshot.currentRound;
+        this._score = snapshot.score;
+        this._incorrectCount = snapshot.incorrectCount;
+        this._gameOver = snapshot.gameOver;
+        this._cardSides = Object.assign({}, snapshot.cardSides);
+        this._sideStats = {};
+        Object.keys(snapshot.sideStats).forEach((side) => {
+            this._sideStats[side] = { taken: snapshot.sideStats[side].taken, fouls: snapshot.sideStats[side].fouls };
+        });
+        this._roundTaken = snapshot.roundTaken;
+        this._roundFouls = snapshot.roundFouls.slice();
+        this._lastDiscarded = snapshot.lastDiscarded
+            ? { card: toPoems([snapshot.lastDiscarded.cardId])[0], side: snapshot.lastDiscarded.side }
+            : null;
+        // 反応時間の記録がない古いスナップショットも再開できるようにする
+        this._reactionLog = (snapshot.reactionLog || [])
+            .map((entry) => Object.assign({ timing: null }, entry, { misses: entry.misses.slice() }));
+        // 中断していた時間は反応時間に含めず、再開した時点から計り直す
+        this._startRoundClock();
+
+        const state = this.getGameState();
+        this._emit('gameStart', { state: state, restored: true });
+        return state;
+    }
+
     /**
      * ゲーム終了判定を行う
      * @returns {boolean} ゲームが終了している場合true
@@ -157,12 +1068,56 @@ class GameEngine {
             score: this._score,
             incorrectCount: this._incorrectCount,
             isGameOver: this._gameOver,
+            readHistory: this.getReadHistory(),
+            mode: this._mode,
+            territories: this._getTerritoriesSnapshot(),
+            sideStats: this._getSideStatsSnapshot(),
+            winner: this.getWinner(),
+            settings: {
+                poemCount: this._poolPoems.length,
+                fieldCount: this._fieldCount,
+                readCount: this._totalRounds,
+                roundTimeLimit: this._roundTimeLimit,
+                revealInterval: this._revealInterval,
+                seed: this._seed,
+            },
         };
     }
 
+    /**
+     * 陣ごとの取り札を取得する
+     * @returns {Object<string, Poem[]>|null} side をキーとする取り札の配列（陣地のないモードではnull）
+     * @private
+     */
+    _getTerritoriesSnapshot() {
+        const modeConfig = GAME_MODES[this._mode];
+        if (!modeConfig.territories) {
+            return null;
+        }
+        const territories = {};
+        modeConfig.sides.forEach((side) => {
+            territories[side] = this.getTerritory(side);
+        });
+        return territories;
+    }
+
+    /**
+     * side ごとの取り札数・お手つき数のコピーを取得する
+     * @returns {Object<string, { taken: number, fouls: number }>}
+     * @private
+     */
+    _getSideStatsSnapshot() {
+        const stats = {};
+        Object.keys(this._sideStats).forEach((side) => {
+            stats[side] = { taken: this._sideStats[side].taken, fouls: this._sideStats[side].fouls };
+        });
+        return stats;
+    }
+
     /**
      * スコア情報を取得する
-     * @returns {{ score: number, incorrectCount: number, remaining: number, accuracy: number }}
+     * 陣地を持つモードでは陣ごとの残り札数（remainingBySide）も返す
+     * @returns {{ score: number, incorrectCount: number, remaining: number, accuracy: number, remainingBySide: Object<string, number>|null }}
      */
     getScoreData() {
         const totalAttempts = this._score + this._incorrectCount;
@@ -175,14 +1130,47 @@ class GameEngine {
             incorrectCount: this._incorrectCount,
             remaining: this._remainingCards.length,
             accuracy: accuracy,
+            remainingBySide: this._getRemainingBySide(),
         };
     }
+
+    /**
+     * 陣ごとの残り札数を取得する
+     * @returns {Object<string, number>|null} side をキーとする残り札数（陣地のないモードではnull）
+     * @private
+     */
+    _getRemainingBySide() {
+        const territories = this._getTerritoriesSnapshot();
+        if (!territories) {
+            return null;
+        }
+        const counts = {};
+        Object.keys(territories).forEach((side) => {
+            counts[side] = territories[side].length;
+        });
+        return counts;
+    }
 }
 
 // ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GameEngine, fisherYatesShuffle };
+    module.exports = {
+        GameEngine,
+        fisherYatesShuffle,
+        createSeededRandom,
+        generateSeed,
+        GAME_MODES,
+        GAME_EVENTS,
+        MAX_SEED,
+        GAME_SNAPSHOT_VERSION,
+    };
 } else if (typeof window !== 'undefined') {
     window.GameEngine = GameEngine;
     window.fisherYatesShuffle = fisherYatesShuffle;
+    window.createSeededRandom = createSeededRandom;
+    window.generateSeed = generateSeed;
+    window.MAX_SEED = MAX_SEED;
+    window.GAME_SNAPSHOT_VERSION = GAME_SNAPSHOT_VERSION;
+    window.GAME_MODES = GAME_MODES;
+    window.GAME_EVENTS = GAME_EVENTS;
 }
@@ -0,0 +1,125 @@
+/**
+ * GameSessionClient - サーバーで判定するゲームのクライアント
+ *
+ * 責務:
+ * - サーバーのゲームAPI（/api/games）の呼び出し
+ * - ゲームの開始・状態の取得・札に触れる・次のラウンドに進む
+ *
+ * 札を取れたかどうかとスコアはサーバーの GameEngine が決め、レスポンスの state は
+ * GameEngine.getGameState() と同じ形で届く。
+ */
+
+class GameSessionClient {
+    /**
+     * @param {Object} [options] - オプション
+     * @param {Function} [options.fetch] - fetch の実装（省略時はブラウザの fetch）
+     * @param {string} [options.baseUrl=''] - API の URL の前に付ける文字列
+     */
+    constructor(options = {}) {
+        const fetchImpl = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(null) : null);
+        if (!fetchImpl) {
+            throw new Error('fetch is not available');
+        }
+        this._fetch = fetchImpl;
+        this._baseUrl = options.baseUrl || '';
+        this._id = null;
+    }
+
+    /**
+     * 新しいゲームを始める
+     * @param {Object} options - GameEngine.initGame のオプション
+     * @param {string[]} [colors] - 五色百人一首の色札
+     * @returns {Promise<Object>} ゲームの内容（id・state・score・reactionTimes）
+     */
+    create(options, colors) {
+        return this._request('POST', '/api/games', Object.assign({}, options, { colors: colors || [] }))
+            .then((session) => {
+                this._id = session.id;
+                return session;
+            });
+    }
+
+    /**
+     * ゲームの状態を取得する
+     * @returns {Promise<Object>} ゲームの内容
+     */
+    getState() {
+        return this._request('GET', this._sessionPath(''));
+    }
+
+    /**
+     * 札に触れる
+     * @param {number} cardId - 触れた札のID
+     * @param {number} [sendCardId] - 敵陣の札を取った場合に送る自陣の札のID
+     * @returns {Promise<Object>} 判定結果（result）とゲームの内容
+     */
+    select(cardId, sendCardId) {
+        const body = { cardId: cardId };
+        if (sendCardId !== undefined) {
+            body.sendCardId = sendCardId;
+        }
+        return this._request('POST', this._sessionPath('/select'), body);
+    }
+
+    /**
+     * 次のラウンドに進む（札が取られなかったラウンドは見送りになる）
+     * @returns {Promise<Object>} 次のラウンドに進めたか（continues）とゲームの内容
+     */
+    next() {
+        return this._request('POST', this._sessionPath('/next'), {});
+    }
+
+    /**
+     * 遊んでいるゲームのIDを取得する
+     * @returns {string|null} ゲームのID（始める前はnull）
+     */
+    getId() {
+        return this._id;
+    }
+
+    /**
+     * ゲームの API のパスを作る
+     * @param {string} suffix - ゲームのIDの後に付けるパス
+     * @returns {string} パス
+     * @private
+     */
+    _sessionPath(suffix) {
+        if (this._id === null) {
+            throw new Error('Game session has not been created');
+        }
+        return '/api/games/' + encodeURIComponent(this._id) + suffix;
+    }
+
+    /**
+     * API を呼び出し、JSON のレスポンスを返す
+     * エラーのレスポンスでは、サーバーのメッセージ（error）と HTTP ステータス（status）を持つ Error を投げる
+     * @param {string} method - HTTP メソッド
+     * @param {string} path - パス
+     * @param {Object} [body] - 送る JSON
+     * @returns {Promise<Object>} レスポンスの JSON
+     * @private
+     */
+    _request(method, path, body) {
+        const init = { method: method };
+        if (body !== undefined) {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify(body);
+        }
+        return this._fetch(this._baseUrl + path, init)
+            .then((response) => response.json().catch(() => ({})).then((data) => {
+                if (!response.ok) {
+                    const error = new Error(data.error || 'HTTP ' + response.status);
+                    error.status = response.status;
+                    throw error;
+                }
+                return data;
+            }));
+    }
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameSessionClient };
+} else if (typeof window !== 'undefined') {
+    window.GameSessionClient = GameSessionClient;
+}
@@ -0,0 +1,49 @@
+/**
+ * Goshiki - 五色百人一首（ごしきひゃくにんいっしゅ）の色札
+ *
+ * 責務:
+ * - 五色の色札（青・桃・黄・緑・橙、各20枚）の定義
+ * - 選択した色の札だけに歌データを絞り込む
+ *
+ * 各歌がどの色に属するかは歌データの color フィールドで持つ。
+ * src/（Node.js）と public/js/（ブラウザ）の両方から利用する共有モジュール。
+ */
+
+/**
+ * 色札の定義（スタート画面の並び順）
+ */
+const GOSHIKI_COLORS = [
+    { id: 'blue', label: '青' },
+    { id: 'pink', label: '桃' },
+    { id: 'yellow', label: '黄' },
+    { id: 'green', label: '緑' },
+    { id: 'orange', label: '橙' },
+];
+
+/**
+ * 1色あたりの札の枚数
+ */
+const GOSHIKI_CARDS_PER_COLOR = 20;
+
+/**
+ * 選択した色の札だけに歌データを絞り込む
+ * 色が1つも選ばれていない場合は全札を返す
+ * @param {Poem[]} poems - 歌データ配列
+ * @param {string[]} [colors] - 色のID配列
+ * @returns {Poem[]} 絞り込んだ歌データ配列（元の配列は変更しない）
+ */
+function filterPoemsByColors(poems, colors) {
+    if (!Array.isArray(colors) || colors.length === 0) {
+        return poems.slice();
+    }
+    return poems.filter((poem) => colors.indexOf(poem.color) !== -1);
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GOSHIKI_COLORS, GOSHIKI_CARDS_PER_COLOR, filterPoemsByColors };
+} else if (typeof window !== 'undefined') {
+    window.GOSHIKI_COLORS = GOSHIKI_COLORS;
+    window.GOSHIKI_CARDS_PER_COLOR = GOSHIKI_CARDS_PER_COLOR;
+    window.filterPoemsByColors = filterPoemsByColors;
+}
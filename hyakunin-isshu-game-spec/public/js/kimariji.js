@@ -0,0 +1,117 @@
+/**
+ * Kimariji - 決まり字（きまりじ）の計算
+ *
+ * 責務:
+ * - 上の句の読み（ひらがな）の正規化
+ * - 表記ではなく発音での読みの比較（「おう」と「おお」のような長音の表記の揺れ）
+ * - 歌の集合に対する各歌の決まり字の算出
+ *
+ * 決まり字は「その文字まで聞けば他のどの歌とも区別できる」上の句の先頭部分。
+ * 対象となる歌の集合を渡して計算するため、全100首に対する固定の決まり字にも、
+ * 読まれていない札だけを対象にした変化する決まり字にも使える。
+ *
+ * src/（Node.js）と public/js/（ブラウザ）の両方から利用する共有モジュール。
+ */
+
+/**
+ * 読みを正規化する（空白を除去する）
+ * @param {string} reading - ひらがなの読み（句の区切りの空白を含んでよい）
+ * @returns {string} 空白を除去した読み
+ */
+function normalizeReading(reading) {
+    if (typeof reading !== 'string') {
+        return '';
+    }
+    return reading.replace(/[\s　]+/g, '');
+}
+
+// オ段の仮名（後に続く「う」は「お」と同じ音で読む）
+const O_ROW_KANA = 'おこごそぞとどのほぼぽもよょろを';
+
+/**
+ * 読みを発音で比較するための文字列にする
+ * オ段の仮名に続く「う」を「お」に置き換える（「逢ふことの」の「おう」は「おお」と同じ音）。
+ * 1文字を1文字に置き換えるため、元の読みと文字の位置が対応する
+ * @param {string} reading - 正規化済みの読み
+ * @returns {string} 発音で比較するための文字列
+ */
+function getPronunciationKey(reading) {
+    let key = '';
+    for (let i = 0; i < reading.length; i++) {
+        const char = reading[i];
+        key += char === 'う' && i > 0 && O_ROW_KANA.indexOf(reading[i - 1]) !== -1 ? 'お' : char;
+    }
+    return key;
+}
+
+/**
+ * 歌の上の句の読みを取得する
+ * upperReading がない場合は upperVerse で代用する
+ * @param {Poem} poem - 歌データ
+ * @returns {string} 正規化済みの上の句の読み
+ */
+function getUpperReading(poem) {
+    if (!poem) {
+        return '';
+    }
+    return normalizeReading(poem.upperReading || poem.upperVerse);
+}
+
+/**
+ * 2つの文字列の共通接頭辞の長さを返す
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 共通接頭辞の文字数
+ * @private
+ */
+function commonPrefixLength(a, b) {
+    const max = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < max && a[i] === b[i]) {
+        i++;
+    }
+    return i;
+}
+
+/**
+ * 歌の集合に対する各歌の決まり字を計算する
+ * 発音で比較するための文字列でソートし、前後の歌との共通接頭辞より1文字長い部分を決まり字とする
+ * （決まり字そのものは歌データの読みの表記で返す）
+ * @param {Poem[]} poems - 対象となる歌の集合
+ * @returns {Object<number, string>} 歌IDをキー、決まり字を値とするオブジェクト
+ */
+function computeKimariji(poems) {
+    const result = {};
+    if (!Array.isArray(poems)) {
+        return result;
+    }
+
+    const entries = poems
+        .map((poem) => {
+            const reading = getUpperReading(poem);
+            return { id: poem.id, reading, key: getPronunciationKey(reading) };
+        })
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    entries.forEach((entry, index) => {
+        const prev = entries[index - 1];
+        const next = entries[index + 1];
+        const shared = Math.max(
+            prev ? commonPrefixLength(entry.key, prev.key) : 0,
+            next ? commonPrefixLength(entry.key, next.key) : 0
+        );
+        result[entry.id] = entry.reading.slice(0, Math.min(shared + 1, entry.reading.length));
+    });
+
+    return result;
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizeReading, getPronunciationKey, getUpperReading, computeKimariji };
+} else if (typeof window !== 'undefined') {
+    window.normalizeReading = normalizeReading;
+    window.getPronunciationKey = getPronunciationKey;
+    window.getUpperReading = getUpperReading;
+    window.computeKimariji = computeKimariji;
+}
@@ -0,0 +1,242 @@
+/**
+ * MatchClient - ネットワーク対戦（1対1）・授業用のクラスのクライアント
+ *
+ * 責務:
+ * - サーバーの WebSocket（/ws/match・/ws/classroom）への接続と、JSON メッセージの送受信
+ * - 対戦相手を探す（join）・札に触れる（take）メッセージの送信
+ * - 接続が切れた時の再接続（サーバーから受け取ったトークンで元の席に戻る）
+ *
+ * 札を取れたかどうかはサーバーの GameEngine が判定し、結果のメッセージ（takeResult・roundEnd）で届く。
+ * 往復時間の計測はサーバーの ping にブラウザが自動で応答するため、クライアントでは何もしない。
+ */
+
+// 再接続を試みる間隔（ミリ秒）。すべて失敗したら諦める
+const MATCH_RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000];
+
+/**
+ * ページの URL からネットワーク対戦（または授業用のクラス）の WebSocket の URL を作る
+ * @param {{ protocol: string, host: string }} location - ページの location
+ * @param {string} [path='/ws/match'] - WebSocket のパス
+ * @returns {string} WebSocket の URL（例: ws://localhost:8080/ws/match）
+ */
+function getMatchUrl(location, path) {
+    return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + (path || '/ws/match');
+}
+
+class MatchClient {
+    /**
+     * @param {string} url - WebSocket の URL
+     * @param {Object} [options] - オプション
+     * @param {Function} [options.WebSocket] - WebSocket のコンストラクタ（省略時はブラウザの WebSocket）
+     * @param {number[]} [options.reconnectDelaysMs] - 再接続を試みる間隔
+     */
+    constructor(url, options = {}) {
+        const WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        if (!WebSocketImpl) {
+            throw new Error('WebSocket is not available');
+        }
+        this._url = url;
+        this._WebSocket = WebSocketImpl;
+        this._reconnectDelays = options.reconnectDelaysMs || MATCH_RECONNECT_DELAYS_MS;
+        this._socket = null;
+        this._handlers = {};
+        this._queue = [];           // 接続する前に送ろうとしたメッセージ
+        this._token = null;         // 再接続用のトークン
+        this._seat = null;
+        this._finished = false;     // 対戦が終わった（再接続しない）
+        this._closed = false;       // close を呼んだ（再接続しない）
+        this._reconnectAttempt = 0;
+        this._reconnectTimer = null;
+    }
+
+    /**
+     * メッセージの種類ごとの処理を登録する
+     * サーバーのメッセージ（matched・readingStart・takeResult・roundEnd・gameOver など）に加え、
+     * 'reconnecting'（{ attempt }）と 'closed'（再接続を諦めた・対戦が終わった）を通知する
+     * @param {string} type - メッセージの種類
+     * @param {function(Object): void} handler - メッセージを受け取る関数
+     * @returns {MatchClient} this（チェーン用）
+     */
+    on(type, handler) {
+        (this._handlers[type] = this._handlers[type] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * サーバーに接続する
+     */
+    connect() {
+        this._closed = false;
+        this._open();
+    }
+
+    /**
+     * 対戦相手を探す
+     * @param {string} mode - ゲームモード
+     * @param {string} [name] - 表示名
+     */
+    join(mode, name) {
+        this._sendMessage({ type: 'join', mode: mode, name: name });
+    }
+
+    /**
+     * 札に触れる
+     * @param {number} round - 触れたラウンド（readingStart の round）
+     * @param {number} cardId - 触れた札のID
+     */
+    take(round, cardId) {
+        this._sendMessage({ type: 'take', round: round, cardId: cardId });
+    }
+
+    /**
+     * 札を見送る（2人とも見送ると、誰も取らなかったものとして次の札に進む）
+     * @param {number} round - 見送ったラウンド（readingStart の round）
+     */
+    pass(round) {
+        this._sendMessage({ type: 'pass', round: round });
+    }
+
+    /**
+     * その他のメッセージを送る（授業用のクラスの host・start・next など）
+     * @param {Object} message - メッセージ（type を含む）
+     */
+    send(message) {
+        this._sendMessage(message);
+    }
+
+    /**
+     * 接続を閉じる（再接続しない）
+     */
+    close() {
+        this._closed = true;
+        if (this._reconnectTimer !== null) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+        if (this._socket) {
+            const socket = this._socket;
+            this._socket = null;
+            socket.close();
+        }
+    }
+
+    /**
+     * 自分の席の番号を取得する
+     * @returns {number|null} 席の番号（対戦が始まる前はnull）
+     */
+    getSeat() {
+        return this._seat;
+    }
+
+    /**
+     * WebSocket を開き、イベントを結び付ける
+     * @private
+     */
+    _open() {
+        const socket = new this._WebSocket(this._url);
+        this._socket = socket;
+
+        socket.onopen = () => {
+            // 再接続した場合はトークンで元の席に戻る
+            if (this._token !== null) {
+                socket.send(JSON.stringify({ type: 'rejoin', token: this._token }));
+            }
+            this._reconnectAttempt = 0;
+            const queue = this._queue;
+            this._queue = [];
+            queue.forEach((message) => socket.send(JSON.stringify(message)));
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                return;
+            }
+            this._handleMessage(message);
+        };
+
+        socket.onclose = () => {
+            if (this._socket !== socket) {
+                return;
+            }
+            this._socket = null;
+            this._handleClose();
+        };
+    }
+
+    /**
+     * 受け取ったメッセージを処理して登録された関数に渡す
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _handleMessage(message) {
+        // トークンは最初に席に着いた時（matched・hosted・joined）だけ届く
+        if (message.token) {
+            this._token = message.token;
+        }
+        if ((message.type === 'matched' || message.type === 'rejoined') && message.seat !== undefined) {
+            this._seat = message.seat;
+        }
+        if (message.type === 'gameOver') {
+            this._finished = true;
+        }
+        this._emit(message.type, message);
+    }
+
+    /**
+     * 接続が切れた時に、対戦中であれば再接続を試みる
+     * @private
+     */
+    _handleClose() {
+        if (this._closed || this._finished || this._token === null
+            || this._reconnectAttempt >= this._reconnectDelays.length) {
+            this._emit('closed', {});
+            return;
+        }
+        const delay = this._reconnectDelays[this._reconnectAttempt];
+        this._reconnectAttempt += 1;
+        this._emit('reconnecting', { attempt: this._reconnectAttempt });
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._open();
+        }, delay);
+    }
+
+    /**
+     * メッセージを送る（接続する前・再接続中は接続してから送る）
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _sendMessage(message) {
+        const OPEN = this._WebSocket.OPEN === undefined ? 1 : this._WebSocket.OPEN;
+        if (this._socket && this._socket.readyState === OPEN) {
+            this._socket.send(JSON.stringify(message));
+            return;
+        }
+        // 再接続中の札の入力・見送りは古いラウンドのものになるため送らない
+        if (message.type !== 'take' && message.type !== 'pass') {
+            this._queue.push(message);
+        }
+    }
+
+    /**
+     * 登録された関数にメッセージを渡す
+     * @param {string} type - メッセージの種類
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _emit(type, message) {
+        (this._handlers[type] || []).forEach((handler) => handler(message));
+    }
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MatchClient, MATCH_RECONNECT_DELAYS_MS, getMatchUrl };
+} else if (typeof window !== 'undefined') {
+    window.MatchClient = MatchClient;
+    window.MATCH_RECONNECT_DELAYS_MS = MATCH_RECONNECT_DELAYS_MS;
+    window.getMatchUrl = getMatchUrl;
+}
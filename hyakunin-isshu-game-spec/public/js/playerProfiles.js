@@ -0,0 +1,174 @@
+/**
+ * PlayerProfiles - プレイヤーのプロフィールと遊んだゲームの記録
+ *
+ * 責務:
+ * - プロフィール（名前・アバターの色・級）の定義と検証
+ * - プロフィールに付けるゲームの記録の検証
+ * - ゲームの記録からの成績の集計
+ *
+ * 1台の端末を何人かで使う場合に、誰が遊んだゲームかを分けて記録するためのもの。
+ * src/（Node.js のプロフィールAPI）と public/js/（サーバーに接続できない時にブラウザに保存する ProfileClient）の
+ * 両方から利用する共有モジュール。
+ */
+
+// ゲームモードは GameEngine と共有する
+// （Node.js では require、ブラウザでは gameEngine.js が定義するグローバル変数を参照）
+const profileEngineModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./gameEngine')
+    : window;
+
+/**
+ * アバターの色（スタート画面の並び順）
+ */
+const PROFILE_COLORS = [
+    { id: 'red', label: '赤' },
+    { id: 'blue', label: '青' },
+    { id: 'green', label: '緑' },
+    { id: 'yellow', label: '黄' },
+    { id: 'purple', label: '紫' },
+    { id: 'orange', label: '橙' },
+];
+
+/**
+ * かるた会の級（競技かるたの A〜E級と、級を持たない人）
+ */
+const PROFILE_GRADES = [
+    { id: 'A', label: 'A級' },
+    { id: 'B', label: 'B級' },
+    { id: 'C', label: 'C級' },
+    { id: 'D', label: 'D級' },
+    { id: 'E', label: 'E級' },
+    { id: 'none', label: '級なし' },
+];
+
+/**
+ * プロフィールの名前の最大文字数
+ */
+const MAX_PROFILE_NAME_LENGTH = 20;
+
+/**
+ * 記録するゲームの遊び方の表示名
+ */
+const GAME_RECORD_KINDS = {
+    solo: '1人',
+    cpu: 'コンピューター',
+    daily: '今日のチャレンジ',
+    server: 'サーバー判定',
+};
+
+/**
+ * 定義の配列に指定したIDがあるかどうか
+ * @param {Array<{ id: string }>} list - 定義の配列
+ * @param {*} id - 調べるID
+ * @returns {boolean}
+ * @private
+ */
+function hasProfileOption(list, id) {
+    return list.some((item) => item.id === id);
+}
+
+/**
+ * プロフィールを検証する
+ * @param {*} profile - プロフィール { name, color, grade }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateProfile(profile) {
+    if (profile === null || typeof profile !== 'object' || Array.isArray(profile)) {
+        return { valid: false, errors: ['Profile must be a non-null object'] };
+    }
+
+    const errors = [];
+    if (typeof profile.name !== 'string' || profile.name.trim().length === 0) {
+        errors.push('name must be a non-empty string');
+    } else if (profile.name.trim().length > MAX_PROFILE_NAME_LENGTH) {
+        errors.push(`name must be at most ${MAX_PROFILE_NAME_LENGTH} characters`);
+    }
+    if (!hasProfileOption(PROFILE_COLORS, profile.color)) {
+        errors.push(`color must be one of ${PROFILE_COLORS.map((color) => color.id).join(', ')}`);
+    }
+    if (!hasProfileOption(PROFILE_GRADES, profile.grade)) {
+        errors.push(`grade must be one of ${PROFILE_GRADES.map((grade) => grade.id).join(', ')}`);
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * プロフィールに付けるゲームの記録を検証する
+ * @param {*} record - ゲームの記録 { kind, mode, deckSize, correct, incorrect, accuracy, elapsedMs }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateGameRecord(record) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        return { valid: false, errors: ['Game record must be a non-null object'] };
+    }
+
+    const errors = [];
+    if (!Object.prototype.hasOwnProperty.call(GAME_RECORD_KINDS, record.kind)) {
+        errors.push(`kind must be one of ${Object.keys(GAME_RECORD_KINDS).join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(profileEngineModule.GAME_MODES, record.mode)) {
+        errors.push(`Unknown game mode: ${record.mode}`);
+    }
+    if (!Number.isInteger(record.deckSize) || record.deckSize < 1) {
+        errors.push('deckSize must be a positive integer');
+    }
+    ['correct', 'incorrect', 'elapsedMs'].forEach((key) => {
+        if (!Number.isInteger(record[key]) || record[key] < 0) {
+            errors.push(`${key} must be a non-negative integer`);
+        }
+    });
+    if (typeof record.accuracy !== 'number' || !(record.accuracy >= 0 && record.accuracy <= 100)) {
+        errors.push('accuracy must be a number between 0 and 100');
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * ゲームの記録から成績を集計する
+ * 正答率はすべてのゲームの正解数・不正解数を合わせて計算する（ScoreManager と同じく小数第2位まで）
+ * @param {Object[]} games - ゲームの記録の配列（playedAt を持つ）
+ * @returns {{ gameCount: number, correct: number, incorrect: number, accuracy: number, bestAccuracy: number|null, averageElapsedMs: number|null, lastPlayedAt: string|null }}
+ *   ゲームがない場合、bestAccuracy・averageElapsedMs・lastPlayedAt は null
+ */
+function summarizeHistory(games) {
+    const correct = games.reduce((sum, game) => sum + game.correct, 0);
+    const incorrect = games.reduce((sum, game) => sum + game.incorrect, 0);
+    const attempts = correct + incorrect;
+
+    if (games.length === 0) {
+        return {
+            gameCount: 0, correct: 0, incorrect: 0, accuracy: 0,
+            bestAccuracy: null, averageElapsedMs: null, lastPlayedAt: null,
+        };
+    }
+    return {
+        gameCount: games.length,
+        correct,
+        incorrect,
+        accuracy: attempts === 0 ? 0 : Math.round((correct / attempts) * 10000) / 100,
+        bestAccuracy: Math.max.apply(null, games.map((game) => game.accuracy)),
+        averageElapsedMs: Math.round(games.reduce((sum, game) => sum + game.elapsedMs, 0) / games.length),
+        lastPlayedAt: games.reduce((latest, game) => (game.playedAt > latest ? game.playedAt : latest), games[0].playedAt),
+    };
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROFILE_COLORS,
+        PROFILE_GRADES,
+        MAX_PROFILE_NAME_LENGTH,
+        GAME_RECORD_KINDS,
+        validateProfile,
+        validateGameRecord,
+        summarizeHistory,
+    };
+} else if (typeof window !== 'undefined') {
+    window.PROFILE_COLORS = PROFILE_COLORS;
+    window.PROFILE_GRADES = PROFILE_GRADES;
+    window.MAX_PROFILE_NAME_LENGTH = MAX_PROFILE_NAME_LENGTH;
+    window.GAME_RECORD_KINDS = GAME_RECORD_KINDS;
+    window.validateProfile = validateProfile;
+    window.validateGameRecord = validateGameRecord;
+    window.summarizeHistory = summarizeHistory;
+}
@@ -0,0 +1,264 @@
+/**
+ * ProfileClient - プレイヤーのプロフィールのクライアント
+ *
+ * 責務:
+ * - サーバーのプロフィールAPI（/api/profiles・/api/history）の呼び出し
+ * - サーバーに接続できない時の、ブラウザ（localStorage）へのプロフィールとゲームの記録の保存
+ * - サーバーとブラウザの記録を合わせた履歴と成績の取得
+ *
+ * ブラウザに保存したプロフィールのIDは「local-」で始まり、その記録はブラウザにだけ残る。
+ * サーバーのプロフィールで遊んだゲームも、記録を送れなかった場合はブラウザに残し、履歴に合わせて表示する。
+ */
+
+// プロフィールの検証と成績の集計は playerProfiles.js と共有する
+// （Node.js では require、ブラウザでは playerProfiles.js が定義するグローバル関数を参照）
+const profileClientModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./playerProfiles')
+    : window;
+
+/**
+ * ブラウザに保存するプロフィールと記録の localStorage のキー
+ */
+const LOCAL_PROFILES_KEY = 'hyakunin-isshu:profiles';
+
+/**
+ * ブラウザに保存したプロフィールのIDの接頭辞
+ */
+const LOCAL_PROFILE_PREFIX = 'local-';
+
+class ProfileClient {
+    /**
+     * @param {Object} [options] - オプション
+     * @param {Function} [options.fetch] - fetch の実装（省略時はブラウザの fetch）
+     * @param {string} [options.baseUrl=''] - API の URL の前に付ける文字列
+     * @param {Storage|null} [options.storage] - サーバーに接続できない時の保存先（省略時は localStorage）
+     * @param {function(): Date} [options.now] - 現在日時を返す関数（テスト用）
+     */
+    constructor(options = {}) {
+        const fetchImpl = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(null) : null);
+        if (!fetchImpl) {
+            throw new Error('fetch is not available');
+        }
+        this._fetch = fetchImpl;
+        this._baseUrl = options.baseUrl || '';
+        this._storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this._now = options.now || (() => new Date());
+    }
+
+    /**
+     * ブラウザに保存したプロフィールのIDかどうか
+     * @param {string} profileId - プロフィールのID
+     * @returns {boolean}
+     */
+    isLocal(profileId) {
+        return typeof profileId === 'string' && profileId.indexOf(LOCAL_PROFILE_PREFIX) === 0;
+    }
+
+    /**
+     * プロフィールの一覧を取得する（サーバーのプロフィールの後にブラウザのプロフィール）
+     * @returns {Promise<{ profiles: Object[], offline: boolean }>} offline: サーバーに接続できなかった場合true
+     */
+    listProfiles() {
+        const local = this._readLocal().profiles;
+        return this._request('GET', '/api/profiles')
+            .then((data) => ({ profiles: data.profiles.concat(local), offline: false }))
+            .catch((error) => {
+                if (!this._isOffline(error)) {
+                    throw error;
+                }
+                return { profiles: local, offline: true };
+            });
+    }
+
+    /**
+     * プロフィールを作る
+     * サーバーに接続できない場合はブラウザに保存する
+     * @param {{ name: string, color: string, grade: string }} profile - プロフィール
+     * @returns {Promise<Object>} 作ったプロフィール（id を付与したもの）
+     */
+    createProfile(profile) {
+        const validation = profileClientModule.validateProfile(profile);
+        if (!validation.valid) {
+            const error = new Error('プロフィールの形式が正しくありません');
+            error.details = validation.errors;
+            return Promise.reject(error);
+        }
+
+        return this._request('POST', '/api/profiles', profile)
+            .catch((error) => {
+                if (!this._isOffline(error)) {
+                    throw error;
+                }
+                return this._updateLocal((data) => {
+                    const entry = {
+                        id: this._localId(),
+                        name: profile.name.trim(),
+                        color: profile.color,
+                        grade: profile.grade,
+                        createdAt: this._now().toISOString(),
+                    };
+                    data.profiles.push(entry);
+                    return entry;
+                });
+            });
+    }
+
+    /**
+     * 遊び終えたゲームの記録をプロフィールに付ける
+     * ブラウザのプロフィールの記録と、サーバーに送れなかった記録はブラウザに保存する
+     * @param {string} profileId - プロフィールのID
+     * @param {{ kind: string, mode: string, deckSize: number, correct: number, incorrect: number, accuracy: number, elapsedMs: number }} record - ゲームの記録
+     * @returns {Promise<Object>} 保存した記録
+     */
+    recordGame(profileId, record) {
+        const validation = profileClientModule.validateGameRecord(record);
+        if (!validation.valid) {
+            const error = new Error('ゲームの記録の形式が正しくありません');
+            error.details = validation.errors;
+            return Promise.reject(error);
+        }
+
+        const saveLocal = () => this._updateLocal((data) => {
+            const entry = Object.assign({
+                id: this._localId(),
+                profileId: profileId,
+            }, record, { playedAt: this._now().toISOString() });
+            data.games.push(entry);
+            return entry;
+        });
+        if (this.isLocal(profileId)) {
+            return Promise.resolve().then(saveLocal);
+        }
+        return this._request('POST', '/api/profiles/' + encodeURIComponent(profileId) + '/games', record)
+            .catch((error) => {
+                if (!this._isOffline(error)) {
+                    throw error;
+                }
+                return saveLocal();
+            });
+    }
+
+    /**
+     * 遊んだゲームの履歴（新しい順）と成績を取得する
+     * サーバーとブラウザに保存した記録を合わせ、成績は合わせた記録から集計する
+     * 記録は確かめていない申告のため、全員の記録を合わせた成績は集計しない
+     * @param {string|null} profileId - プロフィールのID（null の場合は全員の記録）
+     * @returns {Promise<{ games: Object[], stats: Object|null, offline: boolean }>}
+     *   stats: summarizeHistory の結果（全員の記録の場合null）
+     */
+    getHistory(profileId) {
+        const local = this._readLocal().games.filter((game) => profileId === null || game.profileId === profileId);
+        const serverGames = this.isLocal(profileId)
+            ? Promise.resolve({ games: [], offline: false })
+            : this._request('GET', '/api/history' + (profileId === null ? '' : '?profileId=' + encodeURIComponent(profileId)))
+                .then((data) => ({ games: data.games, offline: false }))
+                .catch((error) => {
+                    if (!this._isOffline(error)) {
+                        throw error;
+                    }
+                    return { games: [], offline: true };
+                });
+
+        return serverGames.then((server) => {
+            // 遊んだ日時（ISO 8601 の文字列）の新しい順
+            const games = server.games.concat(local).sort((a, b) => {
+                if (a.playedAt === b.playedAt) {
+                    return 0;
+                }
+                return a.playedAt < b.playedAt ? 1 : -1;
+            });
+            const stats = profileId === null ? null : profileClientModule.summarizeHistory(games);
+            return { games: games, stats: stats, offline: server.offline };
+        });
+    }
+
+    /**
+     * サーバーに接続できなかったエラーかどうか（通信の失敗とサーバーのエラー）
+     * @param {Error} error - API の呼び出しのエラー
+     * @returns {boolean}
+     * @private
+     */
+    _isOffline(error) {
+        return !error.status || error.status >= 500;
+    }
+
+    /**
+     * ブラウザに保存するプロフィール・記録のIDを作る
+     * （HTTP で開いた LAN の端末でも使えるよう、crypto.randomUUID は使わない）
+     * @returns {string} 「local-」で始まるID
+     * @private
+     */
+    _localId() {
+        return LOCAL_PROFILE_PREFIX + this._now().getTime().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * ブラウザに保存したプロフィールと記録を読み込む（読み込めない場合は空）
+     * @returns {{ profiles: Object[], games: Object[] }}
+     * @private
+     */
+    _readLocal() {
+        try {
+            const data = this._storage ? JSON.parse(this._storage.getItem(LOCAL_PROFILES_KEY)) : null;
+            if (data && Array.isArray(data.profiles) && Array.isArray(data.games)) {
+                return data;
+            }
+        } catch (error) {
+            // 壊れた保存データは空として扱う
+        }
+        return { profiles: [], games: [] };
+    }
+
+    /**
+     * ブラウザに保存したプロフィールと記録を変更して保存する
+     * @param {function(Object): *} mutate - データを変更する関数（戻り値をそのまま返す）
+     * @returns {*} mutate の戻り値
+     * @throws {Error} ブラウザに保存できない場合
+     * @private
+     */
+    _updateLocal(mutate) {
+        if (!this._storage) {
+            throw new Error('ブラウザに保存できません');
+        }
+        const data = this._readLocal();
+        const value = mutate(data);
+        this._storage.setItem(LOCAL_PROFILES_KEY, JSON.stringify(data));
+        return value;
+    }
+
+    /**
+     * API を呼び出し、JSON のレスポンスを返す
+     * エラーのレスポンスでは、サーバーのメッセージ（error）と HTTP ステータス（status）を持つ Error を投げる
+     * @param {string} method - HTTP メソッド
+     * @param {string} path - パス
+     * @param {Object} [body] - 送る JSON
+     * @returns {Promise<Object>} レスポンスの JSON
+     * @private
+     */
+    _request(method, path, body) {
+        const init = { method: method };
+        if (body !== undefined) {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify(body);
+        }
+        return Promise.resolve()
+            .then(() => this._fetch(this._baseUrl + path, init))
+            .then((response) => response.json().catch(() => ({})).then((data) => {
+                if (!response.ok) {
+                    const error = new Error(data.error || 'HTTP ' + response.status);
+                    error.status = response.status;
+                    throw error;
+                }
+                return data;
+            }));
+    }
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProfileClient, LOCAL_PROFILES_KEY };
+} else if (typeof window !== 'undefined') {
+    window.ProfileClient = ProfileClient;
+}
@@ -0,0 +1,403 @@
+/**
+ * PoemReader - 読手（どくしゅ）の読み上げ
+ *
+ * 責務:
+ * - 序歌「難波津に」で試合を始める
+ * - 上の句 → 間 → 下の句（設定により下の句を繰り返す）→ 余韻 の順に読み上げる
+ * - 読む速さ・声・下の句の繰り返しの設定
+ * - GameEngine のイベントに合わせて読み上げるプラグイン（createReaderPlugin）
+ *
+ * 音声の出力は speak(text, options) と cancel() を持つオブジェクトに委譲する。
+ * ブラウザでは createWebSpeech が Web Speech API を包んだものを渡し、
+ * テストでは同じ形のスタブに差し替える。
+ * 読み上げにはひらがなの読み（upperReading / lowerReading）を使い、ない場合は歌の表記で代用する。
+ *
+ * 読手の録音（createAudioRecordings）がある句は録音を再生し、
+ * 録音がない句や再生に失敗した句だけを音声合成で読む。
+ */
+
+/**
+ * 序歌（じょか）: 試合の始めに読む歌。取り札はない
+ */
+const JOKA = {
+    id: 0,
+    author: '王仁',
+    upperVerse: '難波津に 咲くやこの花 冬ごもり',
+    lowerVerse: '今は春べと 咲くやこの花',
+    upperReading: 'なにわづに さくやこのはな ふゆごもり',
+    lowerReading: 'いまははるべと さくやこのはな',
+};
+
+/**
+ * 読み上げ設定の既定値
+ * - rate: 読む速さ（0.5〜2、1が標準）
+ * - voiceName: 声の名前（nullの場合は日本語の既定の声）
+ * - repeatLower: 下の句を2回読むかどうか
+ * - pauseMs: 上の句と下の句の間（ミリ秒）
+ * - afterglowMs: 下の句を読み終えてから次の札までの余韻（ミリ秒）
+ */
+const READER_DEFAULT_SETTINGS = {
+    rate: 1,
+    voiceName: null,
+    repeatLower: true,
+    pauseMs: 1000,
+    afterglowMs: 3000,
+};
+
+/**
+ * 読む速さの下限と上限
+ */
+const READER_MIN_RATE = 0.5;
+const READER_MAX_RATE = 2;
+
+class PoemReader {
+    /**
+     * @param {Object} speech - 音声の出力
+     * @param {function(string, { rate: number, voiceName: string|null }): Promise<void>} speech.speak - 文を読み上げ、読み終えたら解決する
+     * @param {function(): void} speech.cancel - 読み上げを止める
+     * @param {function(): string[]} [speech.getVoiceNames] - 選べる声の名前
+     * @param {Object} [options] - オプション
+     * @param {Object} [options.settings] - 読み上げ設定（READER_DEFAULT_SETTINGS を上書きする）
+     * @param {function(number): Promise<void>} [options.wait] - 指定したミリ秒待つ関数（テストで差し替える）
+     * @param {Object} [options.recordings] - 読手の録音（createAudioRecordings の戻り値と同じ形）
+     */
+    constructor(speech, options = {}) {
+        if (!speech || typeof speech.speak !== 'function' || typeof speech.cancel !== 'function') {
+            throw new Error('speech must have speak() and cancel()');
+        }
+        this._speech = speech;
+        this._wait = options.wait || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+        this._settings = Object.assign({}, READER_DEFAULT_SETTINGS);
+        this._queue = Promise.resolve();   // 読み上げの順番待ち
+        this._generation = 0;              // cancel のたびに増やし、古い読み上げを打ち切る
+        this._cardTicket = 0;              // readCard のたびに増やし、読み始める前の古い札を飛ばす
+        this._recordings = options.recordings || null;
+        this.setSettings(options.settings || {});
+    }
+
+    /**
+     * 読み上げ設定を変更する
+     * @param {Object} settings - 変更する設定（READER_DEFAULT_SETTINGS のキー）
+     */
+    setSettings(settings) {
+        const next = Object.assign({}, this._settings, settings);
+        if (typeof next.rate !== 'number' || !(next.rate >= READER_MIN_RATE && next.rate <= READER_MAX_RATE)) {
+            throw new Error(`rate must be between ${READER_MIN_RATE} and ${READER_MAX_RATE}`);
+        }
+        ['pauseMs', 'afterglowMs'].forEach((key) => {
+            if (typeof next[key] !== 'number' || !Number.isFinite(next[key]) || next[key] < 0) {
+                throw new Error(`${key} must be a non-negative number`);
+            }
+        });
+        next.repeatLower = Boolean(next.repeatLower);
+        next.voiceName = next.voiceName || null;
+        this._settings = next;
+    }
+
+    /**
+     * 読み上げ設定を取得する
+     * @returns {Object} 読み上げ設定のコピー
+     */
+    getSettings() {
+        return Object.assign({}, this._settings);
+    }
+
+    /**
+     * 読手の録音を設定する（録音の一覧はサーバーから非同期に取得するため、後から設定できる）
+     * @param {Object|null} recordings - 読手の録音。nullの場合はすべて音声合成で読む
+     * @param {function(number, string): boolean} recordings.has - 歌番号と句（'upper' | 'lower'）の録音があるか
+     * @param {function(number, string, { rate: number }): Promise<boolean>} recordings.play
+     *   録音を再生し、再生し終えたか止められたらtrue、再生できなかったらfalseで解決する
+     * @param {function(): void} recordings.cancel - 再生を止める
+     */
+    setRecordings(recordings) {
+        this._recordings = recordings || null;
+    }
+
+    /**
+     * 選べる声の名前を取得する
+     * @returns {string[]} 声の名前（音声の出力が対応していない場合は空配列）
+     */
+    getVoiceNames() {
+        return typeof this._speech.getVoiceNames === 'function' ? this._speech.getVoiceNames() : [];
+    }
+
+    /**
+     * 序歌を読む（下の句は設定にかかわらず2回読む）
+     * @returns {Promise<boolean>} 最後まで読んだ場合true、cancel で打ち切られた場合false
+     */
+    readJoka() {
+        return this._enqueue(JOKA, { repeatLower: true });
+    }
+
+    /**
+     * 札を読む: 上の句 → 間 → 下の句（→ 間 → 下の句）→ 余韻
+     * 前の札を読んでいる間は、その余韻が終わるまで待ってから読み始める。
+     * 待っている間に次の札が渡された場合は、まだ読み始めていない札は読まずに飛ばす
+     * @param {Poem} poem - 読む歌
+     * @param {Object} [hooks] - 読み上げの節目で呼ばれる関数
+     * @param {function(Poem): void} [hooks.onUpperStart] - 上の句を読み始める時
+     * @returns {Promise<boolean>} 最後まで読んだ場合true、cancel で打ち切られた場合false
+     */
+    readCard(poem, hooks = {}) {
+        this._cardTicket += 1;
+        return this._enqueue(poem, {
+            repeatLower: this._settings.repeatLower,
+            onUpperStart: hooks.onUpperStart,
+            ticket: this._cardTicket,
+        });
+    }
+
+    /**
+     * 読み上げを止め、順番待ちの読み上げもすべて取りやめる
+     */
+    cancel() {
+        this._generation += 1;
+        this._queue = Promise.resolve();
+        this._speech.cancel();
+        if (this._recordings) {
+            this._recordings.cancel();
+        }
+    }
+
+    /**
+     * 読み上げを順番待ちに加える
+     * @param {Poem} poem - 読む歌
+     * @param {{ repeatLower: boolean, onUpperStart?: function(Poem): void, ticket?: number }} plan - 読み方
+     * @returns {Promise<boolean>} 最後まで読んだ場合true
+     * @private
+     */
+    _enqueue(poem, plan) {
+        const generation = this._generation;
+        const run = this._queue.then(() => this._read(poem, plan, generation));
+        // 読み上げに失敗しても次の札は読めるようにする
+        this._queue = run.catch(() => false);
+        return run;
+    }
+
+    /**
+     * 1首を読み上げる
+     * @param {Poem} poem - 読む歌
+     * @param {{ repeatLower: boolean, onUpperStart?: function(Poem): void, ticket?: number }} plan - 読み方
+     * @param {number} generation - 読み上げを順番待ちに加えた時の世代
+     * @returns {Promise<boolean>} 最後まで読んだ場合true
+     * @private
+     */
+    async _read(poem, plan, generation) {
+        if (plan.ticket !== undefined && plan.ticket !== this._cardTicket) {
+            return false;
+        }
+        const settings = this.getSettings();
+        const upper = poem.upperReading || poem.upperVerse;
+        const lower = poem.lowerReading || poem.lowerVerse;
+        const steps = [
+            () => {
+                if (plan.onUpperStart) {
+                    plan.onUpperStart(poem);
+                }
+                return this._voice(poem, 'upper', upper, settings, generation);
+            },
+            () => this._wait(settings.pauseMs),
+            () => this._voice(poem, 'lower', lower, settings, generation),
+        ];
+        if (plan.repeatLower) {
+            steps.push(() => this._wait(settings.pauseMs), () => this._voice(poem, 'lower', lower, settings, generation));
+        }
+        steps.push(() => this._wait(settings.afterglowMs));
+
+        for (const step of steps) {
+            if (generation !== this._generation) {
+                return false;
+            }
+            await step();
+        }
+        return generation === this._generation;
+    }
+
+    /**
+     * 1つの句を読む。録音があれば録音を再生し、ない場合や再生できなかった場合は音声合成で読む
+     * @param {Poem} poem - 読む歌
+     * @param {string} part - 句（'upper' | 'lower'）
+     * @param {string} text - 音声合成で読む場合の文
+     * @param {Object} settings - 読み上げ設定
+     * @param {number} generation - 読み上げを順番待ちに加えた時の世代
+     * @returns {Promise<void>} 読み終えたら解決する
+     * @private
+     */
+    async _voice(poem, part, text, settings, generation) {
+        const recordings = this._recordings;
+        if (recordings && recordings.has(poem.id, part)) {
+            const played = await recordings.play(poem.id, part, { rate: settings.rate });
+            // 再生中に cancel された場合は音声合成で読み直さない
+            if (played || generation !== this._generation) {
+                return;
+            }
+        }
+        await this._speak(text, settings);
+    }
+
+    /**
+     * 設定した速さと声で1文を読み上げる
+     * @param {string} text - 読み上げる文
+     * @param {Object} settings - 読み上げ設定
+     * @returns {Promise<void>} 読み終えたら解決する
+     * @private
+     */
+    _speak(text, settings) {
+        return this._speech.speak(text, { rate: settings.rate, voiceName: settings.voiceName });
+    }
+}
+
+/**
+ * Web Speech API（speechSynthesis）を PoemReader の音声の出力として包む
+ * @param {Window} win - speechSynthesis と SpeechSynthesisUtterance を持つ window
+ * @returns {{ speak: function, cancel: function, getVoiceNames: function }|null}
+ *   音声の出力（ブラウザが Web Speech API に対応していない場合null）
+ */
+function createWebSpeech(win) {
+    if (!win || !win.speechSynthesis || typeof win.SpeechSynthesisUtterance !== 'function') {
+        return null;
+    }
+    const synth = win.speechSynthesis;
+    const japaneseVoices = () => synth.getVoices().filter((voice) => /^ja\b/i.test(voice.lang));
+
+    return {
+        speak(text, options) {
+            return new Promise((resolve) => {
+                const utterance = new win.SpeechSynthesisUtterance(text);
+                utterance.lang = 'ja-JP';
+                utterance.rate = options.rate;
+                const voice = japaneseVoices().find((v) => v.name === options.voiceName);
+                if (voice) {
+                    utterance.voice = voice;
+                }
+                // 読み上げが止められた場合も次に進めるよう、エラーでも解決する
+                utterance.onend = () => resolve();
+                utterance.onerror = () => resolve();
+                synth.speak(utterance);
+            });
+        },
+        cancel() {
+            synth.cancel();
+        },
+        getVoiceNames() {
+            return japaneseVoices().map((voice) => voice.name);
+        },
+    };
+}
+
+/**
+ * サーバーの録音のマニフェスト（/api/audio/manifest）から、PoemReader が使う読手の録音を作る
+ * 再生には HTMLAudioElement を使い、読む速さは再生速度に反映する
+ * @param {Window} win - Audio を持つ window
+ * @param {{ poems: Object<string, { upper?: string, lower?: string }> }} manifest - 歌番号ごとの録音のURL
+ * @returns {{ has: function, play: function, cancel: function }|null}
+ *   読手の録音（ブラウザが音声の再生に対応していないか、マニフェストが不正な場合null）
+ */
+function createAudioRecordings(win, manifest) {
+    if (!win || typeof win.Audio !== 'function' || !manifest || !manifest.poems || typeof manifest.poems !== 'object') {
+        return null;
+    }
+    const poems = manifest.poems;
+    let current = null;   // 再生中の { audio, finish }
+
+    const urlOf = (poemId, part) => {
+        const entry = poems[String(poemId)];
+        return entry && typeof entry[part] === 'string' ? entry[part] : null;
+    };
+
+    const stop = () => {
+        if (current) {
+            const playing = current;
+            playing.audio.pause();
+            playing.finish(true);
+        }
+    };
+
+    return {
+        has(poemId, part) {
+            return urlOf(poemId, part) !== null;
+        },
+        play(poemId, part, options) {
+            stop();
+            const url = urlOf(poemId, part);
+            if (!url) {
+                return Promise.resolve(false);
+            }
+            return new Promise((resolve) => {
+                const audio = new win.Audio(url);
+                const playing = {
+                    audio: audio,
+                    finish: (played) => {
+                        if (current === playing) {
+                            current = null;
+                            resolve(played);
+                        }
+                    },
+                };
+                current = playing;
+                audio.playbackRate = options.rate;
+                audio.onended = () => playing.finish(true);
+                audio.onerror = () => playing.finish(false);
+                const started = audio.play();
+                // 自動再生が許可されていない場合なども音声合成で読めるよう、失敗として扱う
+                if (started && typeof started.catch === 'function') {
+                    started.catch(() => playing.finish(false));
+                }
+            });
+        },
+        cancel() {
+            stop();
+        },
+    };
+}
+
+/**
+ * GameEngine のイベントに合わせて読み上げるプラグインを作る
+ * - gameStart: 新しいゲームでは序歌を読む。再開したゲームでは序歌を読まずに現在の札から読む
+ * - roundStart: 読み札を読む（前の札の下の句と余韻の後に読み始める）
+ * @param {PoemReader} reader - 読み上げに使う PoemReader（テストではスタブを渡す）
+ * @param {Object} [hooks] - 読み上げの節目で呼ばれる関数
+ * @param {function(Poem): void} [hooks.onUpperStart] - 読み札の上の句を読み始める時
+ * @returns {{ install: function(GameEngine): void }} GameEngine.use に渡すプラグイン
+ */
+function createReaderPlugin(reader, hooks = {}) {
+    return {
+        install(engine) {
+            engine.on('gameStart', (event) => {
+                reader.cancel();
+                if (!event.restored) {
+                    reader.readJoka();
+                } else if (event.state.currentPoem && !engine.isRoundTaken()) {
+                    reader.readCard(event.state.currentPoem, { onUpperStart: hooks.onUpperStart });
+                }
+            });
+            engine.on('roundStart', (event) => {
+                reader.readCard(event.poem, { onUpperStart: hooks.onUpperStart });
+            });
+        },
+    };
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PoemReader,
+        JOKA,
+        READER_DEFAULT_SETTINGS,
+        READER_MIN_RATE,
+        READER_MAX_RATE,
+        createWebSpeech,
+        createAudioRecordings,
+        createReaderPlugin,
+    };
+} else if (typeof window !== 'undefined') {
+    window.PoemReader = PoemReader;
+    window.JOKA = JOKA;
+    window.READER_DEFAULT_SETTINGS = READER_DEFAULT_SETTINGS;
+    window.READER_MIN_RATE = READER_MIN_RATE;
+    window.READER_MAX_RATE = READER_MAX_RATE;
+    window.createWebSpeech = createWebSpeech;
+    window.createAudioRecordings = createAudioRecordings;
+    window.createReaderPlugin = createReaderPlugin;
+}
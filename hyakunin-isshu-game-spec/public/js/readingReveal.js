@@ -0,0 +1,95 @@
+/**
+ * ReadingReveal - 読手（どくしゅ）のように上の句を1文字ずつ読み上げる表示の計算
+ *
+ * 責務:
+ * - 読み始めからの経過時間に対して、表示する文字数の算出
+ * - 句の区切りの空白を保ったままの表示部分の切り出し
+ * - 札を取った時点の速さ（決まり字までに取ったか、上の句を読み終えてから取ったか）の判定
+ *
+ * 文字数は空白を除いた読み（ひらがな）で数えるため、決まり字の長さと直接比べられる。
+ * GameEngine（取りの速さの判定）と UIRenderer（表示）の両方から利用する共有モジュール。
+ */
+
+/**
+ * 取りの速さ
+ * - fast: 決まり字が読み終わるまでに取った（速い）
+ * - normal: 決まり字より後、上の句を読み終える前に取った（普通）
+ * - slow: 上の句がすべて表示されてから取った（遅い）
+ */
+const TAKE_TIMINGS = ['fast', 'normal', 'slow'];
+
+/**
+ * 読み始めからの経過時間に対して表示する文字数を求める
+ * 読み始めの時点で1文字目を表示し、interval ミリ秒ごとに1文字ずつ増やす
+ * @param {number} elapsedMs - 読み始めからの経過時間（ミリ秒）
+ * @param {number} interval - 1文字あたりの時間（ミリ秒）。0以下の場合は全文字を表示する
+ * @param {number} totalLength - 読みの文字数（空白を除く）
+ * @returns {number} 表示する文字数
+ */
+function getRevealedLength(elapsedMs, interval, totalLength) {
+    if (!(interval > 0)) {
+        return totalLength;
+    }
+    return Math.min(totalLength, Math.floor(Math.max(0, elapsedMs) / interval) + 1);
+}
+
+/**
+ * 読みの文字数（空白を除く）を求める
+ * @param {string} reading - 句の区切りの空白を含む読み
+ * @returns {number} 文字数
+ */
+function getReadingLength(reading) {
+    if (typeof reading !== 'string') {
+        return 0;
+    }
+    return reading.replace(/[\s　]+/g, '').length;
+}
+
+/**
+ * 読みの先頭から指定した文字数（空白を除いて数える）までを、空白を含めて切り出す
+ * @param {string} reading - 句の区切りの空白を含む読み
+ * @param {number} count - 表示する文字数（空白を除く）
+ * @returns {string} 表示する部分
+ */
+function sliceReading(reading, count) {
+    if (typeof reading !== 'string' || count <= 0) {
+        return '';
+    }
+    let shown = 0;
+    let end = 0;
+    while (end < reading.length && shown < count) {
+        if (!/[\s　]/.test(reading[end])) {
+            shown++;
+        }
+        end++;
+    }
+    return reading.slice(0, end);
+}
+
+/**
+ * 札を取った時点の速さを判定する
+ * @param {number} revealedLength - 取った時点で表示されていた文字数
+ * @param {number} kimarijiLength - その時点の決まり字の文字数
+ * @param {number} totalLength - 上の句の読みの文字数
+ * @returns {string} 取りの速さ（'fast' | 'normal' | 'slow'）
+ */
+function classifyTakeTiming(revealedLength, kimarijiLength, totalLength) {
+    if (revealedLength <= kimarijiLength) {
+        return 'fast';
+    }
+    if (revealedLength >= totalLength) {
+        return 'slow';
+    }
+    return 'normal';
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TAKE_TIMINGS, getRevealedLength, getReadingLength, sliceReading, classifyTakeTiming };
+} else if (typeof window !== 'undefined') {
+    window.TAKE_TIMINGS = TAKE_TIMINGS;
+    window.getRevealedLength = getRevealedLength;
+    window.getReadingLength = getReadingLength;
+    window.sliceReading = sliceReading;
+    window.classifyTakeTiming = classifyTakeTiming;
+}
@@ -4,34 +4,89 @@
  * 責務:
  * - スコアの加算・管理
  * - 正答率の計算
- * - 残り札数の追跡
+ * - 残り札数の追跡（陣地を持つモードでは陣ごと）
+ * - お手つき数の記録
+ * - 反応時間（読み始めから札を取るまで）の集計
+ * - 取りの速さ（速い・普通・遅い）の集計と、速く取った札のボーナス点
+ * - 途中のゲームの保存と再開（serialize / restore）
+ * - GameEngine のイベントに合わせてスコアを記録するプラグイン（createScorePlugin）
  *
  * Requirements: 5.1, 5.2
  */
 
+/**
+ * serialize が出力するスナップショットの形式の版
+ */
+const SCORE_SNAPSHOT_VERSION = 1;
+
+/**
+ * 取りの速さごとのボーナス点
+ * 決まり字が読み終わるまでに取った札（速い）だけに加点する
+ */
+const TIMING_BONUS = {
+    fast: 1,
+    normal: 0,
+    slow: 0,
+};
+
 class ScoreManager {
     /**
      * @param {number} totalCards - ゲーム開始時の総カード数
+     * @param {Object<string, number>} [sideCounts] - 陣地を持つモードでの陣ごとの札数（例: { player: 25, opponent: 25 }）
      */
-    constructor(totalCards) {
+    constructor(totalCards, sideCounts) {
         if (typeof totalCards !== 'number' || !Number.isInteger(totalCards) || totalCards < 0) {
             throw new Error('totalCards must be a non-negative integer');
         }
         this._totalCards = totalCards;
+        this._initialSides = ScoreManager._copySideCounts(sideCounts);
+        this._sides = ScoreManager._copySideCounts(this._initialSides);
         this._correct = 0;
         this._incorrect = 0;
+        this._fouls = 0;
+        this._removed = 0;   // 陣地を持たない場合に取られずに場から下げた札の数
+        this._reactions = []; // 取った札ごとの反応時間
+    }
+
+    /**
+     * 陣ごとの札数を検証してコピーする
+     * @param {Object<string, number>} [sideCounts] - 陣ごとの札数
+     * @returns {Object<string, number>|null} コピー（指定がない場合null）
+     * @private
+     */
+    static _copySideCounts(sideCounts) {
+        if (sideCounts === undefined || sideCounts === null) {
+            return null;
+        }
+        if (typeof sideCounts !== 'object' || Array.isArray(sideCounts)) {
+            throw new Error('sideCounts must be an object');
+        }
+        const copy = {};
+        Object.keys(sideCounts).forEach((side) => {
+            const count = sideCounts[side];
+            if (typeof count !== 'number' || !Number.isInteger(count) || count < 0) {
+                throw new Error('sideCounts must contain non-negative integers');
+            }
+            copy[side] = count;
+        });
+        return copy;
     }
 
     /**
      * 正解時にスコアを加算する
      * 正解数を1増加させ、残り札数を1減少させる
+     * 陣地を持つモードでは、札を取った陣の残り札数を1減少させる
      * Requirements: 4.1, 5.1
+     * @param {string} [takenFrom] - 取った札があった陣
      */
-    addCorrect() {
+    addCorrect(takenFrom) {
         if (this._correct + this._incorrect >= this._totalCards + this._incorrect) {
             // 残り札が0の場合は加算しない（すでに全カード正解済み）
         }
         this._correct += 1;
+        if (this._sides) {
+            this.removeCard(takenFrom);
+        }
     }
 
     /**
@@ -43,17 +98,126 @@ class ScoreManager {
         this._incorrect += 1;
     }
 
+    /**
+     * お手つきを記録する
+     * お手つきは不正解としても数える
+     */
+    addFoul() {
+        this._incorrect += 1;
+        this._fouls += 1;
+    }
+
+    /**
+     * 場から札を1枚除去する（相手が取った札、誰にも取られなかった札など）
+     * 陣地を持たない場合は正解数を変えずに残り札数だけを1減らす
+     * @param {string} [side] - 札があった陣
+     */
+    removeCard(side) {
+        if (!this._sides) {
+            this._removed += 1;
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(this._sides, side)) {
+            return;
+        }
+        this._sides[side] = Math.max(0, this._sides[side] - 1);
+    }
+
+    /**
+     * 札を一方の陣から他方の陣へ移す（送り札、お手つきの罰）
+     * @param {string} from - 送る側の陣
+     * @param {string} to - 受け取る側の陣
+     */
+    transferCard(from, to) {
+        if (!this._sides || !Object.prototype.hasOwnProperty.call(this._sides, from)
+            || !Object.prototype.hasOwnProperty.call(this._sides, to) || this._sides[from] === 0) {
+            return;
+        }
+        this._sides[from] -= 1;
+        this._sides[to] += 1;
+    }
+
+    /**
+     * 札を取った時の反応時間を記録する
+     * @param {Object} reaction - 反応時間の記録
+     * @param {number} reaction.poemId - 取った札の歌ID
+     * @param {string} [reaction.author] - 作者名（表示用）
+     * @param {number} reaction.reactionMs - 読み始めから札を取るまでの時間（ミリ秒）
+     * @param {number} [reaction.misses=0] - 札を取る前に誤った札に触れた回数
+     * @param {string|null} [reaction.timing] - 取りの速さ（'fast' | 'normal' | 'slow'）
+     */
+    recordReaction(reaction) {
+        if (!reaction || typeof reaction.reactionMs !== 'number'
+            || !Number.isFinite(reaction.reactionMs) || reaction.reactionMs < 0) {
+            throw new Error('reactionMs must be a non-negative number');
+        }
+        this._reactions.push({
+            poemId: reaction.poemId,
+            author: reaction.author || null,
+            reactionMs: reaction.reactionMs,
+            misses: reaction.misses || 0,
+            timing: reaction.timing || null,
+        });
+    }
+
+    /**
+     * 反応時間の集計を取得する
+     * @returns {{ count: number, average: number|null, best: number|null, timings: Object<string, number>, byPoem: Object[] }}
+     *   average は平均（ミリ秒、整数に丸める）、best は最速（ミリ秒）。記録がない場合はnull。
+     *   timings は取りの速さごとの枚数、byPoem は取った順の歌ごとの記録（poemId, author, reactionMs, misses, timing）
+     */
+    getReactionTimes() {
+        const times = this._reactions.map((reaction) => reaction.reactionMs);
+        const timings = {};
+        Object.keys(TIMING_BONUS).forEach((timing) => {
+            timings[timing] = this._reactions.filter((reaction) => reaction.timing === timing).length;
+        });
+        return {
+            count: times.length,
+            average: times.length > 0
+                ? Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length)
+                : null,
+            best: times.length > 0 ? Math.min.apply(null, times) : null,
+            timings: timings,
+            byPoem: this._reactions.map((reaction) => Object.assign({}, reaction)),
+        };
+    }
+
+    /**
+     * 取りの速さによるボーナス点を取得する
+     * @returns {number} ボーナス点の合計
+     */
+    getBonus() {
+        return this._reactions.reduce((sum, reaction) => sum + (TIMING_BONUS[reaction.timing] || 0), 0);
+    }
+
+    /**
+     * 陣ごとの残り札数を取得する
+     * @returns {Object<string, number>|null} 陣ごとの残り札数のコピー（陣地を持たない場合null）
+     */
+    getRemainingBySide() {
+        return this._sides ? Object.assign({}, this._sides) : null;
+    }
+
     /**
      * 現在のスコア情報を取得する
      * Requirements: 5.1, 5.2
      * @returns {ScoreData} スコアデータオブジェクト
      */
     getScore() {
+        const bySide = this.getRemainingBySide();
+        const remaining = bySide
+            ? Object.keys(bySide).reduce((sum, side) => sum + bySide[side], 0)
+            : Math.max(0, this._totalCards - this._correct - this._removed);
+
         return {
             correct: this._correct,
             incorrect: this._incorrect,
-            remaining: Math.max(0, this._totalCards - this._correct),
+            fouls: this._fouls,
+            remaining: remaining,
+            remainingBySide: bySide,
             accuracy: this.getAccuracy(),
+            bonus: this.getBonus(),
         };
     }
 
@@ -72,26 +236,166 @@ class ScoreManager {
         return Math.round((this._correct / totalAttempts) * 10000) / 100;
     }
 
+    /**
+     * スコアを保存できる形式に変換する
+     * @returns {Object} JSON に変換できるスナップショット
+     */
+    serialize() {
+        return {
+            version: SCORE_SNAPSHOT_VERSION,
+            totalCards: this._totalCards,
+            initialSides: ScoreManager._copySideCounts(this._initialSides),
+            sides: ScoreManager._copySideCounts(this._sides),
+            correct: this._correct,
+            incorrect: this._incorrect,
+            fouls: this._fouls,
+            removed: this._removed,
+            reactions: this._reactions.map((reaction) => Object.assign({}, reaction)),
+        };
+    }
+
+    /**
+     * serialize で保存したスコアを復元する
+     * @param {Object} snapshot - serialize の戻り値
+     * @throws {Error} スナップショットの版が異なる場合
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== SCORE_SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot ? snapshot.version : snapshot}`);
+        }
+        this.reset(snapshot.totalCards, snapshot.initialSides);
+        this._sides = ScoreManager._copySideCounts(snapshot.sides);
+        this._correct = snapshot.correct;
+        this._incorrect = snapshot.incorrect;
+        this._fouls = snapshot.fouls;
+        this._removed = snapshot.removed;
+        this._reactions = (snapshot.reactions || []).map((reaction) => Object.assign({ timing: null }, reaction));
+    }
+
     /**
      * スコアをリセットする
      * すべてのカウンターを初期状態に戻す
      * @param {number} [totalCards] - 新しい総カード数（省略時は現在の値を維持）
+     * @param {Object<string, number>} [sideCounts] - 新しい陣ごとの札数（省略時は現在の初期値を維持）
      */
-    reset(totalCards) {
+    reset(totalCards, sideCounts) {
         if (totalCards !== undefined) {
             if (typeof totalCards !== 'number' || !Number.isInteger(totalCards) || totalCards < 0) {
                 throw new Error('totalCards must be a non-negative integer');
             }
             this._totalCards = totalCards;
         }
+        if (sideCounts !== undefined) {
+            this._initialSides = ScoreManager._copySideCounts(sideCounts);
+        }
+        this._sides = ScoreManager._copySideCounts(this._initialSides);
         this._correct = 0;
         this._incorrect = 0;
+        this._fouls = 0;
+        this._removed = 0;
+        this._reactions = [];
     }
 }
 
+/**
+ * GameEngine のイベントに合わせてスコアを記録するプラグインを作る
+ * - gameStart: 新しいゲームの場の札数でスコアをリセットする（再開時は restore した値を保つ）
+ * - correct / incorrect: この端末のプレイヤーの正解・不正解・お手つき（1ラウンドに1回まで）・反応時間と、送り札を記録する
+ * - 相手が取った札と、誰にも取られずに場から下げた札は残り札数から除く
+ *
+ * 1つの画面で2人が対戦する場合は、プレイヤーごとに ScoreManager を用意し、
+ * options.side でそのプレイヤーの側を指定する（その側の取り・お手つきだけを記録する）。
+ * @param {ScoreManager} scoreManager - 記録先の ScoreManager
+ * @param {function(ScoreData): void} [onChange] - スコアが変わるたびに呼ばれる関数
+ * @param {Object} [options] - オプション
+ * @param {string} [options.side] - 記録するプレイヤーの側（省略時はこの端末のプレイヤー）
+ * @returns {{ install: function(GameEngine): void }} GameEngine.use に渡すプラグイン
+ */
+function createScorePlugin(scoreManager, onChange, options = {}) {
+    const isOwn = (event) => (options.side ? event.side === options.side : event.primary);
+    const notify = () => {
+        if (onChange) {
+            onChange(scoreManager.getScore());
+        }
+    };
+    // side ごとに最後にお手つきを数えたラウンド
+    let foulRounds = {};
+
+    return {
+        install(engine) {
+            engine.on('gameStart', (event) => {
+                if (event.restored) {
+                    return;
+                }
+                const territories = event.state.territories;
+                let sideCounts = null;
+                if (territories) {
+                    sideCounts = {};
+                    Object.keys(territories).forEach((side) => {
+                        sideCounts[side] = territories[side].length;
+                    });
+                }
+                foulRounds = {};
+                scoreManager.reset(event.state.remainingCards.length, sideCounts);
+                notify();
+            });
+
+            engine.on('correct', (event) => {
+                if (isOwn(event)) {
+                    scoreManager.addCorrect(event.takenFrom || undefined);
+                    scoreManager.recordReaction({
+                        poemId: event.poem.id,
+                        author: event.poem.author,
+                        reactionMs: event.reactionMs,
+                        misses: event.misses.length,
+                        timing: event.timing,
+                    });
+                } else {
+                    scoreManager.removeCard(event.takenFrom || undefined);
+                }
+                if (event.sentCard) {
+                    scoreManager.transferCard(event.sentCard.from, event.sentCard.to);
+                }
+                notify();
+            });
+
+            engine.on('incorrect', (event) => {
+                // お手つきは GameEngine と同じく1ラウンドに1回だけ数え（罰の札がなくても数える）、
+                // 同じラウンドの2回目以降は不正解として数える
+                const countsFoul = event.foul && foulRounds[event.side] !== event.round;
+                if (countsFoul) {
+                    foulRounds[event.side] = event.round;
+                }
+                if (isOwn(event)) {
+                    if (countsFoul) {
+                        scoreManager.addFoul();
+                    } else {
+                        scoreManager.addIncorrect();
+                    }
+                }
+                // 罰の札の受け渡しはお手つきの数とは別に反映する
+                if (event.penaltyCard) {
+                    scoreManager.transferCard(event.penaltyCard.from, event.penaltyCard.to);
+                }
+                notify();
+            });
+
+            engine.on('roundEnd', (event) => {
+                if (event.discarded) {
+                    scoreManager.removeCard(event.discarded.side || undefined);
+                    notify();
+                }
+            });
+        },
+    };
+}
+
 // ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ScoreManager };
+    module.exports = { ScoreManager, SCORE_SNAPSHOT_VERSION, TIMING_BONUS, createScorePlugin };
 } else if (typeof window !== 'undefined') {
     window.ScoreManager = ScoreManager;
+    window.createScorePlugin = createScorePlugin;
+    window.TIMING_BONUS = TIMING_BONUS;
+    window.SCORE_SNAPSHOT_VERSION = SCORE_SNAPSHOT_VERSION;
 }
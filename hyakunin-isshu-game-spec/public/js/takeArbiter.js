@@ -0,0 +1,127 @@
+/**
+ * TakeArbiter - 1つの画面で2人が対戦する時の取りの判定
+ *
+ * 責務:
+ * - 2人がほぼ同時に札に触れた時に、触れた時刻（イベントの timeStamp）の順に並べ直す
+ * - 各プレイヤーのキーボードの範囲（キーから札の位置）の対応
+ *
+ * 画面へのタッチやキー入力のイベントは届く順番が触れた順とは限らないため、
+ * 最初の入力から windowMs の間の入力をまとめてから、時刻の早い順に onResolve に渡す。
+ * 札を取れたかどうかは、渡された順に GameEngine.selectCard で判定する
+ * （先に正しい札に触れたプレイヤーが取り、以降の入力はそのラウンドでは取れない）。
+ */
+
+/**
+ * 同時に触れたとみなす入力をまとめる時間（ミリ秒）の既定値
+ */
+const TAKE_ARBITER_WINDOW_MS = 50;
+
+/**
+ * プレイヤーごとのキーボードの範囲（キーボードの左側がプレイヤー1、右側がプレイヤー2）
+ * n番目のキーが、そのプレイヤーの側に表示した場の札の n番目に対応する
+ */
+const HOT_SEAT_KEY_ZONES = [
+    ['q', 'w', 'e', 'r', 't', 'a', 's', 'd', 'f', 'g', 'z', 'x', 'c', 'v', 'b'],
+    ['y', 'u', 'i', 'o', 'p', 'h', 'j', 'k', 'l', ';', 'n', 'm', ',', '.', '/'],
+];
+
+/**
+ * キーがどのプレイヤーのキーボードの範囲の何番目かを返す
+ * @param {string} key - KeyboardEvent.key
+ * @returns {{ player: number, slot: number }|null} プレイヤーの番号（0始まり）と札の位置（範囲外のキーはnull）
+ */
+function findKeyZone(key) {
+    const normalized = typeof key === 'string' ? key.toLowerCase() : '';
+    for (let player = 0; player < HOT_SEAT_KEY_ZONES.length; player++) {
+        const slot = HOT_SEAT_KEY_ZONES[player].indexOf(normalized);
+        if (slot !== -1) {
+            return { player, slot };
+        }
+    }
+    return null;
+}
+
+/**
+ * 入力を触れた時刻の早い順に並べる（同じ時刻の場合は届いた順）
+ * @param {TakeTouch[]} touches - 入力の配列
+ * @returns {TakeTouch[]} 並べ替えた新しい配列
+ */
+function sortTouches(touches) {
+    return touches
+        .map((touch, index) => ({ touch, index }))
+        .sort((a, b) => (a.touch.timestamp - b.touch.timestamp) || (a.index - b.index))
+        .map((entry) => entry.touch);
+}
+
+class TakeArbiter {
+    /**
+     * @param {Object} options - オプション
+     * @param {function(TakeTouch[]): void} options.onResolve - まとめた入力を時刻の早い順に受け取る関数
+     * @param {number} [options.windowMs=50] - 最初の入力から入力をまとめる時間（ミリ秒）
+     */
+    constructor(options = {}) {
+        if (typeof options.onResolve !== 'function') {
+            throw new Error('onResolve must be a function');
+        }
+        const windowMs = options.windowMs === undefined ? TAKE_ARBITER_WINDOW_MS : options.windowMs;
+        if (!Number.isInteger(windowMs) || windowMs < 0) {
+            throw new Error('windowMs must be a non-negative integer');
+        }
+        this._onResolve = options.onResolve;
+        this._windowMs = windowMs;
+        this._pending = [];
+        this._timer = null;
+    }
+
+    /**
+     * 札に触れた入力を受け付ける
+     * @param {TakeTouch} touch - 入力（side: 触れたプレイヤーの側 / cardId: 札のID / timestamp: 触れた時刻）
+     */
+    submit(touch) {
+        if (!touch || typeof touch.side !== 'string' || !Number.isFinite(touch.timestamp)) {
+            throw new Error('touch must have a side and a finite timestamp');
+        }
+        this._pending.push(touch);
+        if (this._timer === null) {
+            this._timer = setTimeout(() => this.flush(), this._windowMs);
+        }
+    }
+
+    /**
+     * まとめている入力をすぐに時刻の早い順に onResolve に渡す
+     */
+    flush() {
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        if (this._pending.length === 0) {
+            return;
+        }
+        const touches = sortTouches(this._pending);
+        this._pending = [];
+        this._onResolve(touches);
+    }
+
+    /**
+     * まとめている入力を判定せずに捨てる（ラウンドの終了時・タイトルへ戻る時）
+     */
+    cancel() {
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this._pending = [];
+    }
+}
+
+// ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TakeArbiter, TAKE_ARBITER_WINDOW_MS, HOT_SEAT_KEY_ZONES, findKeyZone, sortTouches };
+} else if (typeof window !== 'undefined') {
+    window.TakeArbiter = TakeArbiter;
+    window.TAKE_ARBITER_WINDOW_MS = TAKE_ARBITER_WINDOW_MS;
+    window.HOT_SEAT_KEY_ZONES = HOT_SEAT_KEY_ZONES;
+    window.findKeyZone = findKeyZone;
+    window.sortTouches = sortTouches;
+}
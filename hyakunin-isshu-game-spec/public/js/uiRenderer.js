@@ -3,15 +3,72 @@
  *
  * 責務:
  * - 取り札のグリッド表示（縦書き）
- * - 読み札（上の句・作者名）の表示
+ * - 読み札（上の句・作者名）の表示（読手のように1文字ずつ表示するモードを含む）
  * - 正誤フィードバックのアニメーション
+ * - 決まり字の表示（表示・非表示の切り替え）
  * - スコアボードのリアルタイム更新
  * - ゲーム終了画面の表示
+ * - 坊主めくり画面の表示
+ * - 読手モード画面の表示
+ * - 授業用のクラスの先生の画面（順位・正答率・取れなかった札）の表示
+ * - 観戦できるネットワーク対戦の一覧の表示
+ * - 成績画面（プロフィールごとの遊んだゲームの履歴と成績）の表示
  * - 画面遷移の制御
  *
  * Requirements: 3.1, 3.2, 4.3, 4.4, 4.5, 5.1, 5.2, 5.3
  */
 
+/**
+ * 陣（side）の表示名
+ */
+const SIDE_LABELS = {
+    player: '自陣',
+    opponent: '敵陣',
+    genji: '源氏',
+    heike: '平氏',
+};
+
+// 上の句の表示の進み方は GameEngine と共有する
+// （Node.js では require、ブラウザでは readingReveal.js が定義するグローバル関数を参照）
+const uiRevealModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./readingReveal')
+    : window;
+
+// ゲームの記録の遊び方の表示名はプロフィールと共有する
+// （Node.js では require、ブラウザでは playerProfiles.js が定義するグローバル変数を参照）
+const uiProfilesModule = (typeof module !== 'undefined' && module.exports)
+    ? require('./playerProfiles')
+    : window;
+
+/**
+ * 取りの速さの表示名
+ */
+const TAKE_TIMING_LABELS = {
+    fast: '速い',
+    normal: '普通',
+    slow: '遅い',
+};
+
+/**
+ * ネットワーク対戦のゲームモードの表示名（観戦できる対戦の一覧で使う）
+ */
+const MATCH_MODE_LABELS = {
+    standard: '通常',
+    competitive: '競技かるた',
+    genpei: '源平合戦',
+};
+
+/**
+ * 坊主めくりの札の種類・効果の表示名
+ */
+const BOZU_CATEGORY_LABELS = {
+    tono: '殿',
+    hime: '姫',
+    bozu: '坊主',
+    tenno: '天皇',
+    semimaru: '蝉丸',
+};
+
 class UIRenderer {
     /**
      * @param {GameEngine} gameEngine - ゲームエンジンインスタンス（参照用、将来の拡張に備える）
@@ -25,18 +82,70 @@ class UIRenderer {
         this._startScreen = document.getElementById('start-screen');
         this._gameScreen = document.getElementById('game-screen');
         this._gameOverScreen = document.getElementById('gameover-screen');
+        this._bozuScreen = document.getElementById('bozu-screen');
+        this._dokushuScreen = document.getElementById('dokushu-screen');
+        this._classroomScreen = document.getElementById('classroom-screen');
+        this._historyScreen = document.getElementById('history-screen');
         this._readingAuthor = document.getElementById('reading-author');
         this._readingVerse = document.getElementById('reading-verse');
+        this._readingCard = document.getElementById('reading-card');
+        this._readingKimariji = document.getElementById('reading-kimariji');
+        this._takeTiming = document.getElementById('take-timing');
         this._scoreElement = document.getElementById('score');
         this._accuracyElement = document.getElementById('accuracy');
         this._remainingElement = document.getElementById('remaining');
+        this._foulsElement = document.getElementById('fouls');
+        this._roundTimerElement = document.getElementById('round-timer');
+        this._matchStatus = document.getElementById('match-status');
+        this._matchList = document.getElementById('match-list');
+        this._gameCodeElement = document.getElementById('game-code');
+        this._gameCode = null;
         this._gameField = document.getElementById('game-field');
         this._finalScore = document.getElementById('final-score');
+        this._dailyResult = document.getElementById('daily-result');
+        this._dailyRank = document.getElementById('daily-rank');
+        this._dailyRanking = document.getElementById('daily-ranking');
+        this._dailySubmitBtn = document.getElementById('daily-submit-btn');
+        this._bozuStatus = document.getElementById('bozu-status');
+        this._bozuDrawnCard = document.getElementById('bozu-drawn-card');
+        this._bozuMessage = document.getElementById('bozu-message');
+        this._bozuPlayers = document.getElementById('bozu-players');
+        this._bozuDrawBtn = document.getElementById('bozu-draw-btn');
+        this._dokushuStatus = document.getElementById('dokushu-status');
+        this._dokushuCard = document.getElementById('dokushu-card');
+        this._dokushuAuthor = document.getElementById('dokushu-author');
+        this._dokushuVerse = document.getElementById('dokushu-verse');
+        this._dokushuHistory = document.getElementById('dokushu-history');
+        this._dokushuPauseBtn = document.getElementById('dokushu-pause-btn');
+        this._dokushuRepeatBtn = document.getElementById('dokushu-repeat-btn');
+        this._dokushuNextBtn = document.getElementById('dokushu-next-btn');
+        this._classroomCode = document.getElementById('classroom-code-display');
+        this._classroomJoinUrls = document.getElementById('classroom-join-urls');
+        this._classroomStatus = document.getElementById('classroom-status');
+        this._classroomMessage = document.getElementById('classroom-message');
+        this._classroomAuthor = document.getElementById('classroom-reading-author');
+        this._classroomVerse = document.getElementById('classroom-reading-verse');
+        this._classroomRanking = document.getElementById('classroom-ranking');
+        this._classroomMissed = document.getElementById('classroom-missed');
+        this._classroomStartBtn = document.getElementById('classroom-start-btn');
+        this._classroomNextBtn = document.getElementById('classroom-next-btn');
+        this._classroomEndBtn = document.getElementById('classroom-end-btn');
+        this._historyMessage = document.getElementById('history-message');
+        this._historyStats = document.getElementById('history-stats');
+        this._historyGames = document.getElementById('history-games');
+
+        // 決まり字を表示するかどうか（必要なときだけ表示する）
+        this._kimarijiVisible = false;
+
+        // 上の句を1文字表示する間隔（ミリ秒、0は一度に表示）と表示中のタイマー
+        this._revealInterval = 0;
+        this._revealTimer = null;
+        this._revealReading = '';
 
         /**
          * カードクリック時のコールバック関数
-         * app.js から設定される
-         * @type {function(number, HTMLElement)|null}
+         * app.js から設定される（2人対戦の場では、触れたプレイヤーの側と時刻 { side, timestamp } も渡す）
+         * @type {function(number, HTMLElement, Object=)|null}
          */
         this.onCardClick = null;
     }
@@ -49,27 +158,65 @@ class UIRenderer {
      * スタート画面を表示する
      */
     showStartScreen() {
-        this._startScreen.style.display = '';
-        this._gameScreen.style.display = 'none';
-        this._gameOverScreen.style.display = 'none';
+        this._showOnly(this._startScreen);
     }
 
     /**
      * ゲーム画面を表示する
      */
     showGameScreen() {
-        this._startScreen.style.display = 'none';
-        this._gameScreen.style.display = '';
-        this._gameOverScreen.style.display = 'none';
+        this._showOnly(this._gameScreen);
     }
 
     /**
      * ゲーム終了画面を表示する
      */
     showGameOverScreen() {
-        this._startScreen.style.display = 'none';
-        this._gameScreen.style.display = 'none';
-        this._gameOverScreen.style.display = '';
+        this._showOnly(this._gameOverScreen);
+    }
+
+    /**
+     * 坊主めくり画面を表示する
+     */
+    showBozuMekuriScreen() {
+        this._showOnly(this._bozuScreen);
+    }
+
+    /**
+     * 読手モード画面を表示する
+     */
+    showDokushuScreen() {
+        this._showOnly(this._dokushuScreen);
+    }
+
+    /**
+     * 授業用のクラスの先生の画面を表示する
+     */
+    showClassroomScreen() {
+        this._showOnly(this._classroomScreen);
+    }
+
+    /**
+     * 成績画面を表示する
+     */
+    showHistoryScreen() {
+        this._showOnly(this._historyScreen);
+    }
+
+    /**
+     * 指定した画面だけを表示し、他の画面を非表示にする
+     * ページに存在しない画面（null）は無視する
+     * @param {HTMLElement} target - 表示する画面
+     * @private
+     */
+    _showOnly(target) {
+        [this._startScreen, this._gameScreen, this._gameOverScreen, this._bozuScreen, this._dokushuScreen,
+            this._classroomScreen, this._historyScreen]
+            .forEach(function (screen) {
+                if (screen) {
+                    screen.style.display = screen === target ? '' : 'none';
+                }
+            });
     }
 
     // =========================================
@@ -79,45 +226,231 @@ class UIRenderer {
     /**
      * 取り札のグリッド表示を描画する
      * 各取り札に下の句を縦書きで表示し、data-id属性でポエムIDを設定する
+     * 陣地を持つモードでは陣ごとに区切って表示し、data-side 属性で各取り札の陣を設定する
      *
      * Requirements: 2.1 (取り札をGame_Fieldに配置), 7.3 (縦書き表示)
      *
      * @param {Poem[]} cards - 場に配置する取り札の配列
+     * @param {Object} [options] - 描画オプション
+     * @param {Object<number, string>} [options.cardSides] - 歌IDをキー、陣を値とするオブジェクト
+     * @param {string[]} [options.sides] - 陣を表示する順序（上から。先頭が向こう側の陣）
+     * @param {Object<string, string>} [options.sideLabels] - 陣の表示名（省略時は SIDE_LABELS）
      */
-    renderGameField(cards) {
+    renderGameField(cards, options) {
+        var cardSides = (options && options.cardSides) || null;
+
         // ゲームフィールドをクリア
         this._gameField.innerHTML = '';
+        this._gameField.classList.remove('hot-seat');
+        this._gameField.classList.toggle('has-territories', Boolean(cardSides));
+
+        this._renderFieldCards(this._gameField, cards, cardSides, (options && options.sides) || [],
+            (options && options.sideLabels) || null, 'click');
+    }
+
+    /**
+     * 1つの画面で2人が対戦する場を描画する
+     * 場を2つ並べ、上の場は向かいに座るプレイヤー2から読めるよう180度回転して表示する。
+     * どちらの場に触れたかで札に触れたプレイヤーを決めるため、
+     * 同時に触れても取りこぼさないよう click ではなく pointerdown で受け付ける。
+     * キーボードで遊ぶ場合に備え、各札にそのプレイヤーのキー（options.players[].keys）を表示する。
+     *
+     * @param {Poem[]} cards - 場に配置する取り札の配列
+     * @param {Object} options - 描画オプション
+     * @param {Array<{ side: string, label: string, keys: string[] }>} options.players
+     *   プレイヤー1（手前）・プレイヤー2（向こう側）の順の、側・表示名・キーボードの範囲
+     * @param {Object<number, string>} [options.cardSides] - 歌IDをキー、陣を値とするオブジェクト
+     */
+    renderHotSeatField(cards, options) {
+        var cardSides = options.cardSides || null;
+        var players = options.players;
+        var sideLabels = {};
+        players.forEach(function (player) {
+            sideLabels[player.side] = player.label;
+        });
+
+        this._gameField.innerHTML = '';
+        this._gameField.classList.add('hot-seat');
+        this._gameField.classList.toggle('has-territories', Boolean(cardSides));
+
+        // 向こう側のプレイヤー2の場から描画する
+        players.slice().reverse().forEach(function (player, index) {
+            var half = document.createElement('div');
+            half.className = 'hot-seat-half' + (index === 0 ? ' hot-seat-far' : '');
+            half.setAttribute('data-player-side', player.side);
+
+            var label = document.createElement('div');
+            label.className = 'hot-seat-label';
+            label.textContent = player.label;
+            half.appendChild(label);
+
+            // 自分の陣が手前になるよう、相手の陣を先に描画する
+            var sides = players.filter(function (other) {
+                return other.side !== player.side;
+            }).map(function (other) {
+                return other.side;
+            }).concat(player.side);
+
+            var halfCards = document.createElement('div');
+            halfCards.className = 'hot-seat-cards';
+            this._renderFieldCards(halfCards, cards, cardSides, sides, sideLabels, 'pointerdown');
+            half.appendChild(halfCards);
+
+            // 札の位置の順にキーを表示する（キーより札が多い場合は、残りの札はタッチだけで取る）
+            var keys = player.keys || [];
+            Array.prototype.forEach.call(halfCards.querySelectorAll('.grab-card'), function (cardElement, slot) {
+                if (slot < keys.length) {
+                    var keySpan = document.createElement('span');
+                    keySpan.className = 'card-key';
+                    keySpan.textContent = keys[slot].toUpperCase();
+                    cardElement.appendChild(keySpan);
+                }
+            });
+
+            this._gameField.appendChild(half);
+        }.bind(this));
+    }
+
+    /**
+     * 1つの画面で2人が対戦する場で、プレイヤーの側の n番目の札のDOM要素を取得する
+     * @param {string} side - プレイヤーの側
+     * @param {number} slot - 札の位置（0始まり、キーボードの範囲のキーの順）
+     * @returns {HTMLElement|null} 取り札のDOM要素（ない場合null）
+     */
+    getHotSeatCardElement(side, slot) {
+        var half = this._gameField.querySelector('.hot-seat-half[data-player-side="' + side + '"]');
+        return half ? half.querySelectorAll('.grab-card')[slot] || null : null;
+    }
+
+    /**
+     * 取り札を描画先に並べる
+     * 陣の指定がある場合は陣ごとに振り分け、陣の間に区切り線を入れる
+     * @param {HTMLElement} container - 描画先
+     * @param {Poem[]} cards - 場に配置する取り札の配列
+     * @param {Object<number, string>|null} cardSides - 歌IDをキー、陣を値とするオブジェクト
+     * @param {string[]} sideOrder - 陣を表示する順序（上から。先頭が向こう側の陣）
+     * @param {Object<string, string>|null} sideLabels - 陣の表示名（省略時は SIDE_LABELS）
+     * @param {string} eventName - 札に触れたことを受け付けるイベント
+     * @private
+     */
+    _renderFieldCards(container, cards, cardSides, sideOrder, sideLabels, eventName) {
+        if (!cardSides) {
+            cards.forEach(function (card) {
+                container.appendChild(this._createCardElement(card, eventName));
+            }.bind(this));
+            return;
+        }
 
+        // 陣ごとに取り札を振り分ける（表示順の指定がない陣は登場順で末尾に追加）
+        var sides = sideOrder.slice();
+        var cardsBySide = {};
         cards.forEach(function (card) {
-            var cardElement = document.createElement('div');
-            cardElement.className = 'grab-card';
-            cardElement.setAttribute('data-id', String(card.id));
+            var side = cardSides[card.id];
+            if (sides.indexOf(side) === -1) {
+                sides.push(side);
+            }
+            (cardsBySide[side] = cardsBySide[side] || []).push(card);
+        });
+
+        sides.forEach(function (side, index) {
+            // 陣の間に区切り線を入れる
+            if (index > 0) {
+                var divider = document.createElement('div');
+                divider.className = 'territory-divider';
+                container.appendChild(divider);
+            }
 
-            var textSpan = document.createElement('span');
-            textSpan.className = 'card-text';
-            textSpan.textContent = card.lowerVerse;
+            var territory = document.createElement('div');
+            territory.className = 'territory' + (index === 0 && sides.length > 1 ? ' territory-far' : '');
+            territory.setAttribute('data-side', side);
 
-            cardElement.appendChild(textSpan);
+            var label = document.createElement('div');
+            label.className = 'territory-label';
+            label.textContent = ((sideLabels && sideLabels[side]) || SIDE_LABELS[side] || side) +
+                '（' + (cardsBySide[side] || []).length + '枚）';
+            territory.appendChild(label);
 
-            // クリックイベントハンドラ
-            cardElement.addEventListener('click', this._handleCardClick.bind(this, card.id, cardElement));
+            var territoryCards = document.createElement('div');
+            territoryCards.className = 'territory-cards';
+            (cardsBySide[side] || []).forEach(function (card) {
+                var cardElement = this._createCardElement(card, eventName);
+                cardElement.setAttribute('data-side', side);
+                territoryCards.appendChild(cardElement);
+            }.bind(this));
+            territory.appendChild(territoryCards);
 
-            this._gameField.appendChild(cardElement);
+            container.appendChild(territory);
         }.bind(this));
     }
 
+    /**
+     * 場に描画した取り札のDOM要素を取得する
+     * @param {number} cardId - 取り札のID
+     * @returns {HTMLElement|null} 取り札のDOM要素（場にない場合null）
+     */
+    getCardElement(cardId) {
+        return this._gameField.querySelector('.grab-card[data-id="' + cardId + '"]');
+    }
+
+    /**
+     * 取り札のDOM要素を生成する
+     * @param {Poem} card - 取り札の歌データ
+     * @param {string} [eventName='click'] - 札に触れたことを受け付けるイベント
+     * @returns {HTMLElement} 取り札のDOM要素
+     * @private
+     */
+    _createCardElement(card, eventName) {
+        var cardElement = document.createElement('div');
+        cardElement.className = 'grab-card';
+        cardElement.setAttribute('data-id', String(card.id));
+
+        // 五色百人一首の色札は背景色で色を示す
+        if (card.color) {
+            cardElement.classList.add('card-color-' + card.color);
+            cardElement.setAttribute('data-color', card.color);
+        }
+
+        var textSpan = document.createElement('span');
+        textSpan.className = 'card-text';
+        textSpan.textContent = card.lowerVerse;
+
+        cardElement.appendChild(textSpan);
+
+        // 決まり字表示用の要素（内容は renderKimariji で設定する）
+        var kimarijiSpan = document.createElement('span');
+        kimarijiSpan.className = 'card-kimariji';
+        cardElement.appendChild(kimarijiSpan);
+
+        // クリックイベントハンドラ
+        cardElement.addEventListener(eventName || 'click', this._handleCardClick.bind(this, card.id, cardElement));
+
+        return cardElement;
+    }
+
     /**
      * カードクリックの内部ハンドラ
      * onCardClick コールバックが設定されている場合に呼び出す
      *
      * @param {number} cardId - クリックされたカードのID
      * @param {HTMLElement} cardElement - クリックされたカードのDOM要素
+     * @param {Event} [event] - クリック（2人対戦の場では pointerdown）のイベント
      * @private
      */
-    _handleCardClick(cardId, cardElement) {
-        if (typeof this.onCardClick === 'function') {
-            this.onCardClick(cardId, cardElement);
+    _handleCardClick(cardId, cardElement, event) {
+        if (typeof this.onCardClick !== 'function') {
+            return;
+        }
+
+        // 2人対戦の場では、触れた場のプレイヤーと触れた時刻も渡す
+        var half = cardElement.closest('.hot-seat-half');
+        if (half) {
+            this.onCardClick(cardId, cardElement, {
+                side: half.getAttribute('data-player-side'),
+                timestamp: event ? event.timeStamp : 0,
+            });
+            return;
         }
+        this.onCardClick(cardId, cardElement);
     }
 
     // =========================================
@@ -132,9 +465,14 @@ class UIRenderer {
      * - 3.1: 新しいラウンド開始時に現在の読み札の上の句を画面上部に表示する
      * - 3.2: 上の句が表示された場合、作者名も合わせて表示する
      *
+     * setRevealInterval で間隔を設定した場合は、上の句の読みを読手のように1文字ずつ表示する
+     *
      * @param {Poem} poem - 表示する読み札の歌データ
      */
     renderReadingCard(poem) {
+        this._stopReveal();
+        this.renderTakeTiming(null);
+
         if (!poem) {
             this._readingAuthor.textContent = '';
             this._readingVerse.textContent = '';
@@ -144,10 +482,142 @@ class UIRenderer {
         // 作者名を表示 (Req 3.2)
         this._readingAuthor.textContent = poem.author;
 
+        if (this._revealInterval > 0) {
+            this._startReveal(poem.upperReading || poem.upperVerse);
+            return;
+        }
+
         // 上の句を表示 (Req 3.1)
         this._readingVerse.textContent = poem.upperVerse;
     }
 
+    /**
+     * 聞き取りのみ（読み上げだけを聞いて取る）の表示を切り替える
+     * 有効な場合は読み札の作者名・上の句・決まり字を隠す
+     * @param {boolean} enabled - 聞き取りのみにする場合true
+     */
+    setListeningOnly(enabled) {
+        if (this._readingCard) {
+            this._readingCard.classList.toggle('listening-only', Boolean(enabled));
+        }
+    }
+
+    /**
+     * 上の句を1文字表示する間隔を設定する
+     * @param {number} interval - 間隔（ミリ秒）。0の場合は上の句を一度に表示する
+     */
+    setRevealInterval(interval) {
+        this._revealInterval = interval > 0 ? interval : 0;
+    }
+
+    /**
+     * 上の句の読みを最後まで表示する（札が取られた時・ラウンドを見送った時）
+     */
+    completeReveal() {
+        if (this._revealTimer === null) {
+            return;
+        }
+        this._stopReveal();
+        this._readingVerse.textContent = this._revealReading;
+        this._readingVerse.classList.remove('revealing');
+    }
+
+    /**
+     * 上の句の読みの1文字ずつの表示を開始する
+     * 経過時間から表示する文字数を求めるため、タイマーが遅れても読む速さは変わらない
+     * @param {string} reading - 句の区切りの空白を含む読み
+     * @private
+     */
+    _startReveal(reading) {
+        var startedAt = Date.now();
+        var totalLength = uiRevealModule.getReadingLength(reading);
+        var interval = this._revealInterval;
+        this._revealReading = reading;
+        this._readingVerse.classList.add('revealing');
+
+        var update = function () {
+            var length = uiRevealModule.getRevealedLength(Date.now() - startedAt, interval, totalLength);
+            this._readingVerse.textContent = uiRevealModule.sliceReading(reading, length);
+            if (length >= totalLength) {
+                this._stopReveal();
+                this._readingVerse.classList.remove('revealing');
+            }
+        }.bind(this);
+
+        this._revealTimer = setInterval(update, interval);
+        update();
+    }
+
+    /**
+     * 上の句の表示のタイマーを止める
+     * @private
+     */
+    _stopReveal() {
+        if (this._revealTimer !== null) {
+            clearInterval(this._revealTimer);
+            this._revealTimer = null;
+        }
+    }
+
+    /**
+     * 札を取った時の取りの速さを表示する
+     * @param {string|null} timing - 取りの速さ（'fast' | 'normal' | 'slow'）。nullの場合は表示を消す
+     */
+    renderTakeTiming(timing) {
+        if (!this._takeTiming) {
+            return;
+        }
+        this._takeTiming.className = timing ? 'take-timing-' + timing : '';
+        this._takeTiming.textContent = timing ? TAKE_TIMING_LABELS[timing] || timing : '';
+    }
+
+    // =========================================
+    // 決まり字表示
+    // =========================================
+
+    /**
+     * 決まり字を描画する
+     * 場の各取り札と読み札に、現在の決まり字を設定する。
+     * 表示するかどうかは setKimarijiVisible で切り替える
+     *
+     * @param {Object<number, string>} kimariji - 歌IDをキー、決まり字を値とするオブジェクト
+     * @param {Poem} [readingPoem] - 現在の読み札
+     */
+    renderKimariji(kimariji, readingPoem) {
+        var map = kimariji || {};
+
+        var badges = this._gameField.querySelectorAll('.grab-card');
+        Array.prototype.forEach.call(badges, function (cardElement) {
+            var badge = cardElement.querySelector('.card-kimariji');
+            if (badge) {
+                badge.textContent = map[cardElement.getAttribute('data-id')] || '';
+            }
+        });
+
+        if (this._readingKimariji) {
+            this._readingKimariji.textContent = readingPoem && map[readingPoem.id]
+                ? '決まり字: ' + map[readingPoem.id]
+                : '';
+        }
+    }
+
+    /**
+     * 決まり字の表示・非表示を切り替える
+     * @param {boolean} visible - 表示する場合true
+     */
+    setKimarijiVisible(visible) {
+        this._kimarijiVisible = Boolean(visible);
+        this._gameScreen.classList.toggle('show-kimariji', this._kimarijiVisible);
+    }
+
+    /**
+     * 決まり字が表示中かどうかを返す
+     * @returns {boolean} 表示中の場合true
+     */
+    isKimarijiVisible() {
+        return this._kimarijiVisible;
+    }
+
     // =========================================
     // スコアボード更新
     // =========================================
@@ -159,19 +629,184 @@ class UIRenderer {
      * Requirements:
      * - 5.1: 現在のスコア、正答率、残り札数を画面上に常時表示する
      *
+     * 陣地を持つモードでは陣ごとの残り札数とお手つき数を表示する
+     *
      * @param {ScoreData} score - スコアデータオブジェクト
      *   @param {number} score.correct - 正解数
      *   @param {number} score.accuracy - 正答率（0〜100）
      *   @param {number} score.remaining - 残り札数
+     *   @param {Object<string, number>} [score.remainingBySide] - 陣ごとの残り札数
+     *   @param {number} [score.fouls] - お手つき数
      */
     updateScoreBoard(score) {
         if (!score) {
             return;
         }
 
-        this._scoreElement.textContent = 'スコア: ' + score.correct;
+        // 速く取った札のボーナス点を含めて表示する
+        this._scoreElement.textContent = 'スコア: ' + (score.correct + (score.bonus || 0));
         this._accuracyElement.textContent = '正答率: ' + score.accuracy + '%';
-        this._remainingElement.textContent = '残り: ' + score.remaining;
+
+        if (score.remainingBySide) {
+            this._remainingElement.textContent = this._formatRemainingBySide(score.remainingBySide);
+        } else {
+            this._remainingElement.textContent = '残り: ' + score.remaining;
+        }
+
+        if (this._foulsElement) {
+            this._foulsElement.style.display = score.remainingBySide ? '' : 'none';
+            this._foulsElement.textContent = 'お手つき: ' + (score.fouls || 0);
+        }
+    }
+
+    /**
+     * 1つの画面で2人が対戦するゲームのスコアボードを更新する
+     * 各プレイヤーのスコア（速取りボーナスを含む）・正答率と、残り札数を並べて表示する
+     * @param {Array<{ side: string, label: string, score: ScoreData }>} players - プレイヤー1・プレイヤー2のスコア
+     */
+    updateHotSeatScoreBoard(players) {
+        var sideLabels = this._getPlayerLabels(players);
+        var score = players[0].score;
+
+        this._scoreElement.textContent = players.map(function (player) {
+            return player.label + ': ' + (player.score.correct + (player.score.bonus || 0)) + '点';
+        }).join(' / ');
+        this._accuracyElement.textContent = '正答率: ' + players.map(function (player) {
+            return player.score.accuracy + '%';
+        }).join(' / ');
+
+        if (score.remainingBySide) {
+            this._remainingElement.textContent = this._formatRemainingBySide(score.remainingBySide, sideLabels);
+        } else {
+            this._remainingElement.textContent = '残り: ' + score.remaining;
+        }
+
+        if (this._foulsElement) {
+            this._foulsElement.style.display = score.remainingBySide ? '' : 'none';
+            this._foulsElement.textContent = 'お手つき: ' + players.map(function (player) {
+                return player.score.fouls || 0;
+            }).join(' / ');
+        }
+    }
+
+    /**
+     * プレイヤーの側をキー、表示名を値とするオブジェクトを作る
+     * @param {Array<{ side: string, label: string }>} players - プレイヤー
+     * @returns {Object<string, string>} 側ごとの表示名
+     * @private
+     */
+    _getPlayerLabels(players) {
+        var labels = {};
+        players.forEach(function (player) {
+            labels[player.side] = player.label;
+        });
+        return labels;
+    }
+
+    /**
+     * 陣ごとの残り札数を表示用の文字列にする
+     * @param {Object<string, number>} remainingBySide - 陣ごとの残り札数
+     * @param {Object<string, string>} [sideLabels] - 陣の表示名（省略時は SIDE_LABELS）
+     * @returns {string} 表示用の文字列（例: 「自陣: 25 / 敵陣: 25」）
+     * @private
+     */
+    _formatRemainingBySide(remainingBySide, sideLabels) {
+        return Object.keys(remainingBySide).map(function (side) {
+            return ((sideLabels && sideLabels[side]) || SIDE_LABELS[side] || side) + ': ' + remainingBySide[side];
+        }).join(' / ');
+    }
+
+    /**
+     * ゲームコードを表示する
+     * @param {string|null} code - ゲームコード（null の場合は非表示）
+     */
+    renderGameCode(code) {
+        this._gameCode = code || null;
+        if (this._gameCodeElement) {
+            this._gameCodeElement.textContent = code ? 'ゲームコード: ' + code : '';
+        }
+    }
+
+    /**
+     * 表示中のゲームコードを取得する
+     * @returns {string|null} ゲームコード
+     */
+    getGameCode() {
+        return this._gameCode;
+    }
+
+    /**
+     * ネットワーク対戦の状況（相手を待っている・相手の切断など）を表示する
+     * @param {string|null} text - 表示する内容（null または空文字の場合は非表示）
+     */
+    renderMatchStatus(text) {
+        if (!this._matchStatus) {
+            return;
+        }
+        this._matchStatus.textContent = text || '';
+        this._matchStatus.style.display = text ? '' : 'none';
+    }
+
+    /**
+     * 観戦できるネットワーク対戦の一覧をスタート画面に表示する
+     * @param {Array<{ roomId: string, mode: string, players: string[], spectators: number }>} matches - 対戦の概要
+     * @param {function(string): void} onSelect - 対戦を選んだ時に部屋IDを受け取る関数
+     */
+    renderMatchList(matches, onSelect) {
+        if (!this._matchList) {
+            return;
+        }
+        this._matchList.innerHTML = '';
+        this._matchList.style.display = '';
+        if (matches.length === 0) {
+            var empty = document.createElement('li');
+            empty.textContent = '観戦できる対戦はありません';
+            this._matchList.appendChild(empty);
+            return;
+        }
+        matches.forEach(function (match) {
+            var item = document.createElement('li');
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'watch-match-btn';
+            // 名前はプレイヤーの入力なので textContent で表示する
+            button.textContent = match.players.join(' 対 ') + '（' + (MATCH_MODE_LABELS[match.mode] || match.mode) +
+                (match.spectators > 0 ? '・観戦 ' + match.spectators + '人' : '') + '）';
+            button.addEventListener('click', function () {
+                onSelect(match.roomId);
+            });
+            item.appendChild(button);
+            this._matchList.appendChild(item);
+        }.bind(this));
+    }
+
+    /**
+     * 観戦できる対戦の一覧を隠す
+     */
+    hideMatchList() {
+        if (this._matchList) {
+            this._matchList.innerHTML = '';
+            this._matchList.style.display = 'none';
+        }
+    }
+
+    /**
+     * ラウンドの残り時間を表示する
+     * 残り3秒以下になると強調表示する
+     * @param {number|null} secondsLeft - 残り秒数（null の場合は非表示）
+     */
+    renderRoundTimer(secondsLeft) {
+        if (!this._roundTimerElement) {
+            return;
+        }
+        if (secondsLeft === null || secondsLeft === undefined) {
+            this._roundTimerElement.style.display = 'none';
+            this._roundTimerElement.textContent = '';
+            return;
+        }
+        this._roundTimerElement.style.display = '';
+        this._roundTimerElement.textContent = '残り時間: ' + secondsLeft + '秒';
+        this._roundTimerElement.classList.toggle('warning', secondsLeft <= 3);
     }
 
     // =========================================
@@ -201,6 +836,25 @@ class UIRenderer {
         }.bind(this));
     }
 
+    /**
+     * 対戦相手が札を取ったことを表示する（灰色にしてから場から除去する）
+     * 札が場に描画されていない場合はすぐに解決する
+     * @param {HTMLElement|null} cardElement - 対戦相手が取ったカードのDOM要素
+     * @returns {Promise<void>} アニメーション完了後に解決するPromise
+     */
+    showOpponentTakeFeedback(cardElement) {
+        if (!cardElement) {
+            return Promise.resolve();
+        }
+        return new Promise(function (resolve) {
+            cardElement.classList.add('opponent-taken');
+
+            setTimeout(function () {
+                this.removeCard(cardElement).then(resolve);
+            }.bind(this), 800);
+        }.bind(this));
+    }
+
     /**
      * 不正解フィードバック（赤ハイライト）を表示する
      * 誤った取り札が選択された場合、誤りの取り札を赤色で一時的にハイライトする
@@ -269,21 +923,570 @@ class UIRenderer {
      *   @param {number} finalScore.correct - 正解数
      *   @param {number} finalScore.accuracy - 正答率（0〜100）
      *   @param {number} [finalScore.incorrect] - 不正解数
+     *   @param {Object<string, number>} [finalScore.remainingBySide] - 陣ごとの残り札数
+     *   @param {number} [finalScore.fouls] - お手つき数
+     *   @param {string|null} [finalScore.winner] - 勝った陣
+     *   @param {number} [finalScore.bonus] - 速く取った札のボーナス点
+     *   @param {Object} [finalScore.reactionTimes] - 反応時間の集計（ScoreManager.getReactionTimes の戻り値）
+     *   @param {{ label: string, taken: number }} [finalScore.opponent] - コンピューターの対戦相手の難易度と取った札の数
+     *   @param {{ rank: number, studentCount: number }} [finalScore.classroomRank] - 授業用のクラスでの順位と人数
      */
     renderGameOver(finalScore) {
+        // 2人で対戦したゲーム（1つの画面・ネットワーク対戦）はプレイヤーごとの結果を表示する
+        if (finalScore.players) {
+            this._finalScore.innerHTML = this._formatPlayersResult(finalScore);
+            this.showGameOverScreen();
+            return;
+        }
+
         // 最終スコアと正答率を表示 (Req 5.2)
-        this._finalScore.innerHTML =
-            '<p><span class="score-label">最終スコア:</span> ' + finalScore.correct + '点</p>' +
+        var bonus = finalScore.bonus || 0;
+        var html =
+            '<p><span class="score-label">最終スコア:</span> ' + (finalScore.correct + bonus) + '点' +
+            (bonus > 0 ? '（速取りボーナス +' + bonus + '）' : '') + '</p>' +
             '<p><span class="score-label">正答率:</span> ' + finalScore.accuracy + '%</p>';
 
+        // 陣地を持つモードでは勝敗と残り札数、お手つき数を表示
+        if (finalScore.remainingBySide) {
+            var winnerLabel = finalScore.winner
+                ? (SIDE_LABELS[finalScore.winner] || finalScore.winner) + 'の勝ち'
+                : '引き分け';
+            html +=
+                '<p><span class="score-label">勝敗:</span> ' + winnerLabel + '</p>' +
+                '<p><span class="score-label">残り札:</span> ' + this._formatRemainingBySide(finalScore.remainingBySide) + '</p>' +
+                '<p><span class="score-label">お手つき:</span> ' + (finalScore.fouls || 0) + '回</p>';
+        }
+
+        // コンピューターと対戦した場合は相手の取った札の数（陣地のないモードでは取った札の数で勝敗）
+        var opponent = finalScore.opponent;
+        if (opponent) {
+            html += '<p><span class="score-label">対戦相手（' + opponent.label + '）:</span> ' + opponent.taken + '枚</p>';
+            if (!finalScore.remainingBySide) {
+                var result = finalScore.correct > opponent.taken ? 'あなたの勝ち'
+                    : finalScore.correct < opponent.taken ? 'あなたの負け' : '引き分け';
+                html += '<p><span class="score-label">勝敗:</span> ' + result + '</p>';
+            }
+        }
+
+        // 授業用のクラスではクラスの中での順位
+        var classroomRank = finalScore.classroomRank;
+        if (classroomRank) {
+            html += '<p><span class="score-label">クラスの順位:</span> ' +
+                classroomRank.rank + '位 / ' + classroomRank.studentCount + '人</p>';
+        }
+
+        // 札を取った場合は反応時間（平均・最速）を表示
+        var reactionTimes = finalScore.reactionTimes;
+        var hasReactions = reactionTimes && reactionTimes.count > 0;
+        if (hasReactions) {
+            html +=
+                '<p><span class="score-label">平均反応時間:</span> ' + this._formatReactionTime(reactionTimes.average) + '</p>' +
+                '<p><span class="score-label">最速:</span> ' + this._formatReactionTime(reactionTimes.best) + '</p>';
+
+            // 上の句を1文字ずつ表示したゲームでは取りの速さの内訳も表示
+            var timings = reactionTimes.timings;
+            if (timings && reactionTimes.byPoem.some(function (reaction) { return reaction.timing; })) {
+                html += '<p><span class="score-label">取りの速さ:</span> ' +
+                    Object.keys(TAKE_TIMING_LABELS).map(function (timing) {
+                        return TAKE_TIMING_LABELS[timing] + ' ' + (timings[timing] || 0);
+                    }).join('・') + '</p>';
+            }
+        }
+
+        this._finalScore.innerHTML = html;
+
+        // 歌ごとの反応時間（取った順）
+        if (hasReactions) {
+            var list = document.createElement('ol');
+            list.className = 'reaction-times';
+            reactionTimes.byPoem.forEach(function (reaction) {
+                var item = document.createElement('li');
+                var misses = reaction.misses > 0 ? '（不正解 ' + reaction.misses + '回）' : '';
+                var timing = reaction.timing ? '　' + (TAKE_TIMING_LABELS[reaction.timing] || reaction.timing) : '';
+                item.textContent = (reaction.author || '第' + reaction.poemId + '首') + '　' +
+                    this._formatReactionTime(reaction.reactionMs) + misses + timing;
+                if (reaction.timing) {
+                    item.className = 'take-timing-' + reaction.timing;
+                }
+                list.appendChild(item);
+            }.bind(this));
+            this._finalScore.appendChild(list);
+        }
+
         // ゲーム終了画面に遷移（「もう一度プレイ」ボタンは HTML に既に存在） (Req 5.3)
         this.showGameOverScreen();
     }
+
+    /**
+     * 2人で対戦したゲームの結果を表示用のHTMLにする
+     * finalScore.winner（陣地を持つモードの勝者・不戦勝）があればその側、なければスコアの多いプレイヤーの勝ち
+     * @param {Object} finalScore - 最終スコア（players: プレイヤーごとの ScoreData と side・label、
+     *   forfeit: 相手が戻らず不戦勝になった場合true）
+     * @returns {string} 結果のHTML
+     * @private
+     */
+    _formatPlayersResult(finalScore) {
+        var players = finalScore.players;
+        var points = function (player) {
+            return player.correct + (player.bonus || 0);
+        };
+
+        var html = players.map(function (player) {
+            return '<p><span class="score-label">' + this._escapeHtml(player.label) + ':</span> ' + points(player) + '点' +
+                '（正答率 ' + player.accuracy + '%' +
+                (finalScore.remainingBySide ? '・お手つき ' + (player.fouls || 0) + '回' : '') + '）</p>';
+        }.bind(this)).join('');
+
+        var winner = null;
+        if (finalScore.winner) {
+            winner = players.filter(function (player) {
+                return player.side === finalScore.winner;
+            })[0] || null;
+        } else if (!finalScore.remainingBySide && points(players[0]) !== points(players[1])) {
+            winner = points(players[0]) > points(players[1]) ? players[0] : players[1];
+        }
+        html += '<p><span class="score-label">勝敗:</span> ' + (winner ? this._escapeHtml(winner.label) + 'の勝ち' : '引き分け') +
+            (finalScore.forfeit ? '（相手の接続が切れたため不戦勝）' : '') + '</p>';
+
+        if (finalScore.remainingBySide) {
+            html += '<p><span class="score-label">残り札:</span> ' +
+                this._escapeHtml(this._formatRemainingBySide(finalScore.remainingBySide, this._getPlayerLabels(players))) + '</p>';
+        }
+        return html;
+    }
+
+    /**
+     * HTMLに埋め込む文字列をエスケープする（ネットワーク対戦の相手の名前など、入力された文字列用）
+     * @param {string} text - 文字列
+     * @returns {string} エスケープした文字列
+     * @private
+     */
+    _escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, function (char) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char];
+        });
+    }
+
+    /**
+     * 反応時間を秒の表示に変換する（例: 1234 → 1.23秒）
+     * @param {number} ms - 反応時間（ミリ秒）
+     * @returns {string} 表示用の文字列
+     * @private
+     */
+    _formatReactionTime(ms) {
+        return (ms / 1000).toFixed(2) + '秒';
+    }
+
+    // =========================================
+    // 今日のチャレンジ
+    // =========================================
+
+    /**
+     * ゲーム終了画面の今日のチャレンジ結果欄を表示・非表示にする
+     * 表示するときは前回の順位・ランキングを消し、送信ボタンを有効にする
+     * @param {boolean} visible - 表示する場合true
+     */
+    showDailyResultForm(visible) {
+        if (!this._dailyResult) {
+            return;
+        }
+        this._dailyResult.style.display = visible ? '' : 'none';
+        if (visible) {
+            this._dailyRank.textContent = '';
+            this._dailyRanking.innerHTML = '';
+            if (this._dailySubmitBtn) {
+                this._dailySubmitBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * 今日のチャレンジ・ランキングの順位表を表示する
+     * @param {Object[]} ranking - 順位順の結果（rank, name, correct, incorrect, elapsedMs）
+     * @param {Object} [own] - 自分の結果
+     * @param {number} [own.rank] - 自分の順位
+     * @param {string} [own.id] - 自分の結果のID（ランキング内で強調表示する）
+     * @param {string} [own.label='今日の順位'] - 自分の順位の見出し
+     */
+    renderDailyRanking(ranking, own) {
+        if (!this._dailyResult) {
+            return;
+        }
+
+        this._dailyRank.textContent = own && own.rank ? (own.label || '今日の順位') + ': ' + own.rank + '位' : '';
+        if (own && this._dailySubmitBtn) {
+            this._dailySubmitBtn.disabled = true;
+        }
+
+        this._dailyRanking.innerHTML = '';
+        ranking.forEach(function (result) {
+            var item = document.createElement('li');
+            item.className = 'daily-ranking-item';
+            if (own && result.id === own.id) {
+                item.classList.add('own');
+            }
+            item.textContent = result.rank + '位 ' + result.name + '　正解 ' + result.correct +
+                '・不正解 ' + result.incorrect + '・' + this._formatElapsed(result.elapsedMs);
+            this._dailyRanking.appendChild(item);
+        }.bind(this));
+    }
+
+    /**
+     * 今日のチャレンジのメッセージ（送信エラーなど）を表示する
+     * @param {string} message - 表示するメッセージ
+     */
+    showDailyMessage(message) {
+        if (this._dailyRank) {
+            this._dailyRank.textContent = message;
+        }
+    }
+
+    /**
+     * 所要時間を「分:秒」の形式にする
+     * @param {number} elapsedMs - 所要時間（ミリ秒）
+     * @returns {string} 表示用の文字列（例: 「1:05」）
+     * @private
+     */
+    _formatElapsed(elapsedMs) {
+        var totalSeconds = Math.floor(elapsedMs / 1000);
+        var seconds = totalSeconds % 60;
+        return Math.floor(totalSeconds / 60) + ':' + (seconds < 10 ? '0' : '') + seconds;
+    }
+
+    // =========================================
+    // 坊主めくり画面
+    // =========================================
+
+    /**
+     * 坊主めくりの状態を描画する
+     * 手番・山札と場の枚数、直前に引いた札とその結果、各プレイヤーの手札の枚数を表示する
+     *
+     * @param {BozuMekuriState} state - 坊主めくりのゲーム状態
+     */
+    renderBozuMekuri(state) {
+        var players = state.players;
+        var lastDraw = state.lastDraw;
+
+        // 手番と枚数
+        this._bozuStatus.textContent = state.isGameOver
+            ? 'ゲーム終了　場: ' + state.fieldCount + '枚'
+            : '手番: ' + players[state.currentPlayer].name +
+                '　山札: ' + state.deckCount + '枚　場: ' + state.fieldCount + '枚';
+
+        // 直前に引いた札
+        this._bozuDrawnCard.innerHTML = '';
+        if (lastDraw) {
+            var authorElement = document.createElement('div');
+            authorElement.className = 'bozu-author';
+            authorElement.textContent = lastDraw.card.author;
+
+            var categoryElement = document.createElement('div');
+            categoryElement.className = 'bozu-category bozu-category-' + lastDraw.card.category;
+            categoryElement.textContent = BOZU_CATEGORY_LABELS[lastDraw.card.category] || '';
+
+            this._bozuDrawnCard.appendChild(categoryElement);
+            this._bozuDrawnCard.appendChild(authorElement);
+        }
+
+        // 結果メッセージ
+        if (state.isGameOver) {
+            this._bozuMessage.textContent = '勝者: ' + state.winners.map(function (index) {
+                return players[index].name;
+            }).join('、');
+        } else {
+            this._bozuMessage.textContent = lastDraw
+                ? this._formatBozuEffect(lastDraw, players[lastDraw.playerIndex].name)
+                : '順番に山札から札を引きましょう。';
+        }
+
+        // 各プレイヤーの手札
+        this._bozuPlayers.innerHTML = '';
+        players.forEach(function (player, index) {
+            var item = document.createElement('li');
+            item.className = 'bozu-player';
+            if (!state.isGameOver && index === state.currentPlayer) {
+                item.classList.add('current');
+            }
+            if (state.winners.indexOf(index) !== -1) {
+                item.classList.add('winner');
+            }
+            item.textContent = player.name + ': ' + player.pileCount + '枚';
+            this._bozuPlayers.appendChild(item);
+        }.bind(this));
+
+        // ゲーム終了後は札を引けない
+        if (this._bozuDrawBtn) {
+            this._bozuDrawBtn.disabled = state.isGameOver;
+        }
+    }
+
+    /**
+     * 引いた札の効果を説明する文を作る
+     * @param {BozuDrawResult} draw - 引いた札とその結果
+     * @param {string} playerName - 札を引いたプレイヤー名
+     * @returns {string} 説明文
+     * @private
+     */
+    _formatBozuEffect(draw, playerName) {
+        switch (draw.effect) {
+            case 'bozu':
+                return '坊主！' + playerName + 'さんの手札はすべて場へ。';
+            case 'semimaru':
+                return '蝉丸！全員の手札がすべて場へ。';
+            case 'hime':
+                return '姫！' + playerName + 'さんが場の札をもらいます。';
+            case 'tenno':
+                return '天皇！' + playerName + 'さんが場の札をもらい、もう1枚引きます。';
+            default:
+                return playerName + 'さんは殿を引きました。手札に加えます。';
+        }
+    }
+
+    // =========================================
+    // 読手モード画面
+    // =========================================
+
+    /**
+     * 読手モードの状態を描画する
+     * 何枚目か・シード、読んでいる札（序歌を読む段階では序歌）、読み終えた札の一覧を表示する
+     *
+     * @param {DokushuState} state - 読手モードの状態
+     * @param {Object} [options] - 表示オプション
+     * @param {boolean} [options.paused=false] - 読み上げを一時停止しているか
+     * @param {Poem} [options.joka] - 序歌を読む段階で表示する序歌
+     */
+    renderDokushu(state, options) {
+        var paused = Boolean(options && options.paused);
+        var joka = options && options.joka ? options.joka : null;
+
+        // 何枚目か（シードを控えておけば同じ読み順をもう一度読める）
+        var progress;
+        if (state.isFinished) {
+            progress = 'すべて読み終えました（' + state.totalRounds + '枚）';
+        } else if (state.currentRound === 0) {
+            progress = '序歌';
+        } else {
+            progress = state.currentRound + ' / ' + state.totalRounds + '枚目';
+        }
+        this._dokushuStatus.textContent = progress + '　シード: ' + state.seed;
+
+        // 読んでいる札
+        var poem = state.currentRound === 0 && !state.isFinished ? joka : state.currentPoem;
+        this._dokushuAuthor.textContent = poem ? poem.author : '';
+        this._dokushuVerse.textContent = poem
+            ? poem.upperVerse + '　' + poem.lowerVerse
+            : '';
+        if (this._dokushuCard) {
+            this._dokushuCard.classList.toggle('paused', paused);
+        }
+
+        // 読み終えた札（空札の確認用）
+        this._dokushuHistory.innerHTML = '';
+        state.readHistory.forEach(function (readPoem) {
+            var item = document.createElement('li');
+            item.textContent = readPoem.author + '　' + readPoem.upperVerse + '　' + readPoem.lowerVerse;
+            this._dokushuHistory.appendChild(item);
+        }.bind(this));
+
+        // 操作ボタン（読み終えた後は次の札に進めない）
+        if (this._dokushuPauseBtn) {
+            this._dokushuPauseBtn.textContent = paused ? '再開' : '一時停止';
+            this._dokushuPauseBtn.disabled = state.isFinished;
+        }
+        if (this._dokushuRepeatBtn) {
+            this._dokushuRepeatBtn.disabled = state.isFinished;
+        }
+        if (this._dokushuNextBtn) {
+            this._dokushuNextBtn.disabled = state.isFinished;
+        }
+    }
+
+    // =========================================
+    // 授業用のクラス（先生の画面）
+    // =========================================
+
+    /**
+     * クラスのコードと、生徒が参加するための URL を表示する
+     * URL にはコードを付けておき、生徒が開くとコードが入力済みになるようにする
+     * @param {string} code - クラスのコード
+     * @param {string[]} joinUrls - サーバーの LAN 内の URL
+     */
+    renderClassroomInfo(code, joinUrls) {
+        this._classroomCode.textContent = code;
+        this._classroomJoinUrls.innerHTML = '';
+        (joinUrls || []).forEach(function (url) {
+            var item = document.createElement('li');
+            item.textContent = url + '?classroom=' + code;
+            this._classroomJoinUrls.appendChild(item);
+        }.bind(this));
+    }
+
+    /**
+     * クラスの順位・正答率と、クラス全体で取れなかった札を表示する
+     * 授業の進み具合に合わせて「始める」「次の札」「終える」ボタンを有効・無効にする
+     *
+     * @param {Object} leaderboard - ClassroomRoom.getLeaderboard の戻り値
+     *   @param {string} leaderboard.status - 'lobby'・'playing'・'finished'
+     *   @param {number} leaderboard.round - 読んでいる（読み終えた）札の番号
+     *   @param {number} leaderboard.totalRounds - 読む札の数
+     *   @param {Object[]} leaderboard.students - 順位順の生徒（rank, name, connected と ScoreData の項目、averageReactionMs）
+     *   @param {Object[]} leaderboard.missedPoems - 取れなかった生徒の多い札（author, missed, wrongTouches）
+     */
+    renderClassroomLeaderboard(leaderboard) {
+        var students = leaderboard.students;
+        var progress;
+        if (leaderboard.status === 'lobby') {
+            progress = '参加を待っています（' + students.length + '人）';
+        } else if (leaderboard.status === 'finished') {
+            progress = '授業を終えました（' + students.length + '人）';
+        } else {
+            progress = leaderboard.round + ' / ' + leaderboard.totalRounds + '枚目（' + students.length + '人）';
+        }
+        this._classroomStatus.textContent = progress;
+
+        // 生徒ごとの順位・正解数・正答率・平均反応時間（名前は生徒の入力なので textContent で表示）
+        var tbody = this._classroomRanking.querySelector('tbody') || this._classroomRanking;
+        tbody.innerHTML = '';
+        students.forEach(function (student) {
+            var row = document.createElement('tr');
+            if (!student.connected) {
+                row.className = 'disconnected';
+            }
+            [
+                student.rank + '位',
+                student.name + (student.connected ? '' : '（切断）'),
+                student.correct + '枚',
+                student.accuracy + '%',
+                student.averageReactionMs === null ? '-' : this._formatReactionTime(student.averageReactionMs),
+            ].forEach(function (text) {
+                var cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        }.bind(this));
+
+        // クラス全体で取れなかった札（復習用）
+        this._classroomMissed.innerHTML = '';
+        leaderboard.missedPoems.forEach(function (entry) {
+            var item = document.createElement('li');
+            item.textContent = entry.author + '　取れなかった生徒 ' + entry.missed + '人' +
+                (entry.wrongTouches > 0 ? '・お手つき ' + entry.wrongTouches + '回' : '');
+            this._classroomMissed.appendChild(item);
+        }.bind(this));
+
+        // 操作ボタン
+        if (this._classroomStartBtn) {
+            this._classroomStartBtn.disabled = leaderboard.status !== 'lobby' || students.length === 0;
+        }
+        if (this._classroomNextBtn) {
+            this._classroomNextBtn.disabled = leaderboard.status !== 'playing';
+        }
+        if (this._classroomEndBtn) {
+            this._classroomEndBtn.disabled = leaderboard.status === 'finished';
+        }
+    }
+
+    /**
+     * 先生の画面に読んでいる札を表示する（生徒の画面には表示しない）
+     * @param {Poem|null} poem - 読んでいる札（null の場合は消す）
+     */
+    renderClassroomReading(poem) {
+        this._classroomAuthor.textContent = poem ? poem.author : '';
+        this._classroomVerse.textContent = poem ? poem.upperVerse + '　' + poem.lowerVerse : '';
+    }
+
+    /**
+     * 先生の画面にクラスの状況（接続の切断・エラーなど）を表示する
+     * @param {string|null} text - 表示する内容（null または空文字の場合は非表示）
+     */
+    renderClassroomMessage(text) {
+        if (!this._classroomMessage) {
+            return;
+        }
+        this._classroomMessage.textContent = text || '';
+        this._classroomMessage.style.display = text ? '' : 'none';
+    }
+
+    // =========================================
+    // 成績画面
+    // =========================================
+
+    /**
+     * 遊んだゲームの履歴と成績を描画する
+     * @param {{ games: Object[], stats: Object|null, offline: boolean }} history - ProfileClient.getHistory の結果
+     *   （全員の記録の場合 stats は null）
+     * @param {Object[]} profiles - プロフィールの配列（記録のプレイヤー名の表示に使う）
+     */
+    renderHistory(history, profiles) {
+        var stats = history.stats;
+        if (stats === null) {
+            // 全員の記録は一覧だけを表示する（記録は自己申告のため、合わせた成績は出さない）
+            this._historyStats.textContent = history.games.length === 0
+                ? 'まだ記録がありません'
+                : 'プロフィールを選ぶと成績を表示します';
+        } else {
+            this._historyStats.textContent = stats.gameCount === 0
+                ? 'まだ記録がありません'
+                : stats.gameCount + '局　正解 ' + stats.correct + '・不正解 ' + stats.incorrect +
+                    '・正答率 ' + stats.accuracy + '%（最高 ' + stats.bestAccuracy + '%）・平均 ' +
+                    this._formatElapsed(stats.averageElapsedMs);
+        }
+
+        if (this._historyMessage) {
+            this._historyMessage.textContent = history.offline ? 'サーバーに接続できないため、この端末に保存した記録だけを表示しています' : '';
+            this._historyMessage.style.display = history.offline ? '' : 'none';
+        }
+
+        // 1局ごとの記録（プレイヤー名は入力された名前なので textContent で表示）
+        var names = {};
+        profiles.forEach(function (profile) {
+            names[profile.id] = profile.name;
+        });
+        var tbody = this._historyGames.querySelector('tbody') || this._historyGames;
+        tbody.innerHTML = '';
+        history.games.forEach(function (game) {
+            var row = document.createElement('tr');
+            [
+                this._formatPlayedAt(game.playedAt),
+                names[game.profileId] || '-',
+                uiProfilesModule.GAME_RECORD_KINDS[game.kind] || game.kind,
+                MATCH_MODE_LABELS[game.mode] || game.mode,
+                game.deckSize + '枚',
+                game.correct,
+                game.incorrect,
+                game.accuracy + '%',
+                this._formatElapsed(game.elapsedMs),
+            ].forEach(function (text) {
+                var cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        }.bind(this));
+    }
+
+    /**
+     * 遊んだ日時を「M/D HH:MM」の形式（端末の時刻）にする
+     * @param {string} playedAt - 遊んだ日時（ISO 8601）
+     * @returns {string} 表示用の文字列
+     * @private
+     */
+    _formatPlayedAt(playedAt) {
+        var date = new Date(playedAt);
+        var pad = function (value) {
+            return (value < 10 ? '0' : '') + value;
+        };
+        return (date.getMonth() + 1) + '/' + date.getDate() + ' ' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+    }
 }
 
 // ブラウザ環境とNode.js環境の両方で動作するようにエクスポート
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { UIRenderer };
+    module.exports = { UIRenderer, SIDE_LABELS, TAKE_TIMING_LABELS, BOZU_CATEGORY_LABELS };
 } else if (typeof window !== 'undefined') {
     window.UIRenderer = UIRenderer;
+    window.SIDE_LABELS = SIDE_LABELS;
+    window.TAKE_TIMING_LABELS = TAKE_TIMING_LABELS;
+    window.BOZU_CATEGORY_LABELS = BOZU_CATEGORY_LABELS;
 }
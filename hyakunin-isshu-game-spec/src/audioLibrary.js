@@ -0,0 +1,72 @@
+/**
+ * 読手の録音音声のライブラリ
+ * ローカルの音声ディレクトリにある録音ファイルから、歌ごとの音声の一覧（マニフェスト）を作る
+ *
+ * ファイル名の形式: <歌番号3桁>-<upper|lower>.<拡張子>（例: 001-upper.mp3, 001-lower.mp3）
+ * 歌番号 000 は序歌「難波津に」の録音として扱う。
+ */
+
+const fs = require('fs');
+
+// 録音ファイル名の形式（歌番号・句・拡張子）
+const AUDIO_FILE_PATTERN = /^(\d{3})-(upper|lower)\.(mp3|ogg|m4a|wav)$/;
+
+// 録音ファイルを配信するURLの接頭辞
+const AUDIO_URL_PREFIX = '/api/audio/';
+
+/**
+ * ファイル名が録音ファイルの形式かを判定する
+ * @param {string} fileName - ファイル名
+ * @returns {boolean} 録音ファイルの形式の場合true
+ */
+function isAudioFileName(fileName) {
+    return typeof fileName === 'string' && AUDIO_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * ファイル名の一覧から録音のマニフェストを作る
+ * 同じ歌の同じ句に複数の形式がある場合は、名前順で先のファイルを使う
+ * @param {string[]} fileNames - 音声ディレクトリのファイル名
+ * @returns {{ poems: Object<string, { upper?: string, lower?: string }> }}
+ *   poems: 歌番号（序歌は0）ごとの上の句・下の句の録音のURL
+ */
+function createAudioManifest(fileNames) {
+    const poems = {};
+    fileNames
+        .filter(isAudioFileName)
+        .sort()
+        .forEach((fileName) => {
+            const [, number, part] = fileName.match(AUDIO_FILE_PATTERN);
+            const id = String(parseInt(number, 10));
+            poems[id] = poems[id] || {};
+            if (!poems[id][part]) {
+                poems[id][part] = AUDIO_URL_PREFIX + fileName;
+            }
+        });
+    return { poems };
+}
+
+/**
+ * 音声ディレクトリを読み込んで録音のマニフェストを作る
+ * ディレクトリがない場合は録音のない空のマニフェストを返す
+ * @param {string} audioDir - 音声ディレクトリのパス
+ * @returns {Promise<{ poems: Object<string, { upper?: string, lower?: string }> }>}
+ */
+async function readAudioManifest(audioDir) {
+    try {
+        return createAudioManifest(await fs.promises.readdir(audioDir));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return createAudioManifest([]);
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    AUDIO_FILE_PATTERN,
+    AUDIO_URL_PREFIX,
+    isAudioFileName,
+    createAudioManifest,
+    readAudioManifest,
+};
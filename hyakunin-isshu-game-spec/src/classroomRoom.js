@@ -0,0 +1,634 @@
+/**
+ * ClassroomRoom - 授業用のクラス（先生1人と生徒たち）
+ *
+ * 責務:
+ * - サーバー側の GameEngine で、クラス全員に同じ読み順・同じ場を配る
+ * - 読み札は先生の画面だけに知らせ（先生が読み上げる）、生徒の入力をサーバーが判定する
+ * - 生徒ごとの ScoreManager で正解・不正解・反応時間を記録する
+ * - 先生の画面に、順位・生徒ごとの正答率・クラスで取れなかった札を随時知らせる
+ *
+ * 各生徒は自分の画面で同じ場から札を探し、他の生徒と札を取り合うことはない。
+ * 札はラウンドの終わりに全員の場から下げる。
+ * 通信（WebSocket）は扱わず、先生・生徒ごとに登録された send 関数でメッセージを送る。
+ */
+
+const crypto = require('crypto');
+const { GameEngine } = require('../public/js/gameEngine');
+const { ScoreManager } = require('../public/js/scoreManager');
+
+// クラスの既定の設定
+const CLASSROOM_DEFAULTS = {
+    fieldCount: 20,            // 場に並べる札（読む札）の枚数
+    maxStudents: 50,           // 参加できる生徒の数
+    roundIntervalMs: 3000,     // 札が下がってから次の読み始めまでの間（ミリ秒）
+    roundTimeoutMs: 30000,     // 読み始めてからラウンドを終えるまでの時間（ミリ秒）
+    hostGraceMs: 600000,       // 先生の接続が切れてからクラスを閉じるまでの時間（ミリ秒）
+};
+
+// 先生の画面に表示する「取れなかった札」の数
+const MISSED_POEMS_LIMIT = 5;
+
+class ClassroomRoom {
+    /**
+     * @param {Poem[]} poems - 百人一首の歌データ配列
+     * @param {Object} [options] - オプション
+     * @param {string} [options.code] - 生徒が参加に使うクラスのコード
+     * @param {number} [options.seed] - 読み順と場の並びのシード（省略時はランダム）
+     * @param {number} [options.fieldCount] - 場に並べる札の枚数
+     * @param {string[]} [options.joinUrls=[]] - 生徒が開く URL（先生の画面に表示する）
+     * @param {function(): number} [options.now=Date.now] - 現在時刻（ミリ秒）を返す関数
+     * @param {function(ClassroomRoom): void} [options.onFinish] - クラスが終わった時に呼ばれる関数
+     * @param {number} [options.maxStudents] - 参加できる生徒の数
+     * @param {number} [options.roundIntervalMs] - 次の読み始めまでの間
+     * @param {number} [options.roundTimeoutMs] - ラウンドを終えるまでの時間
+     * @param {number} [options.hostGraceMs] - 先生の再接続を待つ時間
+     */
+    constructor(poems, options = {}) {
+        this.code = options.code || null;
+        this._joinUrls = options.joinUrls || [];
+        this._now = options.now || Date.now;
+        this._onFinish = options.onFinish || null;
+        this._settings = {};
+        Object.keys(CLASSROOM_DEFAULTS).forEach((key) => {
+            this._settings[key] = options[key] === undefined ? CLASSROOM_DEFAULTS[key] : options[key];
+        });
+
+        // 場に並べた札だけを読む（空札なし）
+        this._engine = new GameEngine(poems);
+        const state = this._engine.initGame({
+            mode: 'standard',
+            seed: options.seed,
+            fieldCount: Math.min(this._settings.fieldCount, poems.length),
+        });
+        this._seed = state.settings.seed;
+
+        this._host = { token: crypto.randomUUID(), send: null, connected: false, attached: false, graceTimer: null };
+        this._students = [];        // 生徒ごとの { id, name, token, send, connected, attached, scoreManager, roundTaken, roundMisses }
+        this._missed = new Map();   // 歌ID → { poemId, author, missed, wrongTouches }
+        this._status = 'lobby';     // lobby → playing → finished
+        this._reading = false;      // 読み始めてからラウンドを終えるまでtrue
+        this._readingStartedAt = 0;
+        this._roundTimer = null;
+    }
+
+    // =========================================
+    // 先生と生徒
+    // =========================================
+
+    /**
+     * 先生の再接続用のトークンを取得する
+     * @returns {string} トークン
+     */
+    getHostToken() {
+        return this._host.token;
+    }
+
+    /**
+     * 生徒をクラスに加える（授業の途中からも参加できる）
+     * 途中から参加した生徒は、参加した時の場の札の枚数でスコアを数え、読んでいる札から取れる
+     * @param {string} [name] - 表示名
+     * @returns {{ studentId: number, token: string }} 生徒のIDと再接続用のトークン
+     */
+    addStudent(name) {
+        if (this._status === 'finished') {
+            throw new Error('classroom is finished');
+        }
+        if (this._students.length >= this._settings.maxStudents) {
+            throw new Error('classroom is full');
+        }
+        const studentId = this._students.length + 1;
+        const token = crypto.randomUUID();
+        this._students.push({
+            id: studentId,
+            name: typeof name === 'string' && name.trim() !== '' ? name.trim().slice(0, 20) : `生徒${studentId}`,
+            token: token,
+            send: null,
+            connected: false,
+            attached: false,
+            scoreManager: new ScoreManager(this._engine.getGameState().remainingCards.length),
+            roundTaken: false,
+            roundMisses: 0,
+        });
+        this._notifyHost();
+        return { studentId, token };
+    }
+
+    /**
+     * 再接続用のトークンから先生・生徒を探す
+     * @param {string} token - 再接続用のトークン
+     * @returns {{ role: string, studentId?: number }|null} 'host' または 'student' と生徒のID（見つからない場合null）
+     */
+    findByToken(token) {
+        if (token === this._host.token) {
+            return { role: 'host' };
+        }
+        const student = this._students.find((entry) => entry.token === token);
+        return student ? { role: 'student', studentId: student.id } : null;
+    }
+
+    /**
+     * 先生の接続を結び付ける（最初の接続と再接続の両方）
+     * 先生がいない間に止めていた読みは、戻った後に再開する
+     * @param {function(Object): void} send - 先生にメッセージを送る関数
+     */
+    attachHost(send) {
+        const host = this._host;
+        if (host.graceTimer !== null) {
+            clearTimeout(host.graceTimer);
+            host.graceTimer = null;
+        }
+        const returning = host.attached;
+        host.send = send;
+        host.connected = true;
+        host.attached = true;
+        this._sendHost(Object.assign(
+            { type: returning ? 'rejoined' : 'hosted' },
+            returning ? {} : { token: host.token },
+            this.getHostSnapshot()
+        ));
+
+        if (returning && this._status === 'playing') {
+            this._broadcastStudents({ type: 'hostReconnected' });
+            if (!this._reading && this._roundTimer === null) {
+                this._scheduleReading();
+            }
+        }
+    }
+
+    /**
+     * 先生の接続が切れたことを記録する
+     * 読んでいるラウンドはそのまま終え、次の札は先生が戻るまで読まない。
+     * hostGraceMs の間に戻らなければクラスを閉じる
+     */
+    detachHost() {
+        const host = this._host;
+        if (!host.connected) {
+            return;
+        }
+        host.connected = false;
+        host.send = null;
+        if (this._status === 'finished') {
+            return;
+        }
+        if (!this._reading) {
+            this._clearRoundTimer();
+        }
+        this._broadcastStudents({ type: 'hostDisconnected' });
+        host.graceTimer = setTimeout(() => {
+            host.graceTimer = null;
+            this._finish('closed');
+        }, this._settings.hostGraceMs);
+    }
+
+    /**
+     * 生徒の接続を結び付ける（最初の接続と再接続の両方）
+     * @param {number} studentId - 生徒のID
+     * @param {function(Object): void} send - 生徒にメッセージを送る関数
+     */
+    attachStudent(studentId, send) {
+        const student = this._findStudent(studentId);
+        const returning = student.attached;
+        student.send = send;
+        student.connected = true;
+        student.attached = true;
+        this._sendStudent(student, Object.assign(
+            { type: returning ? 'rejoined' : 'joined' },
+            returning ? {} : { token: student.token },
+            this.getStudentSnapshot(studentId)
+        ));
+        this._notifyHost();
+    }
+
+    /**
+     * 生徒の接続が切れたことを記録する（スコアは残り、トークンで戻れる）
+     * @param {number} studentId - 生徒のID
+     */
+    detachStudent(studentId) {
+        const student = this._findStudent(studentId);
+        if (!student || !student.connected) {
+            return;
+        }
+        student.connected = false;
+        student.send = null;
+        if (this._status === 'finished') {
+            return;
+        }
+        this._notifyHost();
+        // 残りの生徒が全員取っていればラウンドを終える
+        this._endRoundIfAllTaken();
+    }
+
+    /**
+     * 授業が終わったかを返す
+     * @returns {boolean} 終わった場合true
+     */
+    isFinished() {
+        return this._status === 'finished';
+    }
+
+    // =========================================
+    // 授業の進行（先生の操作）
+    // =========================================
+
+    /**
+     * 授業を始める（最初の札を roundIntervalMs の後に読み始める）
+     */
+    start() {
+        if (this._status !== 'lobby') {
+            throw new Error('classroom has already started');
+        }
+        if (this._students.length === 0) {
+            throw new Error('no students have joined');
+        }
+        this._status = 'playing';
+        this._broadcastStudents({ type: 'classStart', totalRounds: this._engine.getGameState().totalRounds });
+        this._scheduleReading();
+        this._notifyHost();
+    }
+
+    /**
+     * 次の札に進む
+     * 読んでいる間はラウンドを終え、札の間であれば待たずに読み始める
+     */
+    next() {
+        if (this._status !== 'playing') {
+            throw new Error('classroom is not in progress');
+        }
+        if (this._reading) {
+            this._endRound();
+            return;
+        }
+        this._clearRoundTimer();
+        this._beginReading();
+    }
+
+    /**
+     * 授業を途中で終える（結果は全員に知らせる）
+     */
+    end() {
+        this._finish('ended');
+    }
+
+    /**
+     * 生徒が札に触れた入力を判定する
+     * 読んでいる札であれば正解（そのラウンドではそれ以上触れない）、それ以外は不正解として記録する
+     * @param {number} studentId - 生徒のID
+     * @param {{ round: number, cardId: number }} take - 触れたラウンドと札のID
+     * @returns {boolean} 受け付けた場合true（読んでいない間・別のラウンド・取った後の入力は受け付けない）
+     */
+    take(studentId, take) {
+        const student = this._findStudent(studentId);
+        const state = this._engine.getGameState();
+        if (!student || !this._reading || student.roundTaken || !take
+            || take.round !== state.currentRound || !Number.isInteger(take.cardId)
+            || !state.remainingCards.some((card) => card.id === take.cardId)) {
+            return false;
+        }
+
+        const poem = state.currentPoem;
+        const correct = take.cardId === poem.id;
+        const scoreManager = student.scoreManager;
+        if (correct) {
+            student.roundTaken = true;
+            scoreManager.addCorrect();
+            scoreManager.recordReaction({
+                poemId: poem.id,
+                author: poem.author,
+                reactionMs: Math.max(0, this._now() - this._readingStartedAt),
+                misses: student.roundMisses,
+            });
+        } else {
+            student.roundMisses += 1;
+            scoreManager.addIncorrect();
+            this._getMissedEntry(poem).wrongTouches += 1;
+        }
+
+        this._sendStudent(student, {
+            type: 'takeResult',
+            round: state.currentRound,
+            cardId: take.cardId,
+            correct: correct,
+            score: this._getStudentScore(student),
+        });
+        this._notifyHost();
+        if (correct) {
+            this._endRoundIfAllTaken();
+        }
+        return true;
+    }
+
+    /**
+     * 接続している生徒が全員札を取っていればラウンドを終える
+     * @private
+     */
+    _endRoundIfAllTaken() {
+        const present = this._students.filter((student) => student.connected);
+        if (this._reading && present.length > 0 && present.every((student) => student.roundTaken)) {
+            this._endRound();
+        }
+    }
+
+    /**
+     * ラウンドを終える
+     * 取れなかった生徒を記録し、読んだ札を全員の場から下げて、次の読みを予約する（最後の札では授業を終える）
+     * @private
+     */
+    _endRound() {
+        this._reading = false;
+        this._clearRoundTimer();
+        const state = this._engine.getGameState();
+        const poem = state.currentPoem;
+
+        this._students.forEach((student) => {
+            if (!student.roundTaken) {
+                student.scoreManager.removeCard();
+                this._getMissedEntry(poem).missed += 1;
+            }
+            this._sendStudent(student, {
+                type: 'roundEnd',
+                round: state.currentRound,
+                poemId: poem.id,
+                taken: student.roundTaken,
+                score: this._getStudentScore(student),
+            });
+        });
+        this._sendHost({ type: 'roundEnd', round: state.currentRound, poemId: poem.id });
+
+        if (this._engine.passRound().continues) {
+            this._scheduleReading();
+            this._notifyHost();
+        } else {
+            this._finish('finished');
+        }
+    }
+
+    /**
+     * roundIntervalMs の後に次の読み始めを予約する（先生がいない間は予約しない）
+     * @private
+     */
+    _scheduleReading() {
+        this._clearRoundTimer();
+        if (!this._host.connected) {
+            return;
+        }
+        this._roundTimer = setTimeout(() => {
+            this._roundTimer = null;
+            this._beginReading();
+        }, this._settings.roundIntervalMs);
+    }
+
+    /**
+     * 次の札を読み始める
+     * 先生には読む札を、生徒にはラウンドと場の札だけを知らせる
+     * @private
+     */
+    _beginReading() {
+        this._engine.startReading();
+        this._reading = true;
+        this._readingStartedAt = this._now();
+        this._students.forEach((student) => {
+            student.roundTaken = false;
+            student.roundMisses = 0;
+        });
+
+        const state = this._engine.getGameState();
+        this._sendHost({
+            type: 'readingStart',
+            round: state.currentRound,
+            totalRounds: state.totalRounds,
+            poemId: state.currentPoem.id,
+        });
+        this._broadcastStudents({
+            type: 'readingStart',
+            round: state.currentRound,
+            totalRounds: state.totalRounds,
+            field: state.remainingCards.map((card) => card.id),
+        });
+        this._roundTimer = setTimeout(() => {
+            this._roundTimer = null;
+            this._endRound();
+        }, this._settings.roundTimeoutMs);
+        this._notifyHost();
+    }
+
+    /**
+     * 予約した読み始め・ラウンドの終わりを取り消す
+     * @private
+     */
+    _clearRoundTimer() {
+        if (this._roundTimer !== null) {
+            clearTimeout(this._roundTimer);
+            this._roundTimer = null;
+        }
+    }
+
+    /**
+     * 授業を終えて、生徒に自分の結果と順位を、先生に最終の順位表を知らせる
+     * @param {string} reason - 'finished'（すべて読み終えた）・'ended'（先生が終えた）・'closed'（先生が戻らなかった）
+     * @private
+     */
+    _finish(reason) {
+        if (this._status === 'finished') {
+            return;
+        }
+        this._stop();
+
+        const leaderboard = this.getLeaderboard();
+        this._students.forEach((student) => {
+            const entry = leaderboard.students.find((ranked) => ranked.id === student.id);
+            this._sendStudent(student, {
+                type: 'gameOver',
+                reason: reason,
+                rank: entry.rank,
+                studentCount: leaderboard.students.length,
+                score: this._getStudentScore(student),
+                reactionTimes: student.scoreManager.getReactionTimes(),
+            });
+        });
+        this._sendHost(Object.assign({ type: 'gameOver', reason: reason }, leaderboard));
+        if (this._onFinish) {
+            this._onFinish(this);
+        }
+    }
+
+    /**
+     * 授業を途中で打ち切る（サーバーの終了時）。結果は知らせない
+     */
+    close() {
+        this._stop();
+    }
+
+    /**
+     * 授業を終えた状態にし、予約しているタイマーをすべて取り消す
+     * @private
+     */
+    _stop() {
+        this._status = 'finished';
+        this._reading = false;
+        this._clearRoundTimer();
+        if (this._host.graceTimer !== null) {
+            clearTimeout(this._host.graceTimer);
+            this._host.graceTimer = null;
+        }
+    }
+
+    // =========================================
+    // 順位と状態
+    // =========================================
+
+    /**
+     * 先生の画面に表示する順位表を取得する
+     * 生徒は正解数が多い順、同じ場合は不正解数が少ない順、さらに平均反応時間が短い順、参加が早い順に並べる。
+     * 取れなかった札は、取れなかった生徒の数が多い順（同じ場合は誤って触れた回数が多い順）に MISSED_POEMS_LIMIT 首まで
+     * @returns {{ status: string, round: number, totalRounds: number, students: Object[], missedPoems: Object[] }}
+     */
+    getLeaderboard() {
+        const state = this._engine.getGameState();
+        const students = this._students
+            .map((student) => Object.assign({
+                id: student.id,
+                name: student.name,
+                connected: student.connected,
+            }, this._getStudentScore(student)))
+            .sort((a, b) => (b.correct - a.correct)
+                || (a.incorrect - b.incorrect)
+                || ((a.averageReactionMs === null ? Infinity : a.averageReactionMs)
+                    - (b.averageReactionMs === null ? Infinity : b.averageReactionMs))
+                || (a.id - b.id))
+            .map((student, index) => Object.assign({ rank: index + 1 }, student));
+
+        const missedPoems = Array.from(this._missed.values())
+            .sort((a, b) => (b.missed - a.missed) || (b.wrongTouches - a.wrongTouches) || (a.poemId - b.poemId))
+            .slice(0, MISSED_POEMS_LIMIT)
+            .map((entry) => Object.assign({}, entry));
+
+        return {
+            status: this._status,
+            round: this._status === 'finished' || state.isGameOver ? state.totalRounds : state.currentRound,
+            totalRounds: state.totalRounds,
+            students: students,
+            missedPoems: missedPoems,
+        };
+    }
+
+    /**
+     * 先生から見た授業の状態を取得する（開いた時・再接続した時に送る）
+     * @returns {Object} コード・生徒が開く URL・シード・読んでいる札・順位表
+     */
+    getHostSnapshot() {
+        const state = this._engine.getGameState();
+        return Object.assign({
+            role: 'host',
+            code: this.code,
+            joinUrls: this._joinUrls.slice(),
+            seed: this._seed,
+            fieldCount: state.settings.fieldCount,
+            poemId: this._reading ? state.currentPoem.id : null,
+        }, this.getLeaderboard());
+    }
+
+    /**
+     * 生徒から見た授業の状態を取得する（参加した時・再接続した時に送る）
+     * 読んでいる札は知らせない
+     * @param {number} studentId - 生徒のID
+     * @returns {Object} コード・名前・場の札（歌ID）・ラウンド・スコア
+     */
+    getStudentSnapshot(studentId) {
+        const student = this._findStudent(studentId);
+        const state = this._engine.getGameState();
+        return {
+            role: 'student',
+            code: this.code,
+            studentId: student.id,
+            name: student.name,
+            status: this._status,
+            field: state.remainingCards.map((card) => card.id),
+            round: state.currentRound,
+            totalRounds: state.totalRounds,
+            reading: this._reading,
+            roundTaken: student.roundTaken,
+            score: this._getStudentScore(student),
+        };
+    }
+
+    /**
+     * 生徒のスコア（ScoreData と平均反応時間）を取得する
+     * @param {Object} student - 生徒
+     * @returns {Object} ScoreData の項目と averageReactionMs（まだ取っていない場合null）
+     * @private
+     */
+    _getStudentScore(student) {
+        return Object.assign({}, student.scoreManager.getScore(), {
+            averageReactionMs: student.scoreManager.getReactionTimes().average,
+        });
+    }
+
+    /**
+     * 取れなかった札の記録を取得する（なければ作る）
+     * @param {Poem} poem - 読んだ札
+     * @returns {{ poemId: number, author: string, missed: number, wrongTouches: number }} 記録
+     * @private
+     */
+    _getMissedEntry(poem) {
+        if (!this._missed.has(poem.id)) {
+            this._missed.set(poem.id, { poemId: poem.id, author: poem.author, missed: 0, wrongTouches: 0 });
+        }
+        return this._missed.get(poem.id);
+    }
+
+    /**
+     * IDから生徒を探す
+     * @param {number} studentId - 生徒のID
+     * @returns {Object|undefined} 生徒
+     * @private
+     */
+    _findStudent(studentId) {
+        return this._students.find((student) => student.id === studentId);
+    }
+
+    // =========================================
+    // メッセージ
+    // =========================================
+
+    /**
+     * 先生に現在の順位表を送る
+     * @private
+     */
+    _notifyHost() {
+        this._sendHost(Object.assign({ type: 'leaderboard' }, this.getLeaderboard()));
+    }
+
+    /**
+     * 先生にメッセージを送る（切断中は送らない）
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _sendHost(message) {
+        if (this._host.connected && this._host.send) {
+            this._host.send(message);
+        }
+    }
+
+    /**
+     * 生徒にメッセージを送る（切断中の生徒には送らない）
+     * @param {Object} student - 生徒
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _sendStudent(student, message) {
+        if (student && student.connected && student.send) {
+            student.send(message);
+        }
+    }
+
+    /**
+     * すべての生徒にメッセージを送る
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _broadcastStudents(message) {
+        this._students.forEach((student) => this._sendStudent(student, message));
+    }
+}
+
+module.exports = { ClassroomRoom, CLASSROOM_DEFAULTS, MISSED_POEMS_LIMIT };
@@ -0,0 +1,398 @@
+/**
+ * ClassroomServer - 授業用のクラスの WebSocket エンドポイント
+ *
+ * 責務:
+ * - 先生がクラス（ClassroomRoom）を開き、生徒が参加に使うクラスのコードを発行する
+ * - 生徒をコードでクラスに参加させ、先生・生徒の操作をクラスに渡す
+ * - 再接続用のトークンで、切断した先生・生徒を元のクラスに戻す
+ * - 生徒が同じ LAN から開ける URL を先生に知らせる
+ *
+ * クライアントからのメッセージ（JSON）:
+ * - { type: 'host', fieldCount }: クラスを開く（先生）
+ * - { type: 'join', code, name }: クラスに参加する（生徒）
+ * - { type: 'rejoin', token }: 切断したクラスに戻る
+ * - { type: 'start' } / { type: 'next' } / { type: 'end' }: 授業を始める・次の札に進む・授業を終える（先生）
+ * - { type: 'take', round, cardId }: 札に触れる（生徒）
+ *
+ * 外部のサービスは使わず、Express と同じ HTTP サーバーで動く。
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { WebSocketServer, WebSocket } = require('ws');
+const { ClassroomRoom } = require('./classroomRoom');
+
+// WebSocket のパス
+const CLASSROOM_PATH = '/ws/classroom';
+
+// クラスのコードに使う文字（読み違えやすい 0・O・1・I を除く）とコードの長さ
+const CLASSROOM_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CLASSROOM_CODE_LENGTH = 4;
+
+// クラスの操作が失敗した時に先生・生徒に返すエラー
+const ROOM_ERRORS = {
+    'classroom is full': 'クラスの人数がいっぱいです',
+    'classroom is finished': '授業はすでに終わっています',
+    'classroom has already started': '授業はすでに始まっています',
+    'no students have joined': 'まだ生徒が参加していません',
+    'classroom is not in progress': '授業が始まっていません',
+};
+
+/**
+ * クラスのコードを作る
+ * @param {function(number): number} [randomInt=crypto.randomInt] - 0以上 max 未満の整数を返す関数
+ * @returns {string} クラスのコード（例: 'K7QM'）
+ */
+function generateClassroomCode(randomInt = crypto.randomInt) {
+    let code = '';
+    for (let i = 0; i < CLASSROOM_CODE_LENGTH; i++) {
+        code += CLASSROOM_CODE_ALPHABET[randomInt(CLASSROOM_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * 生徒が同じ LAN から開けるサーバーの URL を求める
+ * @param {number} port - サーバーのポート
+ * @param {Object<string, Object[]>} [interfaces=os.networkInterfaces()] - ネットワークインターフェース
+ * @returns {string[]} IPv4 の URL の配列（例: ['http://192.168.1.10:8080/']）
+ */
+function getLanUrls(port, interfaces = os.networkInterfaces()) {
+    const urls = [];
+    Object.keys(interfaces).forEach((name) => {
+        (interfaces[name] || []).forEach((address) => {
+            // Node.js のバージョンにより family は 'IPv4' または 4
+            if ((address.family === 'IPv4' || address.family === 4) && !address.internal) {
+                urls.push(`http://${address.address}:${port}/`);
+            }
+        });
+    });
+    return urls;
+}
+
+class ClassroomServer {
+    /**
+     * @param {http.Server} server - WebSocket を受け付ける HTTP サーバー
+     * @param {Object} options - オプション
+     * @param {Poem[]} options.poems - 百人一首の歌データ配列
+     * @param {string} [options.path='/ws/classroom'] - WebSocket のパス
+     * @param {string[]} [options.joinUrls=[]] - 生徒が開く URL（先生の画面に表示する）
+     * @param {Object} [options.room] - ClassroomRoom に渡すオプション（待ち時間など）
+     */
+    constructor(server, options = {}) {
+        if (!Array.isArray(options.poems) || options.poems.length === 0) {
+            throw new Error('poems must be a non-empty array');
+        }
+        this._poems = options.poems;
+        this._joinUrls = options.joinUrls || [];
+        this._roomOptions = options.room || {};
+        this._rooms = new Map();     // クラスのコード → ClassroomRoom
+        this._tokens = new Map();    // 再接続用のトークン → ClassroomRoom
+        this._clients = new Map();   // WebSocket → { room, role, studentId }
+        this._members = new Map();   // 'コード:host' または 'コード:生徒のID' → 現在の WebSocket
+
+        // 同じ HTTP サーバーで複数の WebSocket のパスを受け付けるため、自分のパスの接続だけを引き受ける
+        this._server = server;
+        this._path = options.path || CLASSROOM_PATH;
+        this._wss = new WebSocketServer({ noServer: true });
+        this._wss.on('connection', (socket) => this._handleConnection(socket));
+        this._onUpgrade = (req, socket, head) => this._handleUpgrade(req, socket, head);
+        server.on('upgrade', this._onUpgrade);
+    }
+
+    /**
+     * 開いているクラスの数を取得する
+     * @returns {number} クラスの数
+     */
+    getRoomCount() {
+        return this._rooms.size;
+    }
+
+    /**
+     * すべてのクラスと接続を閉じる
+     * @returns {Promise<void>}
+     */
+    close() {
+        this._rooms.forEach((room) => room.close());
+        this._rooms.clear();
+        this._tokens.clear();
+        this._server.off('upgrade', this._onUpgrade);
+        this._wss.clients.forEach((socket) => socket.terminate());
+        return new Promise((resolve) => this._wss.close(() => resolve()));
+    }
+
+    // =========================================
+    // 接続とメッセージ
+    // =========================================
+
+    /**
+     * HTTP サーバーの upgrade リクエストのうち、自分のパスへのものを WebSocket の接続にする
+     * 他のパスは同じ HTTP サーバーの別のエンドポイントに任せる（どのパスでもないものは upgradeRouter が閉じる）
+     * @param {http.IncomingMessage} req - リクエスト
+     * @param {stream.Duplex} socket - ソケット
+     * @param {Buffer} head - 最初のパケット
+     * @private
+     */
+    _handleUpgrade(req, socket, head) {
+        if (new URL(req.url, 'http://localhost').pathname !== this._path) {
+            return;
+        }
+        this._wss.handleUpgrade(req, socket, head, (ws) => this._wss.emit('connection', ws, req));
+    }
+
+    /**
+     * 新しい接続を受け付ける
+     * @param {WebSocket} socket - 接続
+     * @private
+     */
+    _handleConnection(socket) {
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (err) {
+                this._sendError(socket, 'メッセージの形式が正しくありません');
+                return;
+            }
+            try {
+                this._handleMessage(socket, message || {});
+            } catch (err) {
+                this._sendError(socket, ROOM_ERRORS[err.message] || 'クラスの操作に失敗しました');
+            }
+        });
+        socket.on('close', () => this._handleClose(socket));
+    }
+
+    /**
+     * メッセージの種類ごとに処理する
+     * @param {WebSocket} socket - 接続
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _handleMessage(socket, message) {
+        const client = this._clients.get(socket);
+        switch (message.type) {
+            case 'host':
+                this._host(socket, message);
+                break;
+            case 'join':
+                this._join(socket, message);
+                break;
+            case 'rejoin':
+                this._rejoin(socket, message);
+                break;
+            case 'start':
+            case 'next':
+            case 'end':
+                if (!client || client.role !== 'host') {
+                    this._sendError(socket, '先生だけが授業を進められます');
+                    return;
+                }
+                client.room[message.type]();
+                break;
+            case 'take':
+                if (client && client.role === 'student') {
+                    client.room.take(client.studentId, { round: message.round, cardId: message.cardId });
+                }
+                break;
+            default:
+                this._sendError(socket, 'メッセージの種類が正しくありません');
+        }
+    }
+
+    /**
+     * クラスを開き、接続を先生として結び付ける
+     * @param {WebSocket} socket - 接続
+     * @param {{ fieldCount?: number }} message - host メッセージ
+     * @private
+     */
+    _host(socket, message) {
+        if (this._clients.has(socket)) {
+            this._sendError(socket, 'すでにクラスに参加しています');
+            return;
+        }
+        const fieldCount = message.fieldCount === undefined || message.fieldCount === null
+            ? undefined
+            : message.fieldCount;
+        if (fieldCount !== undefined && (!Number.isInteger(fieldCount) || fieldCount < 1)) {
+            this._sendError(socket, '札の枚数が正しくありません');
+            return;
+        }
+
+        let code;
+        do {
+            code = generateClassroomCode();
+        } while (this._rooms.has(code));
+
+        const room = new ClassroomRoom(this._poems, Object.assign({}, this._roomOptions, {
+            code,
+            fieldCount,
+            joinUrls: this._joinUrls,
+            onFinish: (finished) => this._removeRoom(finished),
+        }));
+        this._rooms.set(code, room);
+        this._tokens.set(room.getHostToken(), room);
+        this._bind(socket, room, 'host', null);
+    }
+
+    /**
+     * コードのクラスに生徒として参加させる
+     * @param {WebSocket} socket - 接続
+     * @param {{ code?: string, name?: string }} message - join メッセージ
+     * @private
+     */
+    _join(socket, message) {
+        if (this._clients.has(socket)) {
+            this._sendError(socket, 'すでにクラスに参加しています');
+            return;
+        }
+        const code = typeof message.code === 'string' ? message.code.trim().toUpperCase() : '';
+        const room = this._rooms.get(code);
+        if (!room) {
+            this._sendError(socket, 'クラスが見つかりません。コードを確かめてください');
+            return;
+        }
+        const { studentId, token } = room.addStudent(message.name);
+        this._tokens.set(token, room);
+        this._bind(socket, room, 'student', studentId);
+    }
+
+    /**
+     * 再接続用のトークンで元のクラスに戻す（古い接続が残っている場合は閉じる）
+     * @param {WebSocket} socket - 新しい接続
+     * @param {{ token?: string }} message - rejoin メッセージ
+     * @private
+     */
+    _rejoin(socket, message) {
+        // 先生・生徒として結び付いている接続から、別の席を乗っ取れないようにする
+        if (this._clients.has(socket)) {
+            this._sendError(socket, 'すでにクラスに参加しています');
+            return;
+        }
+        const room = this._tokens.get(message.token);
+        if (!room || room.isFinished()) {
+            this._sendError(socket, '戻れるクラスが見つかりません');
+            return;
+        }
+        const member = room.findByToken(message.token);
+        const previous = this._members.get(this._memberKey(room, member.role, member.studentId));
+        if (previous) {
+            this._clients.delete(previous);
+            this._detach(room, member.role, member.studentId);
+            previous.terminate();
+        }
+        this._bind(socket, room, member.role, member.studentId || null);
+    }
+
+    /**
+     * 接続をクラスの先生・生徒に結び付ける
+     * @param {WebSocket} socket - 接続
+     * @param {ClassroomRoom} room - クラス
+     * @param {string} role - 'host' または 'student'
+     * @param {number|null} studentId - 生徒のID（先生はnull）
+     * @private
+     */
+    _bind(socket, room, role, studentId) {
+        this._clients.set(socket, { room, role, studentId });
+        this._members.set(this._memberKey(room, role, studentId), socket);
+        const send = (message) => this._send(socket, message);
+        if (role === 'host') {
+            room.attachHost(send);
+        } else {
+            room.attachStudent(studentId, send);
+        }
+    }
+
+    /**
+     * クラスの先生・生徒の接続が切れたことをクラスに知らせる
+     * @param {ClassroomRoom} room - クラス
+     * @param {string} role - 'host' または 'student'
+     * @param {number|null} studentId - 生徒のID（先生はnull）
+     * @private
+     */
+    _detach(room, role, studentId) {
+        if (role === 'host') {
+            room.detachHost();
+        } else {
+            room.detachStudent(studentId);
+        }
+    }
+
+    /**
+     * 接続が切れた時の処理（新しい接続に置き換わった古い接続の切断は無視する）
+     * @param {WebSocket} socket - 切れた接続
+     * @private
+     */
+    _handleClose(socket) {
+        const client = this._clients.get(socket);
+        if (!client) {
+            return;
+        }
+        this._clients.delete(socket);
+        const key = this._memberKey(client.room, client.role, client.studentId);
+        if (this._members.get(key) === socket) {
+            this._members.delete(key);
+            this._detach(client.room, client.role, client.studentId);
+        }
+    }
+
+    /**
+     * 終わったクラスを片付ける（コードと再接続用のトークンも使えなくする）
+     * @param {ClassroomRoom} room - 終わったクラス
+     * @private
+     */
+    _removeRoom(room) {
+        this._rooms.delete(room.code);
+        this._tokens.forEach((tokenRoom, token) => {
+            if (tokenRoom === room) {
+                this._tokens.delete(token);
+            }
+        });
+        this._clients.forEach((client, socket) => {
+            if (client.room === room) {
+                this._clients.delete(socket);
+                this._members.delete(this._memberKey(room, client.role, client.studentId));
+            }
+        });
+    }
+
+    /**
+     * 先生・生徒ごとの接続のキーを作る
+     * @param {ClassroomRoom} room - クラス
+     * @param {string} role - 'host' または 'student'
+     * @param {number|null} [studentId] - 生徒のID
+     * @returns {string} キー
+     * @private
+     */
+    _memberKey(room, role, studentId) {
+        return room.code + ':' + (role === 'host' ? 'host' : studentId);
+    }
+
+    // =========================================
+    // 送信
+    // =========================================
+
+    /**
+     * 接続にメッセージを送る（閉じている接続には送らない）
+     * @param {WebSocket} socket - 接続
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _send(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * 接続にエラーを送る
+     * @param {WebSocket} socket - 接続
+     * @param {string} error - エラーの内容
+     * @private
+     */
+    _sendError(socket, error) {
+        this._send(socket, { type: 'error', error });
+    }
+}
+
+module.exports = { ClassroomServer, CLASSROOM_PATH, generateClassroomCode, getLanUrls };
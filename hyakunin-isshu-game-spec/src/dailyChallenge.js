@@ -0,0 +1,141 @@
+/**
+ * 今日のチャレンジ（デイリーチャレンジ）
+ * 日付から決まるシードとゲーム設定、結果の検証と順位付けを行う
+ * （結果は操作記録を再生して計算し直したもの。gameReplay.js を参照）
+ *
+ * 同じ日付からは必ず同じシードが得られるため、その日の参加者は全員
+ * 同じ20枚の場と読み順で遊ぶ。日付は日本時間で区切る。
+ */
+
+const { encodeGameCode } = require('../public/js/gameCode');
+
+// 日本時間（UTC+9）のオフセット
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// 今日のチャレンジで使う札の枚数
+const DAILY_CARD_COUNT = 20;
+
+// 名前の最大文字数
+const MAX_NAME_LENGTH = 20;
+
+/**
+ * 日本時間の日付キー（YYYY-MM-DD）を取得する
+ * @param {Date} [now=new Date()] - 基準となる日時
+ * @returns {string} 日付キー
+ */
+function getDateKey(now = new Date()) {
+    return new Date(now.getTime() + JST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 文字列から32ビットのシードを作る（FNV-1a ハッシュ）
+ * @param {string} text - 元の文字列
+ * @returns {number} シード（0〜4294967295の整数）
+ */
+function hashToSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 今日のチャレンジのシードと設定を取得する
+ * @param {Date} [now=new Date()] - 基準となる日時
+ * @returns {{ date: string, seed: number, options: Object, code: string }}
+ *   date: 日付キー / seed: シード / options: GameEngine.initGame に渡すオプション / code: ゲームコード
+ */
+function getDailyChallenge(now = new Date()) {
+    const date = getDateKey(now);
+    const seed = hashToSeed(`daily:${date}`);
+    const options = {
+        mode: 'standard',
+        seed: seed,
+        fieldCount: DAILY_CARD_COUNT,
+        readCount: DAILY_CARD_COUNT,
+    };
+    return { date, seed, options, code: encodeGameCode(options) };
+}
+
+/**
+ * 提出された結果が今日のチャレンジのゲーム（日付・シード・設定）のものか確かめる
+ * @param {*} submission - 提出された結果 { date, seed, options }
+ * @param {{ date: string, seed: number, options: Object }} challenge - getDailyChallenge の内容
+ * @returns {boolean} 今日のチャレンジのゲームの場合true
+ */
+function matchesDailyChallenge(submission, challenge) {
+    if (submission === null || typeof submission !== 'object'
+        || submission.date !== challenge.date || submission.seed !== challenge.seed) {
+        return false;
+    }
+    const options = submission.options;
+    if (options === null || typeof options !== 'object') {
+        return false;
+    }
+    const keys = Object.keys(challenge.options);
+    return Object.keys(options).length === keys.length
+        && keys.every((key) => options[key] === challenge.options[key]);
+}
+
+/**
+ * 今日のチャレンジの結果を検証する
+ * @param {*} result - 検証対象のオブジェクト
+ * @returns {{ valid: boolean, errors: string[] }} 検証結果
+ */
+function validateDailyResult(result) {
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+        return { valid: false, errors: ['Result must be a non-null object'] };
+    }
+
+    const errors = [];
+
+    // name の検証: 1〜20文字の文字列
+    if (typeof result.name !== 'string' || result.name.trim().length === 0) {
+        errors.push('name must be a non-empty string');
+    } else if (result.name.trim().length > MAX_NAME_LENGTH) {
+        errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    // correct の検証: 0〜札の枚数の整数
+    if (!Number.isInteger(result.correct) || result.correct < 0 || result.correct > DAILY_CARD_COUNT) {
+        errors.push(`correct must be an integer between 0 and ${DAILY_CARD_COUNT}`);
+    }
+
+    // incorrect / elapsedMs の検証: 0以上の整数
+    ['incorrect', 'elapsedMs'].forEach((field) => {
+        if (!Number.isInteger(result[field]) || result[field] < 0) {
+            errors.push(`${field} must be a non-negative integer`);
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 結果を順位順に並べる
+ * 正解数が多い順、同じ場合は不正解数が少ない順、さらに所要時間が短い順、提出が早い順
+ * @param {Object[]} results - 結果の配列
+ * @returns {Object[]} rank（1始まり）を付けた結果の配列（元の配列は変更しない）
+ */
+function rankDailyResults(results) {
+    return results
+        .slice()
+        .sort((a, b) => (b.correct - a.correct)
+            || (a.incorrect - b.incorrect)
+            || (a.elapsedMs - b.elapsedMs)
+            || (a.submittedAt < b.submittedAt ? -1 : a.submittedAt > b.submittedAt ? 1 : 0))
+        .map((result, index) => Object.assign({ rank: index + 1 }, result));
+}
+
+module.exports = {
+    getDateKey,
+    hashToSeed,
+    getDailyChallenge,
+    matchesDailyChallenge,
+    validateDailyResult,
+    rankDailyResults,
+    DAILY_CARD_COUNT,
+    MAX_NAME_LENGTH,
+};
@@ -0,0 +1,211 @@
+/**
+ * ゲームの操作記録の再生による結果の検証
+ *
+ * ブラウザが送った操作記録（札に触れた・次のラウンドに進んだ時刻など）を、同じシードと設定の
+ * GameEngine で最初から再生し、正解数・不正解数・正答率・所要時間をサーバーで計算し直す。
+ * ブラウザが送ったスコアは使わないため、開発者ツールで書き換えた結果はランキングに載らない。
+ *
+ * 操作記録の各操作 { type, t, cardId? }:
+ * - t はゲーム開始からの経過時間（ミリ秒）。前の操作より小さくならない
+ * - select: 札に触れた（cardId）
+ * - reading: 読み上げで上の句を読み始めた（反応時間はここから計る。1ラウンドに1回、札に触れる前だけ）
+ * - next: 札が取られたラウンドから次のラウンドに進んだ
+ * - pass: 誰も取らずに次のラウンドに進んだ（空札の見送り）
+ * - timeout: 制限時間切れで次のラウンドに進んだ
+ *
+ * 全体の所要時間は、読まれた札1枚あたり MIN_REACTION_MS 以上でなければならない。
+ */
+
+const { GameEngine } = require('../public/js/gameEngine');
+const { ScoreManager, createScorePlugin } = require('../public/js/scoreManager');
+
+// 操作記録の操作の種類
+const REPLAY_ACTION_TYPES = ['select', 'reading', 'next', 'pass', 'timeout'];
+
+// 操作記録の最大の長さ
+const MAX_REPLAY_ACTIONS = 2000;
+
+// 人が札を取れる最短の反応時間（ミリ秒）。これより速い取りは認めない
+const MIN_REACTION_MS = 100;
+
+// ラウンドを終える操作の種類（読まれた札の数を数える）
+const ROUND_END_ACTION_TYPES = ['next', 'pass', 'timeout'];
+
+// 制限時間切れを認める、制限時間より早い側の許容誤差（ミリ秒、ブラウザのタイマーのずれ）
+const TIMEOUT_TOLERANCE_MS = 500;
+
+/**
+ * 操作記録の形式を検証する
+ * @param {*} actions - 操作記録
+ * @returns {string[]} エラーの配列（正しい場合は空配列）
+ * @private
+ */
+function validateActionFormat(actions) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+        return ['actions must be a non-empty array'];
+    }
+    if (actions.length > MAX_REPLAY_ACTIONS) {
+        return [`actions must have at most ${MAX_REPLAY_ACTIONS} entries`];
+    }
+
+    let previousTime = 0;
+    for (let i = 0; i < actions.length; i++) {
+        const action = actions[i];
+        if (action === null || typeof action !== 'object' || REPLAY_ACTION_TYPES.indexOf(action.type) === -1) {
+            return [`actions[${i}] has an unknown type`];
+        }
+        if (!Number.isInteger(action.t) || action.t < previousTime) {
+            return [`actions[${i}].t must be an integer not less than the previous action`];
+        }
+        if (action.type === 'select' && !Number.isInteger(action.cardId)) {
+            return [`actions[${i}].cardId must be an integer`];
+        }
+        previousTime = action.t;
+    }
+    return [];
+}
+
+/**
+ * 操作記録を再生してゲームの結果を計算し直す
+ * @param {Poem[]} poems - ゲームで使った歌データ
+ * @param {Object} options - GameEngine.initGame に渡したオプション（seed を含む）
+ * @param {Array<{ type: string, t: number, cardId?: number }>} actions - 操作記録
+ * @returns {{ valid: boolean, errors: string[], result: { mode: string, fieldCount: number, correct: number, incorrect: number, accuracy: number, elapsedMs: number }|null }}
+ *   valid: 記録が正しくゲームの終わりまで再生できた場合true / result: 再生して得た結果（正しくない場合null）
+ */
+function replayGame(poems, options, actions) {
+    const formatErrors = validateActionFormat(actions);
+    if (formatErrors.length > 0) {
+        return { valid: false, errors: formatErrors, result: null };
+    }
+
+    // 再生中の時刻は、再生している操作の時刻にする
+    let now = 0;
+    const scoreManager = new ScoreManager(0);
+    let engine;
+    try {
+        engine = new GameEngine(poems, { now: () => now });
+        engine.use(createScorePlugin(scoreManager));
+        engine.initGame(options);
+    } catch (err) {
+        return { valid: false, errors: [err.message], result: null };
+    }
+
+    // 制限時間はラウンドの開始（読み上げを使う場合は読み始め）から計る
+    let round = { clockStartedAt: 0, reading: false, touched: false };
+    let roundsRead = 0;
+    for (let i = 0; i < actions.length; i++) {
+        const action = actions[i];
+        now = action.t;
+        const error = replayAction(engine, action, round);
+        if (error) {
+            return { valid: false, errors: [`actions[${i}]: ${error}`], result: null };
+        }
+        if (action.type === 'select') {
+            round.touched = true;
+        } else if (action.type === 'reading') {
+            round = { clockStartedAt: action.t, reading: true, touched: false };
+        } else {
+            round = { clockStartedAt: action.t, reading: false, touched: false };
+        }
+        if (ROUND_END_ACTION_TYPES.indexOf(action.type) !== -1) {
+            roundsRead++;
+        }
+    }
+
+    if (!engine.isGameOver()) {
+        return { valid: false, errors: ['actions end before the game is over'], result: null };
+    }
+    const elapsedMs = actions[actions.length - 1].t;
+    if (elapsedMs < roundsRead * MIN_REACTION_MS) {
+        return { valid: false, errors: [`game finished faster than ${MIN_REACTION_MS}ms per card read`], result: null };
+    }
+
+    const score = scoreManager.getScore();
+    const state = engine.getGameState();
+    return {
+        valid: true,
+        errors: [],
+        result: {
+            mode: state.mode,
+            fieldCount: state.settings.fieldCount,
+            correct: score.correct,
+            incorrect: score.incorrect,
+            accuracy: score.accuracy,
+            elapsedMs,
+        },
+    };
+}
+
+/**
+ * 操作を1つ再生する
+ * @param {GameEngine} engine - 再生している GameEngine
+ * @param {{ type: string, t: number, cardId?: number }} action - 操作
+ * @param {{ clockStartedAt: number, reading: boolean, touched: boolean }} round - 現在のラウンドの状態
+ *   clockStartedAt: 制限時間を計り始めた時刻（ミリ秒） / reading: 読み始めを記録済み / touched: 札に触れた
+ * @returns {string|null} 再生できない場合はその理由
+ * @private
+ */
+function replayAction(engine, action, round) {
+    if (engine.isGameOver()) {
+        return 'action after the game is over';
+    }
+
+    switch (action.type) {
+        case 'select': {
+            if (engine.isRoundTaken()) {
+                return 'card selected after the round was taken';
+            }
+            const taken = engine.selectCard(action.cardId).correct;
+            if (taken) {
+                const reactions = engine.getReactionLog();
+                if (reactions[reactions.length - 1].reactionMs < MIN_REACTION_MS) {
+                    return `reaction faster than ${MIN_REACTION_MS}ms`;
+                }
+            }
+            return null;
+        }
+        case 'reading':
+            // 読み始めを遅らせて反応時間を短く見せることはできない
+            if (round.reading) {
+                return 'reading already started in this round';
+            }
+            if (round.touched) {
+                return 'reading started after a card was touched';
+            }
+            engine.startReading();
+            return null;
+        case 'next':
+            if (!engine.isRoundTaken()) {
+                return 'next round before the card was taken';
+            }
+            engine.nextRound();
+            return null;
+        case 'pass':
+            if (engine.isRoundTaken()) {
+                return 'pass after the card was taken';
+            }
+            engine.passRound();
+            return null;
+        case 'timeout': {
+            const limitMs = engine.getRoundTimeLimit() * 1000;
+            if (!(limitMs > 0) || engine.isRoundTaken()) {
+                return 'timeout is not possible in this round';
+            }
+            if (action.t - round.clockStartedAt < limitMs - TIMEOUT_TOLERANCE_MS) {
+                return 'timeout before the time limit';
+            }
+            engine.timeoutRound();
+            return null;
+        }
+        default:
+            return 'unknown action';
+    }
+}
+
+module.exports = {
+    replayGame,
+    REPLAY_ACTION_TYPES,
+    MAX_REPLAY_ACTIONS,
+    MIN_REACTION_MS,
+};
@@ -0,0 +1,181 @@
+/**
+ * GameSessionStore - サーバーで判定するゲームのセッション
+ *
+ * 責務:
+ * - セッションごとにブラウザと同じ GameEngine をサーバーで動かし、札の判定と反応時間の計測をサーバーの時計で行う
+ * - スコアはサーバーの ScoreManager で記録する（ブラウザから送られたスコアは信用しない）
+ * - セッションをメモリに保存し、最後に操作してから ttlMs が過ぎたものを破棄する
+ *
+ * HTTP は扱わず、server.js のルート（/api/games）から呼ばれる。
+ */
+
+const crypto = require('crypto');
+const { GameEngine } = require('../public/js/gameEngine');
+const { ScoreManager, createScorePlugin } = require('../public/js/scoreManager');
+const { filterPoemsByColors } = require('../public/js/goshiki');
+
+// セッションの既定の設定
+const GAME_SESSION_DEFAULTS = {
+    ttlMs: 30 * 60 * 1000,   // 最後に操作してからセッションを破棄するまでの時間
+    maxSessions: 1000,       // 同時に保存するセッションの上限
+};
+
+// initGame に渡せるオプション（それ以外の項目は無視する）
+const GAME_SESSION_OPTIONS = ['mode', 'poemIds', 'fieldCount', 'readCount', 'roundTimeLimit', 'seed', 'revealInterval'];
+
+class GameSessionStore {
+    /**
+     * @param {Poem[]} poems - 百人一首の歌データ配列
+     * @param {Object} [options] - オプション
+     * @param {number} [options.ttlMs] - 最後に操作してからセッションを破棄するまでの時間（ミリ秒）
+     * @param {number} [options.maxSessions] - 同時に保存するセッションの上限
+     * @param {function(): number} [options.now=Date.now] - 現在時刻（ミリ秒）を返す関数
+     */
+    constructor(poems, options = {}) {
+        if (!Array.isArray(poems)) {
+            throw new Error('poems must be an array');
+        }
+        this._poems = poems;
+        this._now = options.now || Date.now;
+        this._settings = {};
+        Object.keys(GAME_SESSION_DEFAULTS).forEach((key) => {
+            this._settings[key] = options[key] === undefined ? GAME_SESSION_DEFAULTS[key] : options[key];
+        });
+        this._sessions = new Map(); // セッションID → { id, engine, scoreManager, expiresAt }
+    }
+
+    /**
+     * 新しいセッションを作り、ゲームを始める
+     * @param {Object} [options] - GameEngine.initGame のオプションと、五色百人一首の色札（colors）
+     * @returns {Object} セッションの内容（toJSON と同じ形）
+     * @throws {Error} ゲームの設定が正しくない場合、またはセッションが上限に達した場合
+     */
+    create(options = {}) {
+        this._sweep();
+        if (this._sessions.size >= this._settings.maxSessions) {
+            throw new Error('too many game sessions');
+        }
+
+        const gameOptions = {};
+        GAME_SESSION_OPTIONS.forEach((key) => {
+            if (options[key] !== undefined && options[key] !== null) {
+                gameOptions[key] = options[key];
+            }
+        });
+        const pool = filterPoemsByColors(this._poems, options.colors);
+        if (pool.length === 0) {
+            throw new Error('No poems match the selected colors');
+        }
+
+        const scoreManager = new ScoreManager(0);
+        const engine = new GameEngine(pool, { now: () => this._now() });
+        engine.use(createScorePlugin(scoreManager));
+        engine.initGame(gameOptions);
+
+        const session = { id: crypto.randomUUID(), engine, scoreManager, expiresAt: 0 };
+        this._touch(session);
+        this._sessions.set(session.id, session);
+        return this.toJSON(session);
+    }
+
+    /**
+     * セッションを取得する（期限が切れたものは破棄する）
+     * 取得すると期限を延ばす
+     * @param {string} id - セッションID
+     * @returns {Object|null} セッション（見つからない場合null）
+     */
+    get(id) {
+        this._sweep();
+        const session = this._sessions.get(id);
+        if (!session) {
+            return null;
+        }
+        this._touch(session);
+        return session;
+    }
+
+    /**
+     * 札に触れた入力をサーバーの GameEngine で判定する
+     * @param {string} id - セッションID
+     * @param {number} cardId - 触れた札のID
+     * @param {{ sendCardId?: number }} [options] - 敵陣の札を取った場合に送る自陣の札のID
+     * @returns {Object|null} 判定結果（result）とセッションの内容（見つからない場合null）
+     */
+    select(id, cardId, options = {}) {
+        const session = this.get(id);
+        if (!session) {
+            return null;
+        }
+        const selectOptions = Number.isInteger(options.sendCardId) ? { sendCardId: options.sendCardId } : {};
+        const result = session.engine.selectCard(cardId, selectOptions);
+        return Object.assign({ result }, this.toJSON(session));
+    }
+
+    /**
+     * 次のラウンドに進む
+     * 札が取られたラウンドは nextRound、誰も取らなかったラウンド（空札の見送り・時間切れ）は passRound で進める
+     * @param {string} id - セッションID
+     * @returns {Object|null} 次のラウンドに進めたか（continues）とセッションの内容（見つからない場合null）
+     */
+    next(id) {
+        const session = this.get(id);
+        if (!session) {
+            return null;
+        }
+        const engine = session.engine;
+        let continues = false;
+        if (!engine.isGameOver()) {
+            continues = engine.isRoundTaken() ? engine.nextRound() : engine.passRound().continues;
+        }
+        return Object.assign({ continues }, this.toJSON(session));
+    }
+
+    /**
+     * 保存しているセッションの数を取得する（期限が切れたものを除く）
+     * @returns {number} セッションの数
+     */
+    getSessionCount() {
+        this._sweep();
+        return this._sessions.size;
+    }
+
+    /**
+     * セッションをレスポンスの形にする
+     * state は GameEngine.getGameState() と同じ形
+     * @param {Object} session - セッション
+     * @returns {{ id: string, expiresAt: string, state: GameState, score: ScoreData, reactionTimes: Object }}
+     */
+    toJSON(session) {
+        return {
+            id: session.id,
+            expiresAt: new Date(session.expiresAt).toISOString(),
+            state: session.engine.getGameState(),
+            score: session.scoreManager.getScore(),
+            reactionTimes: session.scoreManager.getReactionTimes(),
+        };
+    }
+
+    /**
+     * セッションの期限を延ばす
+     * @param {Object} session - セッション
+     * @private
+     */
+    _touch(session) {
+        session.expiresAt = this._now() + this._settings.ttlMs;
+    }
+
+    /**
+     * 期限が切れたセッションを破棄する
+     * @private
+     */
+    _sweep() {
+        const now = this._now();
+        this._sessions.forEach((session, id) => {
+            if (session.expiresAt <= now) {
+                this._sessions.delete(id);
+            }
+        });
+    }
+}
+
+module.exports = { GameSessionStore, GAME_SESSION_DEFAULTS };
@@ -0,0 +1,174 @@
+/**
+ * ランキング（今日のチャレンジ以外のゲームの結果）
+ * 提出の検証、ランキングの検索条件の解析と絞り込みを行う
+ *
+ * 結果はブラウザが送った操作記録をサーバーで再生して計算し直したもの（gameReplay.js を参照）で、
+ * ゲームモードと札の枚数（場の札の枚数）ごとに順位を付ける。
+ * 使う札・読む枚数・制限時間・1文字ずつの表示の間隔（ルール）が違うゲームは比べられないため、
+ * 結果にはそろえたルールを保存し、同じルールの結果どうしだけで順位を付ける。
+ */
+
+const { GameEngine, GAME_MODES } = require('../public/js/gameEngine');
+const { MAX_NAME_LENGTH } = require('./dailyChallenge');
+
+// ランキングの期間（直近のミリ秒、null は全期間）
+const LEADERBOARD_PERIODS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    all: null,
+};
+
+// 提出された設定のうち、再生に使うもの（それ以外の項目は無視する）
+const RESULT_GAME_OPTIONS = ['mode', 'poemIds', 'fieldCount', 'readCount', 'roundTimeLimit', 'seed', 'revealInterval'];
+
+/**
+ * ランキングに提出された結果を検証し、再生に使う設定を取り出す
+ * @param {*} submission - 提出された結果 { name, seed, options, colors?, actions }
+ * @returns {{ valid: boolean, errors: string[], options: Object|null, colors: string[] }}
+ *   options: GameEngine.initGame に渡す設定 / colors: 五色百人一首の色札
+ */
+function validateResultSubmission(submission) {
+    if (submission === null || typeof submission !== 'object' || Array.isArray(submission)) {
+        return { valid: false, errors: ['Result must be a non-null object'], options: null, colors: [] };
+    }
+
+    const errors = [];
+
+    if (typeof submission.name !== 'string' || submission.name.trim().length === 0) {
+        errors.push('name must be a non-empty string');
+    } else if (submission.name.trim().length > MAX_NAME_LENGTH) {
+        errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    // 同じゲームを再生できるよう、シードは設定の中に必ず含める
+    let options = null;
+    if (submission.options === null || typeof submission.options !== 'object' || Array.isArray(submission.options)) {
+        errors.push('options must be an object');
+    } else if (!Number.isInteger(submission.options.seed) || submission.options.seed !== submission.seed) {
+        errors.push('options.seed must be the integer seed of the game');
+    } else {
+        options = {};
+        RESULT_GAME_OPTIONS.forEach((key) => {
+            if (submission.options[key] !== undefined && submission.options[key] !== null) {
+                options[key] = submission.options[key];
+            }
+        });
+    }
+
+    const colors = submission.colors === undefined ? [] : submission.colors;
+    if (!Array.isArray(colors) || !colors.every((color) => typeof color === 'string')) {
+        errors.push('colors must be an array of strings');
+    }
+
+    const valid = errors.length === 0;
+    return { valid, errors, options: valid ? options : null, colors: valid ? colors : [] };
+}
+
+/**
+ * 再生したゲームの設定を、ランキングで比べるルールにそろえる
+ * 省略した項目は GameEngine の既定値で埋めるため、書き方が違っても同じゲームなら同じルールになる
+ * @param {Poem[]} poems - 再生に使った歌データ（色札で絞り込んだもの）
+ * @param {Object} options - GameEngine.initGame に渡した設定
+ * @param {number} poemCount - 百人一首の全首の数（全首を使うゲームの poemIds は null にする）
+ * @returns {{ poemIds: number[]|null, readCount: number, roundTimeLimit: number, revealInterval: number }}
+ *   poemIds: 使った歌のID（昇順） / readCount: 読んだ札の枚数（空札を含む）
+ */
+function normalizeResultRules(poems, options, poemCount) {
+    const engine = new GameEngine(poems);
+    engine.initGame(options);
+    const snapshot = engine.serialize();
+    return {
+        poemIds: snapshot.poolIds.length === poemCount ? null : snapshot.poolIds.slice().sort((a, b) => a - b),
+        readCount: snapshot.readingOrderIds.length,
+        roundTimeLimit: snapshot.roundTimeLimit,
+        revealInterval: snapshot.revealInterval,
+    };
+}
+
+/**
+ * 結果が標準のルール（全首・既定の読む枚数・制限時間なし・一度に表示）で遊んだものかを返す
+ * ルールを保存していない結果は、比べられないため標準として扱わない
+ * @param {{ mode: string, deckSize: number, rules?: Object }} result - 結果
+ * @param {number} poemCount - 百人一首の全首の数
+ * @returns {boolean} 標準のルールの場合true
+ */
+function isStandardRules(result, poemCount) {
+    const rules = result.rules;
+    if (!rules || !Object.prototype.hasOwnProperty.call(GAME_MODES, result.mode)) {
+        return false;
+    }
+    const readCount = GAME_MODES[result.mode].territories ? poemCount : result.deckSize;
+    return rules.poemIds === null && rules.readCount === readCount
+        && rules.roundTimeLimit === 0 && rules.revealInterval === 0;
+}
+
+/**
+ * ルールを比べるためのキーを作る
+ * @param {Object} rules - normalizeResultRules の戻り値
+ * @returns {string} 同じルールなら同じになる文字列
+ * @private
+ */
+function getRulesKey(rules) {
+    return JSON.stringify([rules.poemIds, rules.readCount, rules.roundTimeLimit, rules.revealInterval]);
+}
+
+/**
+ * ランキングの検索条件（クエリ文字列）を解析する
+ * @param {Object} query - クエリ文字列の値 { mode?, deckSize?, period? }
+ * @returns {{ valid: boolean, errors: string[], filter: { mode: string|null, deckSize: number|null, period: string } }}
+ *   filter: 省略した条件は null（period は 'all'）
+ */
+function parseLeaderboardQuery(query) {
+    const errors = [];
+    const filter = { mode: null, deckSize: null, period: 'all' };
+
+    if (query.mode !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, query.mode)) {
+            errors.push(`Unknown game mode: ${query.mode}`);
+        }
+        filter.mode = query.mode;
+    }
+    if (query.deckSize !== undefined) {
+        const deckSize = Number(query.deckSize);
+        if (!Number.isInteger(deckSize) || deckSize < 1) {
+            errors.push('deckSize must be a positive integer');
+        }
+        filter.deckSize = deckSize;
+    }
+    if (query.period !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, query.period)) {
+            errors.push(`period must be one of ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`);
+        }
+        filter.period = query.period;
+    }
+
+    return { valid: errors.length === 0, errors, filter };
+}
+
+/**
+ * 結果をゲームモード・札の枚数・期間・ルールで絞り込む
+ * @param {Object[]} results - 結果の配列
+ * @param {{ mode: string|null, deckSize: number|null, period: string, rules?: Object }} filter - 検索条件
+ *   rules を指定した場合は、同じルールを保存した結果だけを返す
+ * @param {Date} [now=new Date()] - 期間の基準となる日時
+ * @returns {Object[]} 条件に合う結果の配列（元の配列は変更しない）
+ */
+function filterResults(results, filter, now = new Date()) {
+    const periodMs = LEADERBOARD_PERIODS[filter.period || 'all'];
+    const since = periodMs === null ? null : now.getTime() - periodMs;
+    const rulesKey = filter.rules === undefined ? null : getRulesKey(filter.rules);
+    return results.filter((result) => (filter.mode === null || result.mode === filter.mode)
+        && (filter.deckSize === null || result.deckSize === filter.deckSize)
+        && (since === null || new Date(result.submittedAt).getTime() >= since)
+        && (rulesKey === null || (Boolean(result.rules) && getRulesKey(result.rules) === rulesKey)));
+}
+
+module.exports = {
+    validateResultSubmission,
+    normalizeResultRules,
+    isStandardRules,
+    parseLeaderboardQuery,
+    filterResults,
+    LEADERBOARD_PERIODS,
+};
@@ -0,0 +1,673 @@
+/**
+ * MatchRoom - ネットワーク対戦（1対1）の部屋
+ *
+ * 責務:
+ * - サーバー側で正となる GameEngine を共有のシードで進める
+ * - 読み始めを2人に同時に知らせ、札に触れた入力をサーバーが受け取った時刻で判定する
+ * - 2人とも見送った札・空札（場にない札）のラウンドは、時間切れを待たずに終える
+ * - 通信の遅延の補正（遅延の大きいプレイヤーが不利にならないよう、受け取った時刻から片道の遅延を引く）
+ * - 一時的な切断の間は部屋を保ち、再接続用のトークンで席に戻れるようにする
+ * - 観戦者に、対戦の様子（両方の陣・読み札・取り・お手つき）を遅らせて送る
+ *
+ * 通信（WebSocket）は扱わず、席・観戦者ごとに登録された send 関数でメッセージを送る。
+ * 遅延は MatchServer が測った往復時間（recordRoundTrip）から推定する。
+ */
+
+const crypto = require('crypto');
+const { GameEngine, GAME_MODES } = require('../public/js/gameEngine');
+
+// 1つの部屋の席の数
+const MATCH_SEATS = 2;
+
+// 1つの部屋で観戦できる人数
+const MAX_SPECTATORS = 50;
+
+// 部屋の既定の設定（ミリ秒）
+const MATCH_ROOM_DEFAULTS = {
+    roundIntervalMs: 2000,     // 部屋がそろってから・札が取られてから次の読み始めまでの間
+    roundTimeoutMs: 30000,     // 誰も札を取らない場合に次の札へ進むまでの時間
+    karafudaTimeoutMs: 8000,   // 空札（場にない札）の場合に次の札へ進むまでの時間（上の句を読み終えるくらい）
+    maxCompensationMs: 150,    // 遅延の補正の上限（遅延を大きく見せて有利になることを防ぐ）
+    reconnectGraceMs: 30000,   // 切断したプレイヤーの再接続を待つ時間
+    spectatorDelayMs: 5000,    // 観戦者に様子を送るまでの遅れ（観戦者が対戦中のプレイヤーに助言できないようにする）
+};
+
+// 往復時間の平滑化の係数（新しい測定値の重み）
+const LATENCY_SMOOTHING = 0.3;
+
+class MatchRoom {
+    /**
+     * @param {Poem[]} poems - 百人一首の歌データ配列
+     * @param {Object} [options] - オプション
+     * @param {string} [options.mode='standard'] - ゲームモード（GAME_MODES のキー）
+     * @param {number} [options.seed] - 2人で共有するシード（省略時はランダム）
+     * @param {function(): number} [options.now=Date.now] - 現在時刻（ミリ秒）を返す関数
+     * @param {function(MatchRoom): void} [options.onFinish] - 対戦が終わった時に呼ばれる関数
+     * @param {number} [options.roundIntervalMs] - 次の読み始めまでの間
+     * @param {number} [options.roundTimeoutMs] - 誰も札を取らない場合に次の札へ進むまでの時間
+     * @param {number} [options.karafudaTimeoutMs] - 空札の場合に次の札へ進むまでの時間
+     * @param {number} [options.maxCompensationMs] - 遅延の補正の上限
+     * @param {number} [options.reconnectGraceMs] - 再接続を待つ時間
+     * @param {number} [options.spectatorDelayMs] - 観戦者に様子を送るまでの遅れ
+     */
+    constructor(poems, options = {}) {
+        const mode = options.mode || 'standard';
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, mode)) {
+            throw new Error(`Unknown game mode: ${mode}`);
+        }
+        this.id = crypto.randomUUID();
+        this._mode = mode;
+        this._seed = options.seed;
+        this._now = options.now || Date.now;
+        this._onFinish = options.onFinish || null;
+        this._settings = {};
+        Object.keys(MATCH_ROOM_DEFAULTS).forEach((key) => {
+            this._settings[key] = options[key] === undefined ? MATCH_ROOM_DEFAULTS[key] : options[key];
+        });
+
+        // 判定中の入力の時刻（補正した時刻）で反応時間を計るため、GameEngine の時計を差し替える
+        this._engineNow = null;
+        this._engine = new GameEngine(poems, {
+            now: () => (this._engineNow === null ? this._now() : this._engineNow),
+        });
+
+        this._seats = [];           // 席ごとの { name, side, token, send, connected, latencyMs, incorrect, graceTimer }
+        this._status = 'waiting';   // waiting → playing → finished
+        this._reading = false;      // 読み札を読み始めてから札が取られるまでtrue
+        this._pendingTakes = [];    // 判定を待っている入力
+        this._passedSeats = new Set(); // 現在のラウンドを見送った席
+        this._takeTimer = null;
+        this._roundTimer = null;
+        this._readingStartedAt = null;
+
+        // 観戦者（ID → send）と、観戦者に送った最新の対戦の様子・送るのを待っているタイマー
+        this._spectators = new Map();
+        this._nextSpectatorId = 1;
+        this._spectatorState = null;
+        this._spectatorTimers = new Set();
+    }
+
+    // =========================================
+    // 席と接続
+    // =========================================
+
+    /**
+     * プレイヤーを空いている席に着かせる
+     * @param {string} [name] - 表示名
+     * @returns {{ seat: number, token: string }} 席の番号と再接続用のトークン
+     */
+    addPlayer(name) {
+        if (this._seats.length >= MATCH_SEATS) {
+            throw new Error('room is full');
+        }
+        const seat = this._seats.length;
+        const token = crypto.randomUUID();
+        this._seats.push({
+            name: typeof name === 'string' && name.trim() !== '' ? name.trim().slice(0, 20) : `プレイヤー${seat + 1}`,
+            side: GAME_MODES[this._mode].sides[seat],
+            token: token,
+            send: null,
+            connected: false,
+            latencyMs: null,
+            incorrect: 0,
+            graceTimer: null,
+        });
+        return { seat, token };
+    }
+
+    /**
+     * 再接続用のトークンから席を探す
+     * @param {string} token - 再接続用のトークン
+     * @returns {number} 席の番号（見つからない場合-1）
+     */
+    findSeatByToken(token) {
+        return this._seats.findIndex((entry) => entry.token === token);
+    }
+
+    /**
+     * 席に接続を結び付ける（最初の接続と再接続の両方）
+     * 切断中だった席の場合は、相手に再接続を知らせ、止めていたラウンドを読み直す
+     * @param {number} seat - 席の番号
+     * @param {function(Object): void} send - その席にメッセージを送る関数
+     */
+    attach(seat, send) {
+        const entry = this._seats[seat];
+        const reconnecting = this._status === 'playing' && !entry.connected;
+        if (entry.graceTimer !== null) {
+            clearTimeout(entry.graceTimer);
+            entry.graceTimer = null;
+        }
+        entry.send = send;
+        entry.connected = true;
+
+        if (!reconnecting) {
+            return;
+        }
+        this._send(seat, Object.assign({ type: 'rejoined' }, this.getSnapshot(seat)));
+        this._send(1 - seat, { type: 'opponentReconnected' });
+        this._feedSpectators({ type: 'playerReconnected', seat: seat });
+        if (this._seats.every((other) => other.connected)) {
+            this._scheduleReading();
+        }
+    }
+
+    /**
+     * 席の接続が切れたことを記録する
+     * 対戦中は読みを止めて相手に知らせ、reconnectGraceMs の間に戻らなければ相手の不戦勝にする
+     * @param {number} seat - 席の番号
+     */
+    detach(seat) {
+        const entry = this._seats[seat];
+        if (!entry || !entry.connected) {
+            return;
+        }
+        entry.connected = false;
+        entry.send = null;
+        if (this._status !== 'playing') {
+            return;
+        }
+
+        // 切断までに受け取った入力は判定してから読みを止める
+        this._resolveTakes();
+        if (this._status !== 'playing') {
+            return;
+        }
+        this._pauseRound();
+        this._send(1 - seat, { type: 'opponentDisconnected', graceMs: this._settings.reconnectGraceMs });
+        this._feedSpectators({ type: 'playerDisconnected', seat: seat });
+        entry.graceTimer = setTimeout(() => {
+            entry.graceTimer = null;
+            this._finish('forfeit', 1 - seat);
+        }, this._settings.reconnectGraceMs);
+    }
+
+    /**
+     * 席の往復時間（ping から pong まで）を記録し、片道の遅延の推定を更新する
+     * @param {number} seat - 席の番号
+     * @param {number} roundTripMs - 往復時間（ミリ秒）
+     */
+    recordRoundTrip(seat, roundTripMs) {
+        const entry = this._seats[seat];
+        if (!entry || !Number.isFinite(roundTripMs) || roundTripMs < 0) {
+            return;
+        }
+        const oneWay = roundTripMs / 2;
+        entry.latencyMs = entry.latencyMs === null
+            ? oneWay
+            : entry.latencyMs * (1 - LATENCY_SMOOTHING) + oneWay * LATENCY_SMOOTHING;
+    }
+
+    /**
+     * 席の片道の遅延の推定を取得する
+     * @param {number} seat - 席の番号
+     * @returns {number} 遅延（ミリ秒、まだ測っていない場合0）
+     */
+    getLatency(seat) {
+        const entry = this._seats[seat];
+        return entry && entry.latencyMs !== null ? entry.latencyMs : 0;
+    }
+
+    /**
+     * 2人がそろっているかを返す
+     * @returns {boolean} 2つの席が埋まっている場合true
+     */
+    isFull() {
+        return this._seats.length === MATCH_SEATS;
+    }
+
+    /**
+     * 対戦が終わったかを返す
+     * @returns {boolean} 終わった場合true
+     */
+    isFinished() {
+        return this._status === 'finished';
+    }
+
+    // =========================================
+    // 対戦の進行
+    // =========================================
+
+    /**
+     * 共有のシードでゲームを始め、2人に対戦の開始を知らせる
+     * @returns {GameState} 開始時のゲーム状態
+     */
+    start() {
+        if (!this.isFull()) {
+            throw new Error('room is not full');
+        }
+        const state = this._engine.initGame({ mode: this._mode, seed: this._seed });
+        this._status = 'playing';
+        this._seats.forEach((entry, seat) => {
+            this._send(seat, Object.assign({ type: 'matched', token: entry.token }, this.getSnapshot(seat)));
+        });
+        this._feedSpectators({ type: 'matchStart' });
+        this._scheduleReading();
+        return state;
+    }
+
+    /**
+     * 札に触れた入力を受け付ける
+     * 受け取った時刻から片道の遅延（上限 maxCompensationMs）を引いた時刻を触れた時刻とし、
+     * 相手の入力が遅れて届く分だけ待ってから、触れた時刻の早い順に判定する
+     * @param {number} seat - 席の番号
+     * @param {{ round: number, cardId: number }} take - 触れたラウンドと札のID
+     * @returns {boolean} 受け付けた場合true（読み始める前・別のラウンドの入力は受け付けない）
+     */
+    take(seat, take) {
+        const state = this._engine.getGameState();
+        if (!this._reading || !take || take.round !== state.currentRound || !Number.isInteger(take.cardId)) {
+            return false;
+        }
+
+        const receivedAt = this._now();
+        const compensation = Math.min(this.getLatency(seat), this._settings.maxCompensationMs);
+        this._pendingTakes.push({ seat, cardId: take.cardId, receivedAt, touchedAt: receivedAt - compensation });
+
+        if (this._takeTimer === null) {
+            const waitMs = Math.min(
+                Math.max.apply(null, this._seats.map((entry, index) => this.getLatency(index))),
+                this._settings.maxCompensationMs
+            );
+            this._takeTimer = setTimeout(() => this._resolveTakes(), Math.round(waitMs));
+        }
+        return true;
+    }
+
+    /**
+     * 現在のラウンドの見送りを受け付ける
+     * 2人とも見送ったら、判定を待っている入力を判定してから誰も取らなかったものとしてラウンドを終える
+     * @param {number} seat - 席の番号
+     * @param {{ round: number }} pass - 見送ったラウンド
+     * @returns {boolean} 受け付けた場合true（読み始める前・別のラウンド・見送り済みの場合は受け付けない）
+     */
+    pass(seat, pass) {
+        const state = this._engine.getGameState();
+        if (!this._reading || !pass || pass.round !== state.currentRound || this._passedSeats.has(seat)) {
+            return false;
+        }
+        this._passedSeats.add(seat);
+        this._broadcast({ type: 'passed', round: state.currentRound, seat: seat });
+
+        if (this._passedSeats.size === MATCH_SEATS) {
+            this._resolveTakes();
+            if (this._reading) {
+                this._endRound(null);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 判定を待っている入力を、触れた時刻の早い順に GameEngine で判定する
+     * @private
+     */
+    _resolveTakes() {
+        if (this._takeTimer !== null) {
+            clearTimeout(this._takeTimer);
+            this._takeTimer = null;
+        }
+        const takes = this._pendingTakes
+            .slice()
+            .sort((a, b) => (a.touchedAt - b.touchedAt) || (a.receivedAt - b.receivedAt));
+        this._pendingTakes = [];
+
+        const round = this._engine.getGameState().currentRound;
+        takes.forEach((entry) => {
+            if (!this._reading) {
+                return;
+            }
+            this._engineNow = entry.touchedAt;
+            const result = this._engine.selectCard(entry.cardId, { side: this._seats[entry.seat].side });
+            this._engineNow = null;
+            if (!result.correct) {
+                this._seats[entry.seat].incorrect += 1;
+            }
+            const takeResult = {
+                type: 'takeResult',
+                round: round,
+                seat: entry.seat,
+                cardId: entry.cardId,
+                correct: result.correct,
+                foul: result.foul,
+                penalty: Boolean(result.penaltyCard),
+            };
+            this._broadcast(takeResult);
+            this._feedSpectators(Object.assign({}, takeResult, {
+                reactionMs: Math.max(0, Math.round(entry.touchedAt - this._readingStartedAt)),
+            }));
+            if (result.correct) {
+                this._endRound(entry.seat);
+            }
+        });
+    }
+
+    /**
+     * ラウンドを終えて結果を知らせ、次の読みを予約する（最後のラウンドでは対戦を終える）
+     * @param {number|null} winnerSeat - 札を取った席（誰も取らなかった場合null）
+     * @private
+     */
+    _endRound(winnerSeat) {
+        this._reading = false;
+        this._clearRoundTimer();
+        const state = this._engine.getGameState();
+        const roundEnd = {
+            type: 'roundEnd',
+            round: state.currentRound,
+            poemId: state.currentPoem ? state.currentPoem.id : null,
+            winnerSeat: winnerSeat,
+            scores: this._getScores(),
+        };
+        this._broadcast(roundEnd);
+        this._feedSpectators(roundEnd);
+
+        // 誰も取らなかった札は場から下げて次に進む
+        const continues = winnerSeat === null
+            ? this._engine.passRound().continues
+            : this._engine.nextRound();
+        if (continues) {
+            this._scheduleReading();
+        } else {
+            this._finish('finished', null);
+        }
+    }
+
+    /**
+     * roundIntervalMs の後に現在のラウンドの読み始めを予約する
+     * @private
+     */
+    _scheduleReading() {
+        this._clearRoundTimer();
+        this._reading = false;
+        this._roundTimer = setTimeout(() => this._beginReading(), this._settings.roundIntervalMs);
+    }
+
+    /**
+     * 現在の読み札を読み始め、2人に同時に知らせる
+     * 空札は誰も取れないため、roundTimeoutMs より短い karafudaTimeoutMs で次の札へ進む
+     * @private
+     */
+    _beginReading() {
+        this._engine.startReading();
+        this._reading = true;
+        this._readingStartedAt = this._now();
+        this._passedSeats = new Set();
+        this._broadcast((seat) => Object.assign({ type: 'readingStart' }, this.getSnapshot(seat)));
+        this._feedSpectators({ type: 'readingStart' });
+        const timeoutMs = this._engine.isCurrentKarafuda()
+            ? Math.min(this._settings.karafudaTimeoutMs, this._settings.roundTimeoutMs)
+            : this._settings.roundTimeoutMs;
+        this._roundTimer = setTimeout(() => this._endRound(null), timeoutMs);
+    }
+
+    /**
+     * 読みを止める（切断中）。再接続したら同じラウンドを読み直す
+     * @private
+     */
+    _pauseRound() {
+        this._clearRoundTimer();
+        this._reading = false;
+    }
+
+    /**
+     * 予約した読み始め・時間切れを取り消す
+     * @private
+     */
+    _clearRoundTimer() {
+        if (this._roundTimer !== null) {
+            clearTimeout(this._roundTimer);
+            this._roundTimer = null;
+        }
+    }
+
+    /**
+     * 対戦を終えて2人に結果を知らせる
+     * @param {string} reason - 'finished'（すべて読み終えた）または 'forfeit'（相手が戻らなかった）
+     * @param {number|null} forfeitWinner - 不戦勝の席（reason が 'forfeit' の場合）
+     * @private
+     */
+    _finish(reason, forfeitWinner) {
+        if (this._status === 'finished') {
+            return;
+        }
+        this._stop();
+
+        const gameOver = {
+            type: 'gameOver',
+            reason: reason,
+            winnerSeat: reason === 'forfeit' ? forfeitWinner : this._getWinnerSeat(),
+            scores: this._getScores(),
+            remainingBySide: this._engine.getScoreData().remainingBySide,
+        };
+        this._broadcast(gameOver);
+        this._feedSpectators(gameOver);
+        if (this._onFinish) {
+            this._onFinish(this);
+        }
+    }
+
+    /**
+     * 読み終えた時の勝者の席を求める
+     * 陣地を持つモードでは GameEngine の勝者、陣地のないモードでは取った札の多い席
+     * @returns {number|null} 勝った席（引き分けの場合null）
+     * @private
+     */
+    _getWinnerSeat() {
+        if (GAME_MODES[this._mode].territories) {
+            const winner = this._engine.getWinner();
+            const seat = this._seats.findIndex((entry) => entry.side === winner);
+            return seat === -1 ? null : seat;
+        }
+        const [first, second] = this._getScores().map((score) => score.correct);
+        if (first === second) {
+            return null;
+        }
+        return first > second ? 0 : 1;
+    }
+
+    /**
+     * 対戦を途中で打ち切る（サーバーの終了時）。結果は知らせない
+     */
+    close() {
+        this._stop();
+        this._spectatorTimers.forEach((timer) => clearTimeout(timer));
+        this._spectatorTimers.clear();
+        this._spectators.clear();
+    }
+
+    /**
+     * 対戦を終えた状態にし、予約しているタイマーをすべて取り消す
+     * @private
+     */
+    _stop() {
+        this._status = 'finished';
+        this._reading = false;
+        this._pendingTakes = [];
+        this._clearRoundTimer();
+        if (this._takeTimer !== null) {
+            clearTimeout(this._takeTimer);
+            this._takeTimer = null;
+        }
+        this._seats.forEach((entry) => {
+            if (entry.graceTimer !== null) {
+                clearTimeout(entry.graceTimer);
+                entry.graceTimer = null;
+            }
+        });
+    }
+
+    // =========================================
+    // 観戦
+    // =========================================
+
+    /**
+     * 観戦者を加え、これまでに送った最新の対戦の様子を送る
+     * 観戦者は札に触れられず、様子は spectatorDelayMs だけ遅れて届く
+     * @param {function(Object): void} send - 観戦者にメッセージを送る関数
+     * @returns {number} 観戦者のID
+     */
+    addSpectator(send) {
+        if (this._spectators.size >= MAX_SPECTATORS) {
+            throw new Error('too many spectators');
+        }
+        const spectatorId = this._nextSpectatorId;
+        this._nextSpectatorId += 1;
+        this._spectators.set(spectatorId, send);
+        send({
+            type: 'watching',
+            roomId: this.id,
+            mode: this._mode,
+            delayMs: this._settings.spectatorDelayMs,
+            state: this._spectatorState,
+        });
+        return spectatorId;
+    }
+
+    /**
+     * 観戦者を除く
+     * @param {number} spectatorId - 観戦者のID
+     */
+    removeSpectator(spectatorId) {
+        this._spectators.delete(spectatorId);
+    }
+
+    /**
+     * 観戦者の数を取得する
+     * @returns {number} 観戦者の数
+     */
+    getSpectatorCount() {
+        return this._spectators.size;
+    }
+
+    /**
+     * 観戦する対戦を選ぶための概要を取得する（進み具合は観戦者に見せる前の情報のため含めない）
+     * @returns {{ roomId: string, mode: string, players: string[], spectators: number }} 対戦の概要
+     */
+    getSummary() {
+        return {
+            roomId: this.id,
+            mode: this._mode,
+            players: this._seats.map((entry) => entry.name),
+            spectators: this._spectators.size,
+        };
+    }
+
+    /**
+     * 観戦者から見た対戦の状態を取得する（両方の陣と、読み始めていれば読み札）
+     * @returns {Object} 席・場の札（歌ID）・陣・ラウンド・読み札・スコア
+     * @private
+     */
+    _getSpectatorState() {
+        const snapshot = this.getSnapshot(0);
+        delete snapshot.seat;
+        delete snapshot.side;
+        return snapshot;
+    }
+
+    /**
+     * 対戦の出来事を、その時点の状態と一緒に spectatorDelayMs の後で観戦者に送る
+     * 後から観戦を始めた人には、送り終えた最新の状態を送る（まだ送っていない状態は見せない）
+     * @param {Object} message - 出来事のメッセージ
+     * @private
+     */
+    _feedSpectators(message) {
+        const feed = Object.assign({}, message, { state: this._getSpectatorState() });
+        const release = () => {
+            this._spectatorState = feed.state;
+            this._spectators.forEach((send) => send(feed));
+        };
+        if (this._settings.spectatorDelayMs <= 0) {
+            release();
+            return;
+        }
+        const timer = setTimeout(() => {
+            this._spectatorTimers.delete(timer);
+            release();
+        }, this._settings.spectatorDelayMs);
+        this._spectatorTimers.add(timer);
+    }
+
+    // =========================================
+    // 状態とメッセージ
+    // =========================================
+
+    /**
+     * 席から見た対戦の状態を取得する（対戦の開始・読み始め・再接続で送る）
+     * シードは読み順がわかってしまうため含めない
+     * @param {number} seat - 席の番号
+     * @returns {Object} 部屋・席・場の札（歌ID）・陣・ラウンド・読み札・スコア
+     */
+    getSnapshot(seat) {
+        const state = this._engine.getGameState();
+        let cardSides = null;
+        if (state.territories) {
+            cardSides = {};
+            Object.keys(state.territories).forEach((side) => {
+                state.territories[side].forEach((card) => {
+                    cardSides[card.id] = side;
+                });
+            });
+        }
+        return {
+            roomId: this.id,
+            seat: seat,
+            side: this._seats[seat].side,
+            mode: this._mode,
+            players: this._seats.map((entry) => ({ name: entry.name, side: entry.side, connected: entry.connected })),
+            field: state.remainingCards.map((card) => card.id),
+            cardSides: cardSides,
+            round: state.currentRound,
+            totalRounds: state.totalRounds,
+            // 読み札は読み始めてから知らせる
+            poemId: this._reading && state.currentPoem ? state.currentPoem.id : null,
+            scores: this._getScores(),
+        };
+    }
+
+    /**
+     * 席ごとのスコアを取得する（ScoreData と同じ項目）
+     * @returns {Array<{ correct: number, incorrect: number, fouls: number, accuracy: number, remaining: number, remainingBySide: Object|null }>}
+     * @private
+     */
+    _getScores() {
+        const state = this._engine.getGameState();
+        const remainingBySide = this._engine.getScoreData().remainingBySide;
+        return this._seats.map((entry) => {
+            const stats = state.sideStats[entry.side] || { taken: 0, fouls: 0 };
+            const attempts = stats.taken + entry.incorrect;
+            return {
+                correct: stats.taken,
+                incorrect: entry.incorrect,
+                fouls: stats.fouls,
+                accuracy: attempts > 0 ? Math.round((stats.taken / attempts) * 10000) / 100 : 0,
+                remaining: state.remainingCards.length,
+                remainingBySide: remainingBySide,
+            };
+        });
+    }
+
+    /**
+     * 席にメッセージを送る（切断中の席には送らない）
+     * @param {number} seat - 席の番号
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _send(seat, message) {
+        const entry = this._seats[seat];
+        if (entry && entry.connected && entry.send) {
+            entry.send(message);
+        }
+    }
+
+    /**
+     * 2人にメッセージを送る
+     * @param {Object|function(number): Object} message - メッセージ、または席ごとのメッセージを作る関数
+     * @private
+     */
+    _broadcast(message) {
+        this._seats.forEach((entry, seat) => {
+            this._send(seat, typeof message === 'function' ? message(seat) : message);
+        });
+    }
+}
+
+module.exports = { MatchRoom, MATCH_SEATS, MAX_SPECTATORS, MATCH_ROOM_DEFAULTS };
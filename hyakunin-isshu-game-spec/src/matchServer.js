@@ -0,0 +1,426 @@
+/**
+ * MatchServer - ネットワーク対戦（1対1）の WebSocket エンドポイント
+ *
+ * 責務:
+ * - 同じゲームモードを選んだ2人を組み合わせて部屋（MatchRoom）を作る
+ * - WebSocket の ping/pong で各プレイヤーの往復時間を測り、部屋の遅延の補正に使う
+ * - 再接続用のトークンで、切断したプレイヤーを元の部屋の席に戻す
+ * - 対戦中の部屋の一覧を知らせ、観戦者（札に触れられない接続）を部屋に加える
+ *
+ * クライアントからのメッセージ（JSON）:
+ * - { type: 'join', mode, name }: 対戦相手を探す
+ * - { type: 'rejoin', token }: 切断した部屋に戻る
+ * - { type: 'take', round, cardId }: 札に触れる
+ * - { type: 'pass', round }: 札を見送る（2人とも見送ると次の札に進む）
+ * - { type: 'matches' }: 観戦できる対戦の一覧を求める
+ * - { type: 'watch', roomId }: 対戦を観戦する（様子は部屋の spectatorDelayMs だけ遅れて届く）
+ *
+ * 外部のサービスは使わず、Express と同じ HTTP サーバーで動く。
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { GAME_MODES } = require('../public/js/gameEngine');
+const { MatchRoom } = require('./matchRoom');
+
+// WebSocket のパス
+const MATCH_PATH = '/ws/match';
+
+// 往復時間を測る間隔（ミリ秒）
+const PING_INTERVAL_MS = 2000;
+
+class MatchServer {
+    /**
+     * @param {http.Server} server - WebSocket を受け付ける HTTP サーバー
+     * @param {Object} options - オプション
+     * @param {Poem[]} options.poems - 百人一首の歌データ配列
+     * @param {string} [options.path='/ws/match'] - WebSocket のパス
+     * @param {number} [options.pingIntervalMs=2000] - 往復時間を測る間隔
+     * @param {Object} [options.room] - MatchRoom に渡すオプション（待ち時間など）
+     */
+    constructor(server, options = {}) {
+        if (!Array.isArray(options.poems) || options.poems.length === 0) {
+            throw new Error('poems must be a non-empty array');
+        }
+        this._poems = options.poems;
+        this._roomOptions = options.room || {};
+        this._rooms = new Map();      // 部屋ID → MatchRoom
+        this._tokens = new Map();     // 再接続用のトークン → MatchRoom
+        this._clients = new Map();    // WebSocket → { room, seat, pingSentAt }
+        this._seatSockets = new Map(); // 部屋ID → 席ごとの現在の WebSocket
+        this._waiting = new Map();    // ゲームモード → 対戦相手を待っている { socket, name }
+        this._spectators = new Map(); // WebSocket → 観戦している { room, spectatorId }
+
+        // 同じ HTTP サーバーで複数の WebSocket のパスを受け付けるため、自分のパスの接続だけを引き受ける
+        this._server = server;
+        this._path = options.path || MATCH_PATH;
+        this._wss = new WebSocketServer({ noServer: true });
+        this._wss.on('connection', (socket) => this._handleConnection(socket));
+        this._onUpgrade = (req, socket, head) => this._handleUpgrade(req, socket, head);
+        server.on('upgrade', this._onUpgrade);
+        this._pingTimer = setInterval(() => this._pingAll(), options.pingIntervalMs || PING_INTERVAL_MS);
+    }
+
+    /**
+     * 対戦中の部屋の数を取得する
+     * @returns {number} 部屋の数
+     */
+    getRoomCount() {
+        return this._rooms.size;
+    }
+
+    /**
+     * すべての部屋と接続を閉じる
+     * @returns {Promise<void>}
+     */
+    close() {
+        clearInterval(this._pingTimer);
+        this._rooms.forEach((room) => room.close());
+        this._spectators.forEach((spectator) => spectator.room.close());
+        this._rooms.clear();
+        this._spectators.clear();
+        this._tokens.clear();
+        this._server.off('upgrade', this._onUpgrade);
+        this._wss.clients.forEach((socket) => socket.terminate());
+        return new Promise((resolve) => this._wss.close(() => resolve()));
+    }
+
+    // =========================================
+    // 接続とメッセージ
+    // =========================================
+
+    /**
+     * HTTP サーバーの upgrade リクエストのうち、自分のパスへのものを WebSocket の接続にする
+     * 他のパスは同じ HTTP サーバーの別のエンドポイントに任せる（どのパスでもないものは upgradeRouter が閉じる）
+     * @param {http.IncomingMessage} req - リクエスト
+     * @param {stream.Duplex} socket - ソケット
+     * @param {Buffer} head - 最初のパケット
+     * @private
+     */
+    _handleUpgrade(req, socket, head) {
+        if (new URL(req.url, 'http://localhost').pathname !== this._path) {
+            return;
+        }
+        this._wss.handleUpgrade(req, socket, head, (ws) => this._wss.emit('connection', ws, req));
+    }
+
+    /**
+     * 新しい接続を受け付ける
+     * @param {WebSocket} socket - 接続
+     * @private
+     */
+    _handleConnection(socket) {
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (err) {
+                this._sendError(socket, 'メッセージの形式が正しくありません');
+                return;
+            }
+            try {
+                this._handleMessage(socket, message || {});
+            } catch (err) {
+                this._sendError(socket, '対戦の操作に失敗しました');
+            }
+        });
+        socket.on('pong', () => this._handlePong(socket));
+        socket.on('close', () => this._handleClose(socket));
+    }
+
+    /**
+     * メッセージの種類ごとに処理する
+     * @param {WebSocket} socket - 接続
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _handleMessage(socket, message) {
+        switch (message.type) {
+            case 'join':
+                this._join(socket, message);
+                break;
+            case 'rejoin':
+                this._rejoin(socket, message);
+                break;
+            case 'take': {
+                // 観戦者は席を持たないため、札に触れても何も起きない
+                const client = this._clients.get(socket);
+                if (client) {
+                    client.room.take(client.seat, { round: message.round, cardId: message.cardId });
+                }
+                break;
+            }
+            case 'pass': {
+                const client = this._clients.get(socket);
+                if (client) {
+                    client.room.pass(client.seat, { round: message.round });
+                }
+                break;
+            }
+            case 'matches':
+                this._send(socket, { type: 'matches', matches: this.getMatches() });
+                break;
+            case 'watch':
+                this._watch(socket, message);
+                break;
+            default:
+                this._sendError(socket, 'メッセージの種類が正しくありません');
+        }
+    }
+
+    /**
+     * 対戦相手を探す。同じモードで待っている人がいれば部屋を作って対戦を始める
+     * @param {WebSocket} socket - 接続
+     * @param {{ mode?: string, name?: string }} message - join メッセージ
+     * @private
+     */
+    _join(socket, message) {
+        if (this._isBound(socket)) {
+            this._sendError(socket, 'すでに対戦に参加しています');
+            return;
+        }
+        const mode = message.mode || 'standard';
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, mode)) {
+            this._sendError(socket, 'ゲームモードが正しくありません');
+            return;
+        }
+
+        const waiting = this._waiting.get(mode);
+        if (!waiting || waiting.socket.readyState !== WebSocket.OPEN) {
+            this._waiting.set(mode, { socket, name: message.name });
+            this._send(socket, { type: 'waiting', mode });
+            return;
+        }
+        this._waiting.delete(mode);
+
+        const room = new MatchRoom(this._poems, Object.assign({}, this._roomOptions, {
+            mode,
+            onFinish: (finished) => this._removeRoom(finished),
+        }));
+        const sockets = [waiting.socket, socket];
+        this._rooms.set(room.id, room);
+        this._seatSockets.set(room.id, sockets);
+        [waiting.name, message.name].forEach((name, index) => {
+            const { seat, token } = room.addPlayer(name);
+            this._tokens.set(token, room);
+            this._bind(sockets[index], room, seat);
+        });
+        room.start();
+    }
+
+    /**
+     * 対戦を観戦する
+     * @param {WebSocket} socket - 接続
+     * @param {{ roomId?: string }} message - watch メッセージ
+     * @private
+     */
+    _watch(socket, message) {
+        if (this._isBound(socket)) {
+            this._sendError(socket, 'すでに対戦に参加しています');
+            return;
+        }
+        const room = this._rooms.get(message.roomId);
+        if (!room || room.isFinished()) {
+            this._sendError(socket, '観戦できる対戦が見つかりません');
+            return;
+        }
+        try {
+            const spectatorId = room.addSpectator((feed) => this._send(socket, feed));
+            this._spectators.set(socket, { room, spectatorId });
+        } catch (err) {
+            this._sendError(socket, '観戦している人が多いため、この対戦は観戦できません');
+        }
+    }
+
+    /**
+     * 観戦できる対戦（対戦中の部屋）の一覧を取得する
+     * @returns {Array<{ roomId: string, mode: string, players: string[], spectators: number }>} 対戦の概要
+     */
+    getMatches() {
+        return Array.from(this._rooms.values())
+            .filter((room) => !room.isFinished())
+            .map((room) => room.getSummary());
+    }
+
+    /**
+     * 再接続用のトークンで元の部屋の席に戻す
+     * @param {WebSocket} socket - 新しい接続
+     * @param {{ token?: string }} message - rejoin メッセージ
+     * @private
+     */
+    _rejoin(socket, message) {
+        // 席に着いている接続や観戦している接続から、別の席を乗っ取れないようにする
+        if (this._isBound(socket)) {
+            this._sendError(socket, 'すでに対戦に参加しています');
+            return;
+        }
+        const room = this._tokens.get(message.token);
+        if (!room || room.isFinished()) {
+            this._sendError(socket, '戻れる対戦が見つかりません');
+            return;
+        }
+        const seat = room.findSeatByToken(message.token);
+        const sockets = this._seatSockets.get(room.id);
+        const previous = sockets[seat];
+
+        // 古い接続が残っている場合は閉じる（古い接続の切断では席を離れない）
+        sockets[seat] = socket;
+        if (previous) {
+            this._clients.delete(previous);
+            room.detach(seat);
+            previous.terminate();
+        }
+        this._bind(socket, room, seat);
+    }
+
+    /**
+     * 接続を部屋の席に結び付ける
+     * @param {WebSocket} socket - 接続
+     * @param {MatchRoom} room - 部屋
+     * @param {number} seat - 席の番号
+     * @private
+     */
+    _bind(socket, room, seat) {
+        this._clients.set(socket, { room, seat, pingSentAt: null });
+        room.attach(seat, (message) => this._send(socket, message));
+        this._ping(socket);
+    }
+
+    /**
+     * 接続が切れた時の処理
+     * @param {WebSocket} socket - 切れた接続
+     * @private
+     */
+    _handleClose(socket) {
+        this._waiting.forEach((waiting, mode) => {
+            if (waiting.socket === socket) {
+                this._waiting.delete(mode);
+            }
+        });
+
+        const spectator = this._spectators.get(socket);
+        if (spectator) {
+            this._spectators.delete(socket);
+            spectator.room.removeSpectator(spectator.spectatorId);
+        }
+
+        const client = this._clients.get(socket);
+        if (!client) {
+            return;
+        }
+        this._clients.delete(socket);
+        const sockets = this._seatSockets.get(client.room.id);
+        if (sockets && sockets[client.seat] === socket) {
+            sockets[client.seat] = null;
+            client.room.detach(client.seat);
+        }
+    }
+
+    /**
+     * 対戦が終わった部屋を片付ける（再接続用のトークンも使えなくする）
+     * 観戦者には遅れて結果が届くため、観戦者の接続はそのまま残す
+     * @param {MatchRoom} room - 終わった部屋
+     * @private
+     */
+    _removeRoom(room) {
+        this._rooms.delete(room.id);
+        this._seatSockets.delete(room.id);
+        this._tokens.forEach((tokenRoom, token) => {
+            if (tokenRoom === room) {
+                this._tokens.delete(token);
+            }
+        });
+        this._clients.forEach((client, socket) => {
+            if (client.room === room) {
+                this._clients.delete(socket);
+            }
+        });
+    }
+
+    /**
+     * 接続がすでに席に着いている・対戦相手を待っている・観戦しているかを返す
+     * @param {WebSocket} socket - 接続
+     * @returns {boolean} いずれかの場合true
+     * @private
+     */
+    _isBound(socket) {
+        return this._clients.has(socket) || this._isWaiting(socket) || this._spectators.has(socket);
+    }
+
+    /**
+     * 接続が対戦相手を待っているかを返す
+     * @param {WebSocket} socket - 接続
+     * @returns {boolean} 待っている場合true
+     * @private
+     */
+    _isWaiting(socket) {
+        return Array.from(this._waiting.values()).some((waiting) => waiting.socket === socket);
+    }
+
+    // =========================================
+    // 往復時間の計測
+    // =========================================
+
+    /**
+     * 部屋にいるすべての接続の往復時間を測る
+     * @private
+     */
+    _pingAll() {
+        this._clients.forEach((client, socket) => this._ping(socket));
+    }
+
+    /**
+     * 接続に ping を送る（ブラウザは自動で pong を返す）
+     * @param {WebSocket} socket - 接続
+     * @private
+     */
+    _ping(socket) {
+        const client = this._clients.get(socket);
+        if (!client || socket.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        client.pingSentAt = Date.now();
+        socket.ping();
+    }
+
+    /**
+     * pong を受け取った時に往復時間を部屋に記録する
+     * @param {WebSocket} socket - 接続
+     * @private
+     */
+    _handlePong(socket) {
+        const client = this._clients.get(socket);
+        if (!client || client.pingSentAt === null) {
+            return;
+        }
+        client.room.recordRoundTrip(client.seat, Date.now() - client.pingSentAt);
+        client.pingSentAt = null;
+    }
+
+    // =========================================
+    // 送信
+    // =========================================
+
+    /**
+     * 接続にメッセージを送る（閉じている接続には送らない）
+     * @param {WebSocket} socket - 接続
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _send(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * 接続にエラーを送る
+     * @param {WebSocket} socket - 接続
+     * @param {string} error - エラーの内容
+     * @private
+     */
+    _sendError(socket, error) {
+        this._send(socket, { type: 'error', error });
+    }
+}
+
+module.exports = { MatchServer, MATCH_PATH, PING_INTERVAL_MS };
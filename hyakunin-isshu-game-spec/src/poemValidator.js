@@ -3,6 +3,19 @@
  * Poem オブジェクトの構造検証を行う
  */
 
+const { normalizeReading } = require('../public/js/kimariji');
+const { GOSHIKI_COLORS } = require('../public/js/goshiki');
+
+// 読みに使える文字: ひらがなと句の区切りの空白
+const READING_PATTERN = /^[\u3041-\u3096\u309D\u309E\u30FC \u3000]+$/;
+
+// 作者の札の種類（坊主めくりで使う絵札の分類）
+// tono: 殿, hime: 姫, bozu: 坊主, tenno: 天皇, semimaru: 蝉丸
+const POEM_CATEGORIES = ['tono', 'hime', 'bozu', 'tenno', 'semimaru'];
+
+// 五色百人一首の色札
+const POEM_COLORS = GOSHIKI_COLORS.map((color) => color.id);
+
 /**
  * 単一の Poem オブジェクトを検証する
  * @param {*} poem - 検証対象のオブジェクト
@@ -49,12 +62,34 @@ function validatePoem(poem) {
         errors.push('lowerVerse must be a non-empty string');
     }
 
+    // upperReading / lowerReading の検証: ひらがなの非空文字列
+    ['upperReading', 'lowerReading'].forEach((field) => {
+        if (typeof poem[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        } else if (poem[field].trim().length === 0) {
+            errors.push(`${field} must be a non-empty string`);
+        } else if (!READING_PATTERN.test(poem[field])) {
+            errors.push(`${field} must contain only hiragana`);
+        }
+    });
+
+    // category の検証: 定義済みの札の種類のいずれか
+    if (POEM_CATEGORIES.indexOf(poem.category) === -1) {
+        errors.push(`category must be one of: ${POEM_CATEGORIES.join(', ')}`);
+    }
+
+    // color の検証: 五色百人一首の色札のいずれか
+    if (POEM_COLORS.indexOf(poem.color) === -1) {
+        errors.push(`color must be one of: ${POEM_COLORS.join(', ')}`);
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
 /**
  * Poem オブジェクトの配列を検証する
- * 各 Poem の構造検証に加え、100首の完全性とIDの一意性を確認する
+ * 各 Poem の構造検証に加え、100首の完全性とIDの一意性、
+ * 決まり字が定まるよう上の句の読みの一意性を確認する
  * @param {*} poems - 検証対象の配列
  * @returns {{ valid: boolean, errors: string[] }} 検証結果
  */
@@ -74,6 +109,8 @@ function validatePoemCollection(poems) {
     // 各 Poem の個別バリデーション
     const idSet = new Set();
     const duplicateIds = [];
+    const readingMap = new Map();
+    const duplicateReadings = [];
 
     poems.forEach((poem, index) => {
         const result = validatePoem(poem);
@@ -91,13 +128,27 @@ function validatePoemCollection(poems) {
                 idSet.add(poem.id);
             }
         }
+
+        // 上の句の読みの一意性チェック（空白を除いて比較）
+        if (typeof poem?.upperReading === 'string') {
+            const reading = normalizeReading(poem.upperReading);
+            if (readingMap.has(reading)) {
+                duplicateReadings.push(reading);
+            } else {
+                readingMap.set(reading, poem.id);
+            }
+        }
     });
 
     if (duplicateIds.length > 0) {
         errors.push(`Duplicate poem IDs found: ${duplicateIds.join(', ')}`);
     }
 
+    if (duplicateReadings.length > 0) {
+        errors.push(`Duplicate upper verse readings found: ${duplicateReadings.join(', ')}`);
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
-module.exports = { validatePoem, validatePoemCollection };
+module.exports = { validatePoem, validatePoemCollection, POEM_CATEGORIES, POEM_COLORS };
@@ -0,0 +1,231 @@
+/**
+ * ResultsStore - ゲーム結果のファイル保存
+ * ローカルの JSON ファイルに、今日のチャレンジの結果を日付ごとに、ランキングの結果を提出順に保存する
+ * プレイヤーのプロフィールと、プロフィールに付けたゲームの記録も同じファイルに保存する
+ *
+ * ファイル形式: { "daily": { "YYYY-MM-DD": [結果, ...] }, "results": [結果, ...], "profiles": [プロフィール, ...], "games": [記録, ...] }
+ *
+ * 書き込みの途中でプロセスが落ちても保存ファイルが壊れないよう、一時ファイルに書いてから名前を変えて置き換える。
+ * 同時に届いた書き込みで結果が失われないよう、読み込み・変更・書き込みは1つずつ順に行う。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ResultsStore {
+    /**
+     * @param {string} filePath - 保存先の JSON ファイルのパス
+     */
+    constructor(filePath) {
+        if (typeof filePath !== 'string' || filePath.length === 0) {
+            throw new Error('filePath must be a non-empty string');
+        }
+        this._filePath = filePath;
+        this._queue = Promise.resolve(); // 順に行う書き込みの末尾
+    }
+
+    /**
+     * 今日のチャレンジの結果を追加する
+     * @param {string} date - 日付キー（YYYY-MM-DD）
+     * @param {{ name: string, correct: number, incorrect: number, elapsedMs: number }} result - 結果
+     * @returns {Promise<Object>} 保存した結果（id と submittedAt を付与したもの）
+     */
+    addDailyResult(date, result) {
+        return this._update((data) => {
+            const entry = {
+                id: crypto.randomUUID(),
+                name: result.name.trim(),
+                correct: result.correct,
+                incorrect: result.incorrect,
+                elapsedMs: result.elapsedMs,
+                submittedAt: new Date().toISOString(),
+            };
+            data.daily[date] = (data.daily[date] || []).concat([entry]);
+            return entry;
+        });
+    }
+
+    /**
+     * 指定した日の結果を取得する
+     * @param {string} date - 日付キー（YYYY-MM-DD）
+     * @returns {Promise<Object[]>} 結果の配列（保存順）
+     */
+    async getDailyResults(date) {
+        const data = await this._read();
+        return data.daily[date] || [];
+    }
+
+    /**
+     * ランキングの結果を追加する
+     * @param {{ name: string, mode: string, deckSize: number, rules: Object, correct: number, incorrect: number, accuracy: number, elapsedMs: number }} result - 結果
+     *   rules: 遊んだゲームのルール（leaderboard.js の normalizeResultRules を参照）
+     * @returns {Promise<Object>} 保存した結果（id と submittedAt を付与したもの）
+     */
+    addResult(result) {
+        return this._update((data) => {
+            const entry = {
+                id: crypto.randomUUID(),
+                name: result.name.trim(),
+                mode: result.mode,
+                deckSize: result.deckSize,
+                rules: result.rules,
+                correct: result.correct,
+                incorrect: result.incorrect,
+                accuracy: result.accuracy,
+                elapsedMs: result.elapsedMs,
+                submittedAt: new Date().toISOString(),
+            };
+            data.results.push(entry);
+            return entry;
+        });
+    }
+
+    /**
+     * ランキングの結果をすべて取得する
+     * @returns {Promise<Object[]>} 結果の配列（保存順）
+     */
+    async getResults() {
+        const data = await this._read();
+        return data.results;
+    }
+
+    /**
+     * プロフィールを追加する
+     * @param {{ name: string, color: string, grade: string }} profile - プロフィール
+     * @returns {Promise<Object>} 保存したプロフィール（id と createdAt を付与したもの）
+     */
+    addProfile(profile) {
+        return this._update((data) => {
+            const entry = {
+                id: crypto.randomUUID(),
+                name: profile.name.trim(),
+                color: profile.color,
+                grade: profile.grade,
+                createdAt: new Date().toISOString(),
+            };
+            data.profiles.push(entry);
+            return entry;
+        });
+    }
+
+    /**
+     * プロフィールをすべて取得する
+     * @returns {Promise<Object[]>} プロフィールの配列（作成順）
+     */
+    async getProfiles() {
+        const data = await this._read();
+        return data.profiles;
+    }
+
+    /**
+     * プロフィールにゲームの記録を追加する
+     * 操作の記録を再生していないブラウザの申告なので、verified: false を付けて保存する
+     * @param {string} profileId - プロフィールのID
+     * @param {{ kind: string, mode: string, deckSize: number, correct: number, incorrect: number, accuracy: number, elapsedMs: number }} record - ゲームの記録
+     * @returns {Promise<Object|null>} 保存した記録（id・profileId・verified・playedAt を付与したもの）。プロフィールがない場合null
+     */
+    addGame(profileId, record) {
+        return this._update((data) => {
+            if (!data.profiles.some((profile) => profile.id === profileId)) {
+                return null;
+            }
+            const entry = {
+                id: crypto.randomUUID(),
+                profileId,
+                kind: record.kind,
+                mode: record.mode,
+                deckSize: record.deckSize,
+                correct: record.correct,
+                incorrect: record.incorrect,
+                accuracy: record.accuracy,
+                elapsedMs: record.elapsedMs,
+                verified: false,
+                playedAt: new Date().toISOString(),
+            };
+            data.games.push(entry);
+            return entry;
+        });
+    }
+
+    /**
+     * ゲームの記録をすべて取得する
+     * @returns {Promise<Object[]>} 記録の配列（保存順）
+     */
+    async getGames() {
+        const data = await this._read();
+        return data.games;
+    }
+
+    /**
+     * 保存ファイルを読み込み、変更して書き込む
+     * 前の変更の書き込みが終わってから読み込むため、同時に呼ばれても変更は失われない
+     * @param {function(Object): *} mutate - データを変更する関数（戻り値をそのまま返す）
+     * @returns {Promise<*>} mutate の戻り値
+     * @private
+     */
+    _update(mutate) {
+        const run = this._queue.then(async () => {
+            const data = await this._read();
+            const value = mutate(data);
+            await this._write(data);
+            return value;
+        });
+        // 失敗した変更の後も、次の変更は行う
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * 保存ファイルを読み込む（ファイルがない場合は空のデータ）
+     * @returns {Promise<{ daily: Object<string, Object[]>, results: Object[], profiles: Object[], games: Object[] }>}
+     * @private
+     */
+    async _read() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this._filePath, 'utf-8'));
+            if (!data.daily || typeof data.daily !== 'object') {
+                data.daily = {};
+            }
+            ['results', 'profiles', 'games'].forEach((key) => {
+                if (!Array.isArray(data[key])) {
+                    data[key] = [];
+                }
+            });
+            return data;
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return { daily: {}, results: [], profiles: [], games: [] };
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * 保存ファイルに書き込む
+     * 同じディレクトリの一時ファイルに書いてディスクに反映してから、名前を変えて保存ファイルを置き換える
+     * （名前の変更は一度に行われるため、読み込む側には古い内容か新しい内容のどちらかが見える）
+     * @param {Object} data - 保存するデータ
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _write(data) {
+        await fs.promises.mkdir(path.dirname(this._filePath), { recursive: true });
+        const tmpPath = `${this._filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        try {
+            const file = await fs.promises.open(tmpPath, 'w');
+            try {
+                await file.writeFile(JSON.stringify(data, null, 2), 'utf-8');
+                await file.sync();
+            } finally {
+                await file.close();
+            }
+            await fs.promises.rename(tmpPath, this._filePath);
+        } catch (err) {
+            await fs.promises.rm(tmpPath, { force: true });
+            throw err;
+        }
+    }
+}
+
+module.exports = { ResultsStore };
@@ -1,7 +1,9 @@
 /**
  * Express Server - 百人一首ゲーム
- * 静的ファイル配信と歌データAPIを提供する
- * ポート8080でHTTPリクエストを受け付ける
+ * 静的ファイル配信と歌データAPI、サーバーで判定するゲームのAPI、今日のチャレンジAPI、ランキングAPI、
+ * プロフィールAPI、読手の録音音声の配信を提供する
+ * ポート8080でHTTPリクエストを受け付け、同じポートでネットワーク対戦（/ws/match）と
+ * 授業用のクラス（/ws/classroom）の WebSocket も受け付ける
  *
  * Requirements:
  * - 6.1: Docker_Containerが起動された場合、Webサーバーを起動し、ブラウザからアクセス可能な状態にする
@@ -11,6 +13,19 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { ResultsStore } = require('./resultsStore');
+const { getDailyChallenge, matchesDailyChallenge, validateDailyResult, rankDailyResults } = require('./dailyChallenge');
+const { replayGame } = require('./gameReplay');
+const {
+    validateResultSubmission, normalizeResultRules, isStandardRules, parseLeaderboardQuery, filterResults,
+} = require('./leaderboard');
+const { filterPoemsByColors } = require('../public/js/goshiki');
+const { validateProfile, validateGameRecord, summarizeHistory } = require('../public/js/playerProfiles');
+const { isAudioFileName, readAudioManifest } = require('./audioLibrary');
+const { MatchServer, MATCH_PATH } = require('./matchServer');
+const { ClassroomServer, CLASSROOM_PATH, getLanUrls } = require('./classroomServer');
+const { closeUnknownUpgrades } = require('./upgradeRouter');
+const { GameSessionStore } = require('./gameSessions');
 
 const app = express();
 const PORT = 8080;
@@ -18,6 +33,16 @@ const PORT = 8080;
 // プロジェクトルートのパスを解決
 const projectRoot = path.join(__dirname, '..');
 
+// ゲーム結果の保存先（環境変数 RESULTS_FILE で変更できる。Docker では data/store をボリュームに置く）
+const resultsFile = process.env.RESULTS_FILE || path.join(projectRoot, 'data', 'store', 'results.json');
+const resultsStore = new ResultsStore(resultsFile);
+
+// 読手の録音音声の置き場所（環境変数 AUDIO_DIR で変更できる）
+const audioDir = process.env.AUDIO_DIR || path.join(projectRoot, 'data', 'audio');
+
+// ランキングとして返す上位の件数
+const RANKING_LIMIT = 10;
+
 // 歌データの読み込み
 let poems = [];
 try {
@@ -29,9 +54,15 @@ try {
     console.error('歌データの読み込みに失敗しました:', err.message);
 }
 
+// サーバーで判定するゲームのセッション（メモリに保存し、しばらく操作がなければ破棄する）
+const gameSessions = new GameSessionStore(poems);
+
 // 静的ファイル配信（public/ ディレクトリ）
 app.use(express.static(path.join(projectRoot, 'public')));
 
+// JSON リクエストボディの解析
+app.use(express.json());
+
 // 歌データAPI
 app.get('/api/poems', (req, res) => {
     if (poems.length === 0) {
@@ -40,11 +71,256 @@ app.get('/api/poems', (req, res) => {
     res.json(poems);
 });
 
+// ゲームAPI: サーバーで判定するゲームを始める（判定とスコアの記録はサーバーの GameEngine が行う）
+app.post('/api/games', (req, res) => {
+    if (poems.length === 0) {
+        return res.status(500).json({ error: '歌データが読み込まれていません' });
+    }
+    try {
+        res.status(201).json(gameSessions.create(req.body || {}));
+    } catch (err) {
+        if (err.message === 'too many game sessions') {
+            return res.status(503).json({ error: 'ただいま混み合っています。しばらくしてからお試しください' });
+        }
+        res.status(400).json({ error: 'ゲームの設定が正しくありません', details: [err.message] });
+    }
+});
+
+// ゲームAPI: ゲームの状態
+app.get('/api/games/:id', (req, res) => {
+    const session = gameSessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'ゲームが見つかりません。時間が経って終了した可能性があります' });
+    }
+    res.json(gameSessions.toJSON(session));
+});
+
+// ゲームAPI: 札に触れる
+app.post('/api/games/:id/select', (req, res) => {
+    const body = req.body || {};
+    if (!Number.isInteger(body.cardId)) {
+        return res.status(400).json({ error: '札のIDが正しくありません' });
+    }
+    const response = gameSessions.select(req.params.id, body.cardId, { sendCardId: body.sendCardId });
+    if (!response) {
+        return res.status(404).json({ error: 'ゲームが見つかりません。時間が経って終了した可能性があります' });
+    }
+    res.json(response);
+});
+
+// ゲームAPI: 次のラウンドに進む（札が取られなかったラウンドは見送りとして進める）
+app.post('/api/games/:id/next', (req, res) => {
+    const response = gameSessions.next(req.params.id);
+    if (!response) {
+        return res.status(404).json({ error: 'ゲームが見つかりません。時間が経って終了した可能性があります' });
+    }
+    res.json(response);
+});
+
+// 今日のチャレンジAPI: その日のシードとゲーム設定
+app.get('/api/daily', (req, res) => {
+    res.json(getDailyChallenge());
+});
+
+// 今日のチャレンジAPI: その日のランキング
+app.get('/api/daily/results', async (req, res) => {
+    const { date } = getDailyChallenge();
+    try {
+        const ranking = rankDailyResults(await resultsStore.getDailyResults(date));
+        res.json({ date, ranking: ranking.slice(0, RANKING_LIMIT) });
+    } catch (err) {
+        console.error('結果の読み込みに失敗しました:', err.message);
+        res.status(500).json({ error: '結果の読み込みに失敗しました' });
+    }
+});
+
+// 今日のチャレンジAPI: 結果の提出（保存して順位を返す）
+// ブラウザが計算したスコアは使わず、操作記録を今日のチャレンジの設定で再生して計算し直した結果だけを保存する
+app.post('/api/daily/results', async (req, res) => {
+    const challenge = getDailyChallenge();
+    const { date } = challenge;
+    if (!matchesDailyChallenge(req.body, challenge)) {
+        return res.status(400).json({ error: '今日のチャレンジの結果ではありません' });
+    }
+
+    const replay = replayGame(poems, challenge.options, req.body.actions);
+    if (!replay.valid) {
+        return res.status(400).json({ error: '操作の記録を確かめられませんでした', details: replay.errors });
+    }
+
+    const result = Object.assign({ name: req.body.name }, replay.result);
+    const validation = validateDailyResult(result);
+    if (!validation.valid) {
+        return res.status(400).json({ error: '結果の形式が正しくありません', details: validation.errors });
+    }
+
+    try {
+        const entry = await resultsStore.addDailyResult(date, result);
+        const ranking = rankDailyResults(await resultsStore.getDailyResults(date));
+        const rank = ranking.find((result) => result.id === entry.id).rank;
+        res.status(201).json({ date, rank, entry, ranking: ranking.slice(0, RANKING_LIMIT) });
+    } catch (err) {
+        console.error('結果の保存に失敗しました:', err.message);
+        res.status(500).json({ error: '結果の保存に失敗しました' });
+    }
+});
+
+// ランキングAPI: 結果の提出
+// 今日のチャレンジと同じく操作記録を再生して計算し直した結果だけを保存し、同じモード・札の枚数・ルールでの順位を返す
+app.post('/api/results', async (req, res) => {
+    if (poems.length === 0) {
+        return res.status(500).json({ error: '歌データが読み込まれていません' });
+    }
+
+    const submission = validateResultSubmission(req.body);
+    if (!submission.valid) {
+        return res.status(400).json({ error: '結果の形式が正しくありません', details: submission.errors });
+    }
+
+    const gamePoems = filterPoemsByColors(poems, submission.colors);
+    const replay = replayGame(gamePoems, submission.options, req.body.actions);
+    if (!replay.valid) {
+        return res.status(400).json({ error: '操作の記録を確かめられませんでした', details: replay.errors });
+    }
+
+    try {
+        const rules = normalizeResultRules(gamePoems, submission.options, poems.length);
+        const result = Object.assign({ name: req.body.name, deckSize: replay.result.fieldCount, rules }, replay.result);
+        const entry = await resultsStore.addResult(result);
+        const filter = { mode: entry.mode, deckSize: entry.deckSize, period: 'all', rules };
+        const ranking = rankDailyResults(filterResults(await resultsStore.getResults(), filter));
+        const rank = ranking.find((result) => result.id === entry.id).rank;
+        res.status(201).json({ rank, entry, ranking: ranking.slice(0, RANKING_LIMIT) });
+    } catch (err) {
+        console.error('結果の保存に失敗しました:', err.message);
+        res.status(500).json({ error: '結果の保存に失敗しました' });
+    }
+});
+
+// ランキングAPI: ゲームモード・札の枚数・期間（day / week / month / all）で絞り込んだランキング
+// 順位の付け方は今日のチャレンジと同じ。比べられるよう、標準のルールで遊んだ結果だけを載せる
+app.get('/api/leaderboard', async (req, res) => {
+    const query = parseLeaderboardQuery(req.query);
+    if (!query.valid) {
+        return res.status(400).json({ error: '検索条件が正しくありません', details: query.errors });
+    }
+    try {
+        const results = filterResults(await resultsStore.getResults(), query.filter)
+            .filter((result) => isStandardRules(result, poems.length));
+        const ranking = rankDailyResults(results);
+        res.json(Object.assign({}, query.filter, { ranking: ranking.slice(0, RANKING_LIMIT) }));
+    } catch (err) {
+        console.error('結果の読み込みに失敗しました:', err.message);
+        res.status(500).json({ error: '結果の読み込みに失敗しました' });
+    }
+});
+
+// プロフィールAPI: プロフィールの一覧（1台の端末を何人かで使う場合に、遊ぶ人を選ぶ）
+app.get('/api/profiles', async (req, res) => {
+    try {
+        res.json({ profiles: await resultsStore.getProfiles() });
+    } catch (err) {
+        console.error('プロフィールの読み込みに失敗しました:', err.message);
+        res.status(500).json({ error: 'プロフィールの読み込みに失敗しました' });
+    }
+});
+
+// プロフィールAPI: プロフィールの作成（名前・アバターの色・級）
+app.post('/api/profiles', async (req, res) => {
+    const validation = validateProfile(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'プロフィールの形式が正しくありません', details: validation.errors });
+    }
+    try {
+        res.status(201).json(await resultsStore.addProfile(req.body));
+    } catch (err) {
+        console.error('プロフィールの保存に失敗しました:', err.message);
+        res.status(500).json({ error: 'プロフィールの保存に失敗しました' });
+    }
+});
+
+// プロフィールAPI: 遊び終えたゲームの記録をプロフィールに付ける
+// コンピューター対戦などは操作の記録から再生できないため、ランキングと違って再生はしない。
+// 記録は確かめていないもの（verified: false）として保存し、そのプロフィールの成績にだけ使う
+app.post('/api/profiles/:id/games', async (req, res) => {
+    const validation = validateGameRecord(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'ゲームの記録の形式が正しくありません', details: validation.errors });
+    }
+    try {
+        const entry = await resultsStore.addGame(req.params.id, req.body);
+        if (!entry) {
+            return res.status(404).json({ error: 'プロフィールが見つかりません' });
+        }
+        res.status(201).json(entry);
+    } catch (err) {
+        console.error('ゲームの記録の保存に失敗しました:', err.message);
+        res.status(500).json({ error: 'ゲームの記録の保存に失敗しました' });
+    }
+});
+
+// プロフィールAPI: 遊んだゲームの履歴（新しい順）と成績
+// profileId を指定した場合はそのプロフィールの記録だけ、省略した場合は全員の記録
+// 記録は確かめていないため、全員の記録を合わせた成績は出さない（stats は null）
+app.get('/api/history', async (req, res) => {
+    const profileId = req.query.profileId === undefined ? null : String(req.query.profileId);
+    try {
+        if (profileId !== null && !(await resultsStore.getProfiles()).some((profile) => profile.id === profileId)) {
+            return res.status(404).json({ error: 'プロフィールが見つかりません' });
+        }
+        const games = (await resultsStore.getGames())
+            .filter((game) => profileId === null || game.profileId === profileId)
+            .reverse();
+        res.json({ profileId, games, stats: profileId === null ? null : summarizeHistory(games) });
+    } catch (err) {
+        console.error('ゲームの記録の読み込みに失敗しました:', err.message);
+        res.status(500).json({ error: 'ゲームの記録の読み込みに失敗しました' });
+    }
+});
+
+// 録音音声API: 録音がある歌と句の一覧（録音の追加をサーバーの再起動なしで反映する）
+app.get('/api/audio/manifest', async (req, res) => {
+    try {
+        res.json(await readAudioManifest(audioDir));
+    } catch (err) {
+        console.error('録音の一覧の読み込みに失敗しました:', err.message);
+        res.status(500).json({ error: '録音の一覧の読み込みに失敗しました' });
+    }
+});
+
+// 録音音声API: 録音ファイルの配信（Range リクエストに対応）
+app.get('/api/audio/:fileName', (req, res) => {
+    const { fileName } = req.params;
+    // 形式に合うファイル名だけを受け付け、音声ディレクトリの外を参照させない
+    if (!isAudioFileName(fileName)) {
+        return res.status(404).json({ error: '録音が見つかりません' });
+    }
+    res.sendFile(fileName, { root: audioDir, acceptRanges: true, maxAge: '1d' }, (err) => {
+        if (!err || res.headersSent) {
+            return;
+        }
+        if (err.statusCode === 404) {
+            return res.status(404).json({ error: '録音が見つかりません' });
+        }
+        console.error('録音の配信に失敗しました:', err.message);
+        res.status(500).json({ error: '録音の配信に失敗しました' });
+    });
+});
+
 // サーバー起動（テスト時にはexportのみ行う）
 if (require.main === module) {
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
         console.log(`百人一首ゲームサーバーが起動しました: http://localhost:${PORT}`);
     });
+
+    // ネットワーク対戦（1対1）と授業用のクラスの WebSocket
+    // クラスを開いた先生の画面には、生徒が同じ LAN から開く URL を表示する
+    if (poems.length > 0) {
+        new MatchServer(server, { poems });
+        new ClassroomServer(server, { poems, joinUrls: getLanUrls(PORT) });
+    }
+    // どちらのパスでもない upgrade リクエストは、開いたまま残さずに閉じる
+    closeUnknownUpgrades(server, poems.length > 0 ? [MATCH_PATH, CLASSROOM_PATH] : []);
 }
 
-module.exports = { app, poems };
+module.exports = { app, poems, gameSessions };
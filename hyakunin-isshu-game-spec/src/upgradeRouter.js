@@ -0,0 +1,30 @@
+/**
+ * WebSocket の upgrade リクエストの後始末
+ *
+ * ネットワーク対戦（MatchServer）と授業用のクラス（ClassroomServer）は、同じ HTTP サーバーの
+ * upgrade イベントを受け取り、自分のパスへのリクエストだけを引き受ける。
+ * どのエンドポイントのパスでもないリクエストは誰も応答しないため、TCP の接続が開いたまま残る。
+ * ここで最後の upgrade の受け手として、知らないパスへのリクエストに 404 を返して接続を閉じる。
+ */
+
+/**
+ * 知らないパスへの upgrade リクエストを 404 で閉じる受け手を登録する
+ * 各エンドポイントが upgrade の受け手を登録した後に呼ぶ（受け手は登録順に呼ばれる）
+ * @param {http.Server} server - HTTP サーバー
+ * @param {string[]} paths - WebSocket のエンドポイントのパス
+ * @returns {function(): void} 登録した受け手を外す関数
+ */
+function closeUnknownUpgrades(server, paths) {
+    const onUpgrade = (req, socket) => {
+        if (paths.indexOf(new URL(req.url, 'http://localhost').pathname) !== -1) {
+            return;
+        }
+        // 応答を送り終えてから接続を壊す
+        socket.once('finish', () => socket.destroy());
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    };
+    server.on('upgrade', onUpgrade);
+    return () => server.off('upgrade', onUpgrade);
+}
+
+module.exports = { closeUnknownUpgrades };
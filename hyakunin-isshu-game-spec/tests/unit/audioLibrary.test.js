@@ -0,0 +1,62 @@
+/**
+ * 読手の録音音声のライブラリのユニットテスト
+ */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { isAudioFileName, createAudioManifest, readAudioManifest } = require('../../src/audioLibrary');
+
+describe('isAudioFileName', () => {
+    test('歌番号3桁・句・音声の拡張子の形式だけを受け付ける', () => {
+        expect(isAudioFileName('001-upper.mp3')).toBe(true);
+        expect(isAudioFileName('100-lower.ogg')).toBe(true);
+        expect(isAudioFileName('000-upper.m4a')).toBe(true);
+        expect(isAudioFileName('1-upper.mp3')).toBe(false);
+        expect(isAudioFileName('001-middle.mp3')).toBe(false);
+        expect(isAudioFileName('001-upper.txt')).toBe(false);
+        expect(isAudioFileName('../001-upper.mp3')).toBe(false);
+        expect(isAudioFileName(undefined)).toBe(false);
+    });
+});
+
+describe('createAudioManifest', () => {
+    test('歌番号ごとに上の句・下の句の録音のURLをまとめる', () => {
+        const manifest = createAudioManifest([
+            '002-upper.mp3', '001-lower.mp3', '001-upper.mp3', '000-upper.mp3', 'README.txt',
+        ]);
+        expect(manifest).toEqual({
+            poems: {
+                0: { upper: '/api/audio/000-upper.mp3' },
+                1: { upper: '/api/audio/001-upper.mp3', lower: '/api/audio/001-lower.mp3' },
+                2: { upper: '/api/audio/002-upper.mp3' },
+            },
+        });
+    });
+
+    test('同じ句に複数の形式がある場合は名前順で先のファイルを使う', () => {
+        const manifest = createAudioManifest(['001-upper.ogg', '001-upper.mp3']);
+        expect(manifest.poems[1].upper).toBe('/api/audio/001-upper.mp3');
+    });
+});
+
+describe('readAudioManifest', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyakunin-audio-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('音声ディレクトリのファイルからマニフェストを作る', async () => {
+        fs.writeFileSync(path.join(tmpDir, '017-upper.mp3'), '');
+        const manifest = await readAudioManifest(tmpDir);
+        expect(manifest.poems[17]).toEqual({ upper: '/api/audio/017-upper.mp3' });
+    });
+
+    test('音声ディレクトリがない場合は空のマニフェストを返す', async () => {
+        await expect(readAudioManifest(path.join(tmpDir, 'missing'))).resolves.toEqual({ poems: {} });
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * BozuMekuriGame クラスのユニットテスト
+ */
+const { BozuMekuriGame } = require('../../public/js/bozuMekuri');
+
+/**
+ * 指定した種類の札を並べたテスト用の歌データを生成するヘルパー
+ * @param {string[]} categories - 札の種類の配列（山札の順序になる）
+ */
+function createPoems(categories) {
+    return categories.map((category, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+        category,
+    }));
+}
+
+/**
+ * シャッフルせずに並び順どおりの山札でゲームを初期化するヘルパー
+ */
+function createGame(categories, playerCount = 2, options = {}) {
+    const game = new BozuMekuriGame(createPoems(categories), options);
+    // Math.random が 1 に近い場合 Fisher-Yates は元の並びを保つ
+    const spy = jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+    game.initGame(Array.from({ length: playerCount }, (_, i) => `P${i + 1}`));
+    spy.mockRestore();
+    return game;
+}
+
+describe('BozuMekuriGame', () => {
+    describe('constructor / initGame', () => {
+        test('空の歌データではエラーをスローする', () => {
+            expect(() => new BozuMekuriGame([])).toThrow('poems must be a non-empty array');
+        });
+
+        test('プレイヤー数が2〜6人でない場合はエラーをスローする', () => {
+            const game = new BozuMekuriGame(createPoems(['tono', 'tono']));
+            expect(() => game.initGame(['P1'])).toThrow('playerNames must contain 2 to 6 players');
+            expect(() => game.initGame(['1', '2', '3', '4', '5', '6', '7'])).toThrow('playerNames must contain 2 to 6 players');
+        });
+
+        test('初期化後は全札が山札にあり、手札と場は空', () => {
+            const game = new BozuMekuriGame(createPoems(['tono', 'hime', 'bozu']));
+            const state = game.initGame(['A', 'B', 'C']);
+            expect(state.deckCount).toBe(3);
+            expect(state.fieldCount).toBe(0);
+            expect(state.players.map((p) => p.pileCount)).toEqual([0, 0, 0]);
+            expect(state.currentPlayer).toBe(0);
+            expect(state.isGameOver).toBe(false);
+        });
+    });
+
+    describe('drawCard', () => {
+        test('殿を引くと手札に加わり、手番が次のプレイヤーに移る', () => {
+            const game = createGame(['tono', 'tono', 'tono']);
+            const result = game.drawCard();
+            expect(result.effect).toBe('tono');
+            expect(result.playerIndex).toBe(0);
+            const state = game.getState();
+            expect(state.players[0].pileCount).toBe(1);
+            expect(state.currentPlayer).toBe(1);
+        });
+
+        test('坊主を引くと自分の手札と引いた札が場に出る', () => {
+            const game = createGame(['tono', 'tono', 'tono', 'bozu', 'tono']);
+            game.drawCard(); // P1 殿
+            game.drawCard(); // P2 殿
+            game.drawCard(); // P1 殿
+            const result = game.drawCard(); // P2 坊主
+            expect(result.effect).toBe('bozu');
+            const state = game.getState();
+            expect(state.players[1].pileCount).toBe(0);
+            expect(state.players[0].pileCount).toBe(2);
+            expect(state.fieldCount).toBe(2);
+        });
+
+        test('姫を引くと場の札と引いた札をもらう', () => {
+            const game = createGame(['tono', 'bozu', 'hime', 'tono']);
+            game.drawCard(); // P1 殿
+            game.drawCard(); // P2 坊主 → 場に1枚
+            const result = game.drawCard(); // P1 姫
+            expect(result.effect).toBe('hime');
+            const state = game.getState();
+            expect(state.players[0].pileCount).toBe(3);
+            expect(state.fieldCount).toBe(0);
+        });
+
+        test('蝉丸を引くと全員の手札が場に出る', () => {
+            const game = createGame(['tono', 'tono', 'semimaru', 'tono']);
+            game.drawCard();
+            game.drawCard();
+            const result = game.drawCard();
+            expect(result.effect).toBe('semimaru');
+            const state = game.getState();
+            expect(state.players.map((p) => p.pileCount)).toEqual([0, 0]);
+            expect(state.fieldCount).toBe(3);
+        });
+
+        test('天皇を引くと場の札をもらい、同じプレイヤーがもう1枚引く', () => {
+            const game = createGame(['bozu', 'tenno', 'tono']);
+            game.drawCard(); // P1 坊主 → 場に1枚
+            const result = game.drawCard(); // P2 天皇
+            expect(result.effect).toBe('tenno');
+            expect(result.extraTurn).toBe(true);
+            const state = game.getState();
+            expect(state.players[1].pileCount).toBe(2);
+            expect(state.currentPlayer).toBe(1);
+        });
+
+        test('ハウスルール無効時は蝉丸は坊主、天皇は殿として扱う', () => {
+            const game = createGame(['tono', 'tono', 'semimaru', 'tenno', 'tono'], 2, {
+                houseRules: { semimaru: false, tenno: false },
+            });
+            game.drawCard(); // P1 殿
+            game.drawCard(); // P2 殿
+            expect(game.drawCard().effect).toBe('bozu'); // P1 蝉丸 → 坊主
+            const state = game.getState();
+            expect(state.players.map((p) => p.pileCount)).toEqual([0, 1]);
+
+            const tenno = game.drawCard(); // P2 天皇 → 殿
+            expect(tenno.effect).toBe('tono');
+            expect(tenno.extraTurn).toBe(false);
+            expect(game.getState().currentPlayer).toBe(0);
+        });
+
+        test('山札がなくなるとゲーム終了し、以降はnullを返す', () => {
+            const game = createGame(['tono', 'tono']);
+            game.drawCard();
+            game.drawCard();
+            expect(game.isGameOver()).toBe(true);
+            expect(game.drawCard()).toBeNull();
+        });
+
+        test('札の総数は常に保存される', () => {
+            const categories = ['tono', 'bozu', 'hime', 'semimaru', 'tenno', 'tono', 'bozu', 'hime', 'tono', 'tono'];
+            const game = new BozuMekuriGame(createPoems(categories));
+            game.initGame(['A', 'B', 'C']);
+            while (!game.isGameOver()) {
+                game.drawCard();
+                const state = game.getState();
+                const total = state.deckCount + state.fieldCount
+                    + state.players.reduce((sum, p) => sum + p.pileCount, 0);
+                expect(total).toBe(categories.length);
+            }
+        });
+    });
+
+    describe('getWinners', () => {
+        test('ゲーム終了前は空配列', () => {
+            const game = createGame(['tono', 'tono']);
+            expect(game.getWinners()).toEqual([]);
+        });
+
+        test('手札が最も多いプレイヤーが勝者になる', () => {
+            const game = createGame(['tono', 'bozu', 'tono']);
+            while (!game.isGameOver()) {
+                game.drawCard();
+            }
+            expect(game.getWinners()).toEqual([0]);
+        });
+
+        test('同数の場合は複数の勝者を返す', () => {
+            const game = createGame(['tono', 'tono']);
+            game.drawCard();
+            game.drawCard();
+            expect(game.getWinners()).toEqual([0, 1]);
+        });
+    });
+
+    describe('実データ', () => {
+        test('data/poems.json の100首で最後までプレイできる', () => {
+            const poems = require('../../data/poems.json');
+            const game = new BozuMekuriGame(poems);
+            game.initGame(['A', 'B', 'C', 'D']);
+            let draws = 0;
+            while (game.drawCard()) {
+                draws++;
+            }
+            expect(draws).toBe(100);
+            expect(game.getState().deckCount).toBe(0);
+            expect(game.getWinners().length).toBeGreaterThan(0);
+        });
+    });
+});
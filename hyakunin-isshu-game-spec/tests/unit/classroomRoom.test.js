@@ -0,0 +1,332 @@
+/**
+ * ClassroomRoom（授業用のクラス）のユニットテスト
+ */
+const { ClassroomRoom, MISSED_POEMS_LIMIT } = require('../../src/classroomRoom');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+/**
+ * 先生と生徒がそろったクラスを作り、受け取ったメッセージを記録するヘルパー
+ * @param {string[]} names - 生徒の名前
+ * @param {Object} [options] - ClassroomRoom のオプション
+ */
+function createClassroom(names, options = {}) {
+    let now = 0;
+    const onFinish = jest.fn();
+    const room = new ClassroomRoom(createTestPoems(options.poemCount || 10), Object.assign({
+        code: 'K7QM',
+        seed: 7,
+        fieldCount: 3,
+        roundIntervalMs: 100,
+        roundTimeoutMs: 5000,
+        hostGraceMs: 1000,
+        now: () => now,
+        onFinish,
+    }, options));
+    const host = [];
+    room.attachHost((message) => host.push(message));
+    const students = names.map((name) => {
+        const { studentId, token } = room.addStudent(name);
+        const messages = [];
+        room.attachStudent(studentId, (message) => messages.push(message));
+        return { studentId, token, messages };
+    });
+    return {
+        room,
+        host,
+        students,
+        onFinish,
+        advance: (ms) => {
+            now += ms;
+            jest.advanceTimersByTime(ms);
+        },
+    };
+}
+
+/**
+ * 最後に受け取った指定の種類のメッセージを返すヘルパー
+ */
+function lastOf(messages, type) {
+    return messages.filter((message) => message.type === type).pop();
+}
+
+/**
+ * 先生に届いた読み札のIDを返すヘルパー
+ */
+function readingPoemId(host) {
+    return lastOf(host, 'readingStart').poemId;
+}
+
+describe('ClassroomRoom', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('参加', () => {
+        test('先生にはコードとトークンを、生徒には場の札とトークンを送る', () => {
+            const { room, host, students } = createClassroom(['あおい']);
+
+            expect(host[0]).toMatchObject({ type: 'hosted', role: 'host', code: 'K7QM', status: 'lobby', seed: 7, fieldCount: 3 });
+            expect(host[0].token).toBe(room.getHostToken());
+
+            const joined = students[0].messages[0];
+            expect(joined).toMatchObject({ type: 'joined', role: 'student', code: 'K7QM', name: 'あおい', status: 'lobby', totalRounds: 3 });
+            expect(joined.token).toBe(students[0].token);
+            expect(joined.field.length).toBe(3);
+            expect(lastOf(host, 'leaderboard').students.map((student) => student.name)).toEqual(['あおい']);
+        });
+
+        test('トークンから先生・生徒を探せる', () => {
+            const { room, students } = createClassroom(['あおい']);
+            expect(room.findByToken(room.getHostToken())).toEqual({ role: 'host' });
+            expect(room.findByToken(students[0].token)).toEqual({ role: 'student', studentId: students[0].studentId });
+            expect(room.findByToken('unknown')).toBeNull();
+        });
+
+        test('人数の上限を超えると参加できない', () => {
+            const { room } = createClassroom(['あおい'], { maxStudents: 1 });
+            expect(() => room.addStudent('はると')).toThrow('classroom is full');
+        });
+
+        test('生徒がいないと授業を始められない', () => {
+            const { room } = createClassroom([]);
+            expect(() => room.start()).toThrow('no students have joined');
+        });
+    });
+
+    describe('読み', () => {
+        test('全員に同じ場を配り、読む札は先生だけに知らせる', () => {
+            const { room, host, students, advance } = createClassroom(['あおい', 'はると']);
+            room.start();
+            expect(lastOf(students[0].messages, 'classStart')).toEqual({ type: 'classStart', totalRounds: 3 });
+            advance(100);
+
+            const hostReading = lastOf(host, 'readingStart');
+            expect(hostReading).toMatchObject({ round: 1, totalRounds: 3 });
+            expect(Number.isInteger(hostReading.poemId)).toBe(true);
+
+            const readings = students.map((student) => lastOf(student.messages, 'readingStart'));
+            expect(readings[0]).toEqual(readings[1]);
+            expect(readings[0].poemId).toBeUndefined();
+            expect(readings[0].field).toContain(hostReading.poemId);
+        });
+
+        test('同じシードのクラスは同じ読み順になる', () => {
+            const first = createClassroom(['あおい']);
+            const second = createClassroom(['はると']);
+            [first, second].forEach(({ room, advance }) => {
+                room.start();
+                advance(100);
+            });
+            expect(readingPoemId(first.host)).toBe(readingPoemId(second.host));
+        });
+    });
+
+    describe('取りの判定', () => {
+        test('生徒ごとの ScoreManager で正解・不正解と反応時間を記録する', () => {
+            const { room, host, students, advance } = createClassroom(['あおい', 'はると']);
+            room.start();
+            advance(100);
+            const poemId = readingPoemId(host);
+            const wrongId = lastOf(students[0].messages, 'readingStart').field.find((id) => id !== poemId);
+
+            expect(room.take(students[0].studentId, { round: 1, cardId: wrongId })).toBe(true);
+            advance(1200);
+            room.take(students[0].studentId, { round: 1, cardId: poemId });
+
+            const result = lastOf(students[0].messages, 'takeResult');
+            expect(result).toMatchObject({ round: 1, cardId: poemId, correct: true });
+            expect(result.score).toMatchObject({ correct: 1, incorrect: 1, accuracy: 50, averageReactionMs: 1200 });
+
+            // 取った後の入力は受け付けない
+            expect(room.take(students[0].studentId, { round: 1, cardId: wrongId })).toBe(false);
+            expect(lastOf(host, 'leaderboard').students[0]).toMatchObject({ rank: 1, name: 'あおい', correct: 1, accuracy: 50 });
+        });
+
+        test('読んでいない間・別のラウンド・場にない札の入力は受け付けない', () => {
+            const { room, host, students, advance } = createClassroom(['あおい']);
+            const id = students[0].studentId;
+            room.start();
+            expect(room.take(id, { round: 1, cardId: 1 })).toBe(false);
+
+            advance(100);
+            const poemId = readingPoemId(host);
+            expect(room.take(id, { round: 2, cardId: poemId })).toBe(false);
+            expect(room.take(id, { round: 1, cardId: 999 })).toBe(false);
+            expect(room.take(id, { round: 1, cardId: '1' })).toBe(false);
+            expect(room.take(id, { round: 1, cardId: poemId })).toBe(true);
+        });
+
+        test('接続している生徒が全員取るとラウンドを終え、札を全員の場から下げる', () => {
+            const { room, host, students, advance } = createClassroom(['あおい', 'はると']);
+            room.start();
+            advance(100);
+            const poemId = readingPoemId(host);
+
+            room.take(students[0].studentId, { round: 1, cardId: poemId });
+            expect(lastOf(host, 'roundEnd')).toBeUndefined();
+            room.take(students[1].studentId, { round: 1, cardId: poemId });
+
+            expect(lastOf(host, 'roundEnd')).toEqual({ type: 'roundEnd', round: 1, poemId });
+            expect(lastOf(students[1].messages, 'roundEnd')).toMatchObject({ round: 1, poemId, taken: true });
+            advance(100);
+            expect(lastOf(students[0].messages, 'readingStart').field).not.toContain(poemId);
+        });
+
+        test('時間内に取れなかった生徒を、クラスで取れなかった札として数える', () => {
+            const { room, host, students, advance } = createClassroom(['あおい', 'はると', 'ゆい']);
+            room.start();
+            advance(100);
+            const poemId = readingPoemId(host);
+            const wrongId = lastOf(students[0].messages, 'readingStart').field.find((id) => id !== poemId);
+
+            room.take(students[0].studentId, { round: 1, cardId: poemId });
+            room.take(students[1].studentId, { round: 1, cardId: wrongId });
+            advance(5000);
+
+            expect(lastOf(students[1].messages, 'roundEnd')).toMatchObject({ taken: false });
+            expect(lastOf(students[1].messages, 'roundEnd').score.remaining).toBe(2);
+            expect(lastOf(host, 'leaderboard').missedPoems).toEqual([
+                { poemId, author: `作者${poemId}`, missed: 2, wrongTouches: 1 },
+            ]);
+        });
+
+        test('先生は読んでいる札を終わらせ、札の間は待たずに次を読み始められる', () => {
+            const { room, host, advance } = createClassroom(['あおい']);
+            room.start();
+            room.next();
+            expect(lastOf(host, 'readingStart').round).toBe(1);
+
+            room.next();
+            expect(lastOf(host, 'roundEnd').round).toBe(1);
+            advance(100);
+            expect(lastOf(host, 'readingStart').round).toBe(2);
+        });
+    });
+
+    describe('順位と終了', () => {
+        test('正解数・不正解数・平均反応時間の順に並べる', () => {
+            const { room, host, students, advance } = createClassroom(['あおい', 'はると', 'ゆい']);
+            room.start();
+            advance(100);
+            const poemId = readingPoemId(host);
+            const wrongId = lastOf(students[0].messages, 'readingStart').field.find((id) => id !== poemId);
+
+            advance(300);
+            room.take(students[2].studentId, { round: 1, cardId: poemId });
+            advance(300);
+            room.take(students[1].studentId, { round: 1, cardId: wrongId });
+            room.take(students[1].studentId, { round: 1, cardId: poemId });
+            room.take(students[0].studentId, { round: 1, cardId: poemId });
+
+            const ranking = lastOf(host, 'leaderboard').students;
+            expect(ranking.map((student) => [student.rank, student.name])).toEqual([
+                [1, 'ゆい'], [2, 'あおい'], [3, 'はると'],
+            ]);
+        });
+
+        test('すべて読み終えると生徒に順位を、先生に最終の順位表を送る', () => {
+            const { room, host, students, onFinish, advance } = createClassroom(['あおい', 'はると']);
+            room.start();
+            for (let round = 1; round <= 3; round++) {
+                advance(100);
+                room.take(students[1].studentId, { round, cardId: readingPoemId(host) });
+                advance(5000);
+            }
+
+            expect(lastOf(students[1].messages, 'gameOver')).toMatchObject({
+                reason: 'finished', rank: 1, studentCount: 2, score: { correct: 3 },
+            });
+            expect(lastOf(students[1].messages, 'gameOver').reactionTimes.count).toBe(3);
+            expect(lastOf(host, 'gameOver')).toMatchObject({ reason: 'finished', status: 'finished', round: 3 });
+            expect(lastOf(host, 'gameOver').missedPoems.length).toBe(3);
+            expect(onFinish).toHaveBeenCalledWith(room);
+            expect(room.isFinished()).toBe(true);
+        });
+
+        test(`取れなかった札は ${MISSED_POEMS_LIMIT} 首まで、取れなかった生徒の多い順に並べる`, () => {
+            const { room, host, students, advance } = createClassroom(['あおい', 'はると'], { fieldCount: 8 });
+            room.start();
+            for (let round = 1; round <= 7; round++) {
+                advance(100);
+                if (round % 2 === 0) {
+                    room.take(students[0].studentId, { round, cardId: readingPoemId(host) });
+                }
+                advance(5000);
+            }
+
+            const missed = lastOf(host, 'leaderboard').missedPoems;
+            expect(missed.length).toBe(MISSED_POEMS_LIMIT);
+            expect(missed.slice(0, 4).every((entry) => entry.missed === 2)).toBe(true);
+            expect(missed[4].missed).toBe(1);
+        });
+
+        test('先生が授業を終えると全員に結果を送る', () => {
+            const { room, host, students } = createClassroom(['あおい']);
+            room.start();
+            room.end();
+            expect(lastOf(students[0].messages, 'gameOver')).toMatchObject({ reason: 'ended', rank: 1 });
+            expect(lastOf(host, 'gameOver').reason).toBe('ended');
+            expect(() => room.next()).toThrow('classroom is not in progress');
+        });
+    });
+
+    describe('切断と再接続', () => {
+        test('先生がいない間は次の札を読まず、戻ると再開する', () => {
+            const { room, students, advance } = createClassroom(['あおい']);
+            room.start();
+            room.detachHost();
+            expect(lastOf(students[0].messages, 'hostDisconnected')).toBeDefined();
+            advance(500);
+            expect(lastOf(students[0].messages, 'readingStart')).toBeUndefined();
+
+            const returned = [];
+            room.attachHost((message) => returned.push(message));
+            expect(returned[0]).toMatchObject({ type: 'rejoined', code: 'K7QM', status: 'playing' });
+            expect(returned[0].token).toBeUndefined();
+            expect(lastOf(students[0].messages, 'hostReconnected')).toBeDefined();
+            advance(100);
+            expect(lastOf(returned, 'readingStart').round).toBe(1);
+        });
+
+        test('先生が hostGraceMs の間に戻らなければクラスを閉じる', () => {
+            const { room, students, onFinish, advance } = createClassroom(['あおい']);
+            room.start();
+            room.detachHost();
+            advance(1000);
+            expect(lastOf(students[0].messages, 'gameOver').reason).toBe('closed');
+            expect(onFinish).toHaveBeenCalledTimes(1);
+        });
+
+        test('切断した生徒は待たずにラウンドを終え、戻るとスコアを引き継ぐ', () => {
+            const { room, host, students, advance } = createClassroom(['あおい', 'はると']);
+            room.start();
+            advance(100);
+            room.take(students[0].studentId, { round: 1, cardId: readingPoemId(host) });
+
+            room.detachStudent(students[1].studentId);
+            expect(lastOf(host, 'roundEnd').round).toBe(1);
+            expect(lastOf(host, 'leaderboard').students[1]).toMatchObject({ name: 'はると', connected: false });
+
+            const returned = [];
+            room.attachStudent(students[0].studentId, (message) => returned.push(message));
+            expect(returned[0]).toMatchObject({ type: 'rejoined', name: 'あおい', round: 2, score: { correct: 1 } });
+        });
+    });
+});
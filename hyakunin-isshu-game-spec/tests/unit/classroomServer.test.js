@@ -0,0 +1,203 @@
+/**
+ * ClassroomServer（授業用のクラスの WebSocket エンドポイント）のユニットテスト
+ * localhost の一時的なポートでサーバーを起動し、ws のクライアントで接続する
+ */
+const http = require('http');
+const { WebSocket } = require('ws');
+const { ClassroomServer, CLASSROOM_PATH, generateClassroomCode, getLanUrls } = require('../../src/classroomServer');
+const { MatchServer, MATCH_PATH } = require('../../src/matchServer');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+let server;
+let classroomServer;
+let url;
+const sockets = [];
+
+beforeEach((done) => {
+    server = http.createServer();
+    classroomServer = new ClassroomServer(server, {
+        poems: createTestPoems(5),
+        joinUrls: ['http://192.168.1.10:8080/'],
+        room: { roundIntervalMs: 20, roundTimeoutMs: 5000 },
+    });
+    server.listen(0, () => {
+        url = `ws://localhost:${server.address().port}${CLASSROOM_PATH}`;
+        done();
+    });
+});
+
+afterEach(async () => {
+    sockets.splice(0).forEach((socket) => socket.terminate());
+    await classroomServer.close();
+    await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * サーバーに接続し、受け取ったメッセージを種類ごとに待てるクライアントを作るヘルパー
+ */
+function connect(target = url) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(target);
+        const received = [];
+        const waiters = [];
+        sockets.push(socket);
+
+        socket.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            const index = waiters.findIndex((waiter) => waiter.type === message.type);
+            if (index === -1) {
+                received.push(message);
+                return;
+            }
+            waiters.splice(index, 1)[0].resolve(message);
+        });
+        socket.on('open', () => resolve({
+            socket,
+            send: (message) => socket.send(JSON.stringify(message)),
+            next: (type) => {
+                const index = received.findIndex((message) => message.type === type);
+                if (index !== -1) {
+                    return Promise.resolve(received.splice(index, 1)[0]);
+                }
+                return new Promise((resolveMessage) => waiters.push({ type, resolve: resolveMessage }));
+            },
+        }));
+        socket.on('error', reject);
+    });
+}
+
+/**
+ * 先生がクラスを開き、生徒が1人参加するまで待つヘルパー
+ */
+async function openClassroom() {
+    const host = await connect();
+    host.send({ type: 'host', fieldCount: 3 });
+    const hosted = await host.next('hosted');
+    const student = await connect();
+    student.send({ type: 'join', code: hosted.code.toLowerCase(), name: 'あおい' });
+    const joined = await student.next('joined');
+    return { host, hosted, student, joined };
+}
+
+describe('ClassroomServer', () => {
+    test('先生がクラスを開き、生徒がコードで参加する', async () => {
+        const { host, hosted, joined } = await openClassroom();
+
+        expect(hosted.code).toMatch(/^[2-9A-HJ-NP-Z]{4}$/);
+        expect(hosted.joinUrls).toEqual(['http://192.168.1.10:8080/']);
+        expect(joined).toMatchObject({ code: hosted.code, name: 'あおい', totalRounds: 3 });
+        expect(classroomServer.getRoomCount()).toBe(1);
+
+        const leaderboard = await host.next('leaderboard');
+        expect(leaderboard.students.map((student) => student.name)).toContain('あおい');
+    });
+
+    test('先生が始めると読み札を先生だけに送り、生徒の入力を判定する', async () => {
+        const { host, student } = await openClassroom();
+        host.send({ type: 'start' });
+
+        const reading = await host.next('readingStart');
+        const studentReading = await student.next('readingStart');
+        expect(studentReading.poemId).toBeUndefined();
+
+        student.send({ type: 'take', round: reading.round, cardId: reading.poemId });
+        expect(await student.next('takeResult')).toMatchObject({ correct: true, cardId: reading.poemId });
+        expect(await host.next('roundEnd')).toEqual({ type: 'roundEnd', round: 1, poemId: reading.poemId });
+    });
+
+    test('生徒は授業を進められず、先生はトークンでクラスに戻れる', async () => {
+        const { host, hosted, student } = await openClassroom();
+
+        student.send({ type: 'start' });
+        expect((await student.next('error')).error).toBe('先生だけが授業を進められます');
+
+        host.socket.close();
+        await student.next('hostDisconnected');
+        const returned = await connect();
+        returned.send({ type: 'rejoin', token: hosted.token });
+        expect(await returned.next('rejoined')).toMatchObject({ role: 'host', code: hosted.code });
+    });
+
+    test('先生・生徒として参加している接続からの再接続はエラーを返し、席は変わらない', async () => {
+        const { host, hosted, student, joined } = await openClassroom();
+
+        host.send({ type: 'rejoin', token: joined.token });
+        expect((await host.next('error')).error).toBe('すでにクラスに参加しています');
+        student.send({ type: 'rejoin', token: hosted.token });
+        expect((await student.next('error')).error).toBe('すでにクラスに参加しています');
+
+        // 先生は先生のまま授業を進め、生徒は生徒のまま札を取れる
+        host.send({ type: 'start' });
+        const reading = await host.next('readingStart');
+        student.send({ type: 'take', round: reading.round, cardId: reading.poemId });
+        expect(await student.next('takeResult')).toMatchObject({ correct: true, cardId: reading.poemId });
+    });
+
+    test('正しくないコード・トークン・操作にはエラーを返す', async () => {
+        const client = await connect();
+
+        client.send({ type: 'join', code: 'ZZZZ', name: 'あおい' });
+        expect((await client.next('error')).error).toBe('クラスが見つかりません。コードを確かめてください');
+
+        client.send({ type: 'rejoin', token: 'unknown' });
+        expect((await client.next('error')).error).toBe('戻れるクラスが見つかりません');
+
+        client.send({ type: 'host', fieldCount: 0 });
+        expect((await client.next('error')).error).toBe('札の枚数が正しくありません');
+
+        client.send({ type: 'host' });
+        await client.next('hosted');
+        client.send({ type: 'start' });
+        expect((await client.next('error')).error).toBe('まだ生徒が参加していません');
+    });
+
+    test('ネットワーク対戦と同じ HTTP サーバーで、それぞれのパスの接続を受け付ける', async () => {
+        const matchServer = new MatchServer(server, { poems: createTestPoems(5) });
+        try {
+            const player = await connect(url.replace(CLASSROOM_PATH, MATCH_PATH));
+            player.send({ type: 'join', mode: 'standard' });
+            expect(await player.next('waiting')).toEqual({ type: 'waiting', mode: 'standard' });
+
+            const { joined } = await openClassroom();
+            expect(joined.name).toBe('あおい');
+        } finally {
+            await matchServer.close();
+        }
+    });
+});
+
+describe('generateClassroomCode', () => {
+    test('読み違えやすい文字を使わない4文字のコードを作る', () => {
+        let index = 0;
+        const code = generateClassroomCode((max) => (index++ * 9) % max);
+        expect(code).toBe('2BLV');
+        expect(generateClassroomCode()).toMatch(/^[2-9A-HJ-NP-Z]{4}$/);
+    });
+});
+
+describe('getLanUrls', () => {
+    test('外部から届く IPv4 アドレスの URL だけを返す', () => {
+        const interfaces = {
+            lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+            eth0: [
+                { address: '192.168.1.10', family: 'IPv4', internal: false },
+                { address: 'fe80::1', family: 'IPv6', internal: false },
+            ],
+            wlan0: [{ address: '10.0.0.5', family: 4, internal: false }],
+        };
+        expect(getLanUrls(8080, interfaces)).toEqual(['http://192.168.1.10:8080/', 'http://10.0.0.5:8080/']);
+    });
+});
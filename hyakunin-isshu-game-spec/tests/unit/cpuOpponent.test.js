@@ -0,0 +1,246 @@
+/**
+ * CpuOpponent クラス（コンピューターの対戦相手）のユニットテスト
+ */
+const { CpuOpponent, CPU_DIFFICULTIES } = require('../../public/js/cpuOpponent');
+const { GameEngine } = require('../../public/js/gameEngine');
+
+/**
+ * テスト用の歌データを生成する
+ * 読み（upperReading）が1文字目から異なるため、決まり字はすべて1文字になる
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    const kana = 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわ';
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+        upperReading: `${kana[i]}のうたのかみのく`,
+        lowerReading: `しものく${i + 1}`,
+    }));
+}
+
+/**
+ * CPU を登録したゲームを始めるヘルパー
+ * @param {Object} cpuOptions - CpuOpponent のオプション
+ * @param {Object} [gameOptions] - initGame のオプション
+ * @param {number} [poemCount=10] - 歌の数
+ */
+function startGame(cpuOptions, gameOptions = {}, poemCount = 10) {
+    const engine = new GameEngine(createTestPoems(poemCount));
+    const cpu = new CpuOpponent(cpuOptions);
+    const events = [];
+    engine.use(cpu);
+    ['correct', 'incorrect'].forEach((name) => {
+        engine.on(name, (payload) => events.push({ name, payload }));
+    });
+    engine.initGame(Object.assign({ seed: 1 }, gameOptions));
+    return { engine, cpu, events };
+}
+
+describe('CpuOpponent', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('constructor', () => {
+        test('easy・normal・A級の3つの難易度がある', () => {
+            expect(Object.keys(CPU_DIFFICULTIES)).toEqual(['easy', 'normal', 'akyu']);
+            expect(CPU_DIFFICULTIES.akyu.label).toBe('A級');
+            expect(CPU_DIFFICULTIES.akyu.foulRate).toBe(0);
+            expect(CPU_DIFFICULTIES.easy.foulRate).toBeGreaterThan(CPU_DIFFICULTIES.normal.foulRate);
+        });
+
+        test('不正な難易度やシードはエラーをスローする', () => {
+            expect(() => new CpuOpponent({ difficulty: 'meijin' })).toThrow('Unknown difficulty: meijin');
+            expect(() => new CpuOpponent({ seed: -1 })).toThrow('seed must be an integer between 0 and 4294967295');
+        });
+
+        test('札を取る側はゲームモードの2番目の side になる', () => {
+            expect(startGame({ seed: 1 }).cpu.getSide()).toBe('opponent');
+            expect(startGame({ seed: 1 }, { mode: 'genpei' }, 4).cpu.getSide()).toBe('heike');
+        });
+    });
+
+    describe('planRound', () => {
+        test('同じシードからは同じ取り時間とお手つきになる', () => {
+            const first = startGame({ difficulty: 'easy', seed: 42 });
+            const second = startGame({ difficulty: 'easy', seed: 42 });
+            const plans = (game) => Array.from({ length: 20 }, () => game.cpu.planRound());
+            expect(plans(first)).toEqual(plans(second));
+        });
+
+        test('取り時間は難易度の反応時間 + 決まり字の文字数 × 1文字の時間 + ばらつき になる', () => {
+            const { cpu, engine } = startGame({ difficulty: 'akyu', seed: 3 });
+            const profile = CPU_DIFFICULTIES.akyu;
+            const kimarijiLength = engine.getCurrentKimariji()[engine.getCurrentReadingCard().id].length;
+            const base = profile.reactionMs + kimarijiLength * profile.perCharMs;
+
+            for (let i = 0; i < 20; i++) {
+                const plan = cpu.planRound();
+                expect(plan.poemId).toBe(engine.getCurrentReadingCard().id);
+                expect(plan.takeMs).toBeGreaterThanOrEqual(base);
+                expect(plan.takeMs).toBeLessThanOrEqual(base + profile.spreadMs);
+            }
+        });
+
+        test('上の句を1文字ずつ表示するゲームでは表示の間隔を1文字の時間にする', () => {
+            const { cpu } = startGame({ difficulty: 'akyu', seed: 3 }, { revealInterval: 1000 });
+            const profile = CPU_DIFFICULTIES.akyu;
+            const plan = cpu.planRound();
+            expect(plan.takeMs).toBeGreaterThanOrEqual(profile.reactionMs + 1000);
+            expect(plan.takeMs).toBeLessThanOrEqual(profile.reactionMs + 1000 + profile.spreadMs);
+        });
+
+        test('A級はやさしいより速く取る', () => {
+            const average = (difficulty) => {
+                const { cpu } = startGame({ difficulty, seed: 9 });
+                const plans = Array.from({ length: 50 }, () => cpu.planRound());
+                return plans.reduce((sum, plan) => sum + plan.takeMs, 0) / plans.length;
+            };
+            expect(average('akyu')).toBeLessThan(average('normal'));
+            expect(average('normal')).toBeLessThan(average('easy'));
+        });
+
+        test('空札のラウンドでは札を取らない', () => {
+            const { cpu, engine } = startGame({ difficulty: 'akyu', seed: 1 }, { mode: 'competitive', fieldCount: 4 });
+            while (!engine.isCurrentKarafuda() && !engine.isGameOver()) {
+                engine.passRound();
+            }
+            expect(engine.isCurrentKarafuda()).toBe(true);
+            expect(cpu.planRound().takeMs).toBeNull();
+        });
+
+        test('A級はお手つきをせず、やさしいはときどきお手つきをする', () => {
+            const fouls = (difficulty) => {
+                const { cpu } = startGame({ difficulty, seed: 5 });
+                return Array.from({ length: 200 }, () => cpu.planRound()).filter((plan) => plan.foul).length;
+            };
+            expect(fouls('akyu')).toBe(0);
+            expect(fouls('easy')).toBeGreaterThan(0);
+        });
+    });
+
+    describe('GameEngine との連携', () => {
+        /**
+         * 同じ設定のゲームで、最初のラウンドの予定を取得するヘルパー
+         * （install は予約をしないため、planRound が最初の乱数から計算する）
+         */
+        function previewFirstPlan(cpuOptions, gameOptions = {}) {
+            const engine = new GameEngine(createTestPoems(10));
+            engine.initGame(Object.assign({ seed: 1 }, gameOptions));
+            const cpu = new CpuOpponent(cpuOptions);
+            cpu.install(engine);
+            return cpu.planRound();
+        }
+
+        test('取り時間が来たら selectCard で札を取り、人間はその札を取れなくなる', () => {
+            const plan = previewFirstPlan({ difficulty: 'akyu', seed: 7 });
+            const { engine, events } = startGame({ difficulty: 'akyu', seed: 7 });
+            const poem = engine.getCurrentReadingCard();
+
+            jest.advanceTimersByTime(plan.takeMs - 1);
+            expect(engine.isRoundTaken()).toBe(false);
+            jest.advanceTimersByTime(1);
+
+            expect(engine.isRoundTaken()).toBe(true);
+            const correct = events.find((e) => e.name === 'correct');
+            expect(correct.payload).toMatchObject({ poem: poem, side: 'opponent', primary: false });
+            expect(correct.payload.reactionMs).toBe(plan.takeMs);
+            expect(engine.selectCard(poem.id).correct).toBe(false);
+            expect(engine.getGameState().sideStats.opponent.taken).toBe(1);
+            expect(engine.getGameState().score).toBe(0);
+        });
+
+        test('人間が先に取った場合は取りの予約を取り消す', () => {
+            const { engine, events } = startGame({ difficulty: 'easy', seed: 7 });
+            engine.selectCard(engine.getCurrentReadingCard().id);
+
+            jest.advanceTimersByTime(60000);
+            expect(events.filter((e) => !e.payload.primary)).toEqual([]);
+            expect(engine.getGameState().sideStats.opponent.taken).toBe(0);
+        });
+
+        test('次のラウンドが始まると、そのラウンドの取りを予約する', () => {
+            const { engine } = startGame({ difficulty: 'akyu', seed: 7 });
+            engine.selectCard(engine.getCurrentReadingCard().id);
+            engine.nextRound();
+
+            jest.advanceTimersByTime(60000);
+            expect(engine.getGameState().sideStats.opponent.taken).toBe(1);
+        });
+
+        test('お手つきでは誤った札に selectCard で触れる', () => {
+            // お手つきをするシードを探す
+            let seed = 0;
+            while (!previewFirstPlan({ difficulty: 'easy', seed }).foul) {
+                seed += 1;
+            }
+            const plan = previewFirstPlan({ difficulty: 'easy', seed });
+            const { events } = startGame({ difficulty: 'easy', seed });
+
+            jest.advanceTimersByTime(plan.foul.atMs);
+            const incorrect = events.find((e) => e.name === 'incorrect');
+            expect(incorrect.payload).toMatchObject({ cardId: plan.foul.cardId, side: 'opponent', primary: false });
+            expect(plan.foul.cardId).not.toBe(plan.poemId);
+            expect(plan.foul.atMs).toBeLessThanOrEqual(plan.takeMs);
+        });
+
+        test('陣地を持つモードのお手つきは読まれた札のない陣の札に触れる', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            engine.initGame({ seed: 2, mode: 'competitive', fieldCount: 8 });
+            const cpu = new CpuOpponent({ difficulty: 'easy', seed: 0 });
+            cpu.install(engine);
+            while (engine.isCurrentKarafuda()) {
+                engine.passRound();
+            }
+
+            const targetSide = engine.getCardOwner(engine.getCurrentReadingCard().id);
+            for (let i = 0; i < 100; i++) {
+                const plan = cpu.planRound();
+                if (plan.foul) {
+                    expect(engine.getCardOwner(plan.foul.cardId)).not.toBe(targetSide);
+                }
+            }
+        });
+
+        test('waitForReading では読み始め（startReading）から取り時間を計る', () => {
+            const plan = previewFirstPlan({ difficulty: 'akyu', seed: 7 });
+            const { engine } = startGame({ difficulty: 'akyu', seed: 7, waitForReading: true });
+
+            // 序歌を読んでいる間は取らない
+            jest.advanceTimersByTime(60000);
+            expect(engine.isRoundTaken()).toBe(false);
+
+            engine.startReading();
+            jest.advanceTimersByTime(plan.takeMs);
+            expect(engine.isRoundTaken()).toBe(true);
+        });
+
+        test('再開したゲームでは現在のラウンドから取りを予約する', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            engine.initGame({ seed: 1 });
+            const snapshot = engine.serialize();
+
+            const restored = new GameEngine(createTestPoems(10));
+            restored.use(new CpuOpponent({ difficulty: 'akyu', seed: 7 }));
+            restored.restore(snapshot);
+
+            jest.advanceTimersByTime(60000);
+            expect(restored.getGameState().sideStats.opponent.taken).toBe(1);
+        });
+
+        test('cancel で予約を取り消す', () => {
+            const { cpu, engine } = startGame({ difficulty: 'akyu', seed: 7 });
+            cpu.cancel();
+            jest.advanceTimersByTime(60000);
+            expect(engine.isRoundTaken()).toBe(false);
+        });
+    });
+});
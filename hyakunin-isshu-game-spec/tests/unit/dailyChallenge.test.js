@@ -0,0 +1,217 @@
+/**
+ * 今日のチャレンジと結果保存のユニットテスト
+ */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+    getDateKey, hashToSeed, getDailyChallenge, matchesDailyChallenge, validateDailyResult, rankDailyResults,
+} = require('../../src/dailyChallenge');
+const { ResultsStore } = require('../../src/resultsStore');
+const { decodeGameCode } = require('../../public/js/gameCode');
+const { GameEngine } = require('../../public/js/gameEngine');
+
+describe('getDateKey', () => {
+    test('日本時間の日付を返す', () => {
+        expect(getDateKey(new Date('2024-01-01T14:59:59Z'))).toBe('2024-01-01');
+        expect(getDateKey(new Date('2024-01-01T15:00:00Z'))).toBe('2024-01-02');
+    });
+});
+
+describe('hashToSeed', () => {
+    test('同じ文字列からは同じ32ビットのシードを返す', () => {
+        const seed = hashToSeed('daily:2024-01-01');
+        expect(hashToSeed('daily:2024-01-01')).toBe(seed);
+        expect(Number.isInteger(seed)).toBe(true);
+        expect(seed).toBeGreaterThanOrEqual(0);
+        expect(seed).toBeLessThanOrEqual(0xFFFFFFFF);
+    });
+
+    test('異なる文字列からは異なるシードを返す', () => {
+        expect(hashToSeed('daily:2024-01-01')).not.toBe(hashToSeed('daily:2024-01-02'));
+    });
+});
+
+describe('getDailyChallenge', () => {
+    test('同じ日なら時刻によらず同じチャレンジになる', () => {
+        const morning = getDailyChallenge(new Date('2024-05-05T00:00:00+09:00'));
+        const night = getDailyChallenge(new Date('2024-05-05T23:59:59+09:00'));
+        expect(morning).toEqual(night);
+        expect(morning.date).toBe('2024-05-05');
+    });
+
+    test('日付が変わるとシードが変わる', () => {
+        const a = getDailyChallenge(new Date('2024-05-05T12:00:00+09:00'));
+        const b = getDailyChallenge(new Date('2024-05-06T12:00:00+09:00'));
+        expect(a.seed).not.toBe(b.seed);
+    });
+
+    test('ゲームコードから同じ20枚のゲームを作れる', () => {
+        const challenge = getDailyChallenge(new Date('2024-05-05T12:00:00+09:00'));
+        expect(decodeGameCode(challenge.code)).toEqual({ options: challenge.options, colors: [] });
+
+        const poems = require('../../data/poems.json');
+        const a = new GameEngine(poems).initGame(challenge.options);
+        const b = new GameEngine(poems).initGame(challenge.options);
+        expect(a.remainingCards).toHaveLength(20);
+        expect(a.totalRounds).toBe(20);
+        expect(a.remainingCards).toEqual(b.remainingCards);
+    });
+});
+
+describe('matchesDailyChallenge', () => {
+    const challenge = getDailyChallenge(new Date('2024-05-05T12:00:00+09:00'));
+    const submission = { date: '2024-05-05', seed: challenge.seed, options: Object.assign({}, challenge.options) };
+
+    test('日付・シード・設定が今日のチャレンジと同じ場合は true を返す', () => {
+        expect(matchesDailyChallenge(submission, challenge)).toBe(true);
+    });
+
+    test('日付・シード・設定のどれかが異なる場合は false を返す', () => {
+        expect(matchesDailyChallenge(Object.assign({}, submission, { date: '2024-05-04' }), challenge)).toBe(false);
+        expect(matchesDailyChallenge(Object.assign({}, submission, { seed: 1 }), challenge)).toBe(false);
+        expect(matchesDailyChallenge(Object.assign({}, submission, {
+            options: Object.assign({}, challenge.options, { roundTimeLimit: 10 }),
+        }), challenge)).toBe(false);
+        expect(matchesDailyChallenge(Object.assign({}, submission, { options: null }), challenge)).toBe(false);
+        expect(matchesDailyChallenge(null, challenge)).toBe(false);
+    });
+});
+
+describe('validateDailyResult', () => {
+    const validResult = { name: 'たかこ', correct: 18, incorrect: 2, elapsedMs: 90000 };
+
+    test('有効な結果は valid: true を返す', () => {
+        expect(validateDailyResult(validResult)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('オブジェクトでない場合は無効と判定する', () => {
+        expect(validateDailyResult(null).errors).toEqual(['Result must be a non-null object']);
+    });
+
+    test('名前が長すぎる場合は無効と判定する', () => {
+        const result = validateDailyResult({ ...validResult, name: 'あ'.repeat(21) });
+        expect(result.errors).toContain('name must be at most 20 characters');
+    });
+
+    test('正解数が札の枚数を超える場合は無効と判定する', () => {
+        const result = validateDailyResult({ ...validResult, correct: 21 });
+        expect(result.errors).toContain('correct must be an integer between 0 and 20');
+    });
+
+    test('不正解数・所要時間が負の場合は無効と判定する', () => {
+        const result = validateDailyResult({ ...validResult, incorrect: -1, elapsedMs: 1.5 });
+        expect(result.errors).toEqual([
+            'incorrect must be a non-negative integer',
+            'elapsedMs must be a non-negative integer',
+        ]);
+    });
+});
+
+describe('rankDailyResults', () => {
+    test('正解数・不正解数・所要時間・提出順で順位を付ける', () => {
+        const ranked = rankDailyResults([
+            { name: 'A', correct: 18, incorrect: 0, elapsedMs: 100, submittedAt: '2024-01-01T00:00:01Z' },
+            { name: 'B', correct: 20, incorrect: 3, elapsedMs: 100, submittedAt: '2024-01-01T00:00:02Z' },
+            { name: 'C', correct: 18, incorrect: 0, elapsedMs: 50, submittedAt: '2024-01-01T00:00:03Z' },
+            { name: 'D', correct: 18, incorrect: 1, elapsedMs: 10, submittedAt: '2024-01-01T00:00:04Z' },
+            { name: 'E', correct: 18, incorrect: 0, elapsedMs: 50, submittedAt: '2024-01-01T00:00:00Z' },
+        ]);
+        expect(ranked.map((r) => r.name)).toEqual(['B', 'E', 'C', 'A', 'D']);
+        expect(ranked.map((r) => r.rank)).toEqual([1, 2, 3, 4, 5]);
+    });
+});
+
+describe('ResultsStore', () => {
+    let tmpDir;
+    let store;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyakunin-store-'));
+        store = new ResultsStore(path.join(tmpDir, 'nested', 'results.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('ファイルがない場合は空の結果を返す', async () => {
+        expect(await store.getDailyResults('2024-01-01')).toEqual([]);
+    });
+
+    test('結果を日付ごとに保存し、ファイルに書き込む', async () => {
+        const entry = await store.addDailyResult('2024-01-01', {
+            name: ' たかこ ', correct: 18, incorrect: 2, elapsedMs: 90000,
+        });
+        expect(entry.name).toBe('たかこ');
+        expect(typeof entry.id).toBe('string');
+        expect(typeof entry.submittedAt).toBe('string');
+
+        await store.addDailyResult('2024-01-02', { name: 'ひろし', correct: 1, incorrect: 0, elapsedMs: 1 });
+
+        // 別のインスタンスからも読める
+        const reopened = new ResultsStore(path.join(tmpDir, 'nested', 'results.json'));
+        expect(await reopened.getDailyResults('2024-01-01')).toEqual([entry]);
+        expect(await reopened.getDailyResults('2024-01-02')).toHaveLength(1);
+    });
+
+    test('ランキングの結果を保存し、提出順に返す', async () => {
+        const entry = await store.addResult({
+            name: 'たかこ ', mode: 'standard', deckSize: 10, correct: 9, incorrect: 1, accuracy: 90, elapsedMs: 60000,
+        });
+        expect(entry).toMatchObject({ name: 'たかこ', mode: 'standard', deckSize: 10, accuracy: 90 });
+        await store.addDailyResult('2024-01-01', { name: 'ひろし', correct: 1, incorrect: 0, elapsedMs: 1 });
+
+        expect(await store.getResults()).toEqual([entry]);
+        expect(await store.getDailyResults('2024-01-01')).toHaveLength(1);
+    });
+
+    test('プロフィールとプロフィールに付けたゲームの記録を保存する', async () => {
+        const profile = await store.addProfile({ name: ' たかこ ', color: 'red', grade: 'B' });
+        expect(profile).toMatchObject({ name: 'たかこ', color: 'red', grade: 'B' });
+
+        const record = { kind: 'solo', mode: 'standard', deckSize: 10, correct: 9, incorrect: 1, accuracy: 90, elapsedMs: 60000 };
+        const game = await store.addGame(profile.id, record);
+        expect(game).toMatchObject(Object.assign({ profileId: profile.id, verified: false }, record));
+        expect(typeof game.playedAt).toBe('string');
+
+        // ないプロフィールには記録しない
+        expect(await store.addGame('unknown', record)).toBeNull();
+
+        const reopened = new ResultsStore(path.join(tmpDir, 'nested', 'results.json'));
+        expect(await reopened.getProfiles()).toEqual([profile]);
+        expect(await reopened.getGames()).toEqual([game]);
+    });
+
+    test('同時に届いた書き込みも失わずに保存する', async () => {
+        await Promise.all(Array.from({ length: 20 }, (_, i) => (i % 2 === 0
+            ? store.addResult({ name: `名前${i}`, mode: 'standard', deckSize: 10, correct: i, incorrect: 0, accuracy: 100, elapsedMs: 1 })
+            : store.addDailyResult('2024-01-01', { name: `名前${i}`, correct: i, incorrect: 0, elapsedMs: 1 }))));
+
+        const reopened = new ResultsStore(path.join(tmpDir, 'nested', 'results.json'));
+        expect(await reopened.getResults()).toHaveLength(10);
+        expect(await reopened.getDailyResults('2024-01-01')).toHaveLength(10);
+    });
+
+    test('書き込みの途中で失敗しても保存ファイルは前の内容のまま残り、次の書き込みはできる', async () => {
+        const first = await store.addDailyResult('2024-01-01', { name: 'たかこ', correct: 1, incorrect: 0, elapsedMs: 1 });
+
+        const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+        try {
+            await expect(store.addDailyResult('2024-01-01', { name: 'ひろし', correct: 2, incorrect: 0, elapsedMs: 1 }))
+                .rejects.toThrow('disk full');
+        } finally {
+            rename.mockRestore();
+        }
+
+        expect(await store.getDailyResults('2024-01-01')).toEqual([first]);
+        expect(fs.readdirSync(path.join(tmpDir, 'nested'))).toEqual(['results.json']);
+
+        await store.addDailyResult('2024-01-01', { name: 'ゆう', correct: 3, incorrect: 0, elapsedMs: 1 });
+        expect(await store.getDailyResults('2024-01-01')).toHaveLength(2);
+    });
+
+    test('保存先のパスが空の場合はエラーをスローする', () => {
+        expect(() => new ResultsStore('')).toThrow('filePath must be a non-empty string');
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * DokushuSession クラス（読手モード）のユニットテスト
+ */
+const { DokushuSession } = require('../../public/js/dokushu');
+const { GameEngine } = require('../../public/js/gameEngine');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+/**
+ * すべての札を読み、読んだ順の歌番号を返すヘルパー
+ */
+function readAll(session) {
+    const ids = [];
+    let poem = session.next();
+    while (poem) {
+        ids.push(poem.id);
+        poem = session.next();
+    }
+    return ids;
+}
+
+describe('DokushuSession', () => {
+    describe('start', () => {
+        test('空の歌データではエラーをスローする', () => {
+            expect(() => new DokushuSession([])).toThrow('poems must be a non-empty array');
+        });
+
+        test('開始直後は序歌を読む段階（読んでいる札なし・0枚目）になる', () => {
+            const session = new DokushuSession(createTestPoems(5));
+            const state = session.start({ seed: 42 });
+            expect(state).toEqual({
+                currentPoem: null,
+                currentRound: 0,
+                totalRounds: 5,
+                readHistory: [],
+                seed: 42,
+                isFinished: false,
+            });
+        });
+
+        test('同じシードからは同じ読み順になる', () => {
+            const first = new DokushuSession(createTestPoems(20));
+            const second = new DokushuSession(createTestPoems(20));
+            first.start({ seed: 1234 });
+            second.start({ seed: 1234 });
+            expect(readAll(first)).toEqual(readAll(second));
+        });
+
+        test('同じシードの通常モードのゲームと同じ読み順になる', () => {
+            const poems = createTestPoems(20);
+            const engine = new GameEngine(poems);
+            engine.initGame({ seed: 99 });
+            const engineOrder = [];
+            do {
+                engineOrder.push(engine.getCurrentReadingCard().id);
+            } while (engine.passRound().continues);
+
+            const session = new DokushuSession(poems);
+            session.start({ seed: 99 });
+            expect(readAll(session)).toEqual(engineOrder);
+        });
+
+        test('読む枚数を指定すると、同じ読み順の先頭からその枚数だけ読む', () => {
+            const all = new DokushuSession(createTestPoems(20));
+            all.start({ seed: 7 });
+            const limited = new DokushuSession(createTestPoems(20));
+            expect(limited.start({ seed: 7, readCount: 5 }).totalRounds).toBe(5);
+            expect(readAll(limited)).toEqual(readAll(all).slice(0, 5));
+        });
+
+        test('シードを省略するとランダムなシードを使う', () => {
+            const session = new DokushuSession(createTestPoems(5));
+            const { seed } = session.start();
+            expect(Number.isInteger(seed)).toBe(true);
+            expect(readAll(session)).toHaveLength(5);
+        });
+
+        test('不正なシードや読む枚数はエラーをスローする', () => {
+            const session = new DokushuSession(createTestPoems(5));
+            expect(() => session.start({ seed: -1 })).toThrow('seed must be an integer between 0 and 4294967295');
+            expect(() => session.start({ seed: NaN })).toThrow('seed must be an integer between 0 and 4294967295');
+            expect(() => session.start({ readCount: 0 })).toThrow('readCount must be a positive integer');
+        });
+    });
+
+    describe('next / getReadHistory', () => {
+        test('次の札に進むと、前の札が読み終えた札に加わる', () => {
+            const session = new DokushuSession(createTestPoems(3));
+            session.start({ seed: 5 });
+
+            const first = session.next();
+            expect(session.getCurrentPoem()).toBe(first);
+            expect(session.getReadHistory()).toEqual([]);
+            expect(session.getState().currentRound).toBe(1);
+
+            const second = session.next();
+            expect(session.getReadHistory()).toEqual([first]);
+            expect(session.getState().currentRound).toBe(2);
+            expect(second).not.toBe(first);
+        });
+
+        test('すべて読み終えると終了し、それ以上は進まない', () => {
+            const session = new DokushuSession(createTestPoems(2));
+            session.start({ seed: 5 });
+            session.next();
+            session.next();
+            expect(session.next()).toBeNull();
+            expect(session.isFinished()).toBe(true);
+            expect(session.next()).toBeNull();
+
+            const state = session.getState();
+            expect(state.currentPoem).toBeNull();
+            expect(state.currentRound).toBe(2);
+            expect(state.readHistory).toHaveLength(2);
+        });
+
+        test('もう一度始めると読み順と履歴をやり直す', () => {
+            const session = new DokushuSession(createTestPoems(3));
+            session.start({ seed: 5 });
+            const order = readAll(session);
+
+            session.start({ seed: 5 });
+            expect(session.isFinished()).toBe(false);
+            expect(session.getReadHistory()).toEqual([]);
+            expect(readAll(session)).toEqual(order);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * ゲームコード（共有コード）のユニットテスト
+ */
+const { encodeGameCode, decodeGameCode } = require('../../public/js/gameCode');
+const { GameEngine } = require('../../public/js/gameEngine');
+const { filterPoemsByColors } = require('../../public/js/goshiki');
+
+describe('encodeGameCode / decodeGameCode', () => {
+    test('すべてのオプションと色札を復元できる', () => {
+        const options = {
+            mode: 'competitive',
+            seed: 123456789,
+            fieldCount: 20,
+            readCount: 30,
+            roundTimeLimit: 15,
+            poemIds: [{ from: 1, to: 20 }, 35],
+        };
+        const code = encodeGameCode(options, ['blue', 'pink']);
+        expect(decodeGameCode(code)).toEqual({ options: options, colors: ['blue', 'pink'] });
+    });
+
+    test('省略したオプションは復元後も省略される', () => {
+        const code = encodeGameCode({ seed: 0 });
+        expect(decodeGameCode(code)).toEqual({ options: { mode: 'standard', seed: 0 }, colors: [] });
+    });
+
+    test('制限時間0は省略として扱う', () => {
+        const code = encodeGameCode({ seed: 5, roundTimeLimit: 0 });
+        expect(decodeGameCode(code).options.roundTimeLimit).toBeUndefined();
+    });
+
+    test('小数・負の制限時間は同じ値に戻せないためエラーをスローする', () => {
+        expect(() => encodeGameCode({ seed: 5, roundTimeLimit: 7.5 })).toThrow('roundTimeLimit must be a non-negative integer');
+        expect(() => encodeGameCode({ seed: 5, roundTimeLimit: -10 })).toThrow('roundTimeLimit must be a non-negative integer');
+        expect(() => encodeGameCode({ seed: 5, fieldCount: 2.5 })).toThrow('fieldCount must be a non-negative integer');
+
+        // 整数の制限時間はそのまま戻る
+        expect(decodeGameCode(encodeGameCode({ seed: 5, roundTimeLimit: 45 })).options.roundTimeLimit).toBe(45);
+    });
+
+    test('URLで使える文字だけで構成される', () => {
+        const code = encodeGameCode({
+            mode: 'genpei', seed: 4294967295, poemIds: [{ from: 1, to: 50 }, 77],
+        }, ['orange']);
+        expect(code).toMatch(/^[0-9a-z._-]+$/);
+        expect(encodeURIComponent(code)).toBe(code);
+    });
+
+    test('シードがない場合はエラーをスローする', () => {
+        expect(() => encodeGameCode({ mode: 'standard' })).toThrow('options.seed must be an integer');
+    });
+
+    test('未定義のモード・色札はエラーをスローする', () => {
+        expect(() => encodeGameCode({ mode: 'bozu', seed: 1 })).toThrow('Unknown game mode: bozu');
+        expect(() => encodeGameCode({ seed: 1 }, ['purple'])).toThrow('Unknown color: purple');
+    });
+
+    test.each([
+        ['空文字', ''],
+        ['項目が足りない', '1.s.abc'],
+        ['未対応の版', '2.s.abc.....'],
+        ['未定義のモード', '1.x.abc.....'],
+        ['シードがない', '1.s......'],
+        ['未定義の色札', '1.s.abc...q.'],
+        ['数値でない項目', '1.s.abc.!....'],
+        ['不正な範囲', '1.s.abc....1-'],
+    ])('形式が正しくないコード（%s）はエラーをスローする', (_, code) => {
+        expect(() => decodeGameCode(code)).toThrow('Invalid game code');
+    });
+
+    test('同じゲームコードからは同じゲームが再現される', () => {
+        const poems = require('../../data/poems.json');
+        const colors = ['green'];
+        const original = new GameEngine(filterPoemsByColors(poems, colors));
+        const state = original.initGame({ mode: 'competitive', fieldCount: 10, readCount: 15 });
+        const code = encodeGameCode(
+            { mode: 'competitive', fieldCount: 10, readCount: 15, seed: state.settings.seed },
+            colors
+        );
+
+        const shared = decodeGameCode(code);
+        const replay = new GameEngine(filterPoemsByColors(poems, shared.colors));
+        const replayState = replay.initGame(shared.options);
+
+        expect(replayState.territories).toEqual(state.territories);
+        do {
+            expect(replay.getCurrentReadingCard()).toEqual(original.getCurrentReadingCard());
+            original.passRound();
+        } while (replay.passRound().continues);
+        expect(original.isGameOver()).toBe(true);
+    });
+});
@@ -3,7 +3,7 @@
  *
  * Requirements: 2.1, 2.2, 3.1, 3.3, 4.1, 4.2
  */
-const { GameEngine, fisherYatesShuffle } = require('../../public/js/gameEngine');
+const { GameEngine, fisherYatesShuffle, createSeededRandom, GAME_EVENTS } = require('../../public/js/gameEngine');
 
 /**
  * テスト用の歌データを生成するヘルパー
@@ -19,6 +19,22 @@ function createTestPoems(count = 5) {
     }));
 }
 
+/**
+ * 上の句の読みを持つテスト用の歌データを生成するヘルパー
+ * @param {string[]} readings - 上の句の読みの配列（IDは1から順に振る）
+ * @returns {Poem[]} テスト用歌データ配列
+ */
+function createPoemsWithReadings(readings) {
+    return readings.map((reading, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+        upperReading: reading,
+        lowerReading: 'しものく',
+    }));
+}
+
 describe('fisherYatesShuffle', () => {
     test('シャッフル後の配列は元の配列と同じ長さを持つ', () => {
         const original = [1, 2, 3, 4, 5];
@@ -50,6 +66,37 @@ describe('fisherYatesShuffle', () => {
     });
 });
 
+describe('createSeededRandom', () => {
+    test('同じシードからは同じ乱数列が得られる', () => {
+        const a = createSeededRandom(42);
+        const b = createSeededRandom(42);
+        const seqA = Array.from({ length: 5 }, () => a());
+        const seqB = Array.from({ length: 5 }, () => b());
+        expect(seqA).toEqual(seqB);
+    });
+
+    test('異なるシードからは異なる乱数列が得られる', () => {
+        const a = createSeededRandom(1);
+        const b = createSeededRandom(2);
+        expect(a()).not.toBe(b());
+    });
+
+    test('0以上1未満の値を返す', () => {
+        const random = createSeededRandom(12345);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('fisherYatesShuffle に渡すと同じ並びを再現できる', () => {
+        const original = Array.from({ length: 20 }, (_, i) => i);
+        expect(fisherYatesShuffle(original, createSeededRandom(7)))
+            .toEqual(fisherYatesShuffle(original, createSeededRandom(7)));
+    });
+});
+
 describe('GameEngine', () => {
     describe('constructor', () => {
         test('有効な歌データ配列で初期化できる', () => {
@@ -459,6 +506,892 @@ describe('GameEngine', () => {
         });
     });
 
+    describe('getReadHistory', () => {
+        test('ゲーム初期化直後は空配列を返す', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            engine.initGame();
+            expect(engine.getReadHistory()).toEqual([]);
+        });
+
+        test('nextRound のたびに読み終わった札が読まれた順に追加される', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            engine.initGame();
+            const first = engine.getCurrentReadingCard();
+            engine.nextRound();
+            const second = engine.getCurrentReadingCard();
+            engine.nextRound();
+            expect(engine.getReadHistory().map((p) => p.id)).toEqual([first.id, second.id]);
+        });
+
+        test('最後の札も読み終われば履歴に含まれる', () => {
+            const engine = new GameEngine(createTestPoems(2));
+            engine.initGame();
+            engine.nextRound();
+            engine.nextRound();
+            expect(engine.isGameOver()).toBe(true);
+            expect(engine.getReadHistory()).toHaveLength(2);
+        });
+
+        test('getGameState に readHistory が含まれる', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            engine.initGame();
+            const first = engine.getCurrentReadingCard();
+            engine.nextRound();
+            expect(engine.getGameState().readHistory).toEqual([first]);
+        });
+
+        test('initGame で履歴がリセットされる', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            engine.initGame();
+            engine.nextRound();
+            engine.initGame();
+            expect(engine.getReadHistory()).toEqual([]);
+        });
+    });
+
+    describe('getCurrentKimariji', () => {
+        test('ゲーム開始時は全札を対象にした決まり字を返す', () => {
+            const engine = new GameEngine(createPoemsWithReadings(['ちはやぶる', 'ちぎりきな', 'ちぎりおきし']));
+            engine.initGame();
+            expect(engine.getCurrentKimariji()).toEqual({ 1: 'ちは', 2: 'ちぎりき', 3: 'ちぎりお' });
+        });
+
+        test('友札が読まれると決まり字が短くなる', () => {
+            // Math.random を 0 に固定すると読み順は ID 2 → 3 → 1 になる
+            const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0);
+            try {
+                const engine = new GameEngine(createPoemsWithReadings(['ちぎりきな', 'ちぎりおきし', 'ちはやぶる']));
+                engine.initGame();
+                expect(engine.getCurrentKimariji()[1]).toBe('ちぎりき');
+
+                engine.nextRound(); // 「ちぎりおきし」が読まれる
+                expect(engine.getCurrentKimariji()[1]).toBe('ちぎ');
+
+                engine.nextRound(); // 「ちはやぶる」が読まれる
+                expect(engine.getCurrentKimariji()[1]).toBe('ち');
+            } finally {
+                randomSpy.mockRestore();
+            }
+        });
+
+        test('読まれた札と場から取られた札は含まれない', () => {
+            const engine = new GameEngine(createPoemsWithReadings(['むらさめの', 'みせばやな', 'みよしのの']));
+            engine.initGame();
+            const first = engine.getCurrentReadingCard();
+            engine.selectCard(first.id);
+            engine.nextRound();
+
+            const kimariji = engine.getCurrentKimariji();
+            expect(kimariji[first.id]).toBeUndefined();
+            expect(Object.keys(kimariji)).toHaveLength(2);
+        });
+
+        test('取られた直後の現在の読み札は含まれる', () => {
+            const engine = new GameEngine(createPoemsWithReadings(['むらさめの', 'みせばやな', 'みよしのの']));
+            engine.initGame();
+            const current = engine.getCurrentReadingCard();
+            engine.selectCard(current.id);
+            expect(engine.getCurrentKimariji()[current.id]).toBeDefined();
+        });
+
+        test('読みがない歌データでは上の句で代用する', () => {
+            const engine = new GameEngine(createTestPoems(2));
+            engine.initGame();
+            const kimariji = engine.getCurrentKimariji();
+            expect(kimariji[1]).toBe('上の句1');
+            expect(kimariji[2]).toBe('上の句2');
+        });
+    });
+
+    describe('競技かるたモード', () => {
+        /**
+         * 現在の読み札が場にある（空札でない）ラウンドまで進める
+         * @param {GameEngine} engine - ゲームエンジン
+         */
+        function advanceToFieldCard(engine) {
+            while (engine.isCurrentKarafuda()) {
+                engine.nextRound();
+            }
+        }
+
+        /**
+         * 現在の読み札が空札のラウンドまで進める
+         * @param {GameEngine} engine - ゲームエンジン
+         */
+        function advanceToKarafuda(engine) {
+            while (!engine.isCurrentKarafuda()) {
+                engine.nextRound();
+            }
+        }
+
+        /**
+         * 指定した歌IDの札がある陣を返す
+         */
+        function sideOf(engine, cardId) {
+            const territories = engine.getGameState().territories;
+            return Object.keys(territories).find((side) => territories[side].some((c) => c.id === cardId));
+        }
+
+        let engine;
+
+        beforeEach(() => {
+            engine = new GameEngine(createTestPoems(100));
+            engine.initGame({ mode: 'competitive' });
+        });
+
+        test('50枚を25枚ずつ自陣・敵陣に配る', () => {
+            const state = engine.getGameState();
+            expect(state.mode).toBe('competitive');
+            expect(state.remainingCards).toHaveLength(50);
+            expect(state.territories.player).toHaveLength(25);
+            expect(state.territories.opponent).toHaveLength(25);
+        });
+
+        test('100首すべてを読む', () => {
+            expect(engine.getGameState().totalRounds).toBe(100);
+        });
+
+        test('場にない札が読まれた場合は空札になる', () => {
+            advanceToKarafuda(engine);
+            const current = engine.getCurrentReadingCard();
+            expect(engine.getGameState().remainingCards.some((c) => c.id === current.id)).toBe(false);
+        });
+
+        test('未知のモードを指定するとエラーをスローする', () => {
+            expect(() => engine.initGame({ mode: 'unknown' })).toThrow('Unknown game mode: unknown');
+        });
+
+        test('自陣の札を取ると自陣の札が1枚減る', () => {
+            advanceToFieldCard(engine);
+            const current = engine.getCurrentReadingCard();
+            const side = sideOf(engine, current.id);
+            const result = engine.selectCard(current.id, { side: side });
+
+            expect(result.correct).toBe(true);
+            expect(result.takenFrom).toBe(side);
+            expect(result.sentCard).toBeNull();
+            expect(engine.getTerritory(side)).toHaveLength(24);
+        });
+
+        test('敵陣の札を取ると自陣の札を1枚送る（送り札）', () => {
+            advanceToFieldCard(engine);
+            const current = engine.getCurrentReadingCard();
+            const owner = sideOf(engine, current.id);
+            const taker = owner === 'player' ? 'opponent' : 'player';
+            const sendCardId = engine.getTerritory(taker)[3].id;
+
+            const result = engine.selectCard(current.id, { side: taker, sendCardId: sendCardId });
+
+            expect(result.correct).toBe(true);
+            expect(result.sentCard).toEqual({ card: expect.objectContaining({ id: sendCardId }), from: taker, to: owner });
+            expect(engine.getTerritory(taker)).toHaveLength(24);
+            expect(engine.getTerritory(owner)).toHaveLength(25);
+            expect(sideOf(engine, sendCardId)).toBe(owner);
+        });
+
+        test('空札で札に触れるとお手つきになり、相手から札を1枚受け取る', () => {
+            advanceToKarafuda(engine);
+            const playerCount = engine.getTerritory('player').length;
+            const opponentCount = engine.getTerritory('opponent').length;
+            const touched = engine.getTerritory('player')[0];
+            const result = engine.selectCard(touched.id);
+
+            expect(result.correct).toBe(false);
+            expect(result.foul).toBe(true);
+            expect(result.penaltyCard).toEqual(expect.objectContaining({ from: 'opponent', to: 'player' }));
+            expect(engine.getTerritory('player')).toHaveLength(playerCount + 1);
+            expect(engine.getTerritory('opponent')).toHaveLength(opponentCount - 1);
+        });
+
+        test('読まれた札がない陣の札に触れるとお手つきになる', () => {
+            advanceToFieldCard(engine);
+            const current = engine.getCurrentReadingCard();
+            const owner = sideOf(engine, current.id);
+            const otherSide = owner === 'player' ? 'opponent' : 'player';
+            const result = engine.selectCard(engine.getTerritory(otherSide)[0].id);
+
+            expect(result.foul).toBe(true);
+            expect(engine.getGameState().sideStats.player.fouls).toBe(1);
+        });
+
+        test('読まれた札がある陣の別の札に触れてもお手つきにならない', () => {
+            advanceToFieldCard(engine);
+            const current = engine.getCurrentReadingCard();
+            const owner = sideOf(engine, current.id);
+            const sameSideCard = engine.getTerritory(owner).find((c) => c.id !== current.id);
+            const result = engine.selectCard(sameSideCard.id);
+
+            expect(result.correct).toBe(false);
+            expect(result.foul).toBe(false);
+            expect(result.penaltyCard).toBeNull();
+            expect(engine.getGameState().incorrectCount).toBe(1);
+        });
+
+        test('同じラウンドで複数回お手つきをしても罰の札は1枚だけ', () => {
+            advanceToKarafuda(engine);
+            const playerCount = engine.getTerritory('player').length;
+            engine.selectCard(engine.getTerritory('player')[0].id);
+            const second = engine.selectCard(engine.getTerritory('player')[1].id);
+
+            expect(second.foul).toBe(true);
+            expect(second.penaltyCard).toBeNull();
+            expect(engine.getTerritory('player')).toHaveLength(playerCount + 1);
+        });
+
+        test('取られた札は同じラウンドで再び取れない', () => {
+            advanceToFieldCard(engine);
+            const current = engine.getCurrentReadingCard();
+            engine.selectCard(current.id);
+            const second = engine.selectCard(current.id, { side: 'opponent' });
+            expect(second.correct).toBe(false);
+            expect(engine.getGameState().sideStats.opponent.taken).toBe(0);
+        });
+
+        test('誰にも取られなかった札は passRound で持ち主の陣から下げる', () => {
+            advanceToFieldCard(engine);
+            const current = engine.getCurrentReadingCard();
+            const owner = sideOf(engine, current.id);
+            const ownerCount = engine.getTerritory(owner).length;
+            const outcome = engine.passRound();
+
+            expect(outcome.discarded).toEqual({ card: current, side: owner });
+            expect(engine.getTerritory(owner)).toHaveLength(ownerCount - 1);
+        });
+
+        test('空札を見送っても札は下げない', () => {
+            advanceToKarafuda(engine);
+            const fieldCount = engine.getGameState().remainingCards.length;
+            const outcome = engine.passRound();
+            expect(outcome.discarded).toBeNull();
+            expect(engine.getGameState().remainingCards).toHaveLength(fieldCount);
+        });
+
+        test('未知の side を指定するとエラーをスローする', () => {
+            expect(() => engine.selectCard(1, { side: 'spectator' })).toThrow('Unknown side: spectator');
+        });
+
+        test('いずれかの陣が空になるとゲーム終了となり、その陣の勝ちになる', () => {
+            // 場にある札はすべて自分が取る（敵陣の札を取ると送り札で自陣が減る）
+            while (!engine.isGameOver()) {
+                const current = engine.getCurrentReadingCard();
+                if (!engine.isCurrentKarafuda()) {
+                    engine.selectCard(current.id);
+                }
+                engine.nextRound();
+            }
+
+            expect(engine.getTerritory('player')).toHaveLength(0);
+            expect(engine.getWinner()).toBe('player');
+            expect(engine.getGameState().winner).toBe('player');
+        });
+
+        test('getScoreData が陣ごとの残り札数を返す', () => {
+            expect(engine.getScoreData().remainingBySide).toEqual({ player: 25, opponent: 25 });
+        });
+
+        test('通常モードでは陣地を持たない', () => {
+            engine.initGame();
+            const state = engine.getGameState();
+            expect(state.territories).toBeNull();
+            expect(state.winner).toBeNull();
+            expect(engine.getScoreData().remainingBySide).toBeNull();
+        });
+    });
+
+    describe('源平合戦モード', () => {
+        let engine;
+
+        beforeEach(() => {
+            engine = new GameEngine(createTestPoems(100));
+            engine.initGame({ mode: 'genpei' });
+        });
+
+        test('100枚を50枚ずつ源氏・平氏に配る', () => {
+            const state = engine.getGameState();
+            expect(state.mode).toBe('genpei');
+            expect(state.remainingCards).toHaveLength(100);
+            expect(state.territories.genji).toHaveLength(50);
+            expect(state.territories.heike).toHaveLength(50);
+        });
+
+        test('各札はどちらかのチームが持つ', () => {
+            engine.getGameState().remainingCards.forEach((card) => {
+                expect(['genji', 'heike']).toContain(engine.getCardOwner(card.id));
+            });
+        });
+
+        test('空札はない', () => {
+            expect(engine.isCurrentKarafuda()).toBe(false);
+        });
+
+        test('side を省略すると源氏が取ったものとして扱う', () => {
+            const current = engine.getCurrentReadingCard();
+            const result = engine.selectCard(current.id);
+            expect(result.side).toBe('genji');
+            expect(engine.getGameState().sideStats.genji.taken).toBe(1);
+        });
+
+        test('相手チームの札を取ると自チームの札を1枚送る', () => {
+            const current = engine.getCurrentReadingCard();
+            const owner = engine.getCardOwner(current.id);
+            const taker = owner === 'genji' ? 'heike' : 'genji';
+            const result = engine.selectCard(current.id, { side: taker });
+
+            expect(result.sentCard).toEqual(expect.objectContaining({ from: taker, to: owner }));
+            expect(engine.getTerritory(taker)).toHaveLength(49);
+            expect(engine.getTerritory(owner)).toHaveLength(50);
+        });
+
+        test('お手つきをすると相手チームから札を1枚受け取る', () => {
+            const current = engine.getCurrentReadingCard();
+            const owner = engine.getCardOwner(current.id);
+            const other = owner === 'genji' ? 'heike' : 'genji';
+            const result = engine.selectCard(engine.getTerritory(other)[0].id, { side: owner });
+
+            expect(result.foul).toBe(true);
+            expect(result.penaltyCard).toEqual(expect.objectContaining({ from: other, to: owner }));
+            expect(engine.getTerritory(owner)).toHaveLength(51);
+        });
+
+        test('場から除去された札は持ち主がいない', () => {
+            const current = engine.getCurrentReadingCard();
+            engine.selectCard(current.id, { side: engine.getCardOwner(current.id) });
+            expect(engine.getCardOwner(current.id)).toBeNull();
+        });
+
+        test('getScoreData がチームごとの残り札数を返す', () => {
+            expect(engine.getScoreData().remainingBySide).toEqual({ genji: 50, heike: 50 });
+        });
+    });
+
+    describe('ゲームオプション', () => {
+        test('poemIds でIDのリストと範囲を指定して使う歌を絞り込める', () => {
+            const engine = new GameEngine(createTestPoems(30));
+            const state = engine.initGame({ poemIds: [{ from: 1, to: 5 }, 20, 25] });
+            const ids = state.remainingCards.map((c) => c.id).sort((a, b) => a - b);
+            expect(ids).toEqual([1, 2, 3, 4, 5, 20, 25]);
+            expect(state.totalRounds).toBe(7);
+            expect(state.settings.poemCount).toBe(7);
+        });
+
+        test('poemIds の形式が不正な場合はエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            expect(() => engine.initGame({ poemIds: '1-5' }))
+                .toThrow('poemIds must be an array of poem IDs or { from, to } ranges');
+            expect(() => engine.initGame({ poemIds: [{ from: 1 }] }))
+                .toThrow('poemIds must be an array of poem IDs or { from, to } ranges');
+        });
+
+        test('poemIds がどの歌にも一致しない場合はエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            expect(() => engine.initGame({ poemIds: [{ from: 50, to: 60 }] }))
+                .toThrow('poemIds did not match any poem');
+        });
+
+        test('fieldCount で場の札の枚数を指定できる（読む枚数の既定値も同じ）', () => {
+            const engine = new GameEngine(createTestPoems(100));
+            const state = engine.initGame({ fieldCount: 20 });
+            expect(state.remainingCards).toHaveLength(20);
+            expect(state.totalRounds).toBe(20);
+            expect(state.settings.fieldCount).toBe(20);
+
+            // 読まれる札はすべて場にある
+            const fieldIds = new Set(state.remainingCards.map((c) => c.id));
+            while (!engine.isGameOver()) {
+                expect(fieldIds.has(engine.getCurrentReadingCard().id)).toBe(true);
+                engine.selectCard(engine.getCurrentReadingCard().id);
+                engine.nextRound();
+            }
+        });
+
+        test('readCount で空札を含めた読む枚数を指定できる', () => {
+            const engine = new GameEngine(createTestPoems(100));
+            const state = engine.initGame({ fieldCount: 10, readCount: 15 });
+            expect(state.totalRounds).toBe(15);
+
+            const fieldIds = new Set(state.remainingCards.map((c) => c.id));
+            let karafuda = 0;
+            let fieldReads = 0;
+            while (!engine.isGameOver()) {
+                if (engine.isCurrentKarafuda()) {
+                    karafuda++;
+                } else {
+                    expect(fieldIds.has(engine.getCurrentReadingCard().id)).toBe(true);
+                    fieldReads++;
+                }
+                engine.passRound();
+            }
+            expect(karafuda).toBe(5);
+            expect(fieldReads).toBe(10);
+        });
+
+        test('readCount が場の札より少ない場合は場の札だけを読む', () => {
+            const engine = new GameEngine(createTestPoems(20));
+            const state = engine.initGame({ readCount: 5 });
+            expect(state.totalRounds).toBe(5);
+            expect(state.remainingCards).toHaveLength(20);
+        });
+
+        test('readCount は使う歌の数を超えない', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            expect(engine.initGame({ fieldCount: 5, readCount: 50 }).totalRounds).toBe(10);
+        });
+
+        test('陣地を持つモードでは fieldCount を各陣に等分する', () => {
+            const engine = new GameEngine(createTestPoems(100));
+            engine.initGame({ mode: 'competitive', fieldCount: 20, readCount: 30 });
+            expect(engine.getTerritory('player')).toHaveLength(10);
+            expect(engine.getTerritory('opponent')).toHaveLength(10);
+            expect(engine.getGameState().totalRounds).toBe(30);
+        });
+
+        test('枚数が正の整数でない場合はエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            expect(() => engine.initGame({ fieldCount: 0 })).toThrow('fieldCount must be a positive integer');
+            expect(() => engine.initGame({ readCount: 2.5 })).toThrow('readCount must be a positive integer');
+        });
+
+        test('passRound は通常モードでも取られなかった札を場から下げる', () => {
+            const engine = new GameEngine(createTestPoems(5));
+            engine.initGame();
+            const current = engine.getCurrentReadingCard();
+            const outcome = engine.passRound();
+            expect(outcome.discarded).toEqual({ card: current, side: null });
+            expect(engine.getGameState().remainingCards.some((c) => c.id === current.id)).toBe(false);
+        });
+
+        describe('制限時間', () => {
+            test('roundTimeLimit を指定しない場合は時間切れなし', () => {
+                const engine = new GameEngine(createTestPoems(5));
+                engine.initGame();
+                expect(engine.getRoundTimeLimit()).toBe(0);
+                expect(() => engine.timeoutRound()).toThrow('Round timeout is not enabled');
+            });
+
+            test('roundTimeLimit を指定すると時間切れで次のラウンドに進める', () => {
+                const engine = new GameEngine(createTestPoems(5));
+                const state = engine.initGame({ roundTimeLimit: 10 });
+                expect(state.settings.roundTimeLimit).toBe(10);
+                expect(engine.getRoundTimeLimit()).toBe(10);
+
+                const current = engine.getCurrentReadingCard();
+                const outcome = engine.timeoutRound();
+                expect(outcome.continues).toBe(true);
+                expect(outcome.discarded.card).toEqual(current);
+                expect(engine.getReadHistory()).toEqual([current]);
+                expect(engine.getGameState().score).toBe(0);
+            });
+
+            test('roundTimeLimit が負の数の場合はエラーをスローする', () => {
+                const engine = new GameEngine(createTestPoems(5));
+                expect(() => engine.initGame({ roundTimeLimit: -1 }))
+                    .toThrow('roundTimeLimit must be a non-negative number');
+            });
+        });
+    });
+
+    describe('シード', () => {
+        /**
+         * ゲームの読み順（全ラウンド）を取得するヘルパー
+         */
+        function readingOrderOf(engine) {
+            const order = [];
+            do {
+                order.push(engine.getCurrentReadingCard().id);
+            } while (engine.passRound().continues);
+            return order;
+        }
+
+        test('同じシードとオプションからは同じ場の配置と読み順になる', () => {
+            const poems = createTestPoems(100);
+            const a = new GameEngine(poems);
+            const b = new GameEngine(poems);
+            const options = { mode: 'competitive', seed: 2024, fieldCount: 20, readCount: 30 };
+            const stateA = a.initGame(options);
+            const stateB = b.initGame(options);
+
+            expect(stateA.remainingCards.map((c) => c.id)).toEqual(stateB.remainingCards.map((c) => c.id));
+            expect(a.getTerritory('player')).toEqual(b.getTerritory('player'));
+            expect(readingOrderOf(a)).toEqual(readingOrderOf(b));
+        });
+
+        test('異なるシードからは異なる配置になる', () => {
+            const poems = createTestPoems(100);
+            const a = new GameEngine(poems).initGame({ seed: 1 });
+            const b = new GameEngine(poems).initGame({ seed: 2 });
+            expect(a.remainingCards.map((c) => c.id)).not.toEqual(b.remainingCards.map((c) => c.id));
+        });
+
+        test('シードを省略すると生成したシードを settings に返す', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            const state = engine.initGame();
+            expect(Number.isInteger(state.settings.seed)).toBe(true);
+
+            // 返されたシードで同じゲームを再現できる
+            const replay = new GameEngine(createTestPoems(10)).initGame({ seed: state.settings.seed });
+            expect(replay.remainingCards).toEqual(state.remainingCards);
+            expect(replay.currentPoem).toEqual(state.currentPoem);
+        });
+
+        test('シードが範囲外の場合はエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            expect(() => engine.initGame({ seed: -1 })).toThrow('seed must be an integer between 0 and 4294967295');
+            expect(() => engine.initGame({ seed: 2 ** 32 })).toThrow('seed must be an integer between 0 and 4294967295');
+            expect(() => engine.initGame({ seed: 'abc' })).toThrow('seed must be an integer between 0 and 4294967295');
+        });
+    });
+
+    describe('保存と再開（serialize / restore）', () => {
+        test('途中のゲームを JSON 経由で保存し、同じ状態から再開できる', () => {
+            const poems = createTestPoems(100);
+            const engine = new GameEngine(poems);
+            engine.initGame({ mode: 'competitive', seed: 99, fieldCount: 20, readCount: 30 });
+            for (let i = 0; i < 5; i++) {
+                const current = engine.getCurrentReadingCard();
+                if (!engine.isCurrentKarafuda()) {
+                    engine.selectCard(current.id);
+                }
+                engine.nextRound();
+            }
+
+            const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+            const restored = new GameEngine(poems);
+            const state = restored.restore(snapshot);
+
+            expect(state).toEqual(engine.getGameState());
+            expect(restored.getCurrentKimariji()).toEqual(engine.getCurrentKimariji());
+
+            // 再開後も元のゲームと同じように進む
+            while (!engine.isGameOver()) {
+                expect(restored.getCurrentReadingCard()).toEqual(engine.getCurrentReadingCard());
+                engine.passRound();
+                restored.passRound();
+            }
+            expect(restored.isGameOver()).toBe(true);
+            expect(restored.getGameState()).toEqual(engine.getGameState());
+        });
+
+        test('札を取った直後のラウンドの状態も復元される', () => {
+            const poems = createTestPoems(5);
+            const engine = new GameEngine(poems);
+            engine.initGame({ seed: 1 });
+            engine.selectCard(engine.getCurrentReadingCard().id);
+            expect(engine.isRoundTaken()).toBe(true);
+
+            const restored = new GameEngine(poems);
+            restored.restore(engine.serialize());
+            expect(restored.isRoundTaken()).toBe(true);
+            expect(restored.selectCard(restored.getCurrentReadingCard().id).correct).toBe(false);
+        });
+
+        test('版が異なるスナップショットはエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(5));
+            engine.initGame();
+            const snapshot = { ...engine.serialize(), version: 999 };
+            expect(() => new GameEngine(createTestPoems(5)).restore(snapshot))
+                .toThrow('Unsupported snapshot version: 999');
+        });
+
+        test('歌データにない歌を参照するスナップショットはエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            engine.initGame();
+            expect(() => new GameEngine(createTestPoems(3)).restore(engine.serialize()))
+                .toThrow(/Snapshot references unknown poem: \d+/);
+        });
+    });
+
+    describe('イベントとプラグイン', () => {
+        /**
+         * すべてのイベントを記録するプラグインを登録する
+         * @param {GameEngine} engine - ゲームエンジン
+         * @returns {Array<{ name: string, payload: Object }>} 記録されたイベント
+         */
+        function recordEvents(engine) {
+            const events = [];
+            engine.use((target) => {
+                GAME_EVENTS.forEach((name) => {
+                    target.on(name, (payload) => events.push({ name, payload }));
+                });
+            });
+            return events;
+        }
+
+        test('ゲーム開始時に gameStart と最初の roundStart を通知する', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            const events = recordEvents(engine);
+            const state = engine.initGame({ seed: 1 });
+
+            expect(events.map((e) => e.name)).toEqual(['gameStart', 'roundStart']);
+            expect(events[0].payload).toEqual({ state: state, restored: false });
+            expect(events[1].payload).toEqual({
+                round: 1,
+                totalRounds: 3,
+                poem: state.currentPoem,
+                karafuda: false,
+            });
+        });
+
+        test('正解・不正解を通知する', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            const events = recordEvents(engine);
+            engine.initGame({ seed: 1 });
+            events.length = 0;
+
+            const current = engine.getCurrentReadingCard();
+            const wrongId = engine.getGameState().remainingCards.find((c) => c.id !== current.id).id;
+            engine.selectCard(wrongId);
+            engine.selectCard(current.id);
+
+            expect(events.map((e) => e.name)).toEqual(['incorrect', 'correct']);
+            expect(events[0].payload).toMatchObject({
+                round: 1, poem: current, cardId: wrongId, side: 'player', primary: true, foul: false,
+            });
+            expect(events[1].payload).toMatchObject({
+                round: 1, poem: current, side: 'player', primary: true, takenFrom: null, sentCard: null,
+            });
+        });
+
+        test('ラウンドを進めると roundEnd と次の roundStart、最後に gameOver を通知する', () => {
+            const engine = new GameEngine(createTestPoems(2));
+            const events = recordEvents(engine);
+            engine.initGame({ seed: 1 });
+            const first = engine.getCurrentReadingCard();
+            engine.selectCard(first.id);
+            events.length = 0;
+
+            engine.nextRound();
+            expect(events.map((e) => e.name)).toEqual(['roundEnd', 'roundStart']);
+            expect(events[0].payload).toEqual({ round: 1, poem: first, taken: true, discarded: null });
+
+            events.length = 0;
+            const second = engine.getCurrentReadingCard();
+            engine.passRound();
+            expect(events.map((e) => e.name)).toEqual(['roundEnd', 'gameOver']);
+            expect(events[0].payload).toEqual({
+                round: 2, poem: second, taken: false, discarded: { card: second, side: null },
+            });
+            expect(events[1].payload.state.isGameOver).toBe(true);
+            expect(events[1].payload.winner).toBeNull();
+        });
+
+        test('空札のラウンドが終わると karafudaPassed を通知する', () => {
+            const engine = new GameEngine(createTestPoems(10));
+            const events = recordEvents(engine);
+            engine.initGame({ seed: 5, fieldCount: 2, readCount: 10 });
+            while (!engine.isCurrentKarafuda()) {
+                engine.selectCard(engine.getCurrentReadingCard().id);
+                engine.nextRound();
+            }
+            const karafuda = engine.getCurrentReadingCard();
+            events.length = 0;
+
+            engine.passRound();
+            expect(events[0]).toEqual({ name: 'karafudaPassed', payload: { round: expect.any(Number), poem: karafuda } });
+            expect(events[1].name).toBe('roundEnd');
+        });
+
+        test('相手が取った札は primary: false で通知する', () => {
+            const engine = new GameEngine(createTestPoems(100));
+            const events = recordEvents(engine);
+            engine.initGame({ mode: 'competitive', seed: 3 });
+            while (engine.isCurrentKarafuda()) {
+                engine.nextRound();
+            }
+            events.length = 0;
+
+            engine.selectCard(engine.getCurrentReadingCard().id, { side: 'opponent' });
+            expect(events[0].name).toBe('correct');
+            expect(events[0].payload).toMatchObject({ side: 'opponent', primary: false });
+        });
+
+        test('再開時は restored: true の gameStart を通知する', () => {
+            const poems = createTestPoems(5);
+            const engine = new GameEngine(poems);
+            engine.initGame({ seed: 1 });
+
+            const restored = new GameEngine(poems);
+            const events = recordEvents(restored);
+            const state = restored.restore(engine.serialize());
+            expect(events).toEqual([{ name: 'gameStart', payload: { state: state, restored: true } }]);
+        });
+
+        test('on が返す関数と off で購読を解除できる', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            const onStart = jest.fn();
+            const onRound = jest.fn();
+            const unsubscribe = engine.on('gameStart', onStart);
+            engine.on('roundStart', onRound);
+            unsubscribe();
+            engine.off('roundStart', onRound);
+
+            engine.initGame();
+            expect(onStart).not.toHaveBeenCalled();
+            expect(onRound).not.toHaveBeenCalled();
+        });
+
+        test('install を持つオブジェクトをプラグインとして登録できる', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            const install = jest.fn();
+            expect(engine.use({ install })).toBe(engine);
+            expect(install).toHaveBeenCalledWith(engine);
+        });
+
+        test('購読側の例外はゲームの進行を止めない', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const after = jest.fn();
+            engine.on('gameStart', () => {
+                throw new Error('boom');
+            });
+            engine.on('gameStart', after);
+
+            expect(() => engine.initGame()).not.toThrow();
+            expect(after).toHaveBeenCalled();
+            expect(spy).toHaveBeenCalled();
+            spy.mockRestore();
+        });
+
+        test('不正なイベント名・ハンドラ・プラグインはエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            expect(() => engine.on('unknown', () => {})).toThrow('Unknown game event: unknown');
+            expect(() => engine.on('correct', 'not a function')).toThrow('handler must be a function');
+            expect(() => engine.use({})).toThrow('plugin must be a function or an object with install()');
+        });
+    });
+
+    describe('反応時間', () => {
+        /**
+         * 手動で進める時計を作る
+         * @returns {{ now: function(): number, advance: function(number): void }}
+         */
+        function createClock() {
+            let time = 1000;
+            return {
+                now: () => time,
+                advance: (ms) => {
+                    time += ms;
+                },
+            };
+        }
+
+        test('読み始めから札を取るまでの時間と、その間の不正解の時間を記録する', () => {
+            const clock = createClock();
+            const engine = new GameEngine(createTestPoems(3), { now: clock.now });
+            const correctEvents = [];
+            const incorrectEvents = [];
+            engine.on('correct', (event) => correctEvents.push(event));
+            engine.on('incorrect', (event) => incorrectEvents.push(event));
+            engine.initGame({ seed: 1 });
+
+            const current = engine.getCurrentReadingCard();
+            const wrongId = engine.getGameState().remainingCards.find((c) => c.id !== current.id).id;
+            clock.advance(700);
+            engine.selectCard(wrongId);
+            clock.advance(800);
+            engine.selectCard(current.id);
+
+            expect(incorrectEvents[0].elapsedMs).toBe(700);
+            expect(correctEvents[0].reactionMs).toBe(1500);
+            expect(correctEvents[0].misses).toEqual([700]);
+            expect(engine.getReactionLog()).toEqual([
+                { poemId: current.id, side: 'player', reactionMs: 1500, misses: [700], timing: null },
+            ]);
+        });
+
+        test('次のラウンドでは読み始めの時刻から計り直す', () => {
+            const clock = createClock();
+            const engine = new GameEngine(createTestPoems(3), { now: clock.now });
+            engine.initGame({ seed: 1 });
+            clock.advance(5000);
+            engine.passRound();
+
+            clock.advance(300);
+            const current = engine.getCurrentReadingCard();
+            engine.selectCard(current.id);
+            expect(engine.getReactionLog()).toEqual([
+                { poemId: current.id, side: 'player', reactionMs: 300, misses: [], timing: null },
+            ]);
+        });
+
+        test('反応時間の記録は保存と再開で引き継がれ、中断中の時間は含めない', () => {
+            const clock = createClock();
+            const poems = createTestPoems(3);
+            const engine = new GameEngine(poems, { now: clock.now });
+            engine.initGame({ seed: 1 });
+            clock.advance(400);
+            engine.selectCard(engine.getCurrentReadingCard().id);
+            engine.nextRound();
+            const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+
+            clock.advance(60000);
+            const restored = new GameEngine(poems, { now: clock.now });
+            restored.restore(snapshot);
+            clock.advance(250);
+            restored.selectCard(restored.getCurrentReadingCard().id);
+            expect(restored.getReactionLog().map((entry) => entry.reactionMs)).toEqual([400, 250]);
+        });
+
+        test('上の句を1文字ずつ表示するゲームでは取りの速さを判定する', () => {
+            const clock = createClock();
+            // 読み「あいうえお」「かきくけこ」「さしすせそ」の決まり字は1文字
+            const poems = createPoemsWithReadings(['あいうえお', 'かきくけこ', 'さしすせそ']);
+            const engine = new GameEngine(poems, { now: clock.now });
+            const timings = [];
+            engine.on('correct', (event) => timings.push(event.timing));
+            engine.initGame({ seed: 1, revealInterval: 100 });
+            expect(engine.getGameState().settings.revealInterval).toBe(100);
+
+            // 1文字目の表示中に取る → 速い
+            clock.advance(50);
+            engine.selectCard(engine.getCurrentReadingCard().id);
+            engine.nextRound();
+
+            // 3文字目の表示中に取る → 普通
+            clock.advance(250);
+            engine.selectCard(engine.getCurrentReadingCard().id);
+            engine.nextRound();
+
+            // 全文字の表示後に取る → 遅い
+            clock.advance(450);
+            engine.selectCard(engine.getCurrentReadingCard().id);
+
+            expect(timings).toEqual(['fast', 'normal', 'slow']);
+            expect(engine.getReactionLog().map((entry) => entry.timing)).toEqual(['fast', 'normal', 'slow']);
+        });
+
+        test('startReading で readingStart を通知する', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            const events = [];
+            engine.on('readingStart', (payload) => events.push(payload));
+            engine.initGame({ seed: 1 });
+
+            engine.startReading();
+            expect(events).toEqual([{ round: 1, poem: engine.getCurrentReadingCard() }]);
+        });
+
+        test('startReading で読み始めの時刻を記録し直す', () => {
+            const clock = createClock();
+            const engine = new GameEngine(createTestPoems(3), { now: clock.now });
+            engine.initGame({ seed: 1 });
+
+            // 読み上げ音声が序歌を読んでいる間は反応時間に含めない
+            clock.advance(8000);
+            engine.startReading();
+            clock.advance(600);
+            engine.selectCard(engine.getCurrentReadingCard().id);
+            expect(engine.getReactionLog()[0].reactionMs).toBe(600);
+        });
+
+        test('revealInterval が負の場合はエラーをスローする', () => {
+            const engine = new GameEngine(createTestPoems(3));
+            expect(() => engine.initGame({ revealInterval: -1 })).toThrow('revealInterval must be a non-negative number');
+        });
+
+        test('now が関数でない場合はエラーをスローする', () => {
+            expect(() => new GameEngine(createTestPoems(3), { now: 123 })).toThrow('now must be a function');
+        });
+    });
+
     describe('完全なゲームフロー', () => {
         test('3首のゲームを最後までプレイできる', () => {
             const poems = createTestPoems(3);
@@ -0,0 +1,146 @@
+/**
+ * 操作記録の再生による結果の検証（gameReplay）のユニットテスト
+ */
+const { replayGame, MAX_REPLAY_ACTIONS } = require('../../src/gameReplay');
+const { GameEngine } = require('../../public/js/gameEngine');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+/**
+ * 読まれた札を毎回 reactionMs で取る操作記録を作るヘルパー
+ * missFirst が true の場合は、各ラウンドで先に別の札に触れる
+ */
+function createActions(poems, options, { reactionMs = 800, missFirst = false } = {}) {
+    const engine = new GameEngine(poems);
+    engine.initGame(options);
+    const actions = [];
+    let t = 0;
+    while (!engine.isGameOver()) {
+        const answer = engine.getCurrentReadingCard().id;
+        const wrong = engine.getGameState().remainingCards.find((card) => card.id !== answer);
+        if (missFirst && wrong) {
+            actions.push({ type: 'select', t: t + 50, cardId: wrong.id });
+        }
+        t += reactionMs;
+        actions.push({ type: 'select', t, cardId: answer });
+        engine.selectCard(answer);
+        t += 300;
+        actions.push({ type: 'next', t });
+        engine.nextRound();
+    }
+    return actions;
+}
+
+describe('replayGame', () => {
+    const poems = createTestPoems(10);
+    const options = { mode: 'standard', seed: 42, fieldCount: 4, readCount: 4 };
+
+    test('操作記録を再生して正解数・不正解数・正答率・所要時間を計算する', () => {
+        const replay = replayGame(poems, options, createActions(poems, options, { missFirst: true }));
+
+        expect(replay.valid).toBe(true);
+        expect(replay.errors).toEqual([]);
+        expect(replay.result).toEqual({
+            mode: 'standard', fieldCount: 4, correct: 4, incorrect: 3, accuracy: 57.14, elapsedMs: 4 * 1100,
+        });
+    });
+
+    test('次のラウンドに進まずに札を取り続けた記録は認めない', () => {
+        const actions = createActions(poems, options);
+        const forged = actions.filter((action) => action.type === 'select')
+            .map((action, index) => ({ type: 'select', t: (index + 1) * 1000, cardId: action.cardId }));
+
+        const replay = replayGame(poems, options, forged);
+        expect(replay.valid).toBe(false);
+        expect(replay.errors[0]).toMatch(/^actions\[1\]: card selected after the round was taken/);
+    });
+
+    test('別のシードの記録はゲームの終わりまで再生できない', () => {
+        const actions = createActions(poems, options);
+        const replay = replayGame(poems, Object.assign({}, options, { seed: 7 }), actions);
+        expect(replay.valid).toBe(false);
+    });
+
+    test('人には不可能な速さの取りは認めない', () => {
+        const replay = replayGame(poems, options, createActions(poems, options, { reactionMs: 30 }));
+        expect(replay).toEqual({ valid: false, errors: ['actions[0]: reaction faster than 100ms'], result: null });
+    });
+
+    test('読み上げの読み始めから反応時間を計る', () => {
+        const actions = createActions(poems, options);
+        actions.splice(0, 0, { type: 'reading', t: actions[0].t - 50 });
+
+        expect(replayGame(poems, options, actions).errors).toEqual(['actions[1]: reaction faster than 100ms']);
+    });
+
+    test('読み始めは1ラウンドに1回、札に触れる前だけ認める', () => {
+        const actions = createActions(poems, options);
+        const withReading = actions.slice();
+        withReading.splice(0, 0, { type: 'reading', t: 0 });
+        expect(replayGame(poems, options, withReading).valid).toBe(true);
+
+        // 読み始めを何度も記録し直して反応時間を縮めることはできない
+        const twice = withReading.slice();
+        twice.splice(1, 0, { type: 'reading', t: actions[0].t - 500 });
+        expect(replayGame(poems, options, twice).errors).toEqual(['actions[1]: reading already started in this round']);
+
+        // お手つきの後に読み始めを記録し直すこともできない
+        const missed = createActions(poems, options, { missFirst: true });
+        missed.splice(1, 0, { type: 'reading', t: missed[0].t });
+        expect(replayGame(poems, options, missed).errors).toEqual(['actions[1]: reading started after a card was touched']);
+    });
+
+    test('読まれた札の数に対して短すぎる所要時間は認めない', () => {
+        const karafuda = Object.assign({}, options, { fieldCount: 2, readCount: 4 });
+        const passes = (t) => Array.from({ length: 4 }, () => ({ type: 'pass', t }));
+
+        expect(replayGame(poems, karafuda, passes(0)).errors).toEqual(['game finished faster than 100ms per card read']);
+        expect(replayGame(poems, karafuda, passes(399)).valid).toBe(false);
+        expect(replayGame(poems, karafuda, passes(400)).result).toMatchObject({ correct: 0, elapsedMs: 400 });
+    });
+
+    test('制限時間に達する前の時間切れは認めない', () => {
+        const timed = Object.assign({}, options, { fieldCount: 1, readCount: 1, roundTimeLimit: 10 });
+
+        expect(replayGame(poems, timed, [{ type: 'timeout', t: 3000 }]).errors)
+            .toEqual(['actions[0]: timeout before the time limit']);
+        expect(replayGame(poems, timed, [{ type: 'timeout', t: 9800 }]).result)
+            .toEqual({ mode: 'standard', fieldCount: 1, correct: 0, incorrect: 0, accuracy: 0, elapsedMs: 9800 });
+        expect(replayGame(poems, options, [{ type: 'timeout', t: 60000 }]).errors)
+            .toEqual(['actions[0]: timeout is not possible in this round']);
+    });
+
+    test('札が取られる前の次のラウンド、ゲームが終わる前の記録の終わり、終わった後の操作は認めない', () => {
+        expect(replayGame(poems, options, [{ type: 'next', t: 0 }]).errors)
+            .toEqual(['actions[0]: next round before the card was taken']);
+
+        const actions = createActions(poems, options);
+        expect(replayGame(poems, options, actions.slice(0, 2)).errors).toEqual(['actions end before the game is over']);
+        expect(replayGame(poems, options, actions.concat([{ type: 'pass', t: 99999 }])).errors)
+            .toEqual(['actions[8]: action after the game is over']);
+    });
+
+    test('形式が正しくない記録は再生しない', () => {
+        expect(replayGame(poems, options, []).errors).toEqual(['actions must be a non-empty array']);
+        expect(replayGame(poems, options, [{ type: 'cheat', t: 0 }]).errors).toEqual(['actions[0] has an unknown type']);
+        expect(replayGame(poems, options, [{ type: 'pass', t: 500 }, { type: 'pass', t: 100 }]).errors)
+            .toEqual(['actions[1].t must be an integer not less than the previous action']);
+        expect(replayGame(poems, options, [{ type: 'select', t: 0, cardId: '1' }]).errors)
+            .toEqual(['actions[0].cardId must be an integer']);
+
+        const tooLong = Array.from({ length: MAX_REPLAY_ACTIONS + 1 }, () => ({ type: 'pass', t: 0 }));
+        expect(replayGame(poems, options, tooLong).errors).toEqual([`actions must have at most ${MAX_REPLAY_ACTIONS} entries`]);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * GameSessionClient（サーバーで判定するゲームのクライアント）のユニットテスト
+ */
+const { GameSessionClient } = require('../../public/js/gameSessionClient');
+
+/**
+ * テスト用の fetch。呼び出しを記録し、用意したレスポンスを順に返す
+ * @param {Array<{ status: number, body: Object }>} responses - 返すレスポンス
+ */
+function createFakeFetch(responses) {
+    const calls = [];
+    const fakeFetch = (url, init) => {
+        calls.push({ url, method: init.method, body: init.body === undefined ? undefined : JSON.parse(init.body) });
+        const response = responses.shift();
+        return Promise.resolve({
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            json: () => Promise.resolve(response.body),
+        });
+    };
+    fakeFetch.calls = calls;
+    return fakeFetch;
+}
+
+describe('GameSessionClient', () => {
+    test('ゲームを始め、届いたIDで状態の取得・札に触れる・次のラウンドを呼び出す', async () => {
+        const fakeFetch = createFakeFetch([
+            { status: 201, body: { id: 'abc', state: { currentRound: 1 } } },
+            { status: 200, body: { id: 'abc', state: { currentRound: 1 } } },
+            { status: 200, body: { id: 'abc', result: { correct: true } } },
+            { status: 200, body: { id: 'abc', continues: true } },
+        ]);
+        const client = new GameSessionClient({ fetch: fakeFetch });
+
+        const created = await client.create({ mode: 'standard', seed: 3 }, ['blue']);
+        expect(created.id).toBe('abc');
+        expect(client.getId()).toBe('abc');
+        await client.getState();
+        expect((await client.select(12)).result.correct).toBe(true);
+        expect((await client.next()).continues).toBe(true);
+
+        expect(fakeFetch.calls).toEqual([
+            { url: '/api/games', method: 'POST', body: { mode: 'standard', seed: 3, colors: ['blue'] } },
+            { url: '/api/games/abc', method: 'GET', body: undefined },
+            { url: '/api/games/abc/select', method: 'POST', body: { cardId: 12 } },
+            { url: '/api/games/abc/next', method: 'POST', body: {} },
+        ]);
+    });
+
+    test('エラーのレスポンスはサーバーのメッセージと HTTP ステータスを持つ Error になる', async () => {
+        const fakeFetch = createFakeFetch([
+            { status: 201, body: { id: 'abc' } },
+            { status: 404, body: { error: 'ゲームが見つかりません' } },
+        ]);
+        const client = new GameSessionClient({ fetch: fakeFetch });
+        await client.create({});
+
+        await expect(client.select(1, 2)).rejects.toMatchObject({ message: 'ゲームが見つかりません', status: 404 });
+        expect(fakeFetch.calls[1].body).toEqual({ cardId: 1, sendCardId: 2 });
+    });
+
+    test('ゲームを始める前は状態を取得できない', () => {
+        const client = new GameSessionClient({ fetch: createFakeFetch([]) });
+        expect(() => client.next()).toThrow('Game session has not been created');
+    });
+});
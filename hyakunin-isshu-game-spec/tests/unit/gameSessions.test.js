@@ -0,0 +1,105 @@
+/**
+ * GameSessionStore（サーバーで判定するゲームのセッション）のユニットテスト
+ */
+const { GameSessionStore, GAME_SESSION_DEFAULTS } = require('../../src/gameSessions');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    const colors = ['blue', 'pink', 'yellow', 'green', 'orange'];
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+        color: colors[i % colors.length],
+    }));
+}
+
+describe('GameSessionStore', () => {
+    let now;
+    let store;
+
+    beforeEach(() => {
+        now = 1000;
+        store = new GameSessionStore(createTestPoems(10), { ttlMs: 60000, maxSessions: 2, now: () => now });
+    });
+
+    test('セッションを作り、GameEngine と同じ形の状態とスコアを返す', () => {
+        const session = store.create({ fieldCount: 3, seed: 5, unknown: 'ignored' });
+
+        expect(session.id).toMatch(/^[0-9a-f-]{36}$/);
+        expect(session.expiresAt).toBe(new Date(61000).toISOString());
+        expect(session.state.remainingCards).toHaveLength(3);
+        expect(session.state.settings).toMatchObject({ fieldCount: 3, readCount: 3, seed: 5 });
+        expect(session.score).toMatchObject({ correct: 0, incorrect: 0 });
+        expect(store.getSessionCount()).toBe(1);
+    });
+
+    test('五色百人一首の色札で使う歌を絞り込む', () => {
+        const session = store.create({ colors: ['blue'] });
+        expect(session.state.settings.poemCount).toBe(2);
+        expect(() => store.create({ colors: ['purple'] })).toThrow('No poems match the selected colors');
+    });
+
+    test('札の判定と反応時間をサーバーの時計で記録する', () => {
+        const { id, state } = store.create({ fieldCount: 2, seed: 1 });
+        const answer = state.currentPoem.id;
+
+        now += 1500;
+        const taken = store.select(id, answer);
+        expect(taken.result.correct).toBe(true);
+        expect(taken.score.correct).toBe(1);
+        expect(taken.reactionTimes.average).toBe(1500);
+
+        const next = store.next(id);
+        expect(next.continues).toBe(true);
+        expect(next.state.currentRound).toBe(2);
+    });
+
+    test('誰も取らなかったラウンドは見送りとして進め、最後のラウンドの後は continues が false になる', () => {
+        const { id } = store.create({ fieldCount: 1 });
+
+        const passed = store.next(id);
+        expect(passed.continues).toBe(false);
+        expect(passed.state.isGameOver).toBe(true);
+        expect(passed.state.remainingCards).toHaveLength(0);
+        expect(store.next(id).continues).toBe(false);
+    });
+
+    test('最後に操作してから ttlMs が過ぎたセッションを破棄する', () => {
+        const { id } = store.create();
+
+        now += 59000;
+        expect(store.get(id)).not.toBeNull();
+        now += 59000;
+        expect(store.get(id)).not.toBeNull();
+        now += 60000;
+        expect(store.get(id)).toBeNull();
+        expect(store.select(id, 1)).toBeNull();
+        expect(store.next(id)).toBeNull();
+        expect(store.getSessionCount()).toBe(0);
+    });
+
+    test('セッションが上限に達すると新しいセッションを作らない', () => {
+        store.create();
+        store.create();
+        expect(() => store.create()).toThrow('too many game sessions');
+
+        now += 60000;
+        expect(() => store.create()).not.toThrow();
+    });
+
+    test('ゲームの設定が正しくない場合は GameEngine のエラーを投げる', () => {
+        expect(() => store.create({ mode: 'unknown' })).toThrow('Unknown game mode: unknown');
+        expect(store.getSessionCount()).toBe(0);
+    });
+
+    test('既定の設定', () => {
+        expect(GAME_SESSION_DEFAULTS).toEqual({ ttlMs: 30 * 60 * 1000, maxSessions: 1000 });
+        expect(() => new GameSessionStore(null)).toThrow('poems must be an array');
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * 五色百人一首の色札モジュールのユニットテスト
+ */
+const { GOSHIKI_COLORS, filterPoemsByColors } = require('../../public/js/goshiki');
+
+describe('GOSHIKI_COLORS', () => {
+    test('青・桃・黄・緑・橙の五色を定義する', () => {
+        expect(GOSHIKI_COLORS.map((c) => c.id)).toEqual(['blue', 'pink', 'yellow', 'green', 'orange']);
+        expect(GOSHIKI_COLORS.map((c) => c.label)).toEqual(['青', '桃', '黄', '緑', '橙']);
+    });
+});
+
+describe('filterPoemsByColors', () => {
+    const poems = [
+        { id: 1, color: 'blue' },
+        { id: 2, color: 'pink' },
+        { id: 3, color: 'blue' },
+        { id: 4, color: 'green' },
+    ];
+
+    test('選択した1色の札だけを返す', () => {
+        expect(filterPoemsByColors(poems, ['blue']).map((p) => p.id)).toEqual([1, 3]);
+    });
+
+    test('複数の色を選択できる', () => {
+        expect(filterPoemsByColors(poems, ['pink', 'green']).map((p) => p.id)).toEqual([2, 4]);
+    });
+
+    test('色が選ばれていない場合は全札を返す', () => {
+        expect(filterPoemsByColors(poems, []).length).toBe(4);
+        expect(filterPoemsByColors(poems).length).toBe(4);
+    });
+
+    test('元の配列を変更しない', () => {
+        const result = filterPoemsByColors(poems, []);
+        expect(result).not.toBe(poems);
+        expect(poems.length).toBe(4);
+    });
+
+    test('data/poems.json の1色で20首のゲームを構成できる', () => {
+        const allPoems = require('../../data/poems.json');
+        GOSHIKI_COLORS.forEach((color) => {
+            expect(filterPoemsByColors(allPoems, [color.id]).length).toBe(20);
+        });
+    });
+});
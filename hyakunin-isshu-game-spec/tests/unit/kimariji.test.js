@@ -0,0 +1,128 @@
+/**
+ * 決まり字計算モジュールのユニットテスト
+ */
+const {
+    normalizeReading, getPronunciationKey, getUpperReading, computeKimariji,
+} = require('../../public/js/kimariji');
+const poemsData = require('../../data/poems.json');
+
+/**
+ * テスト用の歌データを生成するヘルパー
+ * @param {string[]} readings - 上の句の読みの配列（IDは1から順に振る）
+ * @returns {Poem[]} テスト用歌データ配列
+ */
+function createPoemsFromReadings(readings) {
+    return readings.map((reading, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+        upperReading: reading,
+        lowerReading: 'しものく',
+    }));
+}
+
+describe('normalizeReading', () => {
+    test('半角・全角の空白を除去する', () => {
+        expect(normalizeReading('あきのたの かりほのいおの　とまをあらみ')).toBe('あきのたのかりほのいおのとまをあらみ');
+    });
+
+    test('文字列以外の場合は空文字列を返す', () => {
+        expect(normalizeReading(undefined)).toBe('');
+        expect(normalizeReading(null)).toBe('');
+    });
+});
+
+describe('getPronunciationKey', () => {
+    test('オ段の仮名に続く「う」を「お」と同じ音として扱う', () => {
+        expect(getPronunciationKey('おうことの')).toBe('おおことの');
+        expect(getPronunciationKey('ころもうつなり')).toBe('ころもおつなり');
+    });
+
+    test('オ段以外に続く「う」と先頭の「う」はそのままにする', () => {
+        expect(getPronunciationKey('うかりける')).toBe('うかりける');
+        expect(getPronunciationKey('ゆうされば')).toBe('ゆうされば');
+    });
+});
+
+describe('getUpperReading', () => {
+    test('upperReading を正規化して返す', () => {
+        expect(getUpperReading({ upperReading: 'むらさめの つゆも', upperVerse: '村雨の 露も' })).toBe('むらさめのつゆも');
+    });
+
+    test('upperReading がない場合は upperVerse で代用する', () => {
+        expect(getUpperReading({ upperVerse: '上の句 1' })).toBe('上の句1');
+    });
+});
+
+describe('computeKimariji', () => {
+    test('他の歌と共通しない最短の接頭辞を決まり字とする', () => {
+        const poems = createPoemsFromReadings(['むらさめの', 'みせばやな', 'みよしのの']);
+        expect(computeKimariji(poems)).toEqual({ 1: 'む', 2: 'みせ', 3: 'みよ' });
+    });
+
+    test('句の区切りの空白は決まり字の判定に影響しない', () => {
+        const poems = createPoemsFromReadings(['わたのはら やそしま', 'わたのはら こぎいでて']);
+        expect(computeKimariji(poems)).toEqual({ 1: 'わたのはらや', 2: 'わたのはらこ' });
+    });
+
+    test('歌が1首だけの場合は1文字が決まり字になる', () => {
+        const poems = createPoemsFromReadings(['あきのたの']);
+        expect(computeKimariji(poems)).toEqual({ 1: 'あ' });
+    });
+
+    test('対象の歌が減ると決まり字が短くなる', () => {
+        const poems = createPoemsFromReadings(['ちはやぶる', 'ちぎりきな', 'ちぎりおきし']);
+        expect(computeKimariji(poems)[2]).toBe('ちぎりき');
+        expect(computeKimariji([poems[1], poems[0]])[2]).toBe('ちぎ');
+    });
+
+    test('配列でない場合は空オブジェクトを返す', () => {
+        expect(computeKimariji(null)).toEqual({});
+    });
+
+    describe('百人一首の歌データ', () => {
+        const kimariji = computeKimariji(poemsData);
+
+        test('100首すべての決まり字を算出する', () => {
+            expect(Object.keys(kimariji)).toHaveLength(100);
+        });
+
+        test('一字決まりは「むすめふさほせ」の7首', () => {
+            const singles = Object.values(kimariji).filter((k) => k.length === 1).sort();
+            expect(singles).toEqual(['さ', 'す', 'せ', 'ふ', 'ほ', 'む', 'め']);
+        });
+
+        test('決まり字の文字数ごとの首数は 7・42・37・6・2・6', () => {
+            const counts = {};
+            Object.values(kimariji).forEach((k) => {
+                counts[k.length] = (counts[k.length] || 0) + 1;
+            });
+            expect(counts).toEqual({ 1: 7, 2: 42, 3: 37, 4: 6, 5: 2, 6: 6 });
+        });
+
+        test('「おう」は「おお」と同じ音として区別する（逢ふことの・大江山・おほけなく）', () => {
+            expect(kimariji[44]).toBe('おうこ');
+            expect(kimariji[60]).toBe('おおえ');
+            expect(kimariji[95]).toBe('おおけ');
+        });
+
+        test('大山札（六字決まり）を正しく算出する', () => {
+            expect(kimariji[11]).toBe('わたのはらや');
+            expect(kimariji[76]).toBe('わたのはらこ');
+            expect(kimariji[31]).toBe('あさぼらけあ');
+            expect(kimariji[64]).toBe('あさぼらけう');
+            expect(kimariji[15]).toBe('きみがためは');
+            expect(kimariji[50]).toBe('きみがためお');
+        });
+
+        test('どの決まり字も他の歌の読みの接頭辞にならない', () => {
+            poemsData.forEach((poem) => {
+                const others = poemsData.filter((p) => p.id !== poem.id);
+                others.forEach((other) => {
+                    expect(getUpperReading(other).startsWith(kimariji[poem.id])).toBe(false);
+                });
+            });
+        });
+    });
+});
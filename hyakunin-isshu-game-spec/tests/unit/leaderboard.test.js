@@ -0,0 +1,150 @@
+/**
+ * ランキング（leaderboard）のユニットテスト
+ */
+const {
+    validateResultSubmission, normalizeResultRules, isStandardRules, parseLeaderboardQuery, filterResults, LEADERBOARD_PERIODS,
+} = require('../../src/leaderboard');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+describe('validateResultSubmission', () => {
+    const valid = {
+        name: 'たかこ',
+        seed: 42,
+        options: { mode: 'competitive', seed: 42, fieldCount: 10, cpu: 'ignored' },
+        colors: ['blue'],
+        actions: [],
+    };
+
+    test('有効な提出から再生に使う設定と色札を取り出す', () => {
+        expect(validateResultSubmission(valid)).toEqual({
+            valid: true,
+            errors: [],
+            options: { mode: 'competitive', seed: 42, fieldCount: 10 },
+            colors: ['blue'],
+        });
+        expect(validateResultSubmission(Object.assign({}, valid, { colors: undefined })).colors).toEqual([]);
+    });
+
+    test('名前・シード・設定・色札が正しくない場合は無効と判定する', () => {
+        expect(validateResultSubmission(null).errors).toEqual(['Result must be a non-null object']);
+        expect(validateResultSubmission(Object.assign({}, valid, { name: ' ', colors: 'blue' })).errors).toEqual([
+            'name must be a non-empty string',
+            'colors must be an array of strings',
+        ]);
+        expect(validateResultSubmission(Object.assign({}, valid, { seed: 7 })).errors)
+            .toEqual(['options.seed must be the integer seed of the game']);
+        expect(validateResultSubmission(Object.assign({}, valid, { options: [] })).errors)
+            .toEqual(['options must be an object']);
+        expect(validateResultSubmission(Object.assign({}, valid, { name: 'あ'.repeat(21) })).valid).toBe(false);
+    });
+});
+
+describe('normalizeResultRules', () => {
+    const poems = createTestPoems(20);
+
+    test('省略した項目を既定値で埋め、全首を使うゲームの歌のIDは null にする', () => {
+        expect(normalizeResultRules(poems, { mode: 'standard', seed: 1, fieldCount: 5 }, 20)).toEqual({
+            poemIds: null, readCount: 5, roundTimeLimit: 0, revealInterval: 0,
+        });
+        expect(normalizeResultRules(poems, { mode: 'standard', seed: 2, fieldCount: 5, readCount: 5, roundTimeLimit: 0 }, 20))
+            .toEqual(normalizeResultRules(poems, { mode: 'standard', seed: 1, fieldCount: 5 }, 20));
+    });
+
+    test('使った歌・読む枚数・制限時間・表示の間隔をルールにする', () => {
+        const options = { mode: 'standard', seed: 1, poemIds: [{ from: 3, to: 5 }, 1], readCount: 50, roundTimeLimit: 10, revealInterval: 200 };
+        expect(normalizeResultRules(poems, options, 100)).toEqual({
+            poemIds: [1, 3, 4, 5], readCount: 4, roundTimeLimit: 10, revealInterval: 200,
+        });
+        // 色札で絞り込んだ歌は、全首より少ないため歌のIDを残す
+        expect(normalizeResultRules(poems, { mode: 'genpei', seed: 1 }, 100).poemIds).toHaveLength(20);
+    });
+});
+
+describe('isStandardRules', () => {
+    const rules = { poemIds: null, readCount: 10, roundTimeLimit: 0, revealInterval: 0 };
+
+    test('全首・既定の読む枚数・制限時間なし・一度に表示のルールを標準と判定する', () => {
+        expect(isStandardRules({ mode: 'standard', deckSize: 10, rules }, 100)).toBe(true);
+        expect(isStandardRules({ mode: 'genpei', deckSize: 50, rules: Object.assign({}, rules, { readCount: 100 }) }, 100)).toBe(true);
+    });
+
+    test('既定と違うルールやルールのない結果は標準と判定しない', () => {
+        expect(isStandardRules({ mode: 'standard', deckSize: 10, rules: Object.assign({}, rules, { readCount: 12 }) }, 100)).toBe(false);
+        expect(isStandardRules({ mode: 'standard', deckSize: 10, rules: Object.assign({}, rules, { poemIds: [1, 2] }) }, 100)).toBe(false);
+        expect(isStandardRules({ mode: 'standard', deckSize: 10, rules: Object.assign({}, rules, { roundTimeLimit: 30 }) }, 100)).toBe(false);
+        expect(isStandardRules({ mode: 'standard', deckSize: 10, rules: Object.assign({}, rules, { revealInterval: 200 }) }, 100)).toBe(false);
+        expect(isStandardRules({ mode: 'genpei', deckSize: 50, rules }, 100)).toBe(false);
+        expect(isStandardRules({ mode: 'standard', deckSize: 10 }, 100)).toBe(false);
+    });
+});
+
+describe('parseLeaderboardQuery', () => {
+    test('省略した条件は全件（期間は all）にする', () => {
+        expect(parseLeaderboardQuery({})).toEqual({
+            valid: true,
+            errors: [],
+            filter: { mode: null, deckSize: null, period: 'all' },
+        });
+    });
+
+    test('ゲームモード・札の枚数・期間を読み取る', () => {
+        expect(parseLeaderboardQuery({ mode: 'genpei', deckSize: '50', period: 'week' }).filter)
+            .toEqual({ mode: 'genpei', deckSize: 50, period: 'week' });
+    });
+
+    test('正しくない条件はエラーを返す', () => {
+        expect(parseLeaderboardQuery({ mode: 'bozu', deckSize: '0', period: 'year' }).errors).toEqual([
+            'Unknown game mode: bozu',
+            'deckSize must be a positive integer',
+            `period must be one of ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`,
+        ]);
+    });
+});
+
+describe('filterResults', () => {
+    const now = new Date('2024-05-31T12:00:00Z');
+    const results = [
+        { id: 'a', mode: 'standard', deckSize: 10, submittedAt: '2024-05-31T06:00:00Z' },
+        { id: 'b', mode: 'standard', deckSize: 20, submittedAt: '2024-05-27T12:00:00Z' },
+        { id: 'c', mode: 'competitive', deckSize: 10, submittedAt: '2024-05-10T12:00:00Z' },
+        { id: 'd', mode: 'standard', deckSize: 10, submittedAt: '2023-01-01T00:00:00Z' },
+    ];
+    const ids = (filter) => filterResults(results, Object.assign({ mode: null, deckSize: null, period: 'all' }, filter), now)
+        .map((result) => result.id);
+
+    test('ゲームモードと札の枚数で絞り込む', () => {
+        expect(ids({ mode: 'standard' })).toEqual(['a', 'b', 'd']);
+        expect(ids({ mode: 'standard', deckSize: 10 })).toEqual(['a', 'd']);
+    });
+
+    test('ルールを指定した場合は同じルールを保存した結果だけを返す', () => {
+        const rules = { poemIds: null, readCount: 10, roundTimeLimit: 0, revealInterval: 0 };
+        const withRules = [
+            Object.assign({}, results[0], { rules }),
+            Object.assign({}, results[3], { rules: Object.assign({}, rules, { roundTimeLimit: 30 }) }),
+            results[1],
+        ];
+        expect(filterResults(withRules, { mode: null, deckSize: null, period: 'all', rules: Object.assign({}, rules) }, now)
+            .map((result) => result.id)).toEqual(['a']);
+    });
+
+    test('直近の期間で絞り込む', () => {
+        expect(ids({ period: 'day' })).toEqual(['a']);
+        expect(ids({ period: 'week' })).toEqual(['a', 'b']);
+        expect(ids({ period: 'month' })).toEqual(['a', 'b', 'c']);
+        expect(ids({ period: 'all' })).toEqual(['a', 'b', 'c', 'd']);
+    });
+});
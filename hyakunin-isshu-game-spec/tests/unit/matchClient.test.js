@@ -0,0 +1,197 @@
+/**
+ * MatchClient（ネットワーク対戦のクライアント）のユニットテスト
+ */
+const { MatchClient, getMatchUrl } = require('../../public/js/matchClient');
+
+/**
+ * テスト用の WebSocket。送ったメッセージを記録し、開く・閉じる・受信をテストから起こす
+ */
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose();
+    }
+
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen();
+    }
+
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+
+/**
+ * 最後に作られた FakeWebSocket を返すヘルパー
+ */
+function lastSocket() {
+    return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+}
+
+describe('MatchClient', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        FakeWebSocket.instances = [];
+        client = new MatchClient('ws://localhost/ws/match', {
+            WebSocket: FakeWebSocket,
+            reconnectDelaysMs: [100, 200],
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('接続する前の join は接続してから送る', () => {
+        client.connect();
+        client.join('standard', 'あおい');
+        expect(lastSocket().sent).toEqual([]);
+
+        lastSocket().open();
+        expect(lastSocket().sent).toEqual([{ type: 'join', mode: 'standard', name: 'あおい' }]);
+    });
+
+    test('受け取ったメッセージを種類ごとの関数に渡し、席を覚える', () => {
+        const matched = jest.fn();
+        const reading = jest.fn();
+        client.on('matched', matched).on('readingStart', reading);
+        client.connect();
+        lastSocket().open();
+
+        lastSocket().receive({ type: 'matched', seat: 1, token: 'abc' });
+        lastSocket().receive({ type: 'readingStart', round: 1, poemId: 5 });
+        expect(matched).toHaveBeenCalledWith({ type: 'matched', seat: 1, token: 'abc' });
+        expect(reading).toHaveBeenCalledWith({ type: 'readingStart', round: 1, poemId: 5 });
+        expect(client.getSeat()).toBe(1);
+    });
+
+    test('対戦中に接続が切れるとトークンで再接続する', () => {
+        const reconnecting = jest.fn();
+        client.on('reconnecting', reconnecting);
+        client.connect();
+        lastSocket().open();
+        lastSocket().receive({ type: 'matched', seat: 0, token: 'abc' });
+
+        lastSocket().close();
+        expect(reconnecting).toHaveBeenCalledWith({ attempt: 1 });
+        expect(FakeWebSocket.instances.length).toBe(1);
+
+        jest.advanceTimersByTime(100);
+        expect(FakeWebSocket.instances.length).toBe(2);
+        lastSocket().open();
+        expect(lastSocket().sent).toEqual([{ type: 'rejoin', token: 'abc' }]);
+    });
+
+    test('再接続中の札の入力は送らない', () => {
+        client.connect();
+        lastSocket().open();
+        lastSocket().receive({ type: 'matched', seat: 0, token: 'abc' });
+        lastSocket().close();
+
+        client.take(1, 5);
+        jest.advanceTimersByTime(100);
+        lastSocket().open();
+        expect(lastSocket().sent).toEqual([{ type: 'rejoin', token: 'abc' }]);
+
+        client.take(1, 5);
+        expect(lastSocket().sent[1]).toEqual({ type: 'take', round: 1, cardId: 5 });
+    });
+
+    test('見送りを送り、再接続中の見送りは送らない', () => {
+        client.connect();
+        lastSocket().open();
+        lastSocket().receive({ type: 'matched', seat: 0, token: 'abc' });
+        client.pass(1);
+        expect(lastSocket().sent).toEqual([{ type: 'pass', round: 1 }]);
+
+        lastSocket().close();
+        client.pass(1);
+        jest.advanceTimersByTime(100);
+        lastSocket().open();
+        expect(lastSocket().sent).toEqual([{ type: 'rejoin', token: 'abc' }]);
+    });
+
+    test('再接続をすべて失敗すると closed を通知する', () => {
+        const closed = jest.fn();
+        client.on('closed', closed);
+        client.connect();
+        lastSocket().open();
+        lastSocket().receive({ type: 'matched', seat: 0, token: 'abc' });
+
+        lastSocket().close();
+        jest.advanceTimersByTime(100);
+        lastSocket().close();
+        jest.advanceTimersByTime(200);
+        expect(closed).not.toHaveBeenCalled();
+        lastSocket().close();
+        expect(closed).toHaveBeenCalledTimes(1);
+        expect(FakeWebSocket.instances.length).toBe(3);
+    });
+
+    test('対戦が終わった後や close した後は再接続しない', () => {
+        const closed = jest.fn();
+        client.on('closed', closed);
+        client.connect();
+        lastSocket().open();
+        lastSocket().receive({ type: 'matched', seat: 0, token: 'abc' });
+        lastSocket().receive({ type: 'gameOver', reason: 'finished' });
+        lastSocket().close();
+        jest.advanceTimersByTime(1000);
+        expect(FakeWebSocket.instances.length).toBe(1);
+        expect(closed).toHaveBeenCalledTimes(1);
+
+        const other = new MatchClient('ws://localhost/ws/match', { WebSocket: FakeWebSocket });
+        const otherClosed = jest.fn();
+        other.on('closed', otherClosed);
+        other.connect();
+        lastSocket().open();
+        lastSocket().receive({ type: 'matched', seat: 0, token: 'def' });
+        other.close();
+        jest.advanceTimersByTime(10000);
+        expect(FakeWebSocket.instances.length).toBe(2);
+        expect(otherClosed).not.toHaveBeenCalled();
+    });
+
+    test('授業用のクラスのメッセージを送り、参加した時のトークンで再接続する', () => {
+        client.connect();
+        client.send({ type: 'join', code: 'K7QM', name: 'あおい' });
+        lastSocket().open();
+        expect(lastSocket().sent).toEqual([{ type: 'join', code: 'K7QM', name: 'あおい' }]);
+
+        lastSocket().receive({ type: 'joined', role: 'student', token: 'ghi' });
+        expect(client.getSeat()).toBeNull();
+        lastSocket().close();
+        jest.advanceTimersByTime(100);
+        lastSocket().open();
+        expect(lastSocket().sent).toEqual([{ type: 'rejoin', token: 'ghi' }]);
+    });
+
+    test('WebSocket が使えない環境ではエラーをスローする', () => {
+        expect(() => new MatchClient('ws://localhost/ws/match')).toThrow('WebSocket is not available');
+    });
+});
+
+describe('getMatchUrl', () => {
+    test('ページのプロトコルに合わせて ws / wss を選ぶ', () => {
+        expect(getMatchUrl({ protocol: 'http:', host: 'localhost:8080' })).toBe('ws://localhost:8080/ws/match');
+        expect(getMatchUrl({ protocol: 'https:', host: 'example.com' })).toBe('wss://example.com/ws/match');
+        expect(getMatchUrl({ protocol: 'http:', host: 'localhost:8080' }, '/ws/classroom')).toBe('ws://localhost:8080/ws/classroom');
+    });
+});
@@ -0,0 +1,416 @@
+/**
+ * MatchRoom（ネットワーク対戦の部屋）のユニットテスト
+ */
+const { MatchRoom, MAX_SPECTATORS } = require('../../src/matchRoom');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+/**
+ * 2人がそろった部屋を作り、席ごとに受け取ったメッセージを記録するヘルパー
+ */
+function createFullRoom(options = {}) {
+    const onFinish = jest.fn();
+    const room = new MatchRoom(createTestPoems(options.poemCount || 3), Object.assign({
+        seed: 42,
+        roundIntervalMs: 100,
+        roundTimeoutMs: 5000,
+        reconnectGraceMs: 1000,
+        onFinish,
+    }, options));
+    const messages = [[], []];
+    const seats = [room.addPlayer('あおい'), room.addPlayer('はると')];
+    seats.forEach((entry, seat) => room.attach(seat, (message) => messages[seat].push(message)));
+    return { room, messages, seats, onFinish };
+}
+
+/**
+ * 席が最後に受け取った指定の種類のメッセージを返すヘルパー
+ */
+function lastOf(messages, type) {
+    return messages.filter((message) => message.type === type).pop();
+}
+
+describe('MatchRoom', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('席', () => {
+        test('2人まで席に着け、トークンから席を探せる', () => {
+            const room = new MatchRoom(createTestPoems(3));
+            const first = room.addPlayer('  あおい  ');
+            const second = room.addPlayer();
+
+            expect(first.seat).toBe(0);
+            expect(second.seat).toBe(1);
+            expect(room.isFull()).toBe(true);
+            expect(() => room.addPlayer('3人目')).toThrow('room is full');
+            expect(room.findSeatByToken(second.token)).toBe(1);
+            expect(room.findSeatByToken('unknown')).toBe(-1);
+            expect(room.getSnapshot(0).players.map((p) => p.name)).toEqual(['あおい', 'プレイヤー2']);
+        });
+
+        test('未知のゲームモードではエラーをスローする', () => {
+            expect(() => new MatchRoom(createTestPoems(3), { mode: 'bozu' })).toThrow('Unknown game mode: bozu');
+        });
+
+        test('2人がそろう前は開始できない', () => {
+            const room = new MatchRoom(createTestPoems(3));
+            room.addPlayer('あおい');
+            expect(() => room.start()).toThrow('room is not full');
+        });
+    });
+
+    describe('対戦の開始と読み始め', () => {
+        test('開始時は場・トークンを送り、読み札は読み始めてから知らせる（シードは送らない）', () => {
+            const { room, messages, seats } = createFullRoom();
+            room.start();
+
+            const matched = lastOf(messages[1], 'matched');
+            expect(matched).toMatchObject({ seat: 1, side: 'opponent', round: 1, totalRounds: 3, poemId: null });
+            // シードから読み順がわかってしまうため送らない
+            expect(matched).not.toHaveProperty('seed');
+            expect(matched.token).toBe(seats[1].token);
+            expect(matched.field.slice().sort()).toEqual([1, 2, 3]);
+            expect(lastOf(messages[0], 'matched').field).toEqual(matched.field);
+
+            expect(lastOf(messages[0], 'readingStart')).toBeUndefined();
+            jest.advanceTimersByTime(100);
+            const reading = lastOf(messages[0], 'readingStart');
+            expect(reading.poemId).not.toBeNull();
+            expect(lastOf(messages[1], 'readingStart').poemId).toBe(reading.poemId);
+        });
+
+        test('読み始める前と、別のラウンドの入力は受け付けない', () => {
+            const { room, messages } = createFullRoom();
+            room.start();
+            expect(room.take(0, { round: 1, cardId: 1 })).toBe(false);
+
+            jest.advanceTimersByTime(100);
+            expect(room.take(0, { round: 2, cardId: 1 })).toBe(false);
+            expect(room.take(0, { round: 1, cardId: 'x' })).toBe(false);
+            expect(room.take(0, { round: 1, cardId: lastOf(messages[0], 'readingStart').poemId })).toBe(true);
+        });
+    });
+
+    describe('取りの判定', () => {
+        test('遅延を補正した時刻で、先に触れたプレイヤーが取る', () => {
+            const { room, messages } = createFullRoom();
+            room.recordRoundTrip(0, 200); // 片道100ms
+            room.recordRoundTrip(1, 0);
+            room.start();
+            jest.advanceTimersByTime(100);
+            const poemId = lastOf(messages[0], 'readingStart').poemId;
+
+            // 席1の入力が先に届くが、席0は遅延の分だけ先に触れている
+            jest.advanceTimersByTime(50);
+            room.take(1, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(70);
+            room.take(0, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(100);
+
+            const results = messages[1].filter((message) => message.type === 'takeResult');
+            expect(results.map((result) => [result.seat, result.correct])).toEqual([[0, true]]);
+            expect(lastOf(messages[1], 'roundEnd')).toMatchObject({ round: 1, poemId, winnerSeat: 0 });
+            expect(lastOf(messages[1], 'roundEnd').scores.map((score) => score.correct)).toEqual([1, 0]);
+        });
+
+        test('遅延の補正は maxCompensationMs を超えない', () => {
+            const { room, messages } = createFullRoom({ maxCompensationMs: 30 });
+            room.recordRoundTrip(0, 1000);
+            room.start();
+            jest.advanceTimersByTime(100);
+            const poemId = lastOf(messages[0], 'readingStart').poemId;
+
+            room.take(1, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(20);
+            room.take(0, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(30);
+            expect(lastOf(messages[0], 'roundEnd').winnerSeat).toBe(0);
+
+            const { room: other, messages: otherMessages } = createFullRoom({ maxCompensationMs: 30 });
+            other.recordRoundTrip(0, 1000);
+            other.start();
+            jest.advanceTimersByTime(100);
+            other.take(1, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(40);
+            other.take(0, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(30);
+            expect(lastOf(otherMessages[0], 'roundEnd').winnerSeat).toBe(1);
+        });
+
+        test('誤った札は触れた席の不正解になり、ラウンドは続く', () => {
+            const { room, messages } = createFullRoom();
+            room.start();
+            jest.advanceTimersByTime(100);
+            const poemId = lastOf(messages[0], 'readingStart').poemId;
+            const wrongId = lastOf(messages[0], 'readingStart').field.find((id) => id !== poemId);
+
+            room.take(1, { round: 1, cardId: wrongId });
+            jest.advanceTimersByTime(0);
+            expect(lastOf(messages[0], 'takeResult')).toMatchObject({ seat: 1, cardId: wrongId, correct: false });
+            expect(lastOf(messages[0], 'roundEnd')).toBeUndefined();
+
+            room.take(1, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(0);
+            const scores = lastOf(messages[0], 'roundEnd').scores;
+            expect(scores[1]).toMatchObject({ correct: 1, incorrect: 1, accuracy: 50 });
+        });
+
+        test('誰も取らないまま roundTimeoutMs が過ぎると次の札に進む', () => {
+            const { room, messages } = createFullRoom();
+            room.start();
+            jest.advanceTimersByTime(100 + 5000);
+
+            expect(lastOf(messages[0], 'roundEnd')).toMatchObject({ round: 1, winnerSeat: null });
+            jest.advanceTimersByTime(100);
+            expect(lastOf(messages[0], 'readingStart')).toMatchObject({ round: 2 });
+            expect(lastOf(messages[0], 'readingStart').field.length).toBe(2);
+        });
+
+        test('2人とも見送ると、時間切れを待たずに誰も取らなかったものとして次の札に進む', () => {
+            const { room, messages } = createFullRoom();
+            room.start();
+            jest.advanceTimersByTime(100);
+
+            expect(room.pass(0, { round: 2 })).toBe(false);
+            expect(room.pass(0, { round: 1 })).toBe(true);
+            expect(room.pass(0, { round: 1 })).toBe(false);
+            expect(lastOf(messages[1], 'passed')).toEqual({ type: 'passed', round: 1, seat: 0 });
+            expect(lastOf(messages[0], 'roundEnd')).toBeUndefined();
+
+            expect(room.pass(1, { round: 1 })).toBe(true);
+            expect(lastOf(messages[0], 'roundEnd')).toMatchObject({ round: 1, winnerSeat: null });
+            jest.advanceTimersByTime(100);
+            expect(lastOf(messages[0], 'readingStart')).toMatchObject({ round: 2 });
+
+            // 見送りはラウンドごとに数え直す
+            expect(room.pass(0, { round: 2 })).toBe(true);
+            jest.advanceTimersByTime(1000);
+            expect(lastOf(messages[0], 'roundEnd').round).toBe(1);
+        });
+
+        test('見送りの前に届いた入力は、見送りで次の札に進む前に判定する', () => {
+            const { room, messages } = createFullRoom();
+            room.recordRoundTrip(1, 100);
+            room.start();
+            jest.advanceTimersByTime(100);
+            const poemId = lastOf(messages[0], 'readingStart').poemId;
+
+            room.take(1, { round: 1, cardId: poemId });
+            room.pass(0, { round: 1 });
+            room.pass(1, { round: 1 });
+            expect(lastOf(messages[0], 'roundEnd')).toMatchObject({ round: 1, winnerSeat: 1 });
+            expect(messages[0].filter((message) => message.type === 'roundEnd')).toHaveLength(1);
+        });
+
+        test('空札のラウンドは karafudaTimeoutMs で次の札に進む', () => {
+            // 3首を1枚ずつの陣に配るため、読む3枚のうち1枚が空札になる
+            const { room, messages } = createFullRoom({ mode: 'competitive', karafudaTimeoutMs: 1500 });
+            room.start();
+            const roundEnds = () => messages[0].filter((message) => message.type === 'roundEnd').map((message) => message.round);
+            let reading = null;
+            for (let round = 1; round <= 3 && !room.isFinished(); round++) {
+                jest.advanceTimersByTime(100);
+                reading = lastOf(messages[0], 'readingStart');
+                if (reading.field.indexOf(reading.poemId) === -1) {
+                    break;
+                }
+                room.take(reading.cardSides[reading.poemId] === 'player' ? 0 : 1, { round, cardId: reading.poemId });
+                jest.advanceTimersByTime(0);
+                reading = null;
+            }
+
+            expect(reading).not.toBeNull();
+            jest.advanceTimersByTime(1499);
+            expect(roundEnds()).not.toContain(reading.round);
+            jest.advanceTimersByTime(1);
+            expect(lastOf(messages[0], 'roundEnd')).toMatchObject({ round: reading.round, winnerSeat: null });
+        });
+
+        test('すべての札を読み終えると、取った札の多い席の勝ちで終わる', () => {
+            const { room, messages, onFinish } = createFullRoom();
+            room.start();
+            for (let round = 1; round <= 3; round++) {
+                jest.advanceTimersByTime(100);
+                const seat = round === 2 ? 1 : 0;
+                room.take(seat, { round, cardId: lastOf(messages[0], 'readingStart').poemId });
+                jest.advanceTimersByTime(0);
+            }
+
+            expect(lastOf(messages[1], 'gameOver')).toMatchObject({ reason: 'finished', winnerSeat: 0 });
+            expect(lastOf(messages[1], 'gameOver').scores.map((score) => score.correct)).toEqual([2, 1]);
+            expect(onFinish).toHaveBeenCalledWith(room);
+            expect(room.isFinished()).toBe(true);
+        });
+    });
+
+    describe('切断と再接続', () => {
+        test('切断中は読みを止め、再接続すると状態を送って同じラウンドを読み直す', () => {
+            const { room, messages } = createFullRoom();
+            room.start();
+            jest.advanceTimersByTime(100);
+            const poemId = lastOf(messages[0], 'readingStart').poemId;
+
+            room.detach(0);
+            expect(lastOf(messages[1], 'opponentDisconnected')).toEqual({ type: 'opponentDisconnected', graceMs: 1000 });
+            expect(room.take(1, { round: 1, cardId: poemId })).toBe(false);
+            jest.advanceTimersByTime(500);
+            expect(lastOf(messages[1], 'roundEnd')).toBeUndefined();
+
+            const resumed = [];
+            room.attach(0, (message) => resumed.push(message));
+            expect(resumed[0]).toMatchObject({ type: 'rejoined', seat: 0, round: 1, poemId: null });
+            expect(lastOf(messages[1], 'opponentReconnected')).toBeDefined();
+
+            jest.advanceTimersByTime(100);
+            expect(lastOf(resumed, 'readingStart')).toMatchObject({ round: 1, poemId });
+        });
+
+        test('reconnectGraceMs の間に戻らなければ相手の不戦勝になる', () => {
+            const { room, messages, onFinish } = createFullRoom();
+            room.start();
+            jest.advanceTimersByTime(100);
+
+            room.detach(1);
+            jest.advanceTimersByTime(999);
+            expect(lastOf(messages[0], 'gameOver')).toBeUndefined();
+            jest.advanceTimersByTime(1);
+
+            expect(lastOf(messages[0], 'gameOver')).toMatchObject({ reason: 'forfeit', winnerSeat: 0 });
+            expect(onFinish).toHaveBeenCalledTimes(1);
+        });
+
+        test('切断までに届いた入力は判定してから読みを止める', () => {
+            const { room, messages } = createFullRoom();
+            room.recordRoundTrip(1, 100);
+            room.start();
+            jest.advanceTimersByTime(100);
+            const poemId = lastOf(messages[0], 'readingStart').poemId;
+
+            room.take(0, { round: 1, cardId: poemId });
+            room.detach(0);
+            expect(lastOf(messages[1], 'roundEnd')).toMatchObject({ winnerSeat: 0 });
+        });
+    });
+
+    describe('観戦', () => {
+        test('観戦者には両方の陣と取り・反応時間を spectatorDelayMs だけ遅らせて送る', () => {
+            const { room, messages } = createFullRoom({ mode: 'competitive', poemCount: 4, spectatorDelayMs: 3000 });
+            const watched = [];
+            room.addSpectator((message) => watched.push(message));
+            expect(watched[0]).toMatchObject({ type: 'watching', roomId: room.id, mode: 'competitive', delayMs: 3000, state: null });
+
+            room.start();
+            jest.advanceTimersByTime(100);
+            const poemId = lastOf(messages[0], 'readingStart').poemId;
+            jest.advanceTimersByTime(400);
+            room.take(1, { round: 1, cardId: poemId });
+            jest.advanceTimersByTime(0);
+            expect(lastOf(messages[0], 'roundEnd')).toBeDefined();
+            expect(watched.length).toBe(1);
+
+            jest.advanceTimersByTime(3000);
+            expect(watched.map((message) => message.type)).toEqual(['watching', 'matchStart', 'readingStart', 'takeResult', 'roundEnd']);
+            const reading = lastOf(watched, 'readingStart');
+            expect(reading.state).toMatchObject({ round: 1, poemId });
+            expect(reading.state.seat).toBeUndefined();
+            expect(watched.every((message) => !message.state || !('seed' in message.state))).toBe(true);
+            expect(Object.values(reading.state.cardSides).sort()).toEqual(['opponent', 'opponent', 'player', 'player']);
+            expect(lastOf(watched, 'takeResult')).toMatchObject({ seat: 1, cardId: poemId, correct: true, reactionMs: 400 });
+        });
+
+        test('お手つきを観戦者に知らせる', () => {
+            const { room, messages } = createFullRoom({ mode: 'competitive', poemCount: 4, spectatorDelayMs: 0 });
+            const watched = [];
+            room.addSpectator((message) => watched.push(message));
+            room.start();
+            jest.advanceTimersByTime(100);
+            const reading = lastOf(messages[0], 'readingStart');
+            const targetSide = reading.cardSides[reading.poemId];
+            const wrongId = reading.field.find((id) => reading.cardSides[id] !== targetSide);
+
+            room.take(0, { round: 1, cardId: wrongId });
+            jest.advanceTimersByTime(0);
+            expect(lastOf(watched, 'takeResult')).toMatchObject({ seat: 0, cardId: wrongId, correct: false, foul: true, penalty: true });
+            expect(lastOf(watched, 'takeResult').state.scores[0].fouls).toBe(1);
+        });
+
+        test('後から観戦を始めた人には、送り終えた最新の状態だけを送る', () => {
+            const { room } = createFullRoom({ spectatorDelayMs: 1000 });
+            room.start();
+            jest.advanceTimersByTime(100);
+
+            const early = [];
+            room.addSpectator((message) => early.push(message));
+            expect(early[0].state).toBeNull();
+
+            jest.advanceTimersByTime(1000);
+            const late = [];
+            const spectatorId = room.addSpectator((message) => late.push(message));
+            expect(late[0].state).toMatchObject({ round: 1 });
+            expect(late[0].state.poemId).not.toBeNull();
+            expect(room.getSpectatorCount()).toBe(2);
+            expect(room.getSummary()).toEqual({ roomId: room.id, mode: 'standard', players: ['あおい', 'はると'], spectators: 2 });
+
+            room.removeSpectator(spectatorId);
+            expect(room.getSpectatorCount()).toBe(1);
+        });
+
+        test('対戦が終わった後も、遅らせた結果を観戦者に送る', () => {
+            const { room, messages } = createFullRoom({ spectatorDelayMs: 1000 });
+            const watched = [];
+            room.addSpectator((message) => watched.push(message));
+            room.start();
+            jest.advanceTimersByTime(100);
+            room.detach(1);
+            jest.advanceTimersByTime(1000);
+            expect(lastOf(messages[0], 'gameOver')).toBeDefined();
+            expect(lastOf(watched, 'playerDisconnected')).toMatchObject({ seat: 1 });
+            expect(lastOf(watched, 'gameOver')).toBeUndefined();
+
+            jest.advanceTimersByTime(1000);
+            expect(lastOf(watched, 'gameOver')).toMatchObject({ reason: 'forfeit', winnerSeat: 0 });
+        });
+
+        test('観戦できる人数には上限がある', () => {
+            const room = new MatchRoom(createTestPoems(3));
+            for (let i = 0; i < MAX_SPECTATORS; i++) {
+                room.addSpectator(() => {});
+            }
+            expect(() => room.addSpectator(() => {})).toThrow('too many spectators');
+        });
+    });
+
+    describe('recordRoundTrip', () => {
+        test('片道の遅延を往復時間の半分として平滑化する', () => {
+            const room = new MatchRoom(createTestPoems(3));
+            room.addPlayer('あおい');
+            expect(room.getLatency(0)).toBe(0);
+
+            room.recordRoundTrip(0, 100);
+            expect(room.getLatency(0)).toBe(50);
+            room.recordRoundTrip(0, 200);
+            expect(room.getLatency(0)).toBeCloseTo(65);
+            room.recordRoundTrip(0, -1);
+            room.recordRoundTrip(0, NaN);
+            expect(room.getLatency(0)).toBeCloseTo(65);
+        });
+    });
+});
@@ -0,0 +1,258 @@
+/**
+ * MatchServer（ネットワーク対戦の WebSocket エンドポイント）のユニットテスト
+ * localhost の一時的なポートでサーバーを起動し、ws のクライアントで接続する
+ */
+const http = require('http');
+const { WebSocket } = require('ws');
+const { MatchServer, MATCH_PATH } = require('../../src/matchServer');
+const { MatchRoom } = require('../../src/matchRoom');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+let server;
+let matchServer;
+let url;
+const sockets = [];
+
+beforeEach((done) => {
+    server = http.createServer();
+    matchServer = new MatchServer(server, {
+        poems: createTestPoems(3),
+        pingIntervalMs: 50,
+        room: { roundIntervalMs: 20, roundTimeoutMs: 5000, reconnectGraceMs: 2000, spectatorDelayMs: 50 },
+    });
+    server.listen(0, () => {
+        url = `ws://localhost:${server.address().port}${MATCH_PATH}`;
+        done();
+    });
+});
+
+afterEach(async () => {
+    sockets.splice(0).forEach((socket) => socket.terminate());
+    await matchServer.close();
+    await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * サーバーに接続し、受け取ったメッセージを種類ごとに待てるクライアントを作るヘルパー
+ */
+function connect() {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url);
+        const received = [];
+        const waiters = [];
+        sockets.push(socket);
+
+        socket.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            const index = waiters.findIndex((waiter) => waiter.type === message.type);
+            if (index === -1) {
+                received.push(message);
+                return;
+            }
+            waiters.splice(index, 1)[0].resolve(message);
+        });
+        socket.on('open', () => resolve({
+            socket,
+            send: (message) => socket.send(JSON.stringify(message)),
+            next: (type) => {
+                const index = received.findIndex((message) => message.type === type);
+                if (index !== -1) {
+                    return Promise.resolve(received.splice(index, 1)[0]);
+                }
+                return new Promise((resolveMessage) => waiters.push({ type, resolve: resolveMessage }));
+            },
+        }));
+        socket.on('error', reject);
+    });
+}
+
+/**
+ * 2人を接続して組み合わせ、対戦が始まるまで待つヘルパー
+ */
+async function startMatch() {
+    const first = await connect();
+    first.send({ type: 'join', mode: 'standard', name: 'あおい' });
+    await first.next('waiting');
+    const second = await connect();
+    second.send({ type: 'join', mode: 'standard', name: 'はると' });
+    const matched = [await first.next('matched'), await second.next('matched')];
+    return { first, second, matched };
+}
+
+describe('MatchServer', () => {
+    test('同じモードの2人を部屋に入れ、読み始めを2人に知らせる', async () => {
+        const { first, second, matched } = await startMatch();
+
+        expect(matched[0]).toMatchObject({ seat: 0, side: 'player' });
+        expect(matched[1]).toMatchObject({ seat: 1, side: 'opponent' });
+        expect(matched[0].roomId).toBe(matched[1].roomId);
+        expect(matched[0].field).toEqual(matched[1].field);
+        expect(matched[0]).not.toHaveProperty('seed');
+        expect(matched[1].players.map((player) => player.name)).toEqual(['あおい', 'はると']);
+        expect(matchServer.getRoomCount()).toBe(1);
+
+        const readings = [await first.next('readingStart'), await second.next('readingStart')];
+        expect(readings[0].poemId).toBe(readings[1].poemId);
+    });
+
+    test('札に触れるとサーバーが判定し、結果を2人に送る', async () => {
+        const { first, second } = await startMatch();
+        const reading = await second.next('readingStart');
+        await first.next('readingStart');
+
+        second.send({ type: 'take', round: reading.round, cardId: reading.poemId });
+        const results = [await first.next('takeResult'), await second.next('takeResult')];
+        expect(results[0]).toMatchObject({ seat: 1, cardId: reading.poemId, correct: true });
+        expect(results[1]).toEqual(results[0]);
+
+        const roundEnd = await first.next('roundEnd');
+        expect(roundEnd).toMatchObject({ round: 1, winnerSeat: 1 });
+        expect(roundEnd.scores[1].correct).toBe(1);
+    });
+
+    test('2人とも見送るとサーバーが次の札に進める', async () => {
+        const { first, second } = await startMatch();
+        const reading = await first.next('readingStart');
+        await second.next('readingStart');
+
+        first.send({ type: 'pass', round: reading.round });
+        expect(await second.next('passed')).toEqual({ type: 'passed', round: reading.round, seat: 0 });
+        second.send({ type: 'pass', round: reading.round });
+        expect(await first.next('roundEnd')).toMatchObject({ round: 1, winnerSeat: null });
+        expect(await first.next('readingStart')).toMatchObject({ round: 2 });
+    });
+
+    test('切断したプレイヤーはトークンで元の席に戻れる', async () => {
+        const { first, second, matched } = await startMatch();
+        await first.next('readingStart');
+
+        first.socket.close();
+        expect(await second.next('opponentDisconnected')).toEqual({ type: 'opponentDisconnected', graceMs: 2000 });
+
+        const returned = await connect();
+        returned.send({ type: 'rejoin', token: matched[0].token });
+        const rejoined = await returned.next('rejoined');
+        expect(rejoined).toMatchObject({ roomId: matched[0].roomId, seat: 0, round: 1 });
+        await second.next('opponentReconnected');
+
+        const readings = [await returned.next('readingStart'), await second.next('readingStart')];
+        expect(readings[0].round).toBe(1);
+        expect(readings[0].poemId).toBe(readings[1].poemId);
+    });
+
+    test('トークンが正しくない再接続・未知のモード・壊れたメッセージはエラーを返す', async () => {
+        const client = await connect();
+
+        client.send({ type: 'rejoin', token: 'unknown' });
+        expect((await client.next('error')).error).toBe('戻れる対戦が見つかりません');
+
+        client.send({ type: 'join', mode: 'bozu' });
+        expect((await client.next('error')).error).toBe('ゲームモードが正しくありません');
+
+        client.socket.send('not json');
+        expect((await client.next('error')).error).toBe('メッセージの形式が正しくありません');
+
+        client.send({ type: 'join', mode: 'standard' });
+        await client.next('waiting');
+        client.send({ type: 'join', mode: 'standard' });
+        expect((await client.next('error')).error).toBe('すでに対戦に参加しています');
+    });
+
+    test('席に着いている接続・観戦している接続からの再接続と観戦はエラーを返し、席は変わらない', async () => {
+        const { first, second, matched } = await startMatch();
+        await first.next('readingStart');
+        const reading = await second.next('readingStart');
+
+        // 自分の席のトークンでも相手の席のトークンでも戻れない
+        first.send({ type: 'rejoin', token: matched[1].token });
+        expect((await first.next('error')).error).toBe('すでに対戦に参加しています');
+        first.send({ type: 'rejoin', token: matched[0].token });
+        expect((await first.next('error')).error).toBe('すでに対戦に参加しています');
+        first.send({ type: 'watch', roomId: matched[0].roomId });
+        expect((await first.next('error')).error).toBe('すでに対戦に参加しています');
+
+        const spectator = await connect();
+        spectator.send({ type: 'watch', roomId: matched[0].roomId });
+        await spectator.next('watching');
+        spectator.send({ type: 'rejoin', token: matched[1].token });
+        expect((await spectator.next('error')).error).toBe('すでに対戦に参加しています');
+
+        second.send({ type: 'take', round: reading.round, cardId: reading.poemId });
+        expect(await first.next('takeResult')).toMatchObject({ seat: 1, correct: true });
+        expect(second.socket.readyState).toBe(WebSocket.OPEN);
+    });
+
+    test('メッセージの処理中に起きた例外はエラーとして返し、接続は続ける', async () => {
+        const { first, matched } = await startMatch();
+        const reading = await first.next('readingStart');
+
+        const take = jest.spyOn(MatchRoom.prototype, 'take').mockImplementationOnce(() => {
+            throw new Error('unexpected');
+        });
+        try {
+            first.send({ type: 'take', round: reading.round, cardId: reading.poemId });
+            expect((await first.next('error')).error).toBe('対戦の操作に失敗しました');
+        } finally {
+            take.mockRestore();
+        }
+
+        first.send({ type: 'matches' });
+        expect((await first.next('matches')).matches[0].roomId).toBe(matched[0].roomId);
+    });
+
+    test('対戦の一覧から観戦でき、観戦者は札に触れられない', async () => {
+        const { first, matched } = await startMatch();
+        const spectator = await connect();
+
+        spectator.send({ type: 'matches' });
+        expect((await spectator.next('matches')).matches).toEqual([
+            { roomId: matched[0].roomId, mode: 'standard', players: ['あおい', 'はると'], spectators: 0 },
+        ]);
+
+        spectator.send({ type: 'watch', roomId: matched[0].roomId });
+        expect(await spectator.next('watching')).toMatchObject({ roomId: matched[0].roomId, delayMs: 50 });
+        const reading = await first.next('readingStart');
+        const watchedReading = await spectator.next('readingStart');
+        expect(watchedReading.state.poemId).toBe(reading.poemId);
+
+        spectator.send({ type: 'take', round: reading.round, cardId: reading.poemId });
+        spectator.send({ type: 'join', mode: 'standard' });
+        expect((await spectator.next('error')).error).toBe('すでに対戦に参加しています');
+        first.send({ type: 'take', round: reading.round, cardId: reading.poemId });
+        expect(await first.next('takeResult')).toMatchObject({ seat: 0, correct: true });
+        expect(await spectator.next('takeResult')).toMatchObject({ seat: 0, correct: true });
+    });
+
+    test('対戦していない部屋は観戦できない', async () => {
+        const spectator = await connect();
+        spectator.send({ type: 'watch', roomId: 'unknown' });
+        expect((await spectator.next('error')).error).toBe('観戦できる対戦が見つかりません');
+    });
+
+    test('待っている間に切断した人とは組み合わせない', async () => {
+        const leaving = await connect();
+        leaving.send({ type: 'join', mode: 'genpei' });
+        await leaving.next('waiting');
+        leaving.socket.close();
+        await new Promise((resolve) => leaving.socket.once('close', resolve));
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        const client = await connect();
+        client.send({ type: 'join', mode: 'genpei' });
+        expect(await client.next('waiting')).toEqual({ type: 'waiting', mode: 'genpei' });
+        expect(matchServer.getRoomCount()).toBe(0);
+    });
+});
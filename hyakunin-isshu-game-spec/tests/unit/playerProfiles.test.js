@@ -0,0 +1,77 @@
+/**
+ * プレイヤーのプロフィール（playerProfiles）のユニットテスト
+ */
+const {
+    PROFILE_COLORS, PROFILE_GRADES, validateProfile, validateGameRecord, summarizeHistory,
+} = require('../../public/js/playerProfiles');
+
+describe('PROFILE_COLORS・PROFILE_GRADES', () => {
+    test('アバターの色と、A〜E級・級なしを定義する', () => {
+        expect(PROFILE_COLORS.map((color) => color.id)).toEqual(['red', 'blue', 'green', 'yellow', 'purple', 'orange']);
+        expect(PROFILE_GRADES.map((grade) => grade.label)).toEqual(['A級', 'B級', 'C級', 'D級', 'E級', '級なし']);
+    });
+});
+
+describe('validateProfile', () => {
+    test('名前・アバターの色・級がそろったプロフィールは有効と判定する', () => {
+        expect(validateProfile({ name: 'たかこ', color: 'red', grade: 'B' })).toEqual({ valid: true, errors: [] });
+    });
+
+    test('名前・色・級が正しくない場合は無効と判定する', () => {
+        expect(validateProfile(null).errors).toEqual(['Profile must be a non-null object']);
+        expect(validateProfile({ name: ' ', color: 'black', grade: 'F' }).errors).toEqual([
+            'name must be a non-empty string',
+            'color must be one of red, blue, green, yellow, purple, orange',
+            'grade must be one of A, B, C, D, E, none',
+        ]);
+        expect(validateProfile({ name: 'あ'.repeat(21), color: 'red', grade: 'none' }).errors)
+            .toEqual(['name must be at most 20 characters']);
+    });
+});
+
+describe('validateGameRecord', () => {
+    const record = { kind: 'cpu', mode: 'competitive', deckSize: 25, correct: 20, incorrect: 3, accuracy: 86.96, elapsedMs: 300000 };
+
+    test('遊び方・モード・枚数・スコアがそろった記録は有効と判定する', () => {
+        expect(validateGameRecord(record)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('正しくない項目をすべて返す', () => {
+        expect(validateGameRecord([]).errors).toEqual(['Game record must be a non-null object']);
+        expect(validateGameRecord(Object.assign({}, record, {
+            kind: 'online', mode: 'bozu', deckSize: 0, correct: -1, accuracy: 101, elapsedMs: 1.5,
+        })).errors).toEqual([
+            'kind must be one of solo, cpu, daily, server',
+            'Unknown game mode: bozu',
+            'deckSize must be a positive integer',
+            'correct must be a non-negative integer',
+            'elapsedMs must be a non-negative integer',
+            'accuracy must be a number between 0 and 100',
+        ]);
+    });
+});
+
+describe('summarizeHistory', () => {
+    test('すべての記録の正解数・不正解数を合わせて正答率を計算する', () => {
+        const games = [
+            { correct: 9, incorrect: 1, accuracy: 90, elapsedMs: 60000, playedAt: '2024-05-01T10:00:00.000Z' },
+            { correct: 4, incorrect: 4, accuracy: 50, elapsedMs: 30000, playedAt: '2024-05-03T10:00:00.000Z' },
+            { correct: 0, incorrect: 0, accuracy: 0, elapsedMs: 1000, playedAt: '2024-05-02T10:00:00.000Z' },
+        ];
+        expect(summarizeHistory(games)).toEqual({
+            gameCount: 3,
+            correct: 13,
+            incorrect: 5,
+            accuracy: 72.22,
+            bestAccuracy: 90,
+            averageElapsedMs: 30333,
+            lastPlayedAt: '2024-05-03T10:00:00.000Z',
+        });
+    });
+
+    test('記録がない場合は0件の成績を返す', () => {
+        expect(summarizeHistory([])).toEqual({
+            gameCount: 0, correct: 0, incorrect: 0, accuracy: 0, bestAccuracy: null, averageElapsedMs: null, lastPlayedAt: null,
+        });
+    });
+});
@@ -1,7 +1,7 @@
 /**
  * 歌データバリデーション関数のユニットテスト
  */
-const { validatePoem, validatePoemCollection } = require('../../src/poemValidator');
+const { validatePoem, validatePoemCollection, POEM_CATEGORIES, POEM_COLORS } = require('../../src/poemValidator');
 
 describe('validatePoem', () => {
     // 有効な Poem オブジェクト
@@ -10,6 +10,10 @@ describe('validatePoem', () => {
         author: '天智天皇',
         upperVerse: '秋の田の かりほの庵の 苫をあらみ',
         lowerVerse: 'わが衣手は 露にぬれつつ',
+        upperReading: 'あきのたの かりほのいおの とまをあらみ',
+        lowerReading: 'わがころもでは つゆにぬれつつ',
+        category: 'tenno',
+        color: 'blue',
     };
 
     describe('有効なデータの検証', () => {
@@ -155,6 +159,79 @@ describe('validatePoem', () => {
         });
     });
 
+    describe('upperReading / lowerReading フィールドの検証', () => {
+        test('upperReading がない場合、無効と判定する', () => {
+            const { upperReading, ...poem } = validPoem;
+            const result = validatePoem(poem);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('upperReading must be a string');
+        });
+
+        test('lowerReading が空白のみの場合、無効と判定する', () => {
+            const poem = { ...validPoem, lowerReading: '　 ' };
+            const result = validatePoem(poem);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('lowerReading must be a non-empty string');
+        });
+
+        test('upperReading に漢字が含まれる場合、無効と判定する', () => {
+            const poem = { ...validPoem, upperReading: '秋のたの かりほのいおの とまをあらみ' };
+            const result = validatePoem(poem);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('upperReading must contain only hiragana');
+        });
+
+        test('lowerReading にカタカナが含まれる場合、無効と判定する', () => {
+            const poem = { ...validPoem, lowerReading: 'ワガころもでは つゆにぬれつつ' };
+            const result = validatePoem(poem);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('lowerReading must contain only hiragana');
+        });
+
+        test('全角空白で区切られた読みは有効と判定する', () => {
+            const poem = { ...validPoem, upperReading: 'あきのたの　かりほのいおの　とまをあらみ' };
+            expect(validatePoem(poem).valid).toBe(true);
+        });
+    });
+
+    describe('category フィールドの検証', () => {
+        test.each(POEM_CATEGORIES)('category が %s の場合、有効と判定する', (category) => {
+            const poem = { ...validPoem, category: category };
+            expect(validatePoem(poem).valid).toBe(true);
+        });
+
+        test('category がない場合、無効と判定する', () => {
+            const { category, ...poem } = validPoem;
+            const result = validatePoem(poem);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('category must be one of: tono, hime, bozu, tenno, semimaru');
+        });
+
+        test('category が未定義の種類の場合、無効と判定する', () => {
+            const poem = { ...validPoem, category: 'ninja' };
+            expect(validatePoem(poem).valid).toBe(false);
+        });
+    });
+
+    describe('color フィールドの検証', () => {
+        test.each(POEM_COLORS)('color が %s の場合、有効と判定する', (color) => {
+            const poem = { ...validPoem, color: color };
+            expect(validatePoem(poem).valid).toBe(true);
+        });
+
+        test('color がない場合、無効と判定する', () => {
+            const { color, ...poem } = validPoem;
+            const result = validatePoem(poem);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('color must be one of: blue, pink, yellow, green, orange');
+        });
+
+        test('color が五色以外の場合、無効と判定する', () => {
+            const poem = { ...validPoem, color: 'purple' };
+            expect(validatePoem(poem).valid).toBe(false);
+        });
+    });
+
     describe('エッジケース', () => {
         test('null を渡した場合、無効と判定する', () => {
             const result = validatePoem(null);
@@ -181,15 +258,21 @@ describe('validatePoem', () => {
         });
 
         test('複数のフィールドが無効な場合、すべてのエラーを返す', () => {
-            const poem = { id: 'abc', author: '', upperVerse: 42, lowerVerse: null };
+            const poem = {
+                id: 'abc', author: '', upperVerse: 42, lowerVerse: null,
+                upperReading: 'かんじ漢字', lowerReading: '',
+            };
             const result = validatePoem(poem);
             expect(result.valid).toBe(false);
-            expect(result.errors.length).toBe(4);
+            expect(result.errors.length).toBe(8);
         });
     });
 });
 
 describe('validatePoemCollection', () => {
+    // 読みの生成に使うひらがな（10文字 × 10文字で100通りの一意な読みを作る）
+    const KANA = 'あいうえおかきくけこ';
+
     // テスト用の有効な100首コレクションを生成するヘルパー
     function createValidCollection() {
         return Array.from({ length: 100 }, (_, i) => ({
@@ -197,6 +280,10 @@ describe('validatePoemCollection', () => {
             author: `作者${i + 1}`,
             upperVerse: `上の句${i + 1}`,
             lowerVerse: `下の句${i + 1}`,
+            upperReading: `かみ ${KANA[Math.floor(i / 10)]}${KANA[i % 10]}`,
+            lowerReading: `しも ${KANA[Math.floor(i / 10)]}${KANA[i % 10]}`,
+            category: 'tono',
+            color: 'blue',
         }));
     }
 
@@ -226,6 +313,10 @@ describe('validatePoemCollection', () => {
                 author: '追加作者',
                 upperVerse: '追加上の句',
                 lowerVerse: '追加下の句',
+                upperReading: 'ついかかみのく',
+                lowerReading: 'ついかしものく',
+                category: 'tono',
+                color: 'blue',
             });
             const result = validatePoemCollection(poems);
             expect(result.valid).toBe(false);
@@ -251,10 +342,20 @@ describe('validatePoemCollection', () => {
         });
     });
 
+    describe('上の句の読みの一意性の検証', () => {
+        test('空白を除いて同じ読みの上の句がある場合、無効と判定する', () => {
+            const poems = createValidCollection();
+            poems[99] = { ...poems[99], upperReading: poems[0].upperReading.replace(' ', '') };
+            const result = validatePoemCollection(poems);
+            expect(result.valid).toBe(false);
+            expect(result.errors.some((e) => e.includes('Duplicate upper verse readings'))).toBe(true);
+        });
+    });
+
     describe('個別 Poem の検証', () => {
         test('コレクション内に無効な Poem がある場合、エラーを報告する', () => {
             const poems = createValidCollection();
-            poems[5] = { id: 6, author: '', upperVerse: '上の句6', lowerVerse: '下の句6' };
+            poems[5] = { ...poems[5], author: '' };
             const result = validatePoemCollection(poems);
             expect(result.valid).toBe(false);
             expect(
@@ -263,6 +364,32 @@ describe('validatePoemCollection', () => {
         });
     });
 
+    describe('歌データファイル', () => {
+        test('data/poems.json は有効なコレクションである', () => {
+            const poems = require('../../data/poems.json');
+            const result = validatePoemCollection(poems);
+            expect(result.errors).toEqual([]);
+            expect(result.valid).toBe(true);
+        });
+
+        test('坊主・姫・天皇・蝉丸の札の枚数が正しい', () => {
+            const poems = require('../../data/poems.json');
+            const count = (category) => poems.filter((p) => p.category === category).length;
+            expect(count('bozu')).toBe(12);
+            expect(count('semimaru')).toBe(1);
+            expect(count('hime')).toBe(20);
+            expect(count('tenno')).toBe(8);
+            expect(count('tono')).toBe(59);
+        });
+
+        test('五色の色札はそれぞれ20枚ずつ', () => {
+            const poems = require('../../data/poems.json');
+            POEM_COLORS.forEach((color) => {
+                expect(poems.filter((p) => p.color === color).length).toBe(20);
+            });
+        });
+    });
+
     describe('エッジケース', () => {
         test('配列でない値を渡した場合、無効と判定する', () => {
             const result = validatePoemCollection('not an array');
@@ -0,0 +1,124 @@
+/**
+ * ProfileClient（プレイヤーのプロフィールのクライアント）のユニットテスト
+ */
+const { ProfileClient, LOCAL_PROFILES_KEY } = require('../../public/js/profileClient');
+
+/**
+ * テスト用の fetch。呼び出しを記録し、用意したレスポンスを順に返す
+ * レスポンスの代わりに null を用意した場合は、通信の失敗（サーバーに接続できない）にする
+ * @param {Array<{ status: number, body: Object }|null>} responses - 返すレスポンス
+ */
+function createFakeFetch(responses) {
+    const calls = [];
+    const fakeFetch = (url, init) => {
+        calls.push({ url, method: init.method, body: init.body === undefined ? undefined : JSON.parse(init.body) });
+        const response = responses.shift();
+        if (response === null) {
+            return Promise.reject(new TypeError('Failed to fetch'));
+        }
+        return Promise.resolve({
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            json: () => Promise.resolve(response.body),
+        });
+    };
+    fakeFetch.calls = calls;
+    return fakeFetch;
+}
+
+/**
+ * テスト用の localStorage
+ */
+function createFakeStorage() {
+    const items = {};
+    return {
+        getItem: (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        items,
+    };
+}
+
+const record = { kind: 'solo', mode: 'standard', deckSize: 10, correct: 9, incorrect: 1, accuracy: 90, elapsedMs: 60000 };
+const now = () => new Date('2024-05-01T10:00:00.000Z');
+
+describe('ProfileClient', () => {
+    test('サーバーにプロフィールを作り、ゲームの記録と履歴をサーバーで扱う', async () => {
+        const serverProfile = { id: 'abc', name: 'たかこ', color: 'red', grade: 'B' };
+        const serverGame = Object.assign({ id: 'g1', profileId: 'abc', playedAt: '2024-05-01T09:00:00.000Z' }, record);
+        const fakeFetch = createFakeFetch([
+            { status: 201, body: serverProfile },
+            { status: 200, body: { profiles: [serverProfile] } },
+            { status: 201, body: serverGame },
+            { status: 200, body: { profileId: 'abc', games: [serverGame] } },
+        ]);
+        const storage = createFakeStorage();
+        const client = new ProfileClient({ fetch: fakeFetch, storage, now });
+
+        expect(await client.createProfile({ name: 'たかこ', color: 'red', grade: 'B' })).toEqual(serverProfile);
+        expect(await client.listProfiles()).toEqual({ profiles: [serverProfile], offline: false });
+        expect(await client.recordGame('abc', record)).toEqual(serverGame);
+        const history = await client.getHistory('abc');
+        expect(history.games).toEqual([serverGame]);
+        expect(history.stats).toMatchObject({ gameCount: 1, accuracy: 90 });
+
+        expect(fakeFetch.calls.map((call) => `${call.method} ${call.url}`)).toEqual([
+            'POST /api/profiles',
+            'GET /api/profiles',
+            'POST /api/profiles/abc/games',
+            'GET /api/history?profileId=abc',
+        ]);
+        expect(storage.items[LOCAL_PROFILES_KEY]).toBeUndefined();
+    });
+
+    test('サーバーに接続できない場合はプロフィールと記録をブラウザに保存する', async () => {
+        const storage = createFakeStorage();
+        const client = new ProfileClient({ fetch: createFakeFetch([null, null, null]), storage, now });
+
+        const profile = await client.createProfile({ name: ' ゆう ', color: 'blue', grade: 'none' });
+        expect(profile).toMatchObject({ name: 'ゆう', color: 'blue', grade: 'none', createdAt: '2024-05-01T10:00:00.000Z' });
+        expect(client.isLocal(profile.id)).toBe(true);
+
+        // ブラウザのプロフィールの記録はサーバーに送らない
+        const game = await client.recordGame(profile.id, record);
+        expect(game).toMatchObject(Object.assign({ profileId: profile.id, playedAt: '2024-05-01T10:00:00.000Z' }, record));
+
+        expect(await client.listProfiles()).toEqual({ profiles: [profile], offline: true });
+        expect(await client.getHistory(profile.id)).toMatchObject({ games: [game], offline: false });
+        // 全員の記録は一覧だけで、成績は合わせない
+        expect(await client.getHistory(null)).toEqual({ games: [game], stats: null, offline: true });
+
+        // 同じ端末で作り直したクライアントからも読める
+        const reopened = new ProfileClient({ fetch: createFakeFetch([null]), storage });
+        expect((await reopened.listProfiles()).profiles).toEqual([profile]);
+    });
+
+    test('サーバーのプロフィールで送れなかった記録はブラウザに残し、履歴に合わせて新しい順に表示する', async () => {
+        const serverGame = Object.assign({ id: 'g1', profileId: 'abc', playedAt: '2024-05-01T09:00:00.000Z' }, record);
+        const client = new ProfileClient({
+            fetch: createFakeFetch([
+                { status: 503, body: { error: 'サーバーのエラー' } },
+                { status: 200, body: { profileId: 'abc', games: [serverGame] } },
+            ]),
+            storage: createFakeStorage(),
+            now,
+        });
+
+        const offlineGame = await client.recordGame('abc', Object.assign({}, record, { correct: 5, incorrect: 5, accuracy: 50 }));
+        const history = await client.getHistory('abc');
+        expect(history.games).toEqual([offlineGame, serverGame]);
+        expect(history.stats).toMatchObject({ gameCount: 2, correct: 14, incorrect: 6, accuracy: 70 });
+    });
+
+    test('正しくないプロフィール・記録と、サーバーが断ったリクエストはエラーになる', async () => {
+        const client = new ProfileClient({
+            fetch: createFakeFetch([{ status: 404, body: { error: 'プロフィールが見つかりません' } }]),
+            storage: createFakeStorage(),
+        });
+
+        await expect(client.createProfile({ name: '', color: 'red', grade: 'A' }))
+            .rejects.toMatchObject({ message: 'プロフィールの形式が正しくありません', details: ['name must be a non-empty string'] });
+        await expect(client.recordGame('abc', Object.assign({}, record, { kind: 'bozu' })))
+            .rejects.toThrow('ゲームの記録の形式が正しくありません');
+        await expect(client.recordGame('abc', record)).rejects.toMatchObject({ message: 'プロフィールが見つかりません', status: 404 });
+    });
+});
@@ -0,0 +1,348 @@
+/**
+ * PoemReader（読み上げ）のユニットテスト
+ *
+ * 音声の出力と待ち時間はスタブに差し替え、読み上げの順序だけを確かめる
+ */
+const {
+    PoemReader,
+    JOKA,
+    createWebSpeech,
+    createAudioRecordings,
+    createReaderPlugin,
+} = require('../../public/js/reader');
+const { GameEngine } = require('../../public/js/gameEngine');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+        upperReading: `かみのく${i + 1}`,
+        lowerReading: `しものく${i + 1}`,
+    }));
+}
+
+/**
+ * 読み上げと待ち時間を記録するスタブを作る
+ * @returns {{ speech: Object, wait: function(number): Promise<void>, log: string[] }}
+ */
+function createStubSpeech() {
+    const log = [];
+    return {
+        log: log,
+        speech: {
+            speak: jest.fn((text, options) => {
+                log.push(`speak:${text}@${options.rate}`);
+                return Promise.resolve();
+            }),
+            cancel: jest.fn(() => log.push('cancel')),
+            getVoiceNames: () => ['Kyoko'],
+        },
+        wait: (ms) => {
+            log.push(`wait:${ms}`);
+            return Promise.resolve();
+        },
+    };
+}
+
+describe('PoemReader', () => {
+    test('上の句 → 間 → 下の句 → 間 → 下の句 → 余韻 の順に読む', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, { wait: stub.wait });
+
+        await expect(reader.readCard(createTestPoems(1)[0])).resolves.toBe(true);
+        expect(stub.log).toEqual([
+            'speak:かみのく1@1',
+            'wait:1000',
+            'speak:しものく1@1',
+            'wait:1000',
+            'speak:しものく1@1',
+            'wait:3000',
+        ]);
+    });
+
+    test('下の句を繰り返さない設定と読む速さを反映する', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, {
+            wait: stub.wait,
+            settings: { rate: 1.25, repeatLower: false, afterglowMs: 2000 },
+        });
+
+        await reader.readCard(createTestPoems(1)[0]);
+        expect(stub.log).toEqual([
+            'speak:かみのく1@1.25',
+            'wait:1000',
+            'speak:しものく1@1.25',
+            'wait:2000',
+        ]);
+    });
+
+    test('序歌「難波津に」は下の句を2回読む', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, { wait: stub.wait, settings: { repeatLower: false } });
+
+        await reader.readJoka();
+        const spoken = stub.log.filter((entry) => entry.startsWith('speak:'));
+        expect(spoken).toEqual([
+            `speak:${JOKA.upperReading}@1`,
+            `speak:${JOKA.lowerReading}@1`,
+            `speak:${JOKA.lowerReading}@1`,
+        ]);
+        expect(JOKA.upperReading).toBe('なにわづに さくやこのはな ふゆごもり');
+        expect(JOKA.lowerReading).toBe('いまははるべと さくやこのはな');
+    });
+
+    test('読みがない歌は歌の表記を読む', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, { wait: stub.wait, settings: { repeatLower: false } });
+
+        await reader.readCard({ id: 1, upperVerse: '秋の田の', lowerVerse: 'わが衣手は' });
+        expect(stub.log[0]).toBe('speak:秋の田の@1');
+        expect(stub.log[2]).toBe('speak:わが衣手は@1');
+    });
+
+    test('読み始める前に次の札が渡された札は読まずに飛ばす', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, { wait: stub.wait, settings: { repeatLower: false } });
+        const poems = createTestPoems(3);
+        const started = [];
+        const onUpperStart = (poem) => started.push(poem.id);
+
+        await expect(reader.readCard(poems[0], { onUpperStart })).resolves.toBe(true);
+
+        const second = reader.readCard(poems[1], { onUpperStart });
+        const third = reader.readCard(poems[2], { onUpperStart });
+        await expect(second).resolves.toBe(false);
+        await expect(third).resolves.toBe(true);
+        expect(started).toEqual([1, 3]);
+    });
+
+    test('cancel で読み上げを止め、順番待ちの読み上げも取りやめる', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, { wait: stub.wait });
+
+        const reading = reader.readCard(createTestPoems(1)[0]);
+        reader.cancel();
+
+        await expect(reading).resolves.toBe(false);
+        expect(stub.speech.cancel).toHaveBeenCalled();
+        expect(stub.speech.speak).not.toHaveBeenCalled();
+    });
+
+    test('不正な設定はエラーをスローする', () => {
+        const stub = createStubSpeech();
+        expect(() => new PoemReader({})).toThrow('speech must have speak() and cancel()');
+        expect(() => new PoemReader(stub.speech, { settings: { rate: 3 } })).toThrow('rate must be between 0.5 and 2');
+        expect(() => new PoemReader(stub.speech, { settings: { pauseMs: -1 } })).toThrow('pauseMs must be a non-negative number');
+    });
+
+    test('音声の出力が持つ声の名前を返す', () => {
+        const stub = createStubSpeech();
+        expect(new PoemReader(stub.speech).getVoiceNames()).toEqual(['Kyoko']);
+    });
+});
+
+describe('読手の録音', () => {
+    /**
+     * 指定した句の録音を持つスタブを作る
+     * @param {string[]} available - 録音がある句（'1-upper' の形式）
+     * @param {string[]} log - 再生した句を記録する配列
+     * @param {boolean} [playable=true] - 再生に成功するか
+     */
+    function createStubRecordings(available, log, playable = true) {
+        return {
+            has: (poemId, part) => available.includes(`${poemId}-${part}`),
+            play: jest.fn((poemId, part, options) => {
+                log.push(`play:${poemId}-${part}@${options.rate}`);
+                return Promise.resolve(playable);
+            }),
+            cancel: jest.fn(),
+        };
+    }
+
+    test('録音がある句は録音を再生し、ない句は音声合成で読む', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, {
+            wait: stub.wait,
+            settings: { repeatLower: false },
+            recordings: createStubRecordings(['1-upper'], stub.log),
+        });
+
+        await reader.readCard(createTestPoems(1)[0]);
+        expect(stub.log.filter((entry) => !entry.startsWith('wait:'))).toEqual([
+            'play:1-upper@1',
+            'speak:しものく1@1',
+        ]);
+    });
+
+    test('録音を再生できなかった句は音声合成で読み直す', async () => {
+        const stub = createStubSpeech();
+        const reader = new PoemReader(stub.speech, { wait: stub.wait, settings: { repeatLower: false } });
+        reader.setRecordings(createStubRecordings(['1-upper', '1-lower'], stub.log, false));
+
+        await reader.readCard(createTestPoems(1)[0]);
+        expect(stub.log.filter((entry) => !entry.startsWith('wait:'))).toEqual([
+            'play:1-upper@1',
+            'speak:かみのく1@1',
+            'play:1-lower@1',
+            'speak:しものく1@1',
+        ]);
+    });
+
+    test('序歌は歌番号0の録音を使い、cancel で録音の再生も止める', async () => {
+        const stub = createStubSpeech();
+        const recordings = createStubRecordings(['0-upper', '0-lower'], stub.log);
+        const reader = new PoemReader(stub.speech, { wait: stub.wait, recordings });
+
+        await reader.readJoka();
+        expect(stub.speech.speak).not.toHaveBeenCalled();
+        expect(recordings.play).toHaveBeenCalledTimes(3);
+
+        reader.cancel();
+        expect(recordings.cancel).toHaveBeenCalled();
+    });
+
+    describe('createAudioRecordings', () => {
+        /**
+         * 再生の終わりをテストから操作できる Audio のスタブを作る
+         */
+        function createFakeWindow() {
+            const audios = [];
+            function FakeAudio(src) {
+                // play はプロトタイプに置き、テストごとに差し替えられるようにする
+                this.src = src;
+                this.pause = jest.fn();
+                audios.push(this);
+            }
+            FakeAudio.prototype.play = () => Promise.resolve();
+            return { win: { Audio: FakeAudio }, audios };
+        }
+
+        const manifest = { poems: { 1: { upper: '/api/audio/001-upper.mp3' } } };
+
+        test('Audio がない環境や不正なマニフェストではnullを返す', () => {
+            expect(createAudioRecordings({}, manifest)).toBeNull();
+            expect(createAudioRecordings(createFakeWindow().win, null)).toBeNull();
+        });
+
+        test('マニフェストにある句の録音を読む速さで再生する', async () => {
+            const { win, audios } = createFakeWindow();
+            const recordings = createAudioRecordings(win, manifest);
+            expect(recordings.has(1, 'upper')).toBe(true);
+            expect(recordings.has(1, 'lower')).toBe(false);
+            expect(recordings.has(2, 'upper')).toBe(false);
+
+            const playing = recordings.play(1, 'upper', { rate: 1.25 });
+            expect(audios[0].src).toBe('/api/audio/001-upper.mp3');
+            expect(audios[0].playbackRate).toBe(1.25);
+            audios[0].onended();
+            await expect(playing).resolves.toBe(true);
+        });
+
+        test('再生に失敗した場合はfalse、止めた場合はtrueで解決する', async () => {
+            const { win, audios } = createFakeWindow();
+            const recordings = createAudioRecordings(win, manifest);
+
+            const failed = recordings.play(1, 'upper', { rate: 1 });
+            audios[0].onerror();
+            await expect(failed).resolves.toBe(false);
+
+            const stopped = recordings.play(1, 'upper', { rate: 1 });
+            recordings.cancel();
+            await expect(stopped).resolves.toBe(true);
+            expect(audios[1].pause).toHaveBeenCalled();
+
+            await expect(recordings.play(1, 'lower', { rate: 1 })).resolves.toBe(false);
+        });
+
+        test('自動再生が拒否された場合はfalseで解決する', async () => {
+            const { win } = createFakeWindow();
+            win.Audio.prototype.play = () => Promise.reject(new Error('NotAllowedError'));
+            const recordings = createAudioRecordings(win, manifest);
+            await expect(recordings.play(1, 'upper', { rate: 1 })).resolves.toBe(false);
+        });
+    });
+});
+
+describe('createWebSpeech', () => {
+    test('Web Speech API がない環境ではnullを返す', () => {
+        expect(createWebSpeech({})).toBeNull();
+        expect(createWebSpeech(undefined)).toBeNull();
+    });
+
+    test('日本語の声を選び、読み終えたら解決する', async () => {
+        const spoken = [];
+        function FakeUtterance(text) {
+            this.text = text;
+        }
+        const win = {
+            SpeechSynthesisUtterance: FakeUtterance,
+            speechSynthesis: {
+                getVoices: () => [{ name: 'Alex', lang: 'en-US' }, { name: 'Kyoko', lang: 'ja-JP' }],
+                speak: (utterance) => {
+                    spoken.push(utterance);
+                    utterance.onend();
+                },
+                cancel: jest.fn(),
+            },
+        };
+
+        const speech = createWebSpeech(win);
+        expect(speech.getVoiceNames()).toEqual(['Kyoko']);
+        await speech.speak('あきのたの', { rate: 0.75, voiceName: 'Kyoko' });
+        expect(spoken[0]).toMatchObject({ text: 'あきのたの', lang: 'ja-JP', rate: 0.75, voice: { name: 'Kyoko' } });
+        speech.cancel();
+        expect(win.speechSynthesis.cancel).toHaveBeenCalled();
+    });
+});
+
+describe('createReaderPlugin', () => {
+    /**
+     * 呼び出しを記録するスタブの読み手を作る
+     */
+    function createStubReader() {
+        return {
+            readJoka: jest.fn(() => Promise.resolve(true)),
+            readCard: jest.fn(() => Promise.resolve(true)),
+            cancel: jest.fn(),
+        };
+    }
+
+    test('新しいゲームでは序歌を読んでから最初の札を読み、ラウンドごとに札を読む', () => {
+        const reader = createStubReader();
+        const onUpperStart = jest.fn();
+        const engine = new GameEngine(createTestPoems(3));
+        engine.use(createReaderPlugin(reader, { onUpperStart }));
+
+        engine.initGame({ seed: 1 });
+        expect(reader.cancel).toHaveBeenCalled();
+        expect(reader.readJoka).toHaveBeenCalledTimes(1);
+        expect(reader.readCard).toHaveBeenCalledWith(engine.getCurrentReadingCard(), { onUpperStart });
+        expect(reader.readJoka.mock.invocationCallOrder[0])
+            .toBeLessThan(reader.readCard.mock.invocationCallOrder[0]);
+
+        engine.passRound();
+        expect(reader.readCard).toHaveBeenCalledTimes(2);
+        expect(reader.readCard.mock.calls[1][0]).toBe(engine.getCurrentReadingCard());
+    });
+
+    test('再開したゲームでは序歌を読まずに現在の札から読む', () => {
+        const poems = createTestPoems(3);
+        const engine = new GameEngine(poems);
+        engine.initGame({ seed: 1 });
+
+        const reader = createStubReader();
+        const restored = new GameEngine(poems);
+        restored.use(createReaderPlugin(reader));
+        restored.restore(engine.serialize());
+
+        expect(reader.readJoka).not.toHaveBeenCalled();
+        expect(reader.readCard).toHaveBeenCalledWith(restored.getCurrentReadingCard(), { onUpperStart: undefined });
+    });
+});
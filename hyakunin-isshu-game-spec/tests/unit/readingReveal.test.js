@@ -0,0 +1,58 @@
+/**
+ * 読み上げ表示（上の句を1文字ずつ表示）モジュールのユニットテスト
+ */
+const {
+    getRevealedLength,
+    getReadingLength,
+    sliceReading,
+    classifyTakeTiming,
+} = require('../../public/js/readingReveal');
+
+describe('getRevealedLength', () => {
+    test('読み始めの時点で1文字目を表示し、間隔ごとに1文字ずつ増やす', () => {
+        expect(getRevealedLength(0, 200, 10)).toBe(1);
+        expect(getRevealedLength(199, 200, 10)).toBe(1);
+        expect(getRevealedLength(200, 200, 10)).toBe(2);
+        expect(getRevealedLength(1000, 200, 10)).toBe(6);
+    });
+
+    test('読みの文字数を超えない', () => {
+        expect(getRevealedLength(60000, 200, 10)).toBe(10);
+    });
+
+    test('間隔が0の場合は全文字を表示する', () => {
+        expect(getRevealedLength(0, 0, 10)).toBe(10);
+    });
+});
+
+describe('getReadingLength / sliceReading', () => {
+    const reading = 'あきのたの かりほのいおの';
+
+    test('空白を除いた文字数を数える', () => {
+        expect(getReadingLength(reading)).toBe(12);
+        expect(getReadingLength(undefined)).toBe(0);
+    });
+
+    test('空白を除いて数えた文字数まで、句の区切りの空白を含めて切り出す', () => {
+        expect(sliceReading(reading, 3)).toBe('あきの');
+        expect(sliceReading(reading, 6)).toBe('あきのたの か');
+        expect(sliceReading(reading, 12)).toBe(reading);
+        expect(sliceReading(reading, 0)).toBe('');
+    });
+});
+
+describe('classifyTakeTiming', () => {
+    test('決まり字が読み終わるまでに取った場合は速い', () => {
+        expect(classifyTakeTiming(1, 2, 17)).toBe('fast');
+        expect(classifyTakeTiming(2, 2, 17)).toBe('fast');
+    });
+
+    test('決まり字より後、上の句を読み終える前は普通', () => {
+        expect(classifyTakeTiming(3, 2, 17)).toBe('normal');
+        expect(classifyTakeTiming(16, 2, 17)).toBe('normal');
+    });
+
+    test('上の句がすべて表示されてから取った場合は遅い', () => {
+        expect(classifyTakeTiming(17, 2, 17)).toBe('slow');
+    });
+});
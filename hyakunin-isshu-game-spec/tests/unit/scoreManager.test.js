@@ -3,7 +3,22 @@
  *
  * Requirements: 5.1, 5.2
  */
-const { ScoreManager } = require('../../public/js/scoreManager');
+const { ScoreManager, TIMING_BONUS, createScorePlugin } = require('../../public/js/scoreManager');
+const { GameEngine } = require('../../public/js/gameEngine');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
 
 describe('ScoreManager', () => {
     describe('constructor', () => {
@@ -316,4 +331,313 @@ describe('ScoreManager', () => {
             expect(sm.getScore().remaining).toBe(9);
         });
     });
+
+    describe('陣ごとの残り札数', () => {
+        let sm;
+
+        beforeEach(() => {
+            sm = new ScoreManager(50, { player: 25, opponent: 25 });
+        });
+
+        test('陣ごとの札数を指定して初期化できる', () => {
+            expect(sm.getRemainingBySide()).toEqual({ player: 25, opponent: 25 });
+            expect(sm.getScore().remaining).toBe(50);
+        });
+
+        test('陣を指定しない場合は remainingBySide が null', () => {
+            expect(new ScoreManager(10).getScore().remainingBySide).toBeNull();
+        });
+
+        test('陣ごとの札数に負の数を指定するとエラーをスローする', () => {
+            expect(() => new ScoreManager(50, { player: -1 })).toThrow('sideCounts must contain non-negative integers');
+        });
+
+        test('陣ごとの札数に配列を指定するとエラーをスローする', () => {
+            expect(() => new ScoreManager(50, [25, 25])).toThrow('sideCounts must be an object');
+        });
+
+        test('addCorrect で取った札があった陣の札数が減る', () => {
+            sm.addCorrect('opponent');
+            expect(sm.getScore().correct).toBe(1);
+            expect(sm.getRemainingBySide()).toEqual({ player: 25, opponent: 24 });
+            expect(sm.getScore().remaining).toBe(49);
+        });
+
+        test('transferCard で札が陣の間を移動する', () => {
+            sm.transferCard('player', 'opponent');
+            expect(sm.getRemainingBySide()).toEqual({ player: 24, opponent: 26 });
+            expect(sm.getScore().remaining).toBe(50);
+        });
+
+        test('札がない陣からは送れない', () => {
+            const empty = new ScoreManager(1, { player: 0, opponent: 1 });
+            empty.transferCard('player', 'opponent');
+            expect(empty.getRemainingBySide()).toEqual({ player: 0, opponent: 1 });
+        });
+
+        test('removeCard で正解数を変えずに陣の札数が減る', () => {
+            sm.removeCard('player');
+            expect(sm.getScore().correct).toBe(0);
+            expect(sm.getRemainingBySide().player).toBe(24);
+        });
+
+        test('addFoul でお手つき数と不正解数が増える', () => {
+            sm.addFoul();
+            expect(sm.getScore().fouls).toBe(1);
+            expect(sm.getScore().incorrect).toBe(1);
+        });
+
+        test('reset で陣ごとの札数が初期値に戻る', () => {
+            sm.addCorrect('player');
+            sm.addFoul();
+            sm.reset();
+            expect(sm.getRemainingBySide()).toEqual({ player: 25, opponent: 25 });
+            expect(sm.getScore().fouls).toBe(0);
+        });
+
+        test('getRemainingBySide はコピーを返す', () => {
+            const bySide = sm.getRemainingBySide();
+            bySide.player = 0;
+            expect(sm.getRemainingBySide().player).toBe(25);
+        });
+    });
+
+    describe('チームごとの残り札数（源平合戦）', () => {
+        test('チーム名をキーに残り札数を管理できる', () => {
+            const sm = new ScoreManager(100, { genji: 50, heike: 50 });
+            sm.addCorrect('heike');
+            sm.transferCard('genji', 'heike');
+            expect(sm.getRemainingBySide()).toEqual({ genji: 49, heike: 50 });
+            expect(sm.getScore().remaining).toBe(99);
+        });
+
+        test('存在しないチームを指定しても札数は変わらない', () => {
+            const sm = new ScoreManager(100, { genji: 50, heike: 50 });
+            sm.removeCard('player');
+            sm.transferCard('genji', 'player');
+            expect(sm.getRemainingBySide()).toEqual({ genji: 50, heike: 50 });
+        });
+    });
+
+    describe('陣地を持たない場合の removeCard', () => {
+        test('正解数を変えずに残り札数が減る', () => {
+            const sm = new ScoreManager(10);
+            sm.removeCard();
+            const score = sm.getScore();
+            expect(score.correct).toBe(0);
+            expect(score.remaining).toBe(9);
+        });
+
+        test('reset で下げた札の数もリセットされる', () => {
+            const sm = new ScoreManager(10);
+            sm.removeCard();
+            sm.addCorrect();
+            sm.reset();
+            expect(sm.getScore().remaining).toBe(10);
+        });
+    });
+
+    describe('反応時間', () => {
+        test('平均・最速・歌ごとの反応時間を集計する', () => {
+            const sm = new ScoreManager(10);
+            sm.recordReaction({ poemId: 1, author: '作者1', reactionMs: 1200, misses: 1 });
+            sm.recordReaction({ poemId: 2, reactionMs: 801 });
+
+            expect(sm.getReactionTimes()).toEqual({
+                count: 2,
+                average: 1001,
+                best: 801,
+                timings: { fast: 0, normal: 0, slow: 0 },
+                byPoem: [
+                    { poemId: 1, author: '作者1', reactionMs: 1200, misses: 1, timing: null },
+                    { poemId: 2, author: null, reactionMs: 801, misses: 0, timing: null },
+                ],
+            });
+        });
+
+        test('記録がない場合、平均と最速はnull', () => {
+            const sm = new ScoreManager(10);
+            expect(sm.getReactionTimes()).toEqual({
+                count: 0, average: null, best: null, timings: { fast: 0, normal: 0, slow: 0 }, byPoem: [],
+            });
+        });
+
+        test('速く取った札にボーナス点を与え、取りの速さごとの枚数を数える', () => {
+            const sm = new ScoreManager(10);
+            sm.addCorrect();
+            sm.recordReaction({ poemId: 1, reactionMs: 300, timing: 'fast' });
+            sm.addCorrect();
+            sm.recordReaction({ poemId: 2, reactionMs: 900, timing: 'normal' });
+            sm.addCorrect();
+            sm.recordReaction({ poemId: 3, reactionMs: 5000, timing: 'slow' });
+
+            expect(sm.getBonus()).toBe(TIMING_BONUS.fast);
+            expect(sm.getScore()).toMatchObject({ correct: 3, bonus: 1 });
+            expect(sm.getReactionTimes().timings).toEqual({ fast: 1, normal: 1, slow: 1 });
+        });
+
+        test('負の反応時間はエラーをスローする', () => {
+            const sm = new ScoreManager(10);
+            expect(() => sm.recordReaction({ poemId: 1, reactionMs: -1 }))
+                .toThrow('reactionMs must be a non-negative number');
+        });
+
+        test('reset で反応時間の記録も消える', () => {
+            const sm = new ScoreManager(10);
+            sm.recordReaction({ poemId: 1, reactionMs: 500 });
+            sm.reset();
+            expect(sm.getReactionTimes().count).toBe(0);
+        });
+    });
+
+    describe('保存と再開（serialize / restore）', () => {
+        test('陣ごとの札数を含めてスコアを復元できる', () => {
+            const sm = new ScoreManager(50, { player: 25, opponent: 25 });
+            sm.addCorrect('opponent');
+            sm.transferCard('player', 'opponent');
+            sm.addFoul();
+            sm.recordReaction({ poemId: 4, reactionMs: 900 });
+
+            const restored = new ScoreManager(0);
+            restored.restore(JSON.parse(JSON.stringify(sm.serialize())));
+            expect(restored.getScore()).toEqual(sm.getScore());
+            expect(restored.getReactionTimes()).toEqual(sm.getReactionTimes());
+
+            // 初期値も復元されるため reset で開始時の札数に戻る
+            restored.reset();
+            expect(restored.getRemainingBySide()).toEqual({ player: 25, opponent: 25 });
+        });
+
+        test('陣地を持たないスコアも復元できる', () => {
+            const sm = new ScoreManager(10);
+            sm.addCorrect();
+            sm.addIncorrect();
+            sm.removeCard();
+
+            const restored = new ScoreManager(0);
+            restored.restore(sm.serialize());
+            expect(restored.getScore()).toEqual(sm.getScore());
+            expect(restored.getScore().remaining).toBe(8);
+        });
+
+        test('版が異なるスナップショットはエラーをスローする', () => {
+            const sm = new ScoreManager(10);
+            expect(() => sm.restore({ version: 0 })).toThrow('Unsupported snapshot version: 0');
+            expect(() => sm.restore(null)).toThrow('Unsupported snapshot version: null');
+        });
+    });
+
+    describe('createScorePlugin', () => {
+        test('ゲーム開始時に場の札数でリセットし、正解・不正解・見送りを記録する', () => {
+            const sm = new ScoreManager(99);
+            sm.addCorrect();
+            const onChange = jest.fn();
+            const engine = new GameEngine(createTestPoems(3), { now: () => 0 });
+            engine.use(createScorePlugin(sm, onChange));
+            engine.initGame({ seed: 1 });
+            expect(sm.getScore()).toMatchObject({ correct: 0, incorrect: 0, remaining: 3, remainingBySide: null });
+
+            const current = engine.getCurrentReadingCard();
+            const wrongId = engine.getGameState().remainingCards.find((c) => c.id !== current.id).id;
+            engine.selectCard(wrongId);
+            engine.selectCard(current.id);
+            engine.nextRound();
+            engine.passRound();
+
+            expect(sm.getScore()).toMatchObject({ correct: 1, incorrect: 1, remaining: 1 });
+            expect(onChange).toHaveBeenLastCalledWith(sm.getScore());
+            expect(sm.getReactionTimes().byPoem).toEqual([
+                { poemId: current.id, author: current.author, reactionMs: 0, misses: 1, timing: null },
+            ]);
+        });
+
+        test('陣地を持つモードでは送り札・お手つき・相手が取った札を陣ごとに記録する', () => {
+            const sm = new ScoreManager(0);
+            const engine = new GameEngine(createTestPoems(100));
+            engine.use(createScorePlugin(sm));
+            engine.initGame({ mode: 'competitive', seed: 7 });
+            expect(sm.getRemainingBySide()).toEqual({ player: 25, opponent: 25 });
+
+            // 空札でお手つき → 相手から1枚送られる
+            while (!engine.isCurrentKarafuda()) {
+                engine.nextRound();
+            }
+            engine.selectCard(engine.getTerritory('player')[0].id);
+            engine.nextRound();
+
+            // 相手が札を取る
+            while (engine.isCurrentKarafuda()) {
+                engine.nextRound();
+            }
+            engine.selectCard(engine.getCurrentReadingCard().id, { side: 'opponent' });
+
+            expect(sm.getScore()).toMatchObject({ correct: 0, incorrect: 1, fouls: 1 });
+            expect(sm.getRemainingBySide()).toEqual(engine.getScoreData().remainingBySide);
+        });
+
+        test('同じラウンドのお手つきは1回だけ数え、2回目以降は不正解として数える', () => {
+            const sm = new ScoreManager(0);
+            const engine = new GameEngine(createTestPoems(100));
+            engine.use(createScorePlugin(sm));
+            engine.initGame({ mode: 'competitive', seed: 7 });
+            while (!engine.isCurrentKarafuda()) {
+                engine.nextRound();
+            }
+
+            const territory = engine.getTerritory('player');
+            engine.selectCard(territory[0].id);
+            engine.selectCard(territory[1].id);
+            engine.selectCard(territory[2].id);
+
+            expect(sm.getScore()).toMatchObject({ incorrect: 3, fouls: 1 });
+            expect(sm.getScore().fouls).toBe(engine.getGameState().sideStats.player.fouls);
+        });
+
+        test('相手の陣に送れる札がなくても、お手つきを GameEngine と同じく数える', () => {
+            const sm = new ScoreManager(0);
+            const handlers = {};
+            createScorePlugin(sm).install({ on: (name, handler) => { handlers[name] = handler; } });
+            handlers.gameStart({ state: { remainingCards: [], territories: { player: [{ id: 1 }], opponent: [] } } });
+
+            const foul = { round: 1, side: 'player', primary: true, foul: true, penaltyCard: null };
+            handlers.incorrect(foul);
+            handlers.incorrect(foul);
+            handlers.incorrect(Object.assign({}, foul, { round: 2 }));
+
+            expect(sm.getScore()).toMatchObject({ incorrect: 3, fouls: 2 });
+            expect(sm.getRemainingBySide()).toEqual({ player: 1, opponent: 0 });
+        });
+
+        test('side を指定すると、その側のプレイヤーの取り・不正解だけを記録する', () => {
+            const player1 = new ScoreManager(0);
+            const player2 = new ScoreManager(0);
+            const engine = new GameEngine(createTestPoems(3), { now: () => 0 });
+            engine
+                .use(createScorePlugin(player1, null, { side: 'player' }))
+                .use(createScorePlugin(player2, null, { side: 'opponent' }));
+            engine.initGame({ seed: 1 });
+
+            const current = engine.getCurrentReadingCard();
+            const wrongId = engine.getGameState().remainingCards.find((c) => c.id !== current.id).id;
+            engine.selectCard(wrongId, { side: 'player' });
+            engine.selectCard(current.id, { side: 'opponent' });
+
+            expect(player1.getScore()).toMatchObject({ correct: 0, incorrect: 1, remaining: 2 });
+            expect(player2.getScore()).toMatchObject({ correct: 1, incorrect: 0, remaining: 2 });
+            expect(player2.getReactionTimes().byPoem.map((r) => r.poemId)).toEqual([current.id]);
+        });
+
+        test('再開時は restore したスコアを保つ', () => {
+            const poems = createTestPoems(3);
+            const engine = new GameEngine(poems);
+            engine.initGame({ seed: 1 });
+
+            const sm = new ScoreManager(3);
+            sm.addCorrect();
+            const restored = new GameEngine(poems);
+            restored.use(createScorePlugin(sm));
+            restored.restore(engine.serialize());
+            expect(sm.getScore().correct).toBe(1);
+        });
+    });
 });
@@ -5,9 +5,24 @@
 
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+// 結果の保存先を一時ディレクトリにする（server.js の読み込み前に設定する）
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyakunin-results-'));
+process.env.RESULTS_FILE = path.join(tmpDir, 'results.json');
+
+// 録音音声の置き場所も一時ディレクトリにする
+const audioDir = path.join(tmpDir, 'audio');
+fs.mkdirSync(audioDir);
+fs.writeFileSync(path.join(audioDir, '001-upper.mp3'), Buffer.from('0123456789'));
+fs.writeFileSync(path.join(audioDir, '001-lower.mp3'), Buffer.from('abcdefghij'));
+fs.writeFileSync(path.join(tmpDir, 'secret.mp3'), Buffer.from('secret'));
+process.env.AUDIO_DIR = audioDir;
 
 // server.js をテスト用にインポート（require.main !== module なのでlistenは呼ばれない）
 const { app, poems } = require('../../src/server');
+const { getDailyChallenge } = require('../../src/dailyChallenge');
+const { GameEngine } = require('../../public/js/gameEngine');
 
 // supertest がなくても動作するよう、簡易的なHTTPテストを実装
 const http = require('http');
@@ -24,15 +39,43 @@ beforeAll((done) => {
 });
 
 afterAll((done) => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
     server.close(done);
 });
 
+/**
+ * ゲームを遊んだ操作の記録を作るヘルパー
+ * 各ラウンドで、合計 misses 回まで別の札に触れてから、読まれた札を reactionMs で取る
+ */
+function playGame(options, { misses = 0, reactionMs = 1000 } = {}) {
+    const engine = new GameEngine(poems);
+    engine.initGame(options);
+    const actions = [];
+    let t = 0;
+    let missed = 0;
+    while (!engine.isGameOver()) {
+        const answer = engine.getCurrentReadingCard().id;
+        const wrong = engine.getGameState().remainingCards.find((card) => card.id !== answer);
+        if (missed < misses && wrong) {
+            actions.push({ type: 'select', t: t + 200, cardId: wrong.id });
+            missed += 1;
+        }
+        t += reactionMs;
+        actions.push({ type: 'select', t, cardId: answer });
+        engine.selectCard(answer);
+        t += 500;
+        actions.push({ type: 'next', t });
+        engine.nextRound();
+    }
+    return actions;
+}
+
 /**
  * 簡易HTTPリクエストヘルパー
  */
-function httpGet(urlPath) {
+function httpGet(urlPath, headers = {}) {
     return new Promise((resolve, reject) => {
-        http.get(`${baseUrl}${urlPath}`, (res) => {
+        http.get(`${baseUrl}${urlPath}`, { headers }, (res) => {
             let data = '';
             res.on('data', (chunk) => { data += chunk; });
             res.on('end', () => {
@@ -46,6 +89,31 @@ function httpGet(urlPath) {
     });
 }
 
+/**
+ * 簡易HTTP POSTリクエストヘルパー（JSONボディ）
+ */
+function httpPostJson(urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const payload = JSON.stringify(body);
+        const req = http.request(`${baseUrl}${urlPath}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: data,
+                });
+            });
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
 describe('Express Server', () => {
     describe('歌データAPI: GET /api/poems', () => {
         test('200ステータスコードを返す', async () => {
@@ -82,10 +150,303 @@ describe('Express Server', () => {
                 expect(firstPoem).toHaveProperty('author');
                 expect(firstPoem).toHaveProperty('upperVerse');
                 expect(firstPoem).toHaveProperty('lowerVerse');
+                expect(firstPoem).toHaveProperty('upperReading');
+                expect(firstPoem).toHaveProperty('lowerReading');
             }
         });
     });
 
+    describe('今日のチャレンジAPI', () => {
+        const today = () => getDailyChallenge().date;
+
+        /**
+         * 今日のチャレンジを遊んだ結果（シード・設定・操作の記録）を作るヘルパー
+         */
+        function playDaily(name, play) {
+            const { date, seed, options } = getDailyChallenge();
+            return { date, name, seed, options, actions: playGame(options, play) };
+        }
+
+        test('GET /api/daily はその日のシードと20枚の設定を返す', async () => {
+            const res = await httpGet('/api/daily');
+            expect(res.statusCode).toBe(200);
+            const data = JSON.parse(res.body);
+            expect(data).toEqual(getDailyChallenge());
+            expect(data.options.fieldCount).toBe(20);
+            expect(data.options.seed).toBe(data.seed);
+        });
+
+        test('結果を提出すると保存され、順位とランキングを返す', async () => {
+            const first = await httpPostJson('/api/daily/results', playDaily('たかこ', { misses: 2 }));
+            expect(first.statusCode).toBe(201);
+            expect(JSON.parse(first.body).rank).toBe(1);
+            expect(JSON.parse(first.body).entry).toMatchObject({ correct: 20, incorrect: 2, elapsedMs: 30000 });
+
+            const second = await httpPostJson('/api/daily/results', playDaily('ひろし', { reactionMs: 2000 }));
+            const data = JSON.parse(second.body);
+            expect(data.rank).toBe(1);
+            expect(data.entry).toMatchObject({ correct: 20, incorrect: 0, elapsedMs: 50000 });
+            expect(data.ranking.map((r) => r.name)).toEqual(['ひろし', 'たかこ']);
+
+            const ranking = JSON.parse((await httpGet('/api/daily/results')).body);
+            expect(ranking.date).toBe(today());
+            expect(ranking.ranking).toHaveLength(2);
+            expect(fs.existsSync(process.env.RESULTS_FILE)).toBe(true);
+        });
+
+        test('別の日・別のシードや設定の結果は400を返す', async () => {
+            const played = playDaily('たかこ');
+            const otherDay = await httpPostJson('/api/daily/results', Object.assign({}, played, { date: '2000-01-01' }));
+            expect(otherDay.statusCode).toBe(400);
+
+            const otherSeed = await httpPostJson('/api/daily/results', Object.assign({}, played, { seed: played.seed + 1 }));
+            expect(otherSeed.statusCode).toBe(400);
+
+            const otherOptions = Object.assign({}, played.options, { readCount: 1 });
+            const res = await httpPostJson('/api/daily/results', Object.assign({}, played, { options: otherOptions }));
+            expect(JSON.parse(res.body).error).toBe('今日のチャレンジの結果ではありません');
+        });
+
+        test('スコアを書き換えた結果ではなく、操作の記録を再生した結果を保存する', async () => {
+            const played = Object.assign(playDaily('ゆう', { misses: 5 }), { correct: 20, incorrect: 0, elapsedMs: 1 });
+            const res = await httpPostJson('/api/daily/results', played);
+            expect(res.statusCode).toBe(201);
+            expect(JSON.parse(res.body).entry).toMatchObject({ name: 'ゆう', correct: 20, incorrect: 5 });
+        });
+
+        test('再生できない操作の記録・ありえない速さの取りは400とエラー内容を返す', async () => {
+            const unfinished = playDaily('たかこ');
+            unfinished.actions = unfinished.actions.slice(0, 10);
+            const res = await httpPostJson('/api/daily/results', unfinished);
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res.body)).toEqual({
+                error: '操作の記録を確かめられませんでした',
+                details: ['actions end before the game is over'],
+            });
+
+            const tooFast = await httpPostJson('/api/daily/results', playDaily('たかこ', { reactionMs: 20 }));
+            expect(JSON.parse(tooFast.body).details).toEqual(['actions[0]: reaction faster than 100ms']);
+        });
+
+        test('名前が正しくない結果は400とエラー内容を返す', async () => {
+            const res = await httpPostJson('/api/daily/results', playDaily(''));
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res.body).details).toEqual(['name must be a non-empty string']);
+        });
+    });
+
+    describe('ゲームAPI', () => {
+        test('POST /api/games はサーバーでゲームを始め、getGameState と同じ形の状態を返す', async () => {
+            const res = await httpPostJson('/api/games', { mode: 'standard', fieldCount: 3, seed: 7 });
+            expect(res.statusCode).toBe(201);
+            const data = JSON.parse(res.body);
+            expect(typeof data.id).toBe('string');
+            expect(data.state.remainingCards).toHaveLength(3);
+            expect(data.state.currentRound).toBe(1);
+            expect(data.state.settings.seed).toBe(7);
+            expect(data.score).toMatchObject({ correct: 0, incorrect: 0 });
+
+            const state = JSON.parse((await httpGet(`/api/games/${data.id}`)).body);
+            expect(state.state).toEqual(data.state);
+        });
+
+        test('札に触れるとサーバーで判定し、次のラウンドに進める', async () => {
+            const created = JSON.parse((await httpPostJson('/api/games', { fieldCount: 2, seed: 3 })).body);
+            const answer = created.state.currentPoem.id;
+            const wrong = created.state.remainingCards.find((card) => card.id !== answer).id;
+
+            const miss = JSON.parse((await httpPostJson(`/api/games/${created.id}/select`, { cardId: wrong })).body);
+            expect(miss.result.correct).toBe(false);
+            expect(miss.score.incorrect).toBe(1);
+
+            const take = JSON.parse((await httpPostJson(`/api/games/${created.id}/select`, { cardId: answer })).body);
+            expect(take.result.correct).toBe(true);
+            expect(take.score.correct).toBe(1);
+
+            const next = JSON.parse((await httpPostJson(`/api/games/${created.id}/next`, {})).body);
+            expect(next.continues).toBe(true);
+            expect(next.state.currentRound).toBe(2);
+            expect(next.state.remainingCards).toHaveLength(1);
+        });
+
+        test('正しくない設定・札のIDは400、存在しないゲームは404を返す', async () => {
+            const badOptions = await httpPostJson('/api/games', { mode: 'unknown' });
+            expect(badOptions.statusCode).toBe(400);
+            expect(JSON.parse(badOptions.body).details).toEqual(['Unknown game mode: unknown']);
+
+            const created = JSON.parse((await httpPostJson('/api/games', { fieldCount: 2 })).body);
+            expect((await httpPostJson(`/api/games/${created.id}/select`, { cardId: '1' })).statusCode).toBe(400);
+
+            expect((await httpGet('/api/games/unknown')).statusCode).toBe(404);
+            expect((await httpPostJson('/api/games/unknown/select', { cardId: 1 })).statusCode).toBe(404);
+            expect((await httpPostJson('/api/games/unknown/next', {})).statusCode).toBe(404);
+        });
+    });
+
+    describe('ランキングAPI', () => {
+        /**
+         * ランキングに提出する結果を作るヘルパー
+         */
+        function playRanked(name, options, play) {
+            return { name, seed: options.seed, options, actions: playGame(options, play) };
+        }
+
+        test('操作の記録を再生した結果を保存し、同じモード・札の枚数での順位を返す', async () => {
+            const options = { mode: 'standard', seed: 11, fieldCount: 5 };
+            const first = await httpPostJson('/api/results', playRanked('たかこ', options, { misses: 1 }));
+            expect(first.statusCode).toBe(201);
+            expect(JSON.parse(first.body).entry).toMatchObject({
+                name: 'たかこ', mode: 'standard', deckSize: 5, correct: 5, incorrect: 1, accuracy: 83.33, elapsedMs: 7500,
+            });
+
+            const second = JSON.parse((await httpPostJson('/api/results', playRanked('ひろし', options))).body);
+            expect(second.rank).toBe(1);
+            expect(second.ranking.map((result) => result.name)).toEqual(['ひろし', 'たかこ']);
+
+            // 札の枚数が違う結果は別のランキングになる
+            const other = await httpPostJson('/api/results', playRanked('ゆう', { mode: 'standard', seed: 5, fieldCount: 3 }));
+            expect(JSON.parse(other.body).rank).toBe(1);
+        });
+
+        test('GET /api/leaderboard はゲームモード・札の枚数・期間で絞り込んだランキングを返す', async () => {
+            const res = await httpGet('/api/leaderboard?mode=standard&deckSize=5&period=day');
+            expect(res.statusCode).toBe(200);
+            const data = JSON.parse(res.body);
+            expect(data).toMatchObject({ mode: 'standard', deckSize: 5, period: 'day' });
+            expect(data.ranking.map((result) => [result.rank, result.name])).toEqual([[1, 'ひろし'], [2, 'たかこ']]);
+
+            const all = JSON.parse((await httpGet('/api/leaderboard')).body);
+            expect(all.ranking).toHaveLength(3);
+            expect(JSON.parse((await httpGet('/api/leaderboard?mode=genpei')).body).ranking).toEqual([]);
+        });
+
+        test('ルールが違う結果は同じモード・札の枚数でも別のランキングにし、GET /api/leaderboard には載せない', async () => {
+            const timed = { mode: 'standard', seed: 11, fieldCount: 5, roundTimeLimit: 30 };
+            const res = await httpPostJson('/api/results', playRanked('はると', timed, { reactionMs: 5000 }));
+            const data = JSON.parse(res.body);
+            expect(res.statusCode).toBe(201);
+            expect(data.entry.rules).toEqual({ poemIds: null, readCount: 5, roundTimeLimit: 30, revealInterval: 0 });
+            expect(data.ranking.map((result) => result.name)).toEqual(['はると']);
+
+            // 既定値を書いた設定は、省略した設定と同じルールになる
+            const explicit = { mode: 'standard', seed: 12, fieldCount: 5, readCount: 5, roundTimeLimit: 0 };
+            const same = JSON.parse((await httpPostJson('/api/results', playRanked('あおい', explicit, { misses: 2 }))).body);
+            expect(same.ranking.map((result) => result.name)).toEqual(['ひろし', 'たかこ', 'あおい']);
+
+            const leaderboard = JSON.parse((await httpGet('/api/leaderboard?mode=standard&deckSize=5')).body);
+            expect(leaderboard.ranking.map((result) => result.name)).toEqual(['ひろし', 'たかこ', 'あおい']);
+        });
+
+        test('正しくない提出・再生できない記録・検索条件は400を返す', async () => {
+            const options = { mode: 'standard', seed: 11, fieldCount: 5 };
+            const noSeed = await httpPostJson('/api/results', Object.assign(playRanked('たかこ', options), { seed: null }));
+            expect(JSON.parse(noSeed.body)).toEqual({
+                error: '結果の形式が正しくありません',
+                details: ['options.seed must be the integer seed of the game'],
+            });
+
+            const forged = playRanked('たかこ', options);
+            forged.options = Object.assign({}, options, { fieldCount: 10 });
+            const replayed = await httpPostJson('/api/results', forged);
+            expect(replayed.statusCode).toBe(400);
+            expect(JSON.parse(replayed.body).error).toBe('操作の記録を確かめられませんでした');
+
+            const query = await httpGet('/api/leaderboard?period=year');
+            expect(query.statusCode).toBe(400);
+            expect(JSON.parse(query.body).error).toBe('検索条件が正しくありません');
+        });
+    });
+
+    describe('プロフィールAPI', () => {
+        const record = { kind: 'solo', mode: 'standard', deckSize: 10, correct: 9, incorrect: 1, accuracy: 90, elapsedMs: 60000 };
+
+        test('プロフィールを作り、一覧に加える', async () => {
+            const res = await httpPostJson('/api/profiles', { name: ' たかこ ', color: 'red', grade: 'B' });
+            expect(res.statusCode).toBe(201);
+            const profile = JSON.parse(res.body);
+            expect(profile).toMatchObject({ name: 'たかこ', color: 'red', grade: 'B' });
+
+            const list = JSON.parse((await httpGet('/api/profiles')).body);
+            expect(list.profiles).toContainEqual(profile);
+        });
+
+        test('プロフィールに付けた記録を、プロフィールごとに絞り込んだ履歴と成績で返す', async () => {
+            const takako = JSON.parse((await httpPostJson('/api/profiles', { name: 'たかこ', color: 'red', grade: 'B' })).body);
+            const hiroshi = JSON.parse((await httpPostJson('/api/profiles', { name: 'ひろし', color: 'blue', grade: 'none' })).body);
+
+            const first = await httpPostJson(`/api/profiles/${takako.id}/games`, record);
+            expect(first.statusCode).toBe(201);
+            expect(JSON.parse(first.body)).toMatchObject(Object.assign({ profileId: takako.id, verified: false }, record));
+            await httpPostJson(`/api/profiles/${takako.id}/games`, Object.assign({}, record, { correct: 5, incorrect: 5, accuracy: 50 }));
+            await httpPostJson(`/api/profiles/${hiroshi.id}/games`, Object.assign({}, record, { kind: 'cpu' }));
+
+            const history = JSON.parse((await httpGet(`/api/history?profileId=${takako.id}`)).body);
+            expect(history.profileId).toBe(takako.id);
+            expect(history.games.map((game) => game.correct)).toEqual([5, 9]);
+            expect(history.stats).toMatchObject({ gameCount: 2, correct: 14, incorrect: 6, accuracy: 70, bestAccuracy: 90 });
+
+            const all = JSON.parse((await httpGet('/api/history')).body);
+            expect(all.profileId).toBeNull();
+            expect(all.games.map((game) => game.profileId)).toEqual([hiroshi.id, takako.id, takako.id]);
+            // 確かめていない記録なので、全員の記録を合わせた成績は出さない
+            expect(all.stats).toBeNull();
+        });
+
+        test('正しくないプロフィール・記録は400、ないプロフィールは404を返す', async () => {
+            const badProfile = await httpPostJson('/api/profiles', { name: 'たかこ', color: 'black', grade: 'B' });
+            expect(badProfile.statusCode).toBe(400);
+            expect(JSON.parse(badProfile.body)).toEqual({
+                error: 'プロフィールの形式が正しくありません',
+                details: ['color must be one of red, blue, green, yellow, purple, orange'],
+            });
+
+            const profile = JSON.parse((await httpPostJson('/api/profiles', { name: 'ゆう', color: 'green', grade: 'E' })).body);
+            const badRecord = await httpPostJson(`/api/profiles/${profile.id}/games`, Object.assign({}, record, { deckSize: 0 }));
+            expect(badRecord.statusCode).toBe(400);
+            expect(JSON.parse(badRecord.body).error).toBe('ゲームの記録の形式が正しくありません');
+
+            const unknown = await httpPostJson('/api/profiles/unknown/games', record);
+            expect(unknown.statusCode).toBe(404);
+            expect(JSON.parse(unknown.body).error).toBe('プロフィールが見つかりません');
+            expect((await httpGet('/api/history?profileId=unknown')).statusCode).toBe(404);
+        });
+    });
+
+    describe('録音音声API', () => {
+        test('GET /api/audio/manifest は録音がある歌と句の一覧を返す', async () => {
+            const res = await httpGet('/api/audio/manifest');
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res.body)).toEqual({
+                poems: { 1: { upper: '/api/audio/001-upper.mp3', lower: '/api/audio/001-lower.mp3' } },
+            });
+        });
+
+        test('録音ファイルを配信する', async () => {
+            const res = await httpGet('/api/audio/001-upper.mp3');
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toMatch(/audio\/mpeg/);
+            expect(res.headers['accept-ranges']).toBe('bytes');
+            expect(res.body).toBe('0123456789');
+        });
+
+        test('Range リクエストには指定した範囲を206で返す', async () => {
+            const res = await httpGet('/api/audio/001-lower.mp3', { Range: 'bytes=2-5' });
+            expect(res.statusCode).toBe(206);
+            expect(res.headers['content-range']).toBe('bytes 2-5/10');
+            expect(res.body).toBe('cdef');
+        });
+
+        test('録音がない歌は404を返す', async () => {
+            const res = await httpGet('/api/audio/002-upper.mp3');
+            expect(res.statusCode).toBe(404);
+        });
+
+        test('形式に合わないファイル名や音声ディレクトリの外は404を返す', async () => {
+            expect((await httpGet('/api/audio/secret.mp3')).statusCode).toBe(404);
+            expect((await httpGet('/api/audio/..%2Fsecret.mp3')).statusCode).toBe(404);
+        });
+    });
+
     describe('静的ファイル配信', () => {
         test('index.html を配信する', async () => {
             const res = await httpGet('/');
@@ -0,0 +1,168 @@
+/**
+ * TakeArbiter（2人対戦の取りの判定）のユニットテスト
+ */
+const {
+    TakeArbiter,
+    TAKE_ARBITER_WINDOW_MS,
+    HOT_SEAT_KEY_ZONES,
+    findKeyZone,
+    sortTouches,
+} = require('../../public/js/takeArbiter');
+const { GameEngine } = require('../../public/js/gameEngine');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+describe('TakeArbiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('constructor', () => {
+        test('onResolve が関数でない場合はエラーをスローする', () => {
+            expect(() => new TakeArbiter()).toThrow('onResolve must be a function');
+        });
+
+        test('windowMs が0以上の整数でない場合はエラーをスローする', () => {
+            const onResolve = jest.fn();
+            expect(() => new TakeArbiter({ onResolve, windowMs: -1 })).toThrow('windowMs must be a non-negative integer');
+            expect(() => new TakeArbiter({ onResolve, windowMs: 1.5 })).toThrow('windowMs must be a non-negative integer');
+        });
+    });
+
+    describe('submit', () => {
+        test('最初の入力から windowMs の間の入力をまとめ、触れた時刻の早い順に渡す', () => {
+            const onResolve = jest.fn();
+            const arbiter = new TakeArbiter({ onResolve });
+
+            arbiter.submit({ side: 'opponent', cardId: 1, timestamp: 1005 });
+            arbiter.submit({ side: 'player', cardId: 1, timestamp: 1002 });
+            jest.advanceTimersByTime(TAKE_ARBITER_WINDOW_MS - 1);
+            expect(onResolve).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(1);
+            expect(onResolve).toHaveBeenCalledTimes(1);
+            expect(onResolve.mock.calls[0][0].map((touch) => touch.side)).toEqual(['player', 'opponent']);
+        });
+
+        test('まとめる時間を過ぎた後の入力は次のまとまりとして渡す', () => {
+            const onResolve = jest.fn();
+            const arbiter = new TakeArbiter({ onResolve, windowMs: 20 });
+
+            arbiter.submit({ side: 'player', cardId: 1, timestamp: 0 });
+            jest.advanceTimersByTime(20);
+            arbiter.submit({ side: 'opponent', cardId: 2, timestamp: 30 });
+            jest.advanceTimersByTime(20);
+
+            expect(onResolve).toHaveBeenCalledTimes(2);
+            expect(onResolve.mock.calls[1][0]).toEqual([{ side: 'opponent', cardId: 2, timestamp: 30 }]);
+        });
+
+        test('side と有限の timestamp がない入力はエラーをスローする', () => {
+            const arbiter = new TakeArbiter({ onResolve: jest.fn() });
+            expect(() => arbiter.submit({ cardId: 1, timestamp: 0 })).toThrow('touch must have a side and a finite timestamp');
+            expect(() => arbiter.submit({ side: 'player', cardId: 1, timestamp: NaN })).toThrow('touch must have a side and a finite timestamp');
+        });
+    });
+
+    describe('flush / cancel', () => {
+        test('flush はまとめている入力をすぐに渡し、入力がなければ何もしない', () => {
+            const onResolve = jest.fn();
+            const arbiter = new TakeArbiter({ onResolve });
+
+            arbiter.flush();
+            expect(onResolve).not.toHaveBeenCalled();
+
+            arbiter.submit({ side: 'player', cardId: 1, timestamp: 0 });
+            arbiter.flush();
+            expect(onResolve).toHaveBeenCalledTimes(1);
+            jest.advanceTimersByTime(TAKE_ARBITER_WINDOW_MS);
+            expect(onResolve).toHaveBeenCalledTimes(1);
+        });
+
+        test('cancel はまとめている入力を判定せずに捨てる', () => {
+            const onResolve = jest.fn();
+            const arbiter = new TakeArbiter({ onResolve });
+
+            arbiter.submit({ side: 'player', cardId: 1, timestamp: 0 });
+            arbiter.cancel();
+            jest.advanceTimersByTime(TAKE_ARBITER_WINDOW_MS);
+            expect(onResolve).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GameEngine との組み合わせ', () => {
+        test('同時に正しい札に触れた場合は、先に触れたプレイヤーが取る', () => {
+            const engine = new GameEngine(createTestPoems(5));
+            engine.initGame({ seed: 3 });
+            const poemId = engine.getCurrentReadingCard().id;
+            const results = [];
+            const arbiter = new TakeArbiter({
+                onResolve: (touches) => touches.forEach((touch) => {
+                    results.push({ side: touch.side, correct: engine.selectCard(touch.cardId, { side: touch.side }).correct });
+                }),
+            });
+
+            // プレイヤー2の入力が先に届いても、触れた時刻が早いプレイヤー1が取る
+            arbiter.submit({ side: 'opponent', cardId: poemId, timestamp: 512.4 });
+            arbiter.submit({ side: 'player', cardId: poemId, timestamp: 508.9 });
+            jest.advanceTimersByTime(TAKE_ARBITER_WINDOW_MS);
+
+            expect(results).toEqual([
+                { side: 'player', correct: true },
+                { side: 'opponent', correct: false },
+            ]);
+            expect(engine.getGameState().sideStats.player.taken).toBe(1);
+            expect(engine.getGameState().sideStats.opponent.taken).toBe(0);
+        });
+    });
+});
+
+describe('sortTouches', () => {
+    test('同じ時刻の入力は届いた順を保つ', () => {
+        const touches = [
+            { side: 'opponent', cardId: 1, timestamp: 10 },
+            { side: 'player', cardId: 2, timestamp: 10 },
+            { side: 'player', cardId: 3, timestamp: 5 },
+        ];
+        expect(sortTouches(touches).map((touch) => touch.cardId)).toEqual([3, 1, 2]);
+        expect(touches[0].cardId).toBe(1);
+    });
+});
+
+describe('findKeyZone', () => {
+    test('キーボードの左側はプレイヤー1、右側はプレイヤー2の範囲になる', () => {
+        expect(findKeyZone('q')).toEqual({ player: 0, slot: 0 });
+        expect(findKeyZone('B')).toEqual({ player: 0, slot: 14 });
+        expect(findKeyZone('y')).toEqual({ player: 1, slot: 0 });
+        expect(findKeyZone('/')).toEqual({ player: 1, slot: 14 });
+    });
+
+    test('範囲外のキーは null を返す', () => {
+        expect(findKeyZone('1')).toBeNull();
+        expect(findKeyZone('Enter')).toBeNull();
+        expect(findKeyZone(undefined)).toBeNull();
+    });
+
+    test('2人のキーボードの範囲は重ならない', () => {
+        const [first, second] = HOT_SEAT_KEY_ZONES;
+        expect(first.filter((key) => second.includes(key))).toEqual([]);
+        expect(new Set(first).size).toBe(first.length);
+        expect(new Set(second).size).toBe(second.length);
+    });
+});
@@ -17,23 +17,72 @@ function setupDOM() {
         <div id="app">
             <div id="start-screen">
                 <button id="start-btn">ゲーム開始</button>
+                <ul id="match-list" style="display: none;"></ul>
             </div>
             <div id="game-screen" style="display: none;">
                 <div id="reading-card">
                     <div id="reading-author"></div>
                     <div id="reading-verse"></div>
+                    <div id="reading-kimariji"></div>
+                    <div id="take-timing"></div>
                 </div>
+                <div id="match-status" style="display: none;"></div>
                 <div id="score-board">
                     <span id="score">スコア: 0</span>
                     <span id="accuracy">正答率: 0%</span>
                     <span id="remaining">残り: 0</span>
+                    <span id="fouls" style="display: none;">お手つき: 0</span>
+                    <span id="round-timer" style="display: none;"></span>
                 </div>
+                <div id="game-code-bar"><span id="game-code"></span></div>
                 <div id="game-field"></div>
             </div>
+            <div id="bozu-screen" style="display: none;">
+                <div id="bozu-status"></div>
+                <div id="bozu-drawn-card"></div>
+                <div id="bozu-message"></div>
+                <button id="bozu-draw-btn">札を引く</button>
+                <ul id="bozu-players"></ul>
+            </div>
+            <div id="dokushu-screen" style="display: none;">
+                <div id="dokushu-status"></div>
+                <div id="dokushu-card">
+                    <div id="dokushu-author"></div>
+                    <div id="dokushu-verse"></div>
+                </div>
+                <button id="dokushu-pause-btn">一時停止</button>
+                <button id="dokushu-repeat-btn">もう一度</button>
+                <button id="dokushu-next-btn">次の札</button>
+                <ol id="dokushu-history"></ol>
+            </div>
+            <div id="classroom-screen" style="display: none;">
+                <span id="classroom-code-display"></span>
+                <ul id="classroom-join-urls"></ul>
+                <div id="classroom-status"></div>
+                <div id="classroom-message" style="display: none;"></div>
+                <div id="classroom-reading-author"></div>
+                <div id="classroom-reading-verse"></div>
+                <button id="classroom-start-btn">始める</button>
+                <button id="classroom-next-btn">次の札</button>
+                <button id="classroom-end-btn">授業を終える</button>
+                <table id="classroom-ranking"><tbody></tbody></table>
+                <ol id="classroom-missed"></ol>
+            </div>
+            <div id="history-screen" style="display: none;">
+                <div id="history-message" style="display: none;"></div>
+                <div id="history-stats"></div>
+                <table id="history-games"><tbody></tbody></table>
+            </div>
             <div id="gameover-screen" style="display: none;">
                 <div class="gameover-content">
                     <h2 class="gameover-title">ゲーム終了</h2>
                     <div id="final-score"></div>
+                    <div id="daily-result" style="display: none;">
+                        <input type="text" id="daily-name">
+                        <button id="daily-submit-btn">結果を送信</button>
+                        <div id="daily-rank"></div>
+                        <ol id="daily-ranking"></ol>
+                    </div>
                     <button id="replay-btn">もう一度プレイ</button>
                 </div>
             </div>
@@ -127,6 +176,16 @@ describe('UIRenderer', function () {
             expect(textSpans[1].textContent).toBe('下の句2');
         });
 
+        test('色札のカードには色のクラスが付き、色のない札には付かない', function () {
+            var poems = createTestPoems(2);
+            poems[0].color = 'pink';
+            renderer.renderGameField(poems);
+            var cards = document.querySelectorAll('.grab-card');
+            expect(cards[0].classList.contains('card-color-pink')).toBe(true);
+            expect(cards[0].getAttribute('data-color')).toBe('pink');
+            expect(cards[1].className).toBe('grab-card');
+        });
+
         test('再描画時に既存のカードがクリアされる', function () {
             renderer.renderGameField(createTestPoems(5));
             expect(document.querySelectorAll('.grab-card').length).toBe(5);
@@ -159,6 +218,58 @@ describe('UIRenderer', function () {
             expect(clickedElement).toBe(firstCard);
         });
 
+        test('cardSides を渡すと各カードに data-side 属性が設定される', function () {
+            renderer.renderGameField(createTestPoems(2), { cardSides: { 1: 'player', 2: 'opponent' } });
+            expect(document.querySelector('.grab-card[data-id="1"]').getAttribute('data-side')).toBe('player');
+            expect(document.querySelector('.grab-card[data-id="2"]').getAttribute('data-side')).toBe('opponent');
+        });
+
+        test('陣地を持つ場合は陣ごとに区切り線を挟んで表示する', function () {
+            renderer.renderGameField(createTestPoems(4), {
+                cardSides: { 1: 'genji', 2: 'heike', 3: 'genji', 4: 'heike' },
+                sides: ['heike', 'genji'],
+            });
+            var territories = document.querySelectorAll('#game-field .territory');
+            expect(territories.length).toBe(2);
+            expect(territories[0].getAttribute('data-side')).toBe('heike');
+            expect(territories[0].classList.contains('territory-far')).toBe(true);
+            expect(territories[1].getAttribute('data-side')).toBe('genji');
+            expect(territories[1].querySelectorAll('.grab-card').length).toBe(2);
+            expect(document.querySelectorAll('#game-field .territory-divider').length).toBe(1);
+            expect(document.getElementById('game-field').classList.contains('has-territories')).toBe(true);
+        });
+
+        test('各陣にチーム名と枚数のラベルを表示する', function () {
+            renderer.renderGameField(createTestPoems(3), {
+                cardSides: { 1: 'genji', 2: 'heike', 3: 'genji' },
+                sides: ['heike', 'genji'],
+            });
+            var labels = document.querySelectorAll('.territory-label');
+            expect(labels[0].textContent).toBe('平氏（1枚）');
+            expect(labels[1].textContent).toBe('源氏（2枚）');
+        });
+
+        test('札がなくなった陣も表示順に含めて表示する', function () {
+            renderer.renderGameField(createTestPoems(1), {
+                cardSides: { 1: 'player' },
+                sides: ['opponent', 'player'],
+            });
+            var labels = document.querySelectorAll('.territory-label');
+            expect(labels[0].textContent).toBe('敵陣（0枚）');
+        });
+
+        test('陣地を持たない場合は区切らずに表示する', function () {
+            renderer.renderGameField(createTestPoems(3));
+            expect(document.querySelectorAll('#game-field .territory').length).toBe(0);
+            expect(document.querySelectorAll('#game-field > .grab-card').length).toBe(3);
+            expect(document.getElementById('game-field').classList.contains('has-territories')).toBe(false);
+        });
+
+        test('cardSides がない場合は data-side 属性を設定しない', function () {
+            renderer.renderGameField(createTestPoems(1));
+            expect(document.querySelector('.grab-card').hasAttribute('data-side')).toBe(false);
+        });
+
         test('onCardClick が未設定の場合、クリックしてもエラーにならない', function () {
             renderer.renderGameField(createTestPoems(1));
             var card = document.querySelector('.grab-card');
@@ -188,6 +299,161 @@ describe('UIRenderer', function () {
         });
     });
 
+    describe('読み上げ表示（上の句を1文字ずつ表示）', function () {
+        var poem = {
+            id: 1, author: '天智天皇', upperVerse: '秋の田の かりほの庵の',
+            upperReading: 'あきのたの かりほのいおの', lowerVerse: 'わが衣手は',
+        };
+
+        beforeEach(function () {
+            jest.useFakeTimers();
+            renderer.setRevealInterval(100);
+        });
+
+        afterEach(function () {
+            jest.useRealTimers();
+        });
+
+        test('上の句の読みを間隔ごとに1文字ずつ表示する', function () {
+            var verse = document.getElementById('reading-verse');
+            renderer.renderReadingCard(poem);
+            expect(verse.textContent).toBe('あ');
+            expect(verse.classList.contains('revealing')).toBe(true);
+
+            jest.advanceTimersByTime(500);
+            expect(verse.textContent).toBe('あきのたの か');
+
+            jest.advanceTimersByTime(1000);
+            expect(verse.textContent).toBe('あきのたの かりほのいおの');
+            expect(verse.classList.contains('revealing')).toBe(false);
+        });
+
+        test('completeReveal で残りの読みをすべて表示する', function () {
+            renderer.renderReadingCard(poem);
+            renderer.completeReveal();
+            expect(document.getElementById('reading-verse').textContent).toBe('あきのたの かりほのいおの');
+            jest.advanceTimersByTime(1000);
+            expect(document.getElementById('reading-verse').textContent).toBe('あきのたの かりほのいおの');
+        });
+
+        test('間隔を0にすると上の句を一度に表示する', function () {
+            renderer.setRevealInterval(0);
+            renderer.renderReadingCard(poem);
+            expect(document.getElementById('reading-verse').textContent).toBe('秋の田の かりほの庵の');
+        });
+
+        test('聞き取りのみでは読み札に listening-only クラスを付ける', function () {
+            var readingCard = document.getElementById('reading-card');
+            renderer.setListeningOnly(true);
+            expect(readingCard.classList.contains('listening-only')).toBe(true);
+            renderer.setListeningOnly(false);
+            expect(readingCard.classList.contains('listening-only')).toBe(false);
+        });
+
+        test('取りの速さを表示し、次の読み札で消す', function () {
+            var timing = document.getElementById('take-timing');
+            renderer.renderTakeTiming('fast');
+            expect(timing.textContent).toBe('速い');
+            expect(timing.className).toBe('take-timing-fast');
+
+            renderer.renderReadingCard(poem);
+            expect(timing.textContent).toBe('');
+        });
+    });
+
+    describe('決まり字表示', function () {
+        test('場の各取り札に決まり字を設定する', function () {
+            renderer.renderGameField(createTestPoems(3));
+            renderer.renderKimariji({ 1: 'む', 2: 'みせ', 3: 'みよ' });
+            var badges = document.querySelectorAll('.grab-card .card-kimariji');
+            expect(badges.length).toBe(3);
+            expect(badges[0].textContent).toBe('む');
+            expect(badges[1].textContent).toBe('みせ');
+            expect(badges[2].textContent).toBe('みよ');
+        });
+
+        test('読み札に現在の読み札の決まり字を表示する', function () {
+            var poems = createTestPoems(2);
+            renderer.renderKimariji({ 1: 'む', 2: 'みせ' }, poems[1]);
+            expect(document.getElementById('reading-kimariji').textContent).toBe('決まり字: みせ');
+        });
+
+        test('決まり字がない札は空にする', function () {
+            renderer.renderGameField(createTestPoems(2));
+            renderer.renderKimariji({ 1: 'む' }, null);
+            expect(document.querySelector('.grab-card[data-id="2"] .card-kimariji').textContent).toBe('');
+            expect(document.getElementById('reading-kimariji').textContent).toBe('');
+        });
+
+        test('初期状態では非表示', function () {
+            expect(renderer.isKimarijiVisible()).toBe(false);
+            expect(document.getElementById('game-screen').classList.contains('show-kimariji')).toBe(false);
+        });
+
+        test('setKimarijiVisible で表示・非表示を切り替える', function () {
+            renderer.setKimarijiVisible(true);
+            expect(renderer.isKimarijiVisible()).toBe(true);
+            expect(document.getElementById('game-screen').classList.contains('show-kimariji')).toBe(true);
+
+            renderer.setKimarijiVisible(false);
+            expect(renderer.isKimarijiVisible()).toBe(false);
+            expect(document.getElementById('game-screen').classList.contains('show-kimariji')).toBe(false);
+        });
+    });
+
+    describe('updateScoreBoard（陣地を持つモード）', function () {
+        test('陣ごとの残り札数とお手つき数を表示する', function () {
+            renderer.updateScoreBoard({
+                correct: 3, accuracy: 75, remaining: 47, fouls: 1,
+                remainingBySide: { player: 22, opponent: 25 },
+            });
+            expect(document.getElementById('remaining').textContent).toBe('自陣: 22 / 敵陣: 25');
+            expect(document.getElementById('fouls').textContent).toBe('お手つき: 1');
+            expect(document.getElementById('fouls').style.display).toBe('');
+        });
+
+        test('陣地を持たない場合はお手つき数を表示しない', function () {
+            renderer.updateScoreBoard({ correct: 0, accuracy: 0, remaining: 100 });
+            expect(document.getElementById('fouls').style.display).toBe('none');
+        });
+    });
+
+    describe('renderGameCode', function () {
+        test('ゲームコードを表示し、getGameCode で取得できる', function () {
+            renderer.renderGameCode('1.s.abc......');
+            expect(document.getElementById('game-code').textContent).toBe('ゲームコード: 1.s.abc......');
+            expect(renderer.getGameCode()).toBe('1.s.abc......');
+        });
+
+        test('null を渡すと表示を消す', function () {
+            renderer.renderGameCode('1.s.abc......');
+            renderer.renderGameCode(null);
+            expect(document.getElementById('game-code').textContent).toBe('');
+            expect(renderer.getGameCode()).toBeNull();
+        });
+    });
+
+    describe('renderRoundTimer', function () {
+        test('残り時間を表示する', function () {
+            renderer.renderRoundTimer(10);
+            var timer = document.getElementById('round-timer');
+            expect(timer.style.display).toBe('');
+            expect(timer.textContent).toBe('残り時間: 10秒');
+            expect(timer.classList.contains('warning')).toBe(false);
+        });
+
+        test('残り3秒以下で強調表示する', function () {
+            renderer.renderRoundTimer(3);
+            expect(document.getElementById('round-timer').classList.contains('warning')).toBe(true);
+        });
+
+        test('null を渡すと非表示にする', function () {
+            renderer.renderRoundTimer(5);
+            renderer.renderRoundTimer(null);
+            expect(document.getElementById('round-timer').style.display).toBe('none');
+        });
+    });
+
     describe('updateScoreBoard (Req 5.1)', function () {
         test('スコア、正答率、残り札数を表示する', function () {
             renderer.updateScoreBoard({ correct: 5, accuracy: 83.33, remaining: 15 });
@@ -196,6 +462,11 @@ describe('UIRenderer', function () {
             expect(document.getElementById('remaining').textContent).toBe('残り: 15');
         });
 
+        test('速取りのボーナス点をスコアに含める', function () {
+            renderer.updateScoreBoard({ correct: 5, accuracy: 100, remaining: 15, bonus: 2 });
+            expect(document.getElementById('score').textContent).toBe('スコア: 7');
+        });
+
         test('初期状態（スコア0）を正しく表示する', function () {
             renderer.updateScoreBoard({ correct: 0, accuracy: 0, remaining: 100 });
             expect(document.getElementById('score').textContent).toBe('スコア: 0');
@@ -371,5 +642,589 @@ describe('UIRenderer', function () {
             // ゲーム終了画面が表示されているので、ボタンも表示されている
             expect(document.getElementById('gameover-screen').style.display).not.toBe('none');
         });
+
+        test('陣地を持つモードでは勝敗・残り札・お手つき数を表示する', function () {
+            renderer.renderGameOver({
+                correct: 20, accuracy: 80, fouls: 2, winner: 'player',
+                remainingBySide: { player: 0, opponent: 7 },
+            });
+            var html = document.getElementById('final-score').innerHTML;
+            expect(html).toContain('自陣の勝ち');
+            expect(html).toContain('自陣: 0 / 敵陣: 7');
+            expect(html).toContain('2回');
+        });
+
+        test('勝者がいない場合は引き分けと表示する', function () {
+            renderer.renderGameOver({
+                correct: 0, accuracy: 0, fouls: 0, winner: null,
+                remainingBySide: { player: 3, opponent: 3 },
+            });
+            expect(document.getElementById('final-score').innerHTML).toContain('引き分け');
+        });
+
+        test('反応時間の平均・最速と歌ごとの反応時間を表示する', function () {
+            renderer.renderGameOver({
+                correct: 2, accuracy: 66.67,
+                reactionTimes: {
+                    count: 2, average: 1500, best: 1000,
+                    byPoem: [
+                        { poemId: 3, author: '柿本人麻呂', reactionMs: 2000, misses: 1 },
+                        { poemId: 7, author: null, reactionMs: 1000, misses: 0 },
+                    ],
+                },
+            });
+            var html = document.getElementById('final-score').innerHTML;
+            expect(html).toContain('平均反応時間:</span> 1.50秒');
+            expect(html).toContain('最速:</span> 1.00秒');
+            var items = document.querySelectorAll('#final-score .reaction-times li');
+            expect(items).toHaveLength(2);
+            expect(items[0].textContent).toBe('柿本人麻呂　2.00秒（不正解 1回）');
+            expect(items[1].textContent).toBe('第7首　1.00秒');
+        });
+
+        test('ボーナス点と取りの速さの内訳を表示する', function () {
+            renderer.renderGameOver({
+                correct: 2, accuracy: 100, bonus: 1,
+                reactionTimes: {
+                    count: 2, average: 1000, best: 400,
+                    timings: { fast: 1, normal: 0, slow: 1 },
+                    byPoem: [
+                        { poemId: 1, author: '天智天皇', reactionMs: 400, misses: 0, timing: 'fast' },
+                        { poemId: 2, author: '持統天皇', reactionMs: 1600, misses: 0, timing: 'slow' },
+                    ],
+                },
+            });
+            var html = document.getElementById('final-score').innerHTML;
+            expect(html).toContain('3点（速取りボーナス +1）');
+            expect(html).toContain('速い 1・普通 0・遅い 1');
+            var items = document.querySelectorAll('#final-score .reaction-times li');
+            expect(items[0].textContent).toBe('天智天皇　0.40秒　速い');
+            expect(items[1].className).toBe('take-timing-slow');
+        });
+
+        test('札を取っていない場合は反応時間を表示しない', function () {
+            renderer.renderGameOver({
+                correct: 0, accuracy: 0,
+                reactionTimes: { count: 0, average: null, best: null, byPoem: [] },
+            });
+            expect(document.getElementById('final-score').innerHTML).not.toContain('反応時間');
+            expect(document.querySelector('#final-score .reaction-times')).toBeNull();
+        });
+    });
+
+    describe('今日のチャレンジ', function () {
+        var ranking = [
+            { id: 'a', rank: 1, name: 'ひろし', correct: 20, incorrect: 0, elapsedMs: 65000 },
+            { id: 'b', rank: 2, name: 'たかこ', correct: 18, incorrect: 2, elapsedMs: 90000 },
+        ];
+
+        test('showDailyResultForm で結果欄を表示・非表示にする', function () {
+            renderer.showDailyResultForm(true);
+            expect(document.getElementById('daily-result').style.display).toBe('');
+            renderer.showDailyResultForm(false);
+            expect(document.getElementById('daily-result').style.display).toBe('none');
+        });
+
+        test('ランキングと自分の順位を表示し、自分の結果を強調する', function () {
+            renderer.showDailyResultForm(true);
+            renderer.renderDailyRanking(ranking, { rank: 2, id: 'b' });
+            var items = document.querySelectorAll('#daily-ranking li');
+            expect(items).toHaveLength(2);
+            expect(items[0].textContent).toBe('1位 ひろし　正解 20・不正解 0・1:05');
+            expect(items[1].classList.contains('own')).toBe(true);
+            expect(document.getElementById('daily-rank').textContent).toBe('今日の順位: 2位');
+            expect(document.getElementById('daily-submit-btn').disabled).toBe(true);
+        });
+
+        test('再表示すると前回のランキングを消して送信できる状態に戻す', function () {
+            renderer.renderDailyRanking(ranking, { rank: 1, id: 'a' });
+            renderer.showDailyResultForm(true);
+            expect(document.querySelectorAll('#daily-ranking li')).toHaveLength(0);
+            expect(document.getElementById('daily-submit-btn').disabled).toBe(false);
+        });
+
+        test('今日のチャレンジ以外のランキングでは順位の見出しを変える', function () {
+            renderer.renderDailyRanking(ranking, { rank: 1, id: 'a', label: '同じ設定での順位' });
+            expect(document.getElementById('daily-rank').textContent).toBe('同じ設定での順位: 1位');
+        });
+    });
+
+    describe('坊主めくり画面', function () {
+        function createBozuState(overrides) {
+            return Object.assign({
+                players: [{ name: 'A', pileCount: 3 }, { name: 'B', pileCount: 1 }],
+                currentPlayer: 1,
+                deckCount: 50,
+                fieldCount: 2,
+                lastDraw: null,
+                houseRules: { semimaru: true, tenno: true },
+                isGameOver: false,
+                winners: [],
+            }, overrides);
+        }
+
+        test('showBozuMekuriScreen で坊主めくり画面だけが表示される', function () {
+            renderer.showBozuMekuriScreen();
+            expect(document.getElementById('bozu-screen').style.display).toBe('');
+            expect(document.getElementById('start-screen').style.display).toBe('none');
+            expect(document.getElementById('game-screen').style.display).toBe('none');
+
+            renderer.showStartScreen();
+            expect(document.getElementById('bozu-screen').style.display).toBe('none');
+        });
+
+        test('手番・山札・場の枚数と各プレイヤーの手札を表示する', function () {
+            renderer.renderBozuMekuri(createBozuState());
+            expect(document.getElementById('bozu-status').textContent).toContain('手番: B');
+            expect(document.getElementById('bozu-status').textContent).toContain('山札: 50枚');
+            var items = document.querySelectorAll('#bozu-players .bozu-player');
+            expect(items.length).toBe(2);
+            expect(items[0].textContent).toBe('A: 3枚');
+            expect(items[1].classList.contains('current')).toBe(true);
+        });
+
+        test('引いた札の種類と作者、効果を表示する', function () {
+            renderer.renderBozuMekuri(createBozuState({
+                lastDraw: {
+                    card: { id: 8, author: '喜撰法師', category: 'bozu' },
+                    effect: 'bozu', playerIndex: 0, extraTurn: false,
+                },
+            }));
+            var drawn = document.getElementById('bozu-drawn-card');
+            expect(drawn.querySelector('.bozu-category').textContent).toBe('坊主');
+            expect(drawn.querySelector('.bozu-author').textContent).toBe('喜撰法師');
+            expect(document.getElementById('bozu-message').textContent).toContain('Aさんの手札はすべて場へ');
+        });
+
+        test('ゲーム終了時は勝者を表示し、札を引くボタンを無効にする', function () {
+            renderer.renderBozuMekuri(createBozuState({ isGameOver: true, deckCount: 0, winners: [0] }));
+            expect(document.getElementById('bozu-message').textContent).toBe('勝者: A');
+            expect(document.querySelectorAll('#bozu-players .winner').length).toBe(1);
+            expect(document.getElementById('bozu-draw-btn').disabled).toBe(true);
+        });
+    });
+
+    describe('読手モード画面', function () {
+        var joka = { id: 0, author: '王仁', upperVerse: '難波津に', lowerVerse: '今は春べと' };
+
+        /**
+         * 読手モードの状態を作るヘルパー
+         */
+        function createDokushuState(overrides) {
+            return Object.assign({
+                currentPoem: null,
+                currentRound: 0,
+                totalRounds: 3,
+                readHistory: [],
+                seed: 1234,
+                isFinished: false,
+            }, overrides);
+        }
+
+        test('読手モード画面だけを表示する', function () {
+            renderer.showDokushuScreen();
+            expect(document.getElementById('dokushu-screen').style.display).toBe('');
+            expect(document.getElementById('start-screen').style.display).toBe('none');
+            expect(document.getElementById('bozu-screen').style.display).toBe('none');
+        });
+
+        test('序歌を読む段階では序歌とシードを表示する', function () {
+            renderer.renderDokushu(createDokushuState(), { joka: joka });
+            expect(document.getElementById('dokushu-status').textContent).toBe('序歌　シード: 1234');
+            expect(document.getElementById('dokushu-author').textContent).toBe('王仁');
+            expect(document.getElementById('dokushu-verse').textContent).toBe('難波津に　今は春べと');
+        });
+
+        test('読んでいる札と何枚目か、読み終えた札の一覧を表示する', function () {
+            var poems = createTestPoems(2);
+            renderer.renderDokushu(createDokushuState({
+                currentPoem: poems[1],
+                currentRound: 2,
+                readHistory: [poems[0]],
+            }), { joka: joka });
+
+            expect(document.getElementById('dokushu-status').textContent).toBe('2 / 3枚目　シード: 1234');
+            expect(document.getElementById('dokushu-author').textContent).toBe(poems[1].author);
+            var items = document.querySelectorAll('#dokushu-history li');
+            expect(items.length).toBe(1);
+            expect(items[0].textContent).toContain(poems[0].lowerVerse);
+        });
+
+        test('一時停止中は再開ボタンを表示する', function () {
+            renderer.renderDokushu(createDokushuState(), { paused: true, joka: joka });
+            expect(document.getElementById('dokushu-pause-btn').textContent).toBe('再開');
+            expect(document.getElementById('dokushu-card').classList.contains('paused')).toBe(true);
+
+            renderer.renderDokushu(createDokushuState(), { paused: false, joka: joka });
+            expect(document.getElementById('dokushu-pause-btn').textContent).toBe('一時停止');
+        });
+
+        test('すべて読み終えたら操作ボタンを無効にする', function () {
+            var poems = createTestPoems(3);
+            renderer.renderDokushu(createDokushuState({
+                currentRound: 3,
+                readHistory: poems,
+                isFinished: true,
+            }), { joka: joka });
+
+            expect(document.getElementById('dokushu-status').textContent).toBe('すべて読み終えました（3枚）　シード: 1234');
+            expect(document.getElementById('dokushu-verse').textContent).toBe('');
+            expect(document.querySelectorAll('#dokushu-history li').length).toBe(3);
+            expect(document.getElementById('dokushu-next-btn').disabled).toBe(true);
+            expect(document.getElementById('dokushu-pause-btn').disabled).toBe(true);
+        });
+    });
+
+    describe('コンピューターの対戦相手', function () {
+        beforeEach(function () {
+            jest.useFakeTimers();
+        });
+
+        afterEach(function () {
+            jest.useRealTimers();
+        });
+
+        test('getCardElement は場に描画した取り札を返す', function () {
+            var poems = createTestPoems(3);
+            renderer.renderGameField(poems);
+            expect(renderer.getCardElement(2).getAttribute('data-id')).toBe('2');
+            expect(renderer.getCardElement(99)).toBeNull();
+        });
+
+        test('対戦相手が取った札を灰色にしてから場から除去する', async function () {
+            renderer.renderGameField(createTestPoems(3));
+            var cardElement = renderer.getCardElement(1);
+            var feedback = renderer.showOpponentTakeFeedback(cardElement);
+
+            expect(cardElement.classList.contains('opponent-taken')).toBe(true);
+            jest.advanceTimersByTime(1200);
+            await feedback;
+            expect(renderer.getCardElement(1)).toBeNull();
+        });
+
+        test('札が場にない場合はすぐに解決する', function () {
+            return expect(renderer.showOpponentTakeFeedback(null)).resolves.toBeUndefined();
+        });
+
+        test('ゲーム終了画面に対戦相手の取った札の数と勝敗を表示する', function () {
+            renderer.renderGameOver({ correct: 6, accuracy: 100, opponent: { label: 'ふつう', taken: 4 } });
+            var text = document.getElementById('final-score').textContent;
+            expect(text).toContain('対戦相手（ふつう）: 4枚');
+            expect(text).toContain('勝敗: あなたの勝ち');
+
+            renderer.renderGameOver({ correct: 3, accuracy: 100, opponent: { label: 'A級', taken: 7 } });
+            expect(document.getElementById('final-score').textContent).toContain('勝敗: あなたの負け');
+        });
+    });
+
+    describe('2人対戦（1つの画面）', function () {
+        var players = [
+            { side: 'player', label: 'プレイヤー1', keys: ['q', 'w'] },
+            { side: 'opponent', label: 'プレイヤー2', keys: ['y', 'u'] },
+        ];
+
+        test('プレイヤーごとの場を2つ描画し、向こう側のプレイヤー2の場を先に置く', function () {
+            renderer.renderHotSeatField(createTestPoems(3), { players: players });
+            var halves = document.querySelectorAll('#game-field .hot-seat-half');
+
+            expect(halves.length).toBe(2);
+            expect(halves[0].getAttribute('data-player-side')).toBe('opponent');
+            expect(halves[0].classList.contains('hot-seat-far')).toBe(true);
+            expect(halves[1].getAttribute('data-player-side')).toBe('player');
+            expect(halves[0].querySelectorAll('.grab-card').length).toBe(3);
+            expect(halves[1].querySelectorAll('.grab-card').length).toBe(3);
+        });
+
+        test('各プレイヤーの場で自分の陣を手前に置き、陣の名前にプレイヤー名を使う', function () {
+            var cards = createTestPoems(4);
+            renderer.renderHotSeatField(cards, {
+                players: players,
+                cardSides: { 1: 'player', 2: 'player', 3: 'opponent', 4: 'opponent' },
+            });
+
+            var farHalf = document.querySelector('.hot-seat-half[data-player-side="opponent"]');
+            var nearHalf = document.querySelector('.hot-seat-half[data-player-side="player"]');
+            expect(Array.prototype.map.call(farHalf.querySelectorAll('.territory'), function (t) {
+                return t.getAttribute('data-side');
+            })).toEqual(['player', 'opponent']);
+            expect(Array.prototype.map.call(nearHalf.querySelectorAll('.territory'), function (t) {
+                return t.getAttribute('data-side');
+            })).toEqual(['opponent', 'player']);
+            expect(nearHalf.querySelector('.territory-label').textContent).toBe('プレイヤー2（2枚）');
+        });
+
+        test('札の位置の順にキーを表示し、getHotSeatCardElement で位置から札を引ける', function () {
+            renderer.renderHotSeatField(createTestPoems(3), { players: players });
+
+            var keyLabels = document.querySelectorAll('.hot-seat-half[data-player-side="player"] .card-key');
+            expect(Array.prototype.map.call(keyLabels, function (k) { return k.textContent; })).toEqual(['Q', 'W']);
+            expect(renderer.getHotSeatCardElement('opponent', 1).getAttribute('data-id')).toBe('2');
+            expect(renderer.getHotSeatCardElement('opponent', 2).querySelector('.card-key')).toBeNull();
+            expect(renderer.getHotSeatCardElement('player', 5)).toBeNull();
+        });
+
+        test('pointerdown で触れた場のプレイヤーと時刻を onCardClick に渡す', function () {
+            var onCardClick = jest.fn();
+            renderer.onCardClick = onCardClick;
+            renderer.renderHotSeatField(createTestPoems(3), { players: players });
+
+            var cardElement = renderer.getHotSeatCardElement('opponent', 0);
+            cardElement.dispatchEvent(new Event('pointerdown'));
+
+            expect(onCardClick).toHaveBeenCalledWith(1, cardElement, {
+                side: 'opponent',
+                timestamp: expect.any(Number),
+            });
+        });
+
+        test('通常の場に戻すと2人対戦の表示を解除する', function () {
+            renderer.renderHotSeatField(createTestPoems(3), { players: players });
+            renderer.renderGameField(createTestPoems(3));
+
+            var field = document.getElementById('game-field');
+            expect(field.classList.contains('hot-seat')).toBe(false);
+            expect(field.querySelector('.hot-seat-half')).toBeNull();
+        });
+
+        test('スコアボードに両方のプレイヤーのスコアと正答率を表示する', function () {
+            renderer.updateHotSeatScoreBoard([
+                { side: 'player', label: 'プレイヤー1', score: { correct: 3, bonus: 1, accuracy: 75, remaining: 5, remainingBySide: null } },
+                { side: 'opponent', label: 'プレイヤー2', score: { correct: 2, bonus: 0, accuracy: 100, remaining: 5, remainingBySide: null } },
+            ]);
+
+            expect(document.getElementById('score').textContent).toBe('プレイヤー1: 4点 / プレイヤー2: 2点');
+            expect(document.getElementById('accuracy').textContent).toBe('正答率: 75% / 100%');
+            expect(document.getElementById('remaining').textContent).toBe('残り: 5');
+        });
+
+        test('ゲーム終了画面にプレイヤーごとの結果と勝者を表示する', function () {
+            renderer.renderGameOver({
+                correct: 4,
+                accuracy: 80,
+                players: [
+                    { side: 'player', label: 'プレイヤー1', correct: 4, accuracy: 80 },
+                    { side: 'opponent', label: 'プレイヤー2', correct: 6, accuracy: 100 },
+                ],
+            });
+            var text = document.getElementById('final-score').textContent;
+            expect(text).toContain('プレイヤー1: 4点（正答率 80%）');
+            expect(text).toContain('プレイヤー2: 6点（正答率 100%）');
+            expect(text).toContain('勝敗: プレイヤー2の勝ち');
+        });
+
+        test('陣地を持つモードでは GameEngine の勝者とプレイヤー名の残り札を表示する', function () {
+            renderer.renderGameOver({
+                correct: 10,
+                accuracy: 90,
+                winner: 'player',
+                remainingBySide: { player: 0, opponent: 3 },
+                players: [
+                    { side: 'player', label: 'プレイヤー1', correct: 10, accuracy: 90, fouls: 1 },
+                    { side: 'opponent', label: 'プレイヤー2', correct: 12, accuracy: 100, fouls: 0 },
+                ],
+            });
+            var text = document.getElementById('final-score').textContent;
+            expect(text).toContain('勝敗: プレイヤー1の勝ち');
+            expect(text).toContain('残り札: プレイヤー1: 0 / プレイヤー2: 3');
+            expect(text).toContain('お手つき 1回');
+        });
+    });
+
+    describe('ネットワーク対戦の表示', function () {
+        test('対戦の状況を表示し、空の場合は隠す', function () {
+            var status = document.getElementById('match-status');
+            renderer.renderMatchStatus('対戦相手を探しています…');
+            expect(status.textContent).toBe('対戦相手を探しています…');
+            expect(status.style.display).toBe('');
+
+            renderer.renderMatchStatus(null);
+            expect(status.textContent).toBe('');
+            expect(status.style.display).toBe('none');
+        });
+
+        test('陣の表示名を指定して場を描画できる', function () {
+            renderer.renderGameField(createTestPoems(2), {
+                cardSides: { 1: 'player', 2: 'opponent' },
+                sideLabels: { player: 'あなた', opponent: 'はると' },
+            });
+            var labels = Array.prototype.map.call(
+                document.querySelectorAll('#game-field .territory-label'),
+                function (label) { return label.textContent; }
+            );
+            expect(labels).toContain('あなた（1枚）');
+            expect(labels).toContain('はると（1枚）');
+        });
+
+        test('相手の切断による不戦勝を結果に表示する', function () {
+            renderer.renderGameOver({
+                correct: 1,
+                accuracy: 100,
+                winner: 'player',
+                forfeit: true,
+                players: [
+                    { side: 'player', label: 'あなた', correct: 1, accuracy: 100 },
+                    { side: 'opponent', label: 'はると', correct: 2, accuracy: 100 },
+                ],
+            });
+            var text = document.getElementById('final-score').textContent;
+            expect(text).toContain('勝敗: あなたの勝ち（相手の接続が切れたため不戦勝）');
+        });
+
+        test('観戦できる対戦の一覧を表示し、選んだ部屋IDを渡す', function () {
+            var onSelect = jest.fn();
+            var list = document.getElementById('match-list');
+            renderer.renderMatchList([
+                { roomId: 'room-1', mode: 'competitive', players: ['あおい', '<b>はると</b>'], spectators: 2 },
+                { roomId: 'room-2', mode: 'standard', players: ['そら', 'ゆい'], spectators: 0 },
+            ], onSelect);
+
+            var buttons = list.querySelectorAll('.watch-match-btn');
+            expect(list.style.display).toBe('');
+            expect(buttons[0].textContent).toBe('あおい 対 <b>はると</b>（競技かるた・観戦 2人）');
+            expect(buttons[1].textContent).toBe('そら 対 ゆい（通常）');
+            buttons[1].click();
+            expect(onSelect).toHaveBeenCalledWith('room-2');
+
+            renderer.renderMatchList([], onSelect);
+            expect(list.textContent).toBe('観戦できる対戦はありません');
+            renderer.hideMatchList();
+            expect(list.style.display).toBe('none');
+        });
+
+        test('相手の名前はHTMLとして解釈せずに結果に表示する', function () {
+            renderer.renderGameOver({
+                winner: 'opponent',
+                remainingBySide: { player: 2, opponent: 0 },
+                players: [
+                    { side: 'player', label: 'あなた', correct: 0, accuracy: 0 },
+                    { side: 'opponent', label: '<img src=x>', correct: 2, accuracy: 100 },
+                ],
+            });
+            var finalScore = document.getElementById('final-score');
+            expect(finalScore.querySelector('img')).toBeNull();
+            expect(finalScore.textContent).toContain('勝敗: <img src=x>の勝ち');
+            expect(finalScore.textContent).toContain('残り札: あなた: 2 / <img src=x>: 0');
+        });
+    });
+
+    describe('授業用のクラス', function () {
+        function createLeaderboard(overrides) {
+            return Object.assign({
+                status: 'playing',
+                round: 2,
+                totalRounds: 10,
+                students: [
+                    { rank: 1, id: 2, name: '<b>はると</b>', connected: true, correct: 2, accuracy: 100, averageReactionMs: 1500 },
+                    { rank: 2, id: 1, name: 'あおい', connected: false, correct: 0, accuracy: 0, averageReactionMs: null },
+                ],
+                missedPoems: [{ poemId: 3, author: '作者3', missed: 2, wrongTouches: 1 }],
+            }, overrides);
+        }
+
+        test('コードと、コード付きの参加用 URL を表示する', function () {
+            renderer.renderClassroomInfo('AB23', ['http://192.168.1.10:8080/']);
+            expect(document.getElementById('classroom-code-display').textContent).toBe('AB23');
+            expect(document.getElementById('classroom-join-urls').textContent)
+                .toBe('http://192.168.1.10:8080/?classroom=AB23');
+        });
+
+        test('順位・正答率・平均反応時間と、取れなかった札を表示する', function () {
+            renderer.renderClassroomLeaderboard(createLeaderboard());
+
+            expect(document.getElementById('classroom-status').textContent).toBe('2 / 10枚目（2人）');
+            var rows = document.querySelectorAll('#classroom-ranking tbody tr');
+            expect(rows.length).toBe(2);
+            expect(rows[0].textContent).toBe('1位<b>はると</b>2枚100%1.50秒');
+            expect(rows[0].querySelector('b')).toBeNull();
+            expect(rows[1].textContent).toBe('2位あおい（切断）0枚0%-');
+            expect(rows[1].className).toBe('disconnected');
+            expect(document.getElementById('classroom-missed').textContent)
+                .toBe('作者3　取れなかった生徒 2人・お手つき 1回');
+        });
+
+        test('授業の進み具合に合わせて操作ボタンを有効にする', function () {
+            var startBtn = document.getElementById('classroom-start-btn');
+            var nextBtn = document.getElementById('classroom-next-btn');
+            var endBtn = document.getElementById('classroom-end-btn');
+
+            renderer.renderClassroomLeaderboard(createLeaderboard({ status: 'lobby', students: [] }));
+            expect(document.getElementById('classroom-status').textContent).toBe('参加を待っています（0人）');
+            expect([startBtn.disabled, nextBtn.disabled, endBtn.disabled]).toEqual([true, true, false]);
+
+            renderer.renderClassroomLeaderboard(createLeaderboard({ status: 'lobby' }));
+            expect(startBtn.disabled).toBe(false);
+
+            renderer.renderClassroomLeaderboard(createLeaderboard());
+            expect([startBtn.disabled, nextBtn.disabled, endBtn.disabled]).toEqual([true, false, false]);
+
+            renderer.renderClassroomLeaderboard(createLeaderboard({ status: 'finished' }));
+            expect([startBtn.disabled, nextBtn.disabled, endBtn.disabled]).toEqual([true, true, true]);
+        });
+
+        test('読んでいる札と状況を表示し、先生の画面に切り替える', function () {
+            renderer.renderClassroomReading(createTestPoems(1)[0]);
+            expect(document.getElementById('classroom-reading-author').textContent).toBe('作者1');
+            renderer.renderClassroomReading(null);
+            expect(document.getElementById('classroom-reading-verse').textContent).toBe('');
+
+            renderer.renderClassroomMessage('先生の接続が切れました');
+            expect(document.getElementById('classroom-message').style.display).toBe('');
+            renderer.renderClassroomMessage(null);
+            expect(document.getElementById('classroom-message').style.display).toBe('none');
+
+            renderer.showClassroomScreen();
+            expect(document.getElementById('classroom-screen').style.display).toBe('');
+            expect(document.getElementById('game-screen').style.display).toBe('none');
+        });
+
+        test('ゲーム終了画面にクラスの中での順位を表示する', function () {
+            renderer.renderGameOver({ correct: 3, accuracy: 75, classroomRank: { rank: 2, studentCount: 30 } });
+            expect(document.getElementById('final-score').textContent).toContain('クラスの順位: 2位 / 30人');
+        });
+    });
+
+    describe('成績画面', function () {
+        var profiles = [{ id: 'abc', name: '<b>たかこ</b>', color: 'red', grade: 'B' }];
+        var game = {
+            id: 'g1', profileId: 'abc', kind: 'cpu', mode: 'competitive', deckSize: 25,
+            correct: 20, incorrect: 3, accuracy: 86.96, elapsedMs: 305000, playedAt: new Date(2024, 4, 3, 9, 5).toISOString(),
+        };
+
+        test('成績と1局ごとの記録を表示する（プレイヤー名は HTML として解釈しない）', function () {
+            renderer.renderHistory({
+                games: [game],
+                stats: { gameCount: 1, correct: 20, incorrect: 3, accuracy: 86.96, bestAccuracy: 86.96, averageElapsedMs: 305000 },
+                offline: false,
+            }, profiles);
+
+            expect(document.getElementById('history-stats').textContent)
+                .toBe('1局　正解 20・不正解 3・正答率 86.96%（最高 86.96%）・平均 5:05');
+            var rows = document.querySelectorAll('#history-games tbody tr');
+            expect(rows.length).toBe(1);
+            expect(Array.prototype.map.call(rows[0].cells, function (cell) { return cell.textContent; })).toEqual([
+                '5/3 09:05', '<b>たかこ</b>', 'コンピューター', '競技かるた', '25枚', '20', '3', '86.96%', '5:05',
+            ]);
+            expect(rows[0].querySelector('b')).toBeNull();
+            expect(document.getElementById('history-message').style.display).toBe('none');
+        });
+
+        test('全員の記録は成績を合わせずに一覧だけを表示する', function () {
+            renderer.renderHistory({ games: [game], stats: null, offline: false }, profiles);
+            expect(document.getElementById('history-stats').textContent).toBe('プロフィールを選ぶと成績を表示します');
+            expect(document.querySelectorAll('#history-games tbody tr').length).toBe(1);
+
+            renderer.renderHistory({ games: [], stats: null, offline: false }, profiles);
+            expect(document.getElementById('history-stats').textContent).toBe('まだ記録がありません');
+        });
+
+        test('記録がない場合と、サーバーに接続できない場合はそのことを表示し、成績画面に切り替える', function () {
+            renderer.renderHistory({ games: [], stats: { gameCount: 0 }, offline: true }, []);
+            expect(document.getElementById('history-stats').textContent).toBe('まだ記録がありません');
+            expect(document.getElementById('history-message').style.display).toBe('');
+
+            renderer.showHistoryScreen();
+            expect(document.getElementById('history-screen').style.display).toBe('');
+            expect(document.getElementById('start-screen').style.display).toBe('none');
+        });
     });
 });
@@ -0,0 +1,83 @@
+/**
+ * upgradeRouter（知らないパスへの upgrade リクエストの後始末）のユニットテスト
+ * localhost の一時的なポートでネットワーク対戦・授業用のクラスと一緒に起動し、ws のクライアントで接続する
+ */
+const http = require('http');
+const { WebSocket } = require('ws');
+const { closeUnknownUpgrades } = require('../../src/upgradeRouter');
+const { MatchServer, MATCH_PATH } = require('../../src/matchServer');
+const { ClassroomServer, CLASSROOM_PATH } = require('../../src/classroomServer');
+
+/**
+ * テスト用の歌データを生成する
+ * @param {number} count - 生成する歌の数
+ * @returns {Poem[]} テスト用の歌データ配列
+ */
+function createTestPoems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        author: `作者${i + 1}`,
+        upperVerse: `上の句${i + 1}`,
+        lowerVerse: `下の句${i + 1}`,
+    }));
+}
+
+let server;
+let matchServer;
+let classroomServer;
+let baseUrl;
+
+beforeEach((done) => {
+    server = http.createServer();
+    matchServer = new MatchServer(server, { poems: createTestPoems(3) });
+    classroomServer = new ClassroomServer(server, { poems: createTestPoems(3) });
+    closeUnknownUpgrades(server, [MATCH_PATH, CLASSROOM_PATH]);
+    server.listen(0, () => {
+        baseUrl = `ws://localhost:${server.address().port}`;
+        done();
+    });
+});
+
+afterEach(async () => {
+    await matchServer.close();
+    await classroomServer.close();
+    await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * 接続を試み、開いた場合は 'open'、断られた場合は応答のステータスコードを返すヘルパー
+ */
+function tryConnect(path) {
+    return new Promise((resolve) => {
+        const socket = new WebSocket(`${baseUrl}${path}`);
+        socket.on('open', () => {
+            socket.terminate();
+            resolve('open');
+        });
+        socket.on('unexpected-response', (req, res) => {
+            resolve(res.statusCode);
+            req.destroy();
+        });
+        socket.on('error', () => {});
+    });
+}
+
+describe('closeUnknownUpgrades', () => {
+    test('どのエンドポイントのパスでもない upgrade リクエストには 404 を返して閉じる', async () => {
+        expect(await tryConnect('/ws/unknown')).toBe(404);
+        expect(await tryConnect('/')).toBe(404);
+    });
+
+    test('ネットワーク対戦・授業用のクラスのパスはそれぞれのエンドポイントが受け付ける', async () => {
+        expect(await tryConnect(MATCH_PATH)).toBe('open');
+        expect(await tryConnect(`${CLASSROOM_PATH}?lang=ja`)).toBe('open');
+    });
+
+    test('登録した受け手を外せる', () => {
+        const other = http.createServer();
+        const remove = closeUnknownUpgrades(other, []);
+        expect(other.listenerCount('upgrade')).toBe(1);
+        remove();
+        expect(other.listenerCount('upgrade')).toBe(0);
+    });
+});